@@ -1,9 +0,0 @@
-CREATE TABLE IF NOT EXISTS expense (
-  id INT AUTO_INCREMENT PRIMARY KEY,
-  user_email VARCHAR(255) NOT NULL,
-  category VARCHAR(120) NOT NULL,
-  description VARCHAR(255),
-  amount DECIMAL(12,2) NOT NULL,
-  date DATE NOT NULL,
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
\ No newline at end of file
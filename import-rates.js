@@ -0,0 +1,60 @@
+// ===============================================================
+// IMPORT-RATES.JS
+// Command line entry point for loading exchange rates from a CSV file
+// (format in lib/currency.js). Rates already stored for the same pair
+// and day are replaced.
+//   npm run rates:import -- rates.csv
+//   npm run rates:import -- rates.csv --dry-run   -> only check the file
+// ===============================================================
+require("dotenv").config();
+const fs = require("fs");
+const mysql = require("mysql2/promise");
+const { parseRatesCsv } = require("./lib/currency");
+
+const BATCH_SIZE = 500;
+
+async function main() {
+  const args = process.argv.slice(2);
+  const file = args.find((a) => !a.startsWith("--"));
+  const dryRun = args.includes("--dry-run");
+  if (!file) throw new Error("Usage: npm run rates:import -- <file.csv> [--dry-run]");
+
+  const { rows, errors } = parseRatesCsv(fs.readFileSync(file, "utf8"));
+  errors.forEach((e) => console.warn(`line ${e.line}: ${e.error}`));
+  if (!rows.length) throw new Error("No rates to import.");
+  if (dryRun) {
+    console.log(`${rows.length} rate(s) would be imported, ${errors.length} line(s) skipped.`);
+    return;
+  }
+
+  const conn = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+  });
+
+  try {
+    await conn.beginTransaction();
+    for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+      const batch = rows.slice(i, i + BATCH_SIZE);
+      await conn.query(
+        `INSERT INTO exchange_rate (base, quote, rate, date) VALUES ?
+         ON DUPLICATE KEY UPDATE rate = VALUES(rate), imported_at = CURRENT_TIMESTAMP`,
+        [batch.map((r) => [r.base, r.quote, r.rate, r.date])]
+      );
+    }
+    await conn.commit();
+    console.log(`Imported ${rows.length} rate(s), ${errors.length} line(s) skipped.`);
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    throw err;
+  } finally {
+    await conn.end();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
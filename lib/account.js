@@ -0,0 +1,149 @@
+// ===============================================================
+// ACCOUNT DATA
+// Every table that holds rows belonging to a user, and the column
+// naming the owner. Changing an email, exporting an account and
+// deleting one all work from this list, so a new per-user table only
+// needs adding here to be carried along.
+//   export: true          every column goes in the export
+//           [columns]     only these (the rest are secrets)
+//           false         left out of the export entirely
+//   files: "<column>"     rows point at stored files (lib/storage.js);
+//                         deleting them hands back those keys
+// Household data is stored under the household's owner key rather
+// than an email, so it stays put when a member leaves or is deleted;
+// deleteOwnedRows() clears it when the household itself goes.
+// ===============================================================
+const OWNED_TABLES = [
+  { table: "income", column: "user_email", export: true },
+  { table: "expense_split", column: "user_email", export: true },
+  { table: "expense", column: "user_email", export: true },
+  { table: "budget", column: "user_email", export: true },
+  { table: "user_categories", column: "user_email", export: true },
+  { table: "recurrence_exception", column: "user_email", export: true },
+  { table: "categorization_rules", column: "user_email", export: true },
+  { table: "import_profiles", column: "user_email", export: true },
+  { table: "notification", column: "user_email", export: true },
+  { table: "alert_rule", column: "user_email", export: true },
+  { table: "debt", column: "user_email", export: true },
+  { table: "goal_contribution", column: "user_email", export: true },
+  { table: "goal", column: "user_email", export: true },
+  { table: "transaction_tag", column: "user_email", export: true },
+  { table: "tag", column: "user_email", export: true },
+  { table: "transfer", column: "user_email", export: true },
+  { table: "money_account", column: "user_email", export: true },
+  {
+    table: "attachment",
+    column: "user_email",
+    export: [
+      "id", "kind", "transaction_id", "filename", "mime_type", "size", "uploaded_by", "created_at",
+    ],
+    files: "storage_key",
+  },
+  {
+    table: "session",
+    column: "user_email",
+    export: ["id", "user_agent", "ip", "created_at", "last_used_at", "expires_at", "revoked_at"],
+  },
+  {
+    table: "login_attempt",
+    column: "email",
+    export: ["id", "ip", "action", "success", "reason", "user_agent", "created_at"],
+  },
+  { table: "auth_token", column: "user_email", export: false },
+  { table: "recovery_code", column: "user_email", export: false },
+  { table: "household_member", column: "user_email", export: true },
+];
+
+// Columns that only mention a user on rows owned by someone else (who
+// added a household expense, who sent an invite). They follow an email
+// change and are blanked when the account is deleted.
+const MENTIONS = [
+  { table: "income", column: "created_by" },
+  { table: "expense", column: "created_by" },
+  { table: "transfer", column: "created_by" },
+  { table: "goal", column: "created_by" },
+  { table: "goal_contribution", column: "created_by" },
+  { table: "debt", column: "created_by" },
+  { table: "attachment", column: "uploaded_by" },
+  { table: "household", column: "created_by" },
+  { table: "household_member", column: "invited_by" },
+];
+
+// the user row itself, minus password and 2FA secrets
+const USER_EXPORT_COLUMNS = [
+  "email", "email_verified_at", "totp_enabled_at", "currency", "locale", "alert_digest",
+];
+
+const columnList = (cols) => cols.map((c) => `\`${c}\``).join(", ");
+
+// { exportedAt, user, tables: { <table>: [rows] } } for `email`
+async function exportAccount(conn, email) {
+  const [[user]] = await conn.execute(
+    `SELECT ${columnList(USER_EXPORT_COLUMNS)} FROM user WHERE email=?`,
+    [email]
+  );
+
+  const tables = {};
+  for (const t of OWNED_TABLES) {
+    if (!t.export) continue;
+    const cols = t.export === true ? "*" : columnList(t.export);
+    const [rows] = await conn.execute(
+      `SELECT ${cols} FROM \`${t.table}\` WHERE \`${t.column}\`=? ORDER BY id`,
+      [email]
+    );
+    tables[t.table] = rows;
+  }
+
+  return { exportedAt: new Date().toISOString(), user, tables };
+}
+
+// moves the account and everything it owns from one email to another.
+// Run inside a transaction.
+async function renameAccount(conn, from, to) {
+  await conn.execute("UPDATE user SET email=? WHERE email=?", [to, from]);
+  for (const t of [...OWNED_TABLES, ...MENTIONS])
+    await conn.execute(`UPDATE \`${t.table}\` SET \`${t.column}\`=? WHERE \`${t.column}\`=?`, [
+      to,
+      from,
+    ]);
+}
+
+// deletes every row stored under `owner` (an email or a household's
+// owner key). Run inside a transaction. Returns the storage keys of the
+// files those rows pointed at, for the caller to remove once the
+// transaction has committed.
+async function deleteOwnedRows(conn, owner) {
+  const files = [];
+  for (const t of OWNED_TABLES) {
+    if (t.files) {
+      const [rows] = await conn.execute(
+        `SELECT \`${t.files}\` AS file FROM \`${t.table}\` WHERE \`${t.column}\`=?`,
+        [owner]
+      );
+      files.push(...rows.map((r) => r.file));
+    }
+    await conn.execute(`DELETE FROM \`${t.table}\` WHERE \`${t.column}\`=?`, [owner]);
+  }
+  return files;
+}
+
+// deletes the account and everything it owns. Run inside a transaction.
+// Returns the storage keys of its files, like deleteOwnedRows().
+async function deleteAccount(conn, email) {
+  const files = await deleteOwnedRows(conn, email);
+  for (const t of MENTIONS)
+    await conn.execute(`UPDATE \`${t.table}\` SET \`${t.column}\`=NULL WHERE \`${t.column}\`=?`, [
+      email,
+    ]);
+  await conn.execute("DELETE FROM user WHERE email=?", [email]);
+  return files;
+}
+
+module.exports = {
+  OWNED_TABLES,
+  MENTIONS,
+  exportAccount,
+  renameAccount,
+  deleteOwnedRows,
+  deleteAccount,
+};
@@ -0,0 +1,198 @@
+// ===============================================================
+// ALERTS
+// Rules that turn spending into notifications:
+//   budget             - a category has used `threshold` percent of
+//                        this month's budget (what was budgeted plus
+//                        anything carried in)
+//   large_transaction  - a single expense of `threshold` or more
+//   unusual_spend      - a category's spending this month is
+//                        `threshold` times its monthly average over the
+//                        UNUSUAL_MONTHS full months before
+// A rule with a category only watches that category; without one it
+// watches all of them. Amounts are in the scope's currency, and the
+// text is written out in the scope's locale (see createFormat).
+// Every alert carries a key naming what it is about (the rule plus the
+// budget month, the expense, ...). A key only ever notifies once, so the
+// rules can be re-checked after every change without repeating alerts.
+// ===============================================================
+const { addMonths } = require("./recurrence");
+const { DEFAULT_LOCALE } = require("./currency");
+
+const RULE_TYPES = ["budget", "large_transaction", "unusual_spend"];
+const DIGEST_FREQUENCIES = ["off", "daily", "weekly"];
+const UNUSUAL_MONTHS = 3;
+
+// every new user and household starts with these
+const DEFAULT_RULES = [
+  { type: "budget", threshold: 80 },
+  { type: "budget", threshold: 100 },
+];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// how amounts and months read in alert text: money(12.5) -> "$12.50",
+// month("2026-10-01") -> "October 2026"
+function createFormat(code, locale = DEFAULT_LOCALE) {
+  const amounts = new Intl.NumberFormat(locale, { style: "currency", currency: code });
+  const months = new Intl.DateTimeFormat(locale, {
+    month: "long",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+  return {
+    money: (amount) => amounts.format(amount),
+    month: (month) => months.format(new Date(`${month.slice(0, 7)}-01T00:00:00Z`)),
+  };
+}
+
+const watches = (rule, category) => !rule.category || rule.category === category;
+const ofType = (rules, type) => rules.filter((r) => r.type === type && r.enabled);
+
+// rule fields from a request body, over `existing` when editing.
+// Returns { error } or { type, category, threshold, enabled }.
+function parseRule(body, existing = {}) {
+  const type = body.type ?? existing.type;
+  if (!RULE_TYPES.includes(type))
+    return { error: `type must be one of ${RULE_TYPES.join(", ")}.` };
+
+  const raw = body.threshold ?? existing.threshold;
+  const threshold = Number(raw);
+  if (raw === undefined || raw === null || raw === "" || !(threshold > 0))
+    return { error: "threshold must be a number greater than 0." };
+  if (type === "budget" && threshold > 1000)
+    return { error: "A budget threshold is a percentage up to 1000." };
+  if (type === "unusual_spend" && threshold <= 1)
+    return { error: "An unusual-spend threshold is a multiple of the average above 1." };
+
+  const category =
+    body.category !== undefined
+      ? String(body.category || "").trim() || null
+      : existing.category ?? null;
+  if (category && category.length > 120)
+    return { error: "category must be 120 characters or fewer." };
+
+  const enabled =
+    body.enabled !== undefined ? Boolean(body.enabled) : Boolean(existing.enabled ?? true);
+  return { type, category, threshold: round2(threshold), enabled };
+}
+
+// `envelopes` are the month's budgets with what was spent
+// ({ category, month: "YYYY-MM-01", budgeted, carriedIn, spent }).
+// Only the highest threshold a budget has passed notifies, so one
+// expense that takes it past 80% and 100% gives one alert. `fmt` comes
+// from createFormat(), like in the checks below.
+function budgetAlerts(rules, envelopes, fmt) {
+  const out = [];
+  envelopes.forEach((e) => {
+    const available = e.budgeted + e.carriedIn;
+    if (available <= 0) return;
+    const percent = (e.spent / available) * 100;
+    const rule = ofType(rules, "budget")
+      .filter((r) => watches(r, e.category) && percent >= r.threshold)
+      .sort((a, b) => b.threshold - a.threshold)[0];
+    if (!rule) return;
+
+    const month = e.month.slice(0, 7);
+    out.push({
+      rule,
+      key: `budget:${rule.id}:${e.category}:${month}`,
+      title:
+        percent >= 100
+          ? `${e.category} is over budget for ${fmt.month(month)}`
+          : `${e.category} has used ${Math.floor(percent)}% of its ${fmt.month(month)} budget`,
+      body: `${fmt.money(e.spent)} spent of ${fmt.money(available)}.`,
+      link: "/budget-tracker",
+    });
+  });
+  return out;
+}
+
+// `expenses` are the ones just saved ({ id, category, description,
+// date, amount }), amounts in the scope's currency
+function largeTransactionAlerts(rules, expenses, fmt) {
+  const out = [];
+  ofType(rules, "large_transaction").forEach((rule) => {
+    expenses.forEach((e) => {
+      if (!watches(rule, e.category) || e.amount < rule.threshold) return;
+      out.push({
+        rule,
+        key: `large_transaction:${rule.id}:${e.id}`,
+        title: `Large expense: ${fmt.money(e.amount)} on ${e.category}`,
+        body:
+          `${e.description || e.category} on ${e.date}, ` +
+          `over your ${fmt.money(rule.threshold)} limit.`,
+        link: "/expense",
+      });
+    });
+  });
+  return out;
+}
+
+// `expenses` are occurrences ({ category, date, amount }) from the
+// start of the UNUSUAL_MONTHS before `month` ("YYYY-MM-01") to today.
+// Categories with no spending in those months are skipped: there is
+// nothing to compare with.
+function unusualSpendAlerts(rules, expenses, month, fmt) {
+  const current = month.slice(0, 7);
+  const from = addMonths(month, -UNUSUAL_MONTHS).slice(0, 7);
+  const now = {};
+  const before = {};
+  expenses.forEach((o) => {
+    const m = o.date.slice(0, 7);
+    const bucket = m === current ? now : m >= from && m < current ? before : null;
+    if (bucket) bucket[o.category] = (bucket[o.category] || 0) + Number(o.amount);
+  });
+
+  const out = [];
+  ofType(rules, "unusual_spend").forEach((rule) => {
+    Object.entries(now).forEach(([category, spent]) => {
+      const average = (before[category] || 0) / UNUSUAL_MONTHS;
+      if (!watches(rule, category) || average <= 0 || spent < average * rule.threshold) return;
+      out.push({
+        rule,
+        key: `unusual_spend:${rule.id}:${category}:${current}`,
+        title: `Unusual spending on ${category}`,
+        body:
+          `${fmt.money(spent)} so far in ${fmt.month(month)}, ` +
+          `${round2(spent / average)}x the ${fmt.money(average)} a month it averaged ` +
+          `over the last ${UNUSUAL_MONTHS} months.`,
+        link: "/report",
+      });
+    });
+  });
+  return out;
+}
+
+// The digest email: `sections` are [{ name, items }] with one section
+// per budget (personal, then households) and items the unread
+// notifications ({ title, body, createdAt }).
+function digestMessage(frequency, sections, appUrl) {
+  const count = sections.reduce((s, sec) => s + sec.items.length, 0);
+  const lines = [];
+  sections.forEach((sec) => {
+    if (!sec.items.length) return;
+    lines.push(sec.name, "-".repeat(sec.name.length));
+    sec.items.forEach((n) => lines.push(`* ${n.title}`, ...(n.body ? [`  ${n.body}`] : [])));
+    lines.push("");
+  });
+  return {
+    subject: `Your ${frequency} Walletly digest: ${count} new alert${count === 1 ? "" : "s"}`,
+    text:
+      `Here is what happened since your last digest.\n\n${lines.join("\n")}` +
+      `See them all in Walletly: ${appUrl}/dashboard\n\n` +
+      `You can change how often these arrive, or turn them off, in Settings.`,
+  };
+}
+
+module.exports = {
+  RULE_TYPES,
+  DIGEST_FREQUENCIES,
+  UNUSUAL_MONTHS,
+  DEFAULT_RULES,
+  createFormat,
+  parseRule,
+  budgetAlerts,
+  largeTransactionAlerts,
+  unusualSpendAlerts,
+  digestMessage,
+};
@@ -0,0 +1,63 @@
+// ===============================================================
+// ATTACHMENTS
+// Receipts, pay stubs and invoices attached to income and expense
+// rows. Only photos and PDFs are accepted, and the type is read from
+// the file's first bytes: the browser's claimed MIME type has to agree
+// with what the file really is.
+// ===============================================================
+const DEFAULT_MAX_MB = 10;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// accepted types -> how to recognise them from their first bytes
+const TYPES = {
+  "image/jpeg": (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+  "image/png": (b) => b.subarray(0, 8).equals(PNG_SIGNATURE),
+  "image/gif": (b) => ["GIF87a", "GIF89a"].includes(b.subarray(0, 6).toString("latin1")),
+  "image/webp": (b) =>
+    b.subarray(0, 4).toString("latin1") === "RIFF" && b.subarray(8, 12).toString("latin1") === "WEBP",
+  "image/heic": (b) =>
+    b.subarray(4, 8).toString("latin1") === "ftyp" &&
+    ["heic", "heix", "mif1", "msf1"].includes(b.subarray(8, 12).toString("latin1")),
+  "application/pdf": (b) => b.subarray(0, 5).toString("latin1") === "%PDF-",
+};
+
+const FILENAME_MAX = 255;
+
+// upload size limit in bytes, from ATTACHMENT_MAX_MB
+function maxBytes(env = process.env) {
+  const mb = Number(env.ATTACHMENT_MAX_MB);
+  return Math.round((mb > 0 ? mb : DEFAULT_MAX_MB) * 1024 * 1024);
+}
+
+// the accepted type `buffer` really is, or null
+function detectType(buffer) {
+  const found = Object.entries(TYPES).find(([, test]) => test(buffer));
+  return found ? found[0] : null;
+}
+
+// the name shown and used on download: no folders or control
+// characters, and never empty
+function cleanFilename(name) {
+  const base = String(name || "")
+    .split(/[\\/]/)
+    .pop()
+    .replace(/[\u0000-\u001f\u007f"]/g, "")
+    .trim();
+  return (base || "attachment").slice(-FILENAME_MAX);
+}
+
+// multer's file -> { mimeType, filename } or { error }
+function checkUpload(file) {
+  if (!file || !file.buffer || !file.size) return { error: "Choose a file to upload." };
+  const mimeType = detectType(file.buffer);
+  if (!mimeType)
+    return { error: "Only photos (JPEG, PNG, GIF, WebP, HEIC) and PDFs can be attached." };
+  // browsers send HEIC as application/octet-stream, so only a
+  // conflicting known type is refused
+  if (file.mimetype in TYPES && file.mimetype !== mimeType)
+    return { error: "The file's contents don't match its type." };
+  return { mimeType, filename: cleanFilename(file.originalname) };
+}
+
+module.exports = { TYPES, maxBytes, detectType, cleanFilename, checkUpload };
@@ -0,0 +1,74 @@
+// ===============================================================
+// CATEGORIES
+// Built-in category list and the colors they start with. Every
+// user gets their own copy of these rows in user_categories so they
+// can be renamed, recolored or archived like any custom category.
+// ===============================================================
+
+const BUILT_IN_CATEGORIES = [
+  { name: "Rent", color: "#00A878", icon: "bx-home" },
+  { name: "Utilities", color: "#F75C03", icon: "bx-bulb" },
+  { name: "Food/Groceries", color: "#8C4F7F", icon: "bx-cart" },
+  { name: "Transportation", color: "#FFB400", icon: "bx-car" },
+  { name: "Entertainment", color: "#2563EB", icon: "bx-movie-play" },
+  { name: "Health", color: "#EC4899", icon: "bx-plus-medical" },
+  { name: "Other", color: "#2274A5", icon: "bx-dots-horizontal-rounded" },
+];
+
+// colors handed to custom categories, picked by a hash of the name so a
+// category keeps the same color until the user changes it
+const PALETTE = [
+  "#0EA5E9",
+  "#A855F7",
+  "#EAB308",
+  "#14B8A6",
+  "#F43F5E",
+  "#6366F1",
+  "#84CC16",
+  "#F97316",
+  "#64748B",
+  "#D946EF",
+];
+
+function defaultCategoryColor(name) {
+  const preset = BUILT_IN_CATEGORIES.find((c) => c.name === name);
+  if (preset) return preset.color;
+
+  let hash = 0;
+  for (const ch of String(name)) hash = (hash * 31 + ch.charCodeAt(0)) | 0;
+  return PALETTE[Math.abs(hash) % PALETTE.length];
+}
+
+const isHexColor = (s) => /^#[0-9a-f]{6}$/i.test(String(s));
+
+// Rolls leaf totals ({ category: amount }) up one level. Returns parent
+// rows sorted by total, each with its own `children` breakdown; a parent's
+// own spending shows up as a child with the parent's name.
+// `parentOf` maps category name -> parent name (or null).
+function rollupByParent(totals, parentOf) {
+  const groups = {};
+  for (const [category, total] of Object.entries(totals)) {
+    const parent = parentOf[category] || category;
+    const g = (groups[parent] = groups[parent] || {
+      category: parent,
+      total: 0,
+      children: [],
+    });
+    g.total += total;
+    g.children.push({ category, total });
+  }
+
+  return Object.values(groups)
+    .map((g) => ({
+      ...g,
+      children: g.children.sort((a, b) => b.total - a.total),
+    }))
+    .sort((a, b) => b.total - a.total);
+}
+
+module.exports = {
+  BUILT_IN_CATEGORIES,
+  defaultCategoryColor,
+  isHexColor,
+  rollupByParent,
+};
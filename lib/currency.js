@@ -0,0 +1,161 @@
+// ===============================================================
+// CURRENCY
+// Amounts are stored in the currency they were paid in; reports,
+// budgets and account balances convert them into one currency with the
+// rates in the exchange_rate table, which is filled from a CSV file
+// (import-rates.js) rather than a live service.
+// A conversion uses the most recent rate on or before the transaction
+// date (the earliest known rate for older dates). Pairs without a
+// direct rate are converted through a currency both sides have a rate
+// for, so one file of EUR->x rates covers every pair.
+// ===============================================================
+const { parseCSV } = require("./import");
+
+const DEFAULT_CURRENCY = "USD";
+const DEFAULT_LOCALE = "en-US";
+
+// offered in the pickers even before any rates are imported
+const COMMON_CURRENCIES = ["USD", "EUR", "GBP", "CAD", "AUD", "JPY", "CHF", "MXN", "INR"];
+
+const KNOWN =
+  typeof Intl.supportedValuesOf === "function"
+    ? new Set(Intl.supportedValuesOf("currency"))
+    : null;
+
+// "eur" -> "EUR"; null for anything that isn't an ISO 4217 code
+function normalizeCurrency(code) {
+  const c = String(code || "").trim().toUpperCase();
+  if (!/^[A-Z]{3}$/.test(c)) return null;
+  return !KNOWN || KNOWN.has(c) ? c : null;
+}
+
+// a BCP 47 tag such as "de-DE" in its canonical form, or null
+function normalizeLocale(tag) {
+  try {
+    const [locale] = Intl.getCanonicalLocales(String(tag || "").trim());
+    return locale || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// CSV with a header row naming date, base, quote and rate (any order):
+//   date,base,quote,rate
+//   2026-01-02,EUR,USD,1.0934
+// meaning 1 base = rate quote on that day. Returns { rows, errors }
+// where errors are { line, error }.
+function parseRatesCsv(text) {
+  const [header = [], ...lines] = parseCSV(String(text || "").replace(/^﻿/, ""));
+  const col = {};
+  header.forEach((h, i) => (col[h.trim().toLowerCase()] = i));
+  const missing = ["date", "base", "quote", "rate"].filter((k) => col[k] === undefined);
+  if (missing.length)
+    return { rows: [], errors: [{ line: 1, error: `Missing column(s): ${missing.join(", ")}.` }] };
+
+  const rows = [];
+  const errors = [];
+  lines.forEach((cells) => {
+    const { line } = cells;
+    if (cells.every((c) => !c.trim())) return;
+    const date = String(cells[col.date] || "").trim();
+    const base = normalizeCurrency(cells[col.base]);
+    const quote = normalizeCurrency(cells[col.quote]);
+    const rate = Number(String(cells[col.rate] || "").trim());
+
+    // a real calendar day ("2024-02-31" would roll over into March)
+    const real =
+      /^\d{4}-\d{2}-\d{2}$/.test(date) &&
+      !isNaN(new Date(date)) &&
+      new Date(`${date}T00:00:00Z`).toISOString().slice(0, 10) === date;
+    if (!real)
+      errors.push({ line, error: "date must be YYYY-MM-DD." });
+    else if (!base || !quote || base === quote)
+      errors.push({ line, error: "base and quote must be two different currency codes." });
+    else if (!(rate > 0)) errors.push({ line, error: "rate must be a positive number." });
+    else rows.push({ date, base, quote, rate });
+  });
+  return { rows, errors };
+}
+
+// the rate in effect on `date` from a date-sorted [{ date, rate }] list
+function rateOn(list, date) {
+  let found = list[0];
+  for (const r of list) {
+    if (r.date > date) break;
+    found = r;
+  }
+  return found.rate;
+}
+
+// convert(amount, from, to, date) -> amount in `to`, or null when no
+// rate links the two currencies
+function createConverter(rates) {
+  const pairs = new Map(); // "EUR>USD" -> [{ date, rate }]
+  const add = (from, to, date, rate) => {
+    const key = `${from}>${to}`;
+    if (!pairs.has(key)) pairs.set(key, []);
+    pairs.get(key).push({ date, rate });
+  };
+  rates.forEach((r) => {
+    const rate = Number(r.rate);
+    add(r.base, r.quote, r.date, rate);
+    add(r.quote, r.base, r.date, 1 / rate);
+  });
+  pairs.forEach((list) => list.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0)));
+
+  const currencies = new Set(rates.flatMap((r) => [r.base, r.quote]));
+
+  function rate(from, to, date) {
+    if (from === to) return 1;
+    const direct = pairs.get(`${from}>${to}`);
+    if (direct) return rateOn(direct, date);
+    for (const via of currencies) {
+      const a = pairs.get(`${from}>${via}`);
+      const b = pairs.get(`${via}>${to}`);
+      if (a && b) return rateOn(a, date) * rateOn(b, date);
+    }
+    return null;
+  }
+
+  function convert(amount, from, to, date) {
+    const r = rate(from || to, to, date);
+    return r === null ? null : Math.round(Number(amount) * r * 100) / 100;
+  }
+
+  return { rate, convert, currencies };
+}
+
+// occurrences (recurrence.expandOccurrences) with every amount in
+// `target`; the original is kept as originalAmount / currency.
+// Occurrences no rate covers are left out, so they can't be added up at
+// face value, and their currencies listed in `missing`.
+function convertOccurrences(occ, target, converter) {
+  const missing = new Set();
+  const convertList = (list) =>
+    list.flatMap((o) => {
+      const currency = o.currency || target;
+      if (currency === target) return [o];
+      const amount = converter.convert(o.amount, currency, target, o.date);
+      if (amount === null) {
+        missing.add(currency);
+        return [];
+      }
+      return [{ ...o, amount, originalAmount: o.amount }];
+    });
+
+  return {
+    occ: Object.fromEntries(Object.entries(occ).map(([k, list]) => [k, convertList(list)])),
+    missing: [...missing].sort(),
+  };
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  DEFAULT_LOCALE,
+  COMMON_CURRENCIES,
+  normalizeCurrency,
+  normalizeLocale,
+  parseRatesCsv,
+  createConverter,
+  convertOccurrences,
+};
@@ -0,0 +1,152 @@
+// ===============================================================
+// DEBT PAYOFF PLANNER
+// Simulates paying off loans and credit cards month by month. Every
+// month each debt is charged its APR / 12 on what is left, then gets
+// its minimum payment; whatever is left of the monthly budget (all the
+// minimums plus `extra`) goes to the first debt in the plan's order
+// that still has a balance. A paid-off debt's minimum rolls into that
+// pool, so the payments "snowball" whichever order is used:
+//   snowball   - smallest balance first (quick wins)
+//   avalanche  - highest APR first (least interest)
+//   custom     - the order the user picked
+// ===============================================================
+const STRATEGIES = ["snowball", "avalanche", "custom"];
+
+// a plan that hasn't finished after this long is given up on
+const MAX_MONTHS = 600;
+
+const toCents = (n) => Math.round(Number(n) * 100);
+const fromCents = (c) => c / 100;
+
+// "2026-10" plus `n` months
+function addMonths(month, n) {
+  const [y, m] = month.split("-").map(Number);
+  const total = y * 12 + (m - 1) + n;
+  return `${Math.floor(total / 12)}-${String((total % 12) + 1).padStart(2, "0")}`;
+}
+
+// `debts` in the order extra money goes to them. `order` lists debt ids
+// for the custom strategy; debts it leaves out follow in their own
+// position (payoff_order, then id).
+function orderDebts(debts, strategy, order = []) {
+  const list = [...debts];
+  if (strategy === "snowball")
+    return list.sort((a, b) => a.balance - b.balance || b.apr - a.apr || a.id - b.id);
+  if (strategy === "avalanche")
+    return list.sort((a, b) => b.apr - a.apr || a.balance - b.balance || a.id - b.id);
+
+  const rank = (d) => {
+    const i = order.indexOf(d.id);
+    return i === -1 ? order.length : i;
+  };
+  return list.sort(
+    (a, b) =>
+      rank(a) - rank(b) ||
+      (a.payoffOrder ?? Infinity) - (b.payoffOrder ?? Infinity) ||
+      a.id - b.id
+  );
+}
+
+// Runs the plan from `startMonth` ("YYYY-MM", the first payment).
+// `debts` are { id, name, balance, apr, minimumPayment, payoffOrder }.
+// Returns the payoff month of each debt and of the whole plan, the
+// interest paid, and a schedule with one row per month. paidOff is
+// false when the budget can't keep up with the interest (the schedule
+// stops at the first month the total didn't go down) or it would take
+// more than MAX_MONTHS.
+function simulate(debts, { strategy = "avalanche", extra = 0, startMonth, order = [] } = {}) {
+  const ordered = orderDebts(
+    debts.filter((d) => toCents(d.balance) > 0),
+    strategy,
+    order
+  );
+  const state = ordered.map((d) => ({
+    debt: d,
+    balance: toCents(d.balance),
+    minimum: toCents(d.minimumPayment),
+    rate: Number(d.apr) / 100 / 12,
+    interest: 0,
+    paid: 0,
+    payoffMonth: null,
+  }));
+  const budget = state.reduce((s, d) => s + d.minimum, 0) + Math.max(0, toCents(extra));
+
+  const total = () => state.reduce((s, d) => s + d.balance, 0);
+  const schedule = [];
+  let month = startMonth;
+  for (let i = 0; i < MAX_MONTHS && total() > 0; i++) {
+    const open = state.filter((d) => d.balance > 0);
+    const before = total();
+    const payments = new Map();
+    const charged = new Map();
+
+    open.forEach((d) => {
+      const interest = Math.round(d.balance * d.rate);
+      d.balance += interest;
+      d.interest += interest;
+      charged.set(d, interest);
+    });
+
+    // minimums first, then the rest down the order
+    let left = budget;
+    open.forEach((d) => {
+      const pay = Math.min(d.minimum, d.balance, left);
+      d.balance -= pay;
+      left -= pay;
+      payments.set(d, pay);
+    });
+    for (const d of open) {
+      if (left <= 0) break;
+      const pay = Math.min(d.balance, left);
+      d.balance -= pay;
+      left -= pay;
+      payments.set(d, payments.get(d) + pay);
+    }
+
+    let monthPaid = 0;
+    open.forEach((d) => {
+      d.paid += payments.get(d);
+      monthPaid += payments.get(d);
+      if (d.balance === 0) d.payoffMonth = month;
+    });
+
+    schedule.push({
+      month,
+      payment: fromCents(monthPaid),
+      interest: fromCents(open.reduce((s, d) => s + charged.get(d), 0)),
+      balance: fromCents(total()),
+      debts: open.map((d) => ({
+        id: d.debt.id,
+        payment: fromCents(payments.get(d)),
+        interest: fromCents(charged.get(d)),
+        balance: fromCents(d.balance),
+      })),
+    });
+    month = addMonths(month, 1);
+    // interest ate the whole budget: it only gets worse from here
+    if (total() >= before) break;
+  }
+
+  const paidOff = state.every((d) => d.balance === 0);
+  return {
+    strategy,
+    extra: fromCents(Math.max(0, toCents(extra))),
+    monthlyBudget: fromCents(budget),
+    paidOff,
+    months: paidOff ? schedule.length : null,
+    payoffMonth: paidOff ? schedule[schedule.length - 1]?.month ?? null : null,
+    totalInterest: fromCents(state.reduce((s, d) => s + d.interest, 0)),
+    totalPaid: fromCents(state.reduce((s, d) => s + d.paid, 0)),
+    debts: state.map((d, i) => ({
+      id: d.debt.id,
+      name: d.debt.name,
+      order: i + 1,
+      payoffMonth: d.payoffMonth,
+      interest: fromCents(d.interest),
+      paid: fromCents(d.paid),
+    })),
+    schedule,
+  };
+}
+
+module.exports = { STRATEGIES, MAX_MONTHS, addMonths, orderDebts, simulate };
@@ -0,0 +1,77 @@
+// ===============================================================
+// ENVELOPES
+// Month-by-month budget balances. Each budget row is one category's
+// envelope for one month:
+//   available = budgeted + carriedIn - spent
+// When the row has rollover switched on, whatever is left (or the
+// overspend, as a negative number) is carried into the same
+// category's envelope for the following month, clamped to
+// +/- rollover_cap when a cap is set. A month without a budget row
+// ends the chain.
+// ===============================================================
+const { addMonths } = require("./recurrence");
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// { "YYYY-MM-01": { category: total } } from expense occurrences. A
+// subcategory's spending also counts toward its parent (via `parentOf`,
+// category name -> parent name), so a budget on the parent covers it.
+function spentByMonth(occurrences, parentOf = {}) {
+  const out = {};
+  occurrences.forEach((o) => {
+    const month = o.date.slice(0, 7) + "-01";
+    const bucket = (out[month] = out[month] || {});
+    bucket[o.category] = (bucket[o.category] || 0) + o.amount;
+
+    const parent = parentOf[o.category];
+    if (parent) bucket[parent] = (bucket[parent] || 0) + o.amount;
+  });
+  return out;
+}
+
+function clampCarry(amount, cap) {
+  if (cap === null || cap === undefined) return amount;
+  const c = Math.abs(Number(cap));
+  return Math.max(-c, Math.min(c, amount));
+}
+
+// budgetRows: { category, month: "YYYY-MM-01", amount, rollover, rollover_cap }
+// with amount already converted to a monthly figure. Returns the rows
+// with budgeted / spent / carriedIn / available / carryOut added.
+function computeEnvelopes(budgetRows, spent) {
+  const byCategory = {};
+  budgetRows.forEach((b) => {
+    (byCategory[b.category] = byCategory[b.category] || []).push(b);
+  });
+
+  const out = [];
+  for (const [category, rows] of Object.entries(byCategory)) {
+    rows.sort((a, b) => (a.month < b.month ? -1 : 1));
+
+    let prev = null;
+    for (const row of rows) {
+      const carriedIn =
+        prev && prev.rollover && addMonths(prev.month, 1) === row.month
+          ? prev.carryOut
+          : 0;
+      const budgeted = Number(row.amount);
+      const used = spent[row.month]?.[category] || 0;
+      const available = budgeted + carriedIn - used;
+
+      const env = {
+        ...row,
+        budgeted: round2(budgeted),
+        spent: round2(used),
+        carriedIn: round2(carriedIn),
+        available: round2(available),
+        carryOut: row.rollover ? round2(clampCarry(available, row.rollover_cap)) : 0,
+      };
+      out.push(env);
+      prev = env;
+    }
+  }
+
+  return out;
+}
+
+module.exports = { spentByMonth, computeEnvelopes };
@@ -0,0 +1,153 @@
+// ===============================================================
+// CASH-FLOW FORECAST
+// Projects income, expenses and net for the coming months from two
+// parts:
+//   scheduled  - occurrences already on the calendar: recurring rows
+//                by their cadence, plus one-time rows dated ahead
+//   irregular  - one-time income and spending, which can't be
+//                scheduled, at their average over the trailing months
+// The current month counts what already happened, what is still
+// scheduled, and the irregular average for the days left in it.
+// Low/high bands are one standard deviation of the irregular monthly
+// totals either side; for balances they widen month by month.
+// All dates are "YYYY-MM-DD", months "YYYY-MM".
+// ===============================================================
+const { addMonths } = require("./recurrence");
+
+const HORIZONS = [3, 6, 12];
+const TRAILING_MONTHS = 6;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const sum = (list) => list.reduce((s, o) => s + Number(o.amount), 0);
+const isIrregular = (o) => !o.cadence || o.cadence === "one-time";
+const labelOf = (o, kind) => (kind === "income" ? o.source : o.category) || "Other";
+
+// "YYYY-MM" of the month `n` months after the one `date` is in
+const monthAfter = (date, n) => addMonths(`${date.slice(0, 7)}-01`, n).slice(0, 7);
+
+function daysInMonth(month) {
+  const [y, m] = month.split("-").map(Number);
+  return new Date(Date.UTC(y, m, 0)).getUTCDate();
+}
+
+function meanAndSd(values) {
+  if (!values.length) return { mean: 0, sd: 0 };
+  const mean = values.reduce((s, v) => s + v, 0) / values.length;
+  const variance = values.reduce((s, v) => s + (v - mean) ** 2, 0) / values.length;
+  return { mean, sd: Math.sqrt(variance) };
+}
+
+// the full months before `today`'s, oldest first
+function trailingMonths(today, count = TRAILING_MONTHS) {
+  return Array.from({ length: count }, (_, i) => monthAfter(today, i - count));
+}
+
+// per kind: the average irregular total a month over `months` (months
+// without any count as 0), its spread, and the average per category
+function irregularStats(occ, months) {
+  const out = {};
+  for (const kind of ["income", "expense"]) {
+    const list = occ[kind].filter(
+      (o) => isIrregular(o) && months.includes(o.date.slice(0, 7))
+    );
+    const byMonth = months.map((m) => sum(list.filter((o) => o.date.startsWith(m))));
+    const byLabel = {};
+    list.forEach((o) => {
+      byLabel[labelOf(o, kind)] = (byLabel[labelOf(o, kind)] || 0) + Number(o.amount);
+    });
+    out[kind] = {
+      ...meanAndSd(byMonth),
+      byCategory: Object.entries(byLabel)
+        .map(([category, total]) => ({ category, monthly: round2(total / months.length) }))
+        .sort((a, b) => b.monthly - a.monthly),
+    };
+  }
+  return out;
+}
+
+// Builds the forecast. `past` holds occurrences from the first trailing
+// month through `today`, `future` those after `today` through the last
+// projected month (both { income, expense }, in one currency).
+// `startingBalance` is what the accounts hold today, or null to skip
+// balances.
+function buildForecast({ past, future, today, horizon, startingBalance = null }) {
+  const months = trailingMonths(today);
+  const history = months.map((month) => {
+    const income = sum(past.income.filter((o) => o.date.startsWith(month)));
+    const expenses = sum(past.expense.filter((o) => o.date.startsWith(month)));
+    return {
+      month,
+      income: round2(income),
+      expenses: round2(expenses),
+      net: round2(income - expenses),
+    };
+  });
+  const irregular = irregularStats(past, months);
+
+  const current = today.slice(0, 7);
+  let balance = startingBalance;
+  let variance = 0;
+  const projection = Array.from({ length: horizon }, (_, i) => {
+    const month = monthAfter(today, i);
+    const inMonth = (o) => o.date.startsWith(month);
+    // share of the month still ahead
+    const days = daysInMonth(month);
+    const share = month === current ? (days - Number(today.slice(8, 10))) / days : 1;
+
+    const actual = {
+      income: month === current ? sum(past.income.filter(inMonth)) : 0,
+      expenses: month === current ? sum(past.expense.filter(inMonth)) : 0,
+    };
+    const scheduled = {
+      income: sum(future.income.filter(inMonth)),
+      expenses: sum(future.expense.filter(inMonth)),
+    };
+    const expected = {
+      income: irregular.income.mean * share,
+      expenses: irregular.expense.mean * share,
+    };
+    const spread =
+      Math.sqrt(irregular.income.sd ** 2 + irregular.expense.sd ** 2) * Math.sqrt(share);
+
+    const income = actual.income + scheduled.income + expected.income;
+    const expenses = actual.expenses + scheduled.expenses + expected.expenses;
+    const net = income - expenses;
+    const row = {
+      month,
+      income: round2(income),
+      expenses: round2(expenses),
+      net: round2(net),
+      low: round2(net - spread),
+      high: round2(net + spread),
+      actual: { income: round2(actual.income), expenses: round2(actual.expenses) },
+      scheduled: { income: round2(scheduled.income), expenses: round2(scheduled.expenses) },
+      irregular: { income: round2(expected.income), expenses: round2(expected.expenses) },
+    };
+
+    // what is already in the accounts today isn't added again
+    if (balance !== null) {
+      balance += net - (actual.income - actual.expenses);
+      variance += spread ** 2;
+      row.balance = round2(balance);
+      row.balanceLow = round2(balance - Math.sqrt(variance));
+      row.balanceHigh = round2(balance + Math.sqrt(variance));
+    }
+    return row;
+  });
+
+  return {
+    history,
+    projection,
+    irregular: {
+      income: irregular.income.byCategory,
+      expense: irregular.expense.byCategory,
+    },
+    // months that may run short: spending above income, or a balance
+    // that could drop below zero
+    shortfalls: projection
+      .filter((p) => p.net < 0 || (p.balanceLow !== undefined && p.balanceLow < 0))
+      .map((p) => p.month),
+  };
+}
+
+module.exports = { HORIZONS, TRAILING_MONTHS, trailingMonths, irregularStats, buildForecast };
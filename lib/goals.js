@@ -0,0 +1,82 @@
+// ===============================================================
+// SAVINGS GOALS
+// A goal is a target amount ("Emergency fund", "Trip to Lisbon"),
+// optionally by a target date. What has been saved toward it is the
+// contributions recorded by hand, plus at most one linked source:
+//   account   - the account's balance today
+//   category  - expenses in that category since the goal started
+//               (money moved to savings recorded as an expense)
+//   tag       - expenses with that tag since the goal started
+// Amounts are in the scope's currency, like budgets.
+// ===============================================================
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const GOAL_STATUSES = ["reached", "on_track", "behind", "overdue", "open"];
+
+const toDate = (iso) => new Date(`${iso}T00:00:00Z`);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// monthly contributions left from `today` until `targetDate`: whole
+// months, plus one for a part month (at least 1 while the date is ahead)
+function monthsLeft(today, targetDate) {
+  if (!targetDate || targetDate < today) return 0;
+  const [y1, m1, d1] = today.split("-").map(Number);
+  const [y2, m2, d2] = targetDate.split("-").map(Number);
+  let months = (y2 - y1) * 12 + (m2 - m1);
+  if (d2 < d1) months -= 1;
+  return Math.max(1, d2 === d1 ? months : months + 1);
+}
+
+// what the linked category or tag has put toward `goal`: expense
+// occurrences (split lines for a category) from its start date to today.
+// `tagsOf(kind, id)` lists a transaction's tags.
+function linkedContributions(goal, expenses, tagsOf) {
+  if (!goal.category && !goal.tag) return 0;
+  return round2(
+    expenses
+      .filter((o) => o.date >= goal.startDate)
+      .filter((o) =>
+        goal.category
+          ? o.category === goal.category
+          : tagsOf("expense", o.template_id).includes(goal.tag)
+      )
+      .reduce((sum, o) => sum + Number(o.amount), 0)
+  );
+}
+
+// Progress of `goal` ({ target, startDate, targetDate }) with `saved`
+// so far: what is left, the percentage, and what needs putting aside
+// each month to get there in time. on_track compares `saved` with a
+// straight line from nothing at the start date to the target on the
+// target date.
+function goalProgress(goal, saved, today) {
+  const target = Number(goal.target);
+  const remaining = round2(Math.max(0, target - saved));
+  const months = monthsLeft(today, goal.targetDate);
+
+  let status;
+  if (saved >= target) status = "reached";
+  else if (!goal.targetDate) status = "open";
+  else if (goal.targetDate < today) status = "overdue";
+  else {
+    const total = toDate(goal.targetDate) - toDate(goal.startDate);
+    const elapsed = Math.max(0, toDate(today) - toDate(goal.startDate));
+    const expected = total > 0 ? (target * elapsed) / total : target;
+    status = saved + 0.005 >= expected ? "on_track" : "behind";
+  }
+
+  return {
+    saved: round2(saved),
+    remaining,
+    percent: target > 0 ? Math.min(100, Math.floor((saved / target) * 100)) : 100,
+    monthsLeft: months,
+    daysLeft: goal.targetDate
+      ? Math.max(0, Math.round((toDate(goal.targetDate) - toDate(today)) / DAY_MS))
+      : null,
+    // an overdue goal needs the rest now
+    monthlyNeeded: !goal.targetDate ? null : round2(remaining / Math.max(months, 1)),
+    status,
+  };
+}
+
+module.exports = { GOAL_STATUSES, monthsLeft, linkedContributions, goalProgress };
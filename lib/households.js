@@ -0,0 +1,18 @@
+// ===============================================================
+// HOUSEHOLDS
+// A household owns data the same way a user does: its rows carry the
+// owner key "household:<id>" where a user's carry their email. Members
+// have one of three roles:
+//   owner  - everything, plus members, roles, renaming and deleting
+//   editor - add and change transactions, budgets, categories, rules
+//   viewer - read only
+// ===============================================================
+const ROLES = ["owner", "editor", "viewer"];
+const OWNER_PREFIX = "household:";
+
+const ownerKey = (householdId) => `${OWNER_PREFIX}${householdId}`;
+
+const canEdit = (role) => role === "owner" || role === "editor";
+const canManage = (role) => role === "owner";
+
+module.exports = { ROLES, OWNER_PREFIX, ownerKey, canEdit, canManage };
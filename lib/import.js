@@ -0,0 +1,236 @@
+// ===============================================================
+// IMPORT
+// Turns bank statement files into transactions. CSV files need a
+// column mapping (which column holds the date, description and
+// amount); OFX/QFX files describe themselves. Every parsed row comes
+// out as { line, date, description, amount, type } with a positive
+// amount and type "income" or "expense" taken from the sign, or as
+// { line, error } when the row can't be read.
+// ===============================================================
+
+const DATE_FORMATS = ["YYYY-MM-DD", "MM/DD/YYYY", "DD/MM/YYYY"];
+
+const DEFAULT_MAPPING = {
+  delimiter: ",",
+  hasHeader: true,
+  dateColumn: 0,
+  descriptionColumn: 1,
+  amountColumn: 2,
+  debitColumn: null,
+  creditColumn: null,
+  dateFormat: "YYYY-MM-DD",
+  negateAmounts: false,
+};
+
+// RFC 4180 style: quoted fields may hold delimiters, newlines and "".
+// Each row (an array of fields) carries `line`, the line of the file it
+// starts on, which blank rows and multi-line fields would otherwise
+// throw off.
+function parseCSV(text, delimiter = ",") {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  row.line = line;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+        if (ch === "\n" || (ch === "\r" && text[i + 1] !== "\n")) line++;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      row.line = ++line;
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((f) => f.trim() !== ""));
+}
+
+// "$1,234.50", "-12.00", "(12.00)" -> number, or NaN
+function parseAmount(value) {
+  let s = String(value ?? "").trim();
+  if (!s) return NaN;
+  const negative = /^\(.*\)$/.test(s) || s.includes("-");
+  s = s.replace(/[^0-9.]/g, "");
+  if (!s) return NaN;
+  const n = Number(s);
+  return negative ? -n : n;
+}
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+// date string in the mapping's format -> "YYYY-MM-DD", or null
+function parseDate(value, format = "YYYY-MM-DD") {
+  const s = String(value ?? "").trim();
+  let y;
+  let m;
+  let d;
+
+  if (format === "YYYY-MM-DD") {
+    const match = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/.exec(s);
+    if (!match) return null;
+    [, y, m, d] = match;
+  } else {
+    const match = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})\b/.exec(s);
+    if (!match) return null;
+    [, m, d, y] = match;
+    if (format === "DD/MM/YYYY") [m, d] = [d, m];
+    if (y.length === 2) y = "20" + y;
+  }
+
+  const iso = `${y}-${pad2(m)}-${pad2(d)}`;
+  const check = new Date(iso + "T00:00:00Z");
+  if (isNaN(check) || check.toISOString().slice(0, 10) !== iso) return null;
+  return iso;
+}
+
+const isSet = (column) => column !== null && column !== undefined && column !== "";
+
+// a mapping column is a header name or a 0-based index
+function columnIndex(column, header) {
+  if (!isSet(column)) return -1;
+  if (typeof column === "number" || /^\d+$/.test(String(column)))
+    return Number(column);
+  return header ? header.findIndex((h) => h.trim() === String(column).trim()) : -1;
+}
+
+// Returns the mapping with defaults filled in, or { error }. Mapping
+// debit/credit columns without an amount column drops the default one.
+function normalizeMapping(mapping = {}) {
+  const m = { ...DEFAULT_MAPPING, ...mapping };
+  if (!isSet(mapping.amountColumn) && (isSet(m.debitColumn) || isSet(m.creditColumn)))
+    m.amountColumn = null;
+
+  if (!DATE_FORMATS.includes(m.dateFormat))
+    return { error: `dateFormat must be one of ${DATE_FORMATS.join(", ")}.` };
+  if (typeof m.delimiter !== "string" || m.delimiter.length !== 1)
+    return { error: "delimiter must be a single character." };
+
+  const hasAmount = isSet(m.amountColumn);
+  const hasSplit = isSet(m.debitColumn) || isSet(m.creditColumn);
+  if (!hasAmount && !hasSplit)
+    return { error: "Map either an amount column or debit/credit columns." };
+  return m;
+}
+
+function toTransaction(line, date, description, amount) {
+  if (!date) return { line, error: "Unreadable date." };
+  if (!Number.isFinite(amount) || amount === 0)
+    return { line, error: "Unreadable or zero amount." };
+
+  return {
+    line,
+    date,
+    description: description.trim().slice(0, 255),
+    amount: Math.round(Math.abs(amount) * 100) / 100,
+    type: amount > 0 ? "income" : "expense",
+  };
+}
+
+// CSV text + mapping -> transactions. With debit/credit columns the
+// debit is money out and the credit money in; negateAmounts flips the
+// sign for exports that list charges as positive numbers.
+function importCSV(text, mapping) {
+  const rows = parseCSV(text, mapping.delimiter);
+  const header = mapping.hasHeader ? rows.shift() : null;
+
+  const col = {
+    date: columnIndex(mapping.dateColumn, header),
+    description: columnIndex(mapping.descriptionColumn, header),
+    amount: columnIndex(mapping.amountColumn, header),
+    debit: columnIndex(mapping.debitColumn, header),
+    credit: columnIndex(mapping.creditColumn, header),
+  };
+  if (col.date < 0) throw new Error("Date column not found in the file.");
+  if (col.amount < 0 && col.debit < 0 && col.credit < 0)
+    throw new Error("Amount column not found in the file.");
+
+  return rows.map((r) => {
+    let amount;
+    if (col.amount >= 0) {
+      amount = parseAmount(r[col.amount]);
+    } else {
+      const credit = col.credit >= 0 ? parseAmount(r[col.credit]) : NaN;
+      const debit = col.debit >= 0 ? parseAmount(r[col.debit]) : NaN;
+      amount = (Number.isFinite(credit) ? Math.abs(credit) : 0) -
+        (Number.isFinite(debit) ? Math.abs(debit) : 0);
+    }
+    if (mapping.negateAmounts) amount = -amount;
+
+    return toTransaction(
+      r.line,
+      parseDate(r[col.date], mapping.dateFormat),
+      col.description >= 0 ? String(r[col.description] || "") : "",
+      amount
+    );
+  });
+}
+
+// OFX 1.x is SGML (closing tags optional), 2.x is XML; QFX is OFX with
+// a vendor header. Both keep each transaction in a <STMTTRN> block.
+function importOFX(text) {
+  const blocks = String(text).split(/<STMTTRN>/i).slice(1);
+  if (!blocks.length) throw new Error("No transactions found in the OFX file.");
+
+  const tag = (block, name) => {
+    const m = new RegExp(`<${name}>([^<\\r\\n]*)`, "i").exec(block);
+    return m ? m[1].trim() : "";
+  };
+
+  return blocks.map((block, i) => {
+    block = block.split(/<\/STMTTRN>/i)[0];
+    const posted = tag(block, "DTPOSTED");
+    const date = /^\d{8}/.test(posted)
+      ? parseDate(`${posted.slice(0, 4)}-${posted.slice(4, 6)}-${posted.slice(6, 8)}`)
+      : null;
+
+    return toTransaction(
+      i + 1,
+      date,
+      tag(block, "NAME") || tag(block, "MEMO"),
+      parseAmount(tag(block, "TRNAMT"))
+    );
+  });
+}
+
+// same date, amount and description (ignoring case and spacing) counts
+// as the same transaction
+function duplicateKey({ date, amount, description }) {
+  const text = String(description || "").trim().replace(/\s+/g, " ").toLowerCase();
+  return `${date}|${Number(amount).toFixed(2)}|${text}`;
+}
+
+module.exports = {
+  DATE_FORMATS,
+  parseCSV,
+  parseAmount,
+  parseDate,
+  normalizeMapping,
+  importCSV,
+  importOFX,
+  duplicateKey,
+};
@@ -0,0 +1,137 @@
+// ===============================================================
+// ACCOUNT LEDGER
+// An account starts at its opening balance on its opening date. From
+// then on income paid into it adds, expenses paid from it subtract,
+// and transfers move money between two accounts without being income
+// or spending. Anything dated before the opening date is already part
+// of the opening balance. Recurring income and expenses count once per
+// occurrence, so callers pass occurrences (recurrence.expandOccurrences)
+// rather than template rows. Credit cards work the same way: what is
+// owed is a negative balance.
+// Entries in another currency than the account's are converted with
+// `convert(amount, from, to, date)` (lib/currency.js createConverter);
+// a transfer is in the currency of the account it leaves. An entry no
+// rate covers is still listed, with a null amount, but left out of the
+// balance; callers report its currency as missing.
+// ===============================================================
+const ACCOUNT_TYPES = ["checking", "savings", "credit_card", "cash"];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// same-day entries: money in before money out
+const TYPE_ORDER = { income: 0, transfer_in: 1, transfer_out: 2, expense: 3 };
+
+const sameCurrency = (amount) => amount;
+
+// every movement on `account` from its opening date up to `through`,
+// oldest first, each with the balance after it
+function accountLedger(account, occ, transfers, through = null, convert = sameCurrency) {
+  const id = Number(account.id);
+  const entries = [];
+
+  occ.income
+    .filter((o) => Number(o.account_id) === id)
+    .forEach((o) =>
+      entries.push({
+        date: o.date,
+        type: "income",
+        id: o.template_id,
+        description: o.description || o.source,
+        category: o.source,
+        currency: o.currency,
+        amount: Number(o.amount),
+      })
+    );
+  occ.expense
+    .filter((o) => Number(o.account_id) === id)
+    .forEach((o) =>
+      entries.push({
+        date: o.date,
+        type: "expense",
+        id: o.template_id,
+        description: o.description || o.category,
+        category: o.category,
+        currency: o.currency,
+        amount: -Number(o.amount),
+      })
+    );
+  transfers.forEach((t) => {
+    if (Number(t.from_account_id) === id)
+      entries.push({
+        date: t.date,
+        type: "transfer_out",
+        id: t.id,
+        description: t.description,
+        counterpartId: Number(t.to_account_id),
+        currency: t.currency,
+        amount: -Number(t.amount),
+      });
+    if (Number(t.to_account_id) === id)
+      entries.push({
+        date: t.date,
+        type: "transfer_in",
+        id: t.id,
+        description: t.description,
+        counterpartId: Number(t.from_account_id),
+        currency: t.currency,
+        amount: Number(t.amount),
+      });
+  });
+
+  let balance = Number(account.opening_balance);
+  return entries
+    .filter((e) => e.date >= account.opening_date && (!through || e.date <= through))
+    .sort((a, b) =>
+      a.date < b.date ? -1 : a.date > b.date ? 1 : TYPE_ORDER[a.type] - TYPE_ORDER[b.type]
+    )
+    .map((e) => {
+      if (!e.currency || e.currency === account.currency) {
+        balance = round2(balance + e.amount);
+        return { ...e, amount: round2(e.amount), balance };
+      }
+      // originalAmount is in e.currency, amount in the account's
+      const amount = convert(e.amount, e.currency, account.currency, e.date);
+      if (amount === null)
+        return { ...e, originalAmount: round2(e.amount), amount: null, balance };
+      balance = round2(balance + amount);
+      return { ...e, originalAmount: round2(e.amount), amount: round2(amount), balance };
+    });
+}
+
+// currencies of the ledger entries no rate converted, sorted
+const missingCurrencies = (entries) =>
+  [...new Set(entries.filter((e) => e.amount === null).map((e) => e.currency))].sort();
+
+// { balances: { <account id>: balance }, missing } as of `through`
+function accountBalances(accounts, occ, transfers, through = null, convert = sameCurrency) {
+  const balances = {};
+  const missing = new Set();
+  accounts.forEach((a) => {
+    const ledger = accountLedger(a, occ, transfers, through, convert);
+    balances[a.id] = ledger.length
+      ? ledger[ledger.length - 1].balance
+      : round2(Number(a.opening_balance));
+    missingCurrencies(ledger).forEach((c) => missing.add(c));
+  });
+  return { balances, missing: [...missing].sort() };
+}
+
+// { total, missing }: the balances of `accounts` added up in `target` as
+// of `date`. Accounts whose currency no rate covers are left out.
+function totalBalance(accounts, balances, target, date, convert = sameCurrency) {
+  const missing = new Set();
+  const total = accounts.reduce((s, a) => {
+    const amount = convert(balances[a.id] ?? 0, a.currency, target, date);
+    if (amount === null) missing.add(a.currency);
+    return s + (amount ?? 0);
+  }, 0);
+  return { total: round2(total), missing: [...missing].sort() };
+}
+
+module.exports = {
+  ACCOUNT_TYPES,
+  accountLedger,
+  accountBalances,
+  missingCurrencies,
+  totalBalance,
+};
@@ -0,0 +1,80 @@
+// ===============================================================
+// MAILER
+// One small interface, send({ to, subject, text, html? }), with a
+// transport picked by MAIL_TRANSPORT:
+//   smtp    - real delivery through nodemailer (SMTP_HOST, SMTP_PORT,
+//             SMTP_SECURE, SMTP_USER, SMTP_PASSWORD)
+//   file    - writes each message as JSON into MAIL_DIR (default
+//             ./tmp/mail) for local development and tests (the default)
+//   console - prints the message, links and tokens included, so it is
+//             for local development only
+// There is no "off": signing up and resetting a password need the
+// emailed links. With NODE_ENV=production MAIL_TRANSPORT has to be set
+// and can't be console; createMailer throws otherwise.
+// Every message goes out from MAIL_FROM.
+// ===============================================================
+const fs = require("fs");
+const path = require("path");
+
+const TRANSPORTS = ["smtp", "file", "console"];
+
+function smtpTransport(env) {
+  // only needed when mail is really being delivered
+  const nodemailer = require("nodemailer");
+  const transporter = nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port: Number(env.SMTP_PORT || 587),
+    secure: env.SMTP_SECURE === "true",
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASSWORD } : undefined,
+  });
+  return { send: (message) => transporter.sendMail(message) };
+}
+
+function fileTransport(env) {
+  const dir = env.MAIL_DIR || path.join(__dirname, "..", "tmp", "mail");
+  return {
+    send: async (message) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const name = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+      const file = path.join(dir, name);
+      await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+      return { file };
+    },
+  };
+}
+
+function consoleTransport() {
+  return {
+    send: async (message) => {
+      console.log(
+        `---- mail to ${message.to} ----\nSubject: ${message.subject}\n\n${message.text}\n----`
+      );
+      return {};
+    },
+  };
+}
+
+function createMailer(env = process.env) {
+  const kind = env.MAIL_TRANSPORT || "file";
+  if (!TRANSPORTS.includes(kind))
+    throw new Error(`MAIL_TRANSPORT must be one of ${TRANSPORTS.join(", ")}.`);
+  if (env.NODE_ENV === "production" && !env.MAIL_TRANSPORT)
+    throw new Error("MAIL_TRANSPORT must be set in production (smtp or file).");
+  if (env.NODE_ENV === "production" && kind === "console")
+    throw new Error("MAIL_TRANSPORT=console would print tokens to the logs in production.");
+
+  const transport =
+    kind === "smtp"
+      ? smtpTransport(env)
+      : kind === "file"
+        ? fileTransport(env)
+        : consoleTransport();
+  const from = env.MAIL_FROM || "Walletly <no-reply@walletly.local>";
+
+  return {
+    kind,
+    send: (message) => transport.send({ from, ...message }),
+  };
+}
+
+module.exports = { TRANSPORTS, createMailer };
@@ -0,0 +1,164 @@
+// ===============================================================
+// MIGRATOR
+// Loads the numbered files in /migrations and applies / rolls
+// them back against the database, tracking what has run in the
+// schema_migrations table.
+// ===============================================================
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// every migration file, sorted by its numeric prefix
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  return fs
+    .readdirSync(dir)
+    .map((file) => ({ file, match: FILE_PATTERN.exec(file) }))
+    .filter((m) => m.match)
+    .map(({ file, match }) => {
+      const mod = require(path.join(dir, file));
+      if (typeof mod.up !== "function" || typeof mod.down !== "function")
+        throw new Error(`Migration ${file} must export up() and down().`);
+
+      return { version: match[1], name: match[2], file, ...mod };
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+async function ensureMigrationsTable(conn) {
+  await conn.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version VARCHAR(32) PRIMARY KEY,
+       name VARCHAR(255) NOT NULL,
+       applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+     )`
+  );
+}
+
+async function appliedVersions(conn) {
+  const [rows] = await conn.query(
+    "SELECT version FROM schema_migrations ORDER BY applied_at, version"
+  );
+  return rows.map((r) => r.version);
+}
+
+// apply every pending migration in order; stops at the first failure
+async function migrateUp(conn, log = console.log) {
+  await ensureMigrationsTable(conn);
+  const applied = new Set(await appliedVersions(conn));
+  const pending = loadMigrations().filter((m) => !applied.has(m.version));
+
+  if (!pending.length) {
+    log("Database is up to date.");
+    return [];
+  }
+
+  for (const m of pending) {
+    log(`Applying ${m.file} ...`);
+    await m.up(conn);
+    await conn.execute(
+      "INSERT INTO schema_migrations (version, name) VALUES (?, ?)",
+      [m.version, m.name]
+    );
+  }
+
+  log(`Applied ${pending.length} migration(s).`);
+  return pending;
+}
+
+// roll back the most recently applied migrations (default: one)
+async function migrateRollback(conn, steps = 1, log = console.log) {
+  await ensureMigrationsTable(conn);
+  const byVersion = new Map(loadMigrations().map((m) => [m.version, m]));
+  const applied = (await appliedVersions(conn))
+    .sort((a, b) => Number(b) - Number(a))
+    .slice(0, steps);
+
+  if (!applied.length) {
+    log("Nothing to roll back.");
+    return [];
+  }
+
+  const rolledBack = [];
+  for (const version of applied) {
+    const m = byVersion.get(version);
+    if (!m) throw new Error(`Migration file for version ${version} is missing.`);
+
+    log(`Rolling back ${m.file} ...`);
+    await m.down(conn);
+    await conn.execute("DELETE FROM schema_migrations WHERE version=?", [
+      version,
+    ]);
+    rolledBack.push(m);
+  }
+
+  log(`Rolled back ${rolledBack.length} migration(s).`);
+  return rolledBack;
+}
+
+async function migrationStatus(conn) {
+  await ensureMigrationsTable(conn);
+  const applied = new Set(await appliedVersions(conn));
+  return loadMigrations().map((m) => ({
+    version: m.version,
+    name: m.name,
+    applied: applied.has(m.version),
+  }));
+}
+
+// ---- helpers for migrations that adopt pre-existing tables ----
+async function columnExists(conn, table, column) {
+  const [rows] = await conn.execute(
+    `SELECT 1 FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME=? AND COLUMN_NAME=?`,
+    [table, column]
+  );
+  return rows.length > 0;
+}
+
+async function addColumnIfMissing(conn, table, column, definition) {
+  if (await columnExists(conn, table, column)) return false;
+  await conn.query(`ALTER TABLE \`${table}\` ADD COLUMN \`${column}\` ${definition}`);
+  return true;
+}
+
+async function indexExists(conn, table, index) {
+  const [rows] = await conn.execute(
+    `SELECT 1 FROM information_schema.STATISTICS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME=? AND INDEX_NAME=?`,
+    [table, index]
+  );
+  return rows.length > 0;
+}
+
+// `columns` is a list of column names; rows that would break the key
+// have to be dealt with by the caller first
+async function addUniqueKeyIfMissing(conn, table, key, columns) {
+  if (await indexExists(conn, table, key)) return false;
+  const list = columns.map((c) => `\`${c}\``).join(", ");
+  await conn.query(`ALTER TABLE \`${table}\` ADD UNIQUE KEY \`${key}\` (${list})`);
+  return true;
+}
+
+// down() for the baseline migrations that adopt tables the old *_ddl.sql
+// files (or the app before migrations) may have created: those tables hold every user's existing rows,
+// so rolling back past them is refused rather than dropping them
+const refuseRollback = (table) => async () => {
+  throw new Error(
+    `Refusing to roll back: the ${table} table may predate the migrations and holds ` +
+      `existing data. Drop it by hand if that is really what you want.`
+  );
+};
+
+module.exports = {
+  loadMigrations,
+  migrateUp,
+  migrateRollback,
+  migrationStatus,
+  columnExists,
+  addColumnIfMissing,
+  indexExists,
+  addUniqueKeyIfMissing,
+  refuseRollback,
+};
@@ -0,0 +1,58 @@
+// ===============================================================
+// PASSWORD POLICY
+// New passwords (sign-up, reset, change) must be between
+// PASSWORD_MIN_LENGTH (default 10) and PASSWORD_MAX_LENGTH (default
+// 72, the most bcrypt looks at) bytes long, must not contain the
+// account's email name, and must not be on the list of common
+// breached passwords shipped in common-passwords.txt.
+// ===============================================================
+const fs = require("fs");
+const path = require("path");
+
+const BCRYPT_MAX_BYTES = 72;
+
+function passwordPolicy(env = process.env) {
+  return {
+    minLength: Number(env.PASSWORD_MIN_LENGTH || 10),
+    maxLength: Math.min(Number(env.PASSWORD_MAX_LENGTH || BCRYPT_MAX_BYTES), BCRYPT_MAX_BYTES),
+  };
+}
+
+let common = null;
+
+// read once, on first use; one password per line, # starts a comment
+function commonPasswords() {
+  if (!common) {
+    const text = fs.readFileSync(path.join(__dirname, "common-passwords.txt"), "utf8");
+    common = new Set(
+      text
+        .split(/\r?\n/)
+        .map((line) => line.trim().toLowerCase())
+        .filter((line) => line && !line.startsWith("#"))
+    );
+  }
+  return common;
+}
+
+const isCommonPassword = (password) => commonPasswords().has(String(password).toLowerCase());
+
+// Returns an error message, or null when `password` is acceptable.
+function checkPassword(password, { email } = {}, policy = passwordPolicy()) {
+  const text = String(password || "");
+  const bytes = Buffer.byteLength(text);
+
+  if (text.length < policy.minLength)
+    return `Password must be at least ${policy.minLength} characters.`;
+  if (bytes > policy.maxLength)
+    return `Password must be at most ${policy.maxLength} characters.`;
+  if (isCommonPassword(text))
+    return "That password is too common. Choose one that's harder to guess.";
+
+  const name = String(email || "").split("@")[0].toLowerCase();
+  if (name.length >= 3 && text.toLowerCase().includes(name))
+    return "Password must not contain your email address.";
+
+  return null;
+}
+
+module.exports = { passwordPolicy, isCommonPassword, checkPassword };
@@ -0,0 +1,45 @@
+// ===============================================================
+// PERIODS
+// Calendar math for report ranges. All dates are "YYYY-MM-DD".
+// ===============================================================
+const { addDays, addMonths } = require("./recurrence");
+
+const PERIODS = ["month", "quarter", "year"];
+
+// [from, to] of the month / quarter / year containing `anchor`
+function periodRange(period, anchor) {
+  const y = Number(anchor.slice(0, 4));
+  const m = Number(anchor.slice(5, 7)); // 1-12
+  let startMonth;
+  let length;
+
+  if (period === "month") {
+    startMonth = m;
+    length = 1;
+  } else if (period === "quarter") {
+    startMonth = Math.floor((m - 1) / 3) * 3 + 1;
+    length = 3;
+  } else if (period === "year") {
+    startMonth = 1;
+    length = 12;
+  } else {
+    throw new Error(`Unknown period "${period}".`);
+  }
+
+  const from = `${y}-${String(startMonth).padStart(2, "0")}-01`;
+  const to = addDays(addMonths(from, length), -1);
+  return { from, to };
+}
+
+// first day of every calendar month touched by [from, to]
+function monthsInRange(from, to) {
+  const months = [];
+  let current = from.slice(0, 7) + "-01";
+  while (current <= to) {
+    months.push(current);
+    current = addMonths(current, 1);
+  }
+  return months;
+}
+
+module.exports = { PERIODS, periodRange, monthsInRange };
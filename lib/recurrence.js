@@ -0,0 +1,150 @@
+// ===============================================================
+// RECURRENCE
+// Income and expense rows double as recurring templates: `date` is
+// the first occurrence, `cadence` says how often it repeats and the
+// optional `end_date` says when it stops. Nothing is stored per
+// occurrence except exceptions (a skipped or overridden occurrence),
+// so occurrences are expanded on the fly for whatever window a
+// report asks for.
+// ===============================================================
+
+const CADENCES = ["monthly", "weekly", "one-time"];
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+// mysql2 hands DATE columns back as local-midnight Date objects;
+// everything in here works on "YYYY-MM-DD" strings instead
+function toISODate(value) {
+  if (!value) return null;
+  if (value instanceof Date)
+    return `${value.getFullYear()}-${pad2(value.getMonth() + 1)}-${pad2(
+      value.getDate()
+    )}`;
+  return String(value).slice(0, 10);
+}
+
+// UTC date math so daylight saving never shifts a day
+const parseISO = (s) => new Date(`${s}T00:00:00Z`);
+const formatISO = (d) =>
+  `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}-${pad2(d.getUTCDate())}`;
+
+function addDays(iso, days) {
+  const d = parseISO(iso);
+  d.setUTCDate(d.getUTCDate() + days);
+  return formatISO(d);
+}
+
+// same day-of-month `months` later, clamped to the last day (Jan 31 -> Feb 28)
+function addMonths(iso, months, anchorDay = parseISO(iso).getUTCDate()) {
+  const d = parseISO(iso);
+  const y = d.getUTCFullYear();
+  const m = d.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+  return formatISO(new Date(Date.UTC(y, m, Math.min(anchorDay, lastDay))));
+}
+
+const normalizeCadence = (cadence) =>
+  CADENCES.includes(cadence) ? cadence : "one-time";
+
+// every occurrence date of `template` that falls inside [from, to]
+function occurrenceDates(template, from, to) {
+  const start = toISODate(template.date);
+  const end = toISODate(template.end_date);
+  const last = end && end < to ? end : to;
+  const cadence = normalizeCadence(template.cadence);
+  const dates = [];
+
+  if (!start || start > last) return dates;
+
+  if (cadence === "one-time") {
+    if (start >= from) dates.push(start);
+    return dates;
+  }
+
+  const anchorDay = parseISO(start).getUTCDate();
+  let current = start;
+  let i = 0;
+
+  if (cadence === "weekly" && from > start) {
+    // jump straight to the first week inside the window
+    const weeks = Math.floor((parseISO(from) - parseISO(start)) / (7 * 864e5));
+    i = weeks;
+    current = addDays(start, 7 * i);
+  }
+
+  while (current <= last) {
+    if (current >= from) dates.push(current);
+    i += 1;
+    current =
+      cadence === "weekly"
+        ? addDays(start, 7 * i)
+        : addMonths(start, i, anchorDay);
+  }
+
+  return dates;
+}
+
+// whether `date` is a real occurrence of `template`
+function isOccurrence(template, date) {
+  return occurrenceDates(template, date, date).length === 1;
+}
+
+// the first occurrence on or after `from`, or null once the schedule has ended
+function nextOccurrence(template, from) {
+  const cadence = normalizeCadence(template.cadence);
+  const horizon =
+    cadence === "weekly" ? addDays(from, 7) : addMonths(from, 1);
+  return occurrenceDates(template, from, horizon)[0] || null;
+}
+
+const exceptionKey = (kind, templateId, date) =>
+  `${kind}:${templateId}:${date}`;
+
+// Expand templates into occurrences within [from, to]. `exceptions` are
+// recurrence_exception rows; skipped occurrences are dropped unless
+// `includeSkipped` is set (they then carry skipped: true).
+function expandOccurrences(templates, kind, from, to, exceptions = [], opts = {}) {
+  const byKey = new Map(
+    exceptions
+      .filter((x) => x.kind === kind)
+      .map((x) => [
+        exceptionKey(kind, x.template_id, toISODate(x.occurrence_date)),
+        x,
+      ])
+  );
+
+  const out = [];
+  for (const t of templates) {
+    for (const date of occurrenceDates(t, from, to)) {
+      const x = byKey.get(exceptionKey(kind, t.id, date));
+      const skipped = x?.action === "skip";
+      if (skipped && !opts.includeSkipped) continue;
+
+      const overridden = x?.action === "override";
+      out.push({
+        ...t,
+        kind,
+        template_id: t.id,
+        date,
+        amount: Number(overridden && x.amount != null ? x.amount : t.amount),
+        description:
+          overridden && x.description != null ? x.description : t.description,
+        overridden,
+        skipped,
+      });
+    }
+  }
+
+  return out.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+module.exports = {
+  CADENCES,
+  toISODate,
+  addDays,
+  addMonths,
+  occurrenceDates,
+  isOccurrence,
+  nextOccurrence,
+  expandOccurrences,
+};
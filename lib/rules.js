@@ -0,0 +1,139 @@
+// ===============================================================
+// CATEGORIZATION RULES
+// A rule matches an expense by its description (plain "contains" or
+// a regular expression, case-insensitive), an optional amount range
+// and where the expense came from (typed in or imported). Rules are
+// tried in priority order (lowest number first, then oldest) and the
+// first match decides the category, plus the cadence if it sets one.
+// Regular expressions run in the server process, so patterns that can
+// backtrack for ages (nested or alternating repeats, backreferences)
+// are refused, and a long pattern is too.
+// ===============================================================
+const { CADENCES } = require("./recurrence");
+
+const MATCH_TYPES = ["contains", "regex"];
+const RULE_SOURCES = ["any", "manual", "import"];
+const MAX_PATTERN_LENGTH = 200;
+
+const isBlank = (v) => v === null || v === undefined || v === "";
+
+// Why a regex pattern isn't safe to run, or null when it is: too long,
+// a backreference, or a repeated group that itself repeats or
+// alternates, like (a+)+ or (a|ab)*, which can take exponential time.
+function unsafePattern(pattern) {
+  if (pattern.length > MAX_PATTERN_LENGTH)
+    return `a regular expression can be at most ${MAX_PATTERN_LENGTH} characters.`;
+
+  // one entry per open group: does it repeat or alternate inside?
+  const groups = [];
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === "\\") {
+      if (/[1-9k]/.test(pattern[i + 1] || ""))
+        return "backreferences are not allowed in a regular expression.";
+      i++;
+    } else if (c === "[") {
+      // skip the character class, escapes included
+      for (i++; i < pattern.length && pattern[i] !== "]"; i++) if (pattern[i] === "\\") i++;
+    } else if (c === "(") {
+      groups.push({ risky: false });
+    } else if (c === "|") {
+      if (groups.length) groups[groups.length - 1].risky = true;
+    } else if ("*+{".includes(c) || (c === "?" && !"(*+?}".includes(pattern[i - 1]))) {
+      // a "?" after "(" opens (?:...), after a quantifier makes it lazy
+      groups.forEach((g) => (g.risky = true));
+    } else if (c === ")") {
+      const group = groups.pop();
+      if (group?.risky && /[*+{]/.test(pattern[i + 1] || ""))
+        return "a repeated group can't repeat or alternate inside, as in (a+)+ or (a|b)*.";
+    }
+  }
+  return null;
+}
+
+// rule fields from a request body, merged over `existing` when
+// updating. Returns { error } or the cleaned-up fields.
+function parseRule(body, existing = {}) {
+  const pick = (key, fallback = null) =>
+    body[key] !== undefined ? body[key] : existing[key] ?? fallback;
+
+  const rule = {
+    priority: Number(pick("priority", 100)),
+    match_type: pick("match_type", "contains"),
+    pattern: isBlank(pick("pattern")) ? null : String(pick("pattern")).trim(),
+    min_amount: isBlank(pick("min_amount")) ? null : Number(pick("min_amount")),
+    max_amount: isBlank(pick("max_amount")) ? null : Number(pick("max_amount")),
+    source: pick("source", "any"),
+    category: String(pick("category", "")).trim(),
+    cadence: isBlank(pick("cadence")) ? null : pick("cadence"),
+    enabled: pick("enabled", true) ? 1 : 0,
+  };
+
+  if (!Number.isInteger(rule.priority))
+    return { error: "priority must be a whole number." };
+  if (!MATCH_TYPES.includes(rule.match_type))
+    return { error: `match_type must be one of ${MATCH_TYPES.join(", ")}.` };
+  if (!RULE_SOURCES.includes(rule.source))
+    return { error: `source must be one of ${RULE_SOURCES.join(", ")}.` };
+  if (!rule.category) return { error: "category is required." };
+  if (rule.cadence !== null && !CADENCES.includes(rule.cadence))
+    return { error: `cadence must be one of ${CADENCES.join(", ")}.` };
+  for (const key of ["min_amount", "max_amount"])
+    if (rule[key] !== null && !Number.isFinite(rule[key]))
+      return { error: `${key} must be a number.` };
+  if (rule.min_amount !== null && rule.max_amount !== null && rule.min_amount > rule.max_amount)
+    return { error: "min_amount cannot be more than max_amount." };
+  if (rule.pattern === null && rule.min_amount === null && rule.max_amount === null)
+    return { error: "A rule needs a pattern or an amount range." };
+  if (rule.match_type === "regex" && rule.pattern !== null) {
+    try {
+      new RegExp(rule.pattern, "i");
+    } catch (e) {
+      return { error: `pattern is not a valid regular expression: ${e.message}` };
+    }
+    const unsafe = unsafePattern(rule.pattern);
+    if (unsafe) return { error: `pattern is not allowed: ${unsafe}` };
+  }
+
+  return rule;
+}
+
+// tx: { description, amount, source: "manual" | "import" }
+function matchesRule(rule, tx) {
+  if (!rule.enabled) return false;
+  if (rule.source !== "any" && rule.source !== tx.source) return false;
+
+  const amount = Number(tx.amount);
+  if (rule.min_amount !== null && amount < Number(rule.min_amount)) return false;
+  if (rule.max_amount !== null && amount > Number(rule.max_amount)) return false;
+
+  if (rule.pattern === null) return true;
+  const text = String(tx.description || "");
+  if (rule.match_type === "regex") {
+    // rules saved before patterns were checked never match
+    if (unsafePattern(rule.pattern)) return false;
+    return new RegExp(rule.pattern, "i").test(text);
+  }
+  return text.toLowerCase().includes(rule.pattern.toLowerCase());
+}
+
+const byPriority = (a, b) => a.priority - b.priority || a.id - b.id;
+
+// first rule (by priority) that matches `tx`, or null
+function findMatchingRule(rules, tx) {
+  return [...rules].sort(byPriority).find((r) => matchesRule(r, tx)) || null;
+}
+
+// only uncategorized expenses are touched by rules
+const needsCategory = (category) => !category || category === "Other";
+
+module.exports = {
+  MATCH_TYPES,
+  RULE_SOURCES,
+  MAX_PATTERN_LENGTH,
+  unsafePattern,
+  parseRule,
+  matchesRule,
+  findMatchingRule,
+  needsCategory,
+};
@@ -0,0 +1,86 @@
+// ===============================================================
+// EXPENSE SPLITS
+// One expense (a receipt covering groceries, pharmacy and a gift) can
+// be split into line items with their own category, amount and note.
+// The splits always add up to the expense's amount, and the expense row
+// keeps the category of its largest split so anything that shows one
+// category per expense still has a sensible one.
+// Only category totals (reports, budgets) look at the splits; accounts,
+// totals and the transaction list keep seeing one expense.
+// ===============================================================
+const CATEGORY_MAX = 120;
+const NOTE_MAX = 255;
+
+const toCents = (n) => Math.round(Number(n) * 100);
+
+// body.splits -> { splits } or { error }. An empty list means "not
+// split"; otherwise there must be at least two parts summing to `amount`,
+// which has to be a number above zero for that to mean anything.
+function parseSplits(value, amount) {
+  if (!Array.isArray(value)) return { error: "splits must be a list." };
+  if (!value.length) return { splits: [] };
+  if (value.length < 2) return { error: "A split needs at least two parts." };
+  if (!(Number(amount) > 0))
+    return { error: "A split expense needs an amount above zero." };
+
+  const splits = [];
+  for (const s of value) {
+    const category = String(s?.category || "").trim();
+    const cents = toCents(s?.amount);
+    const note = s?.note == null ? null : String(s.note).trim() || null;
+
+    if (!category || category.length > CATEGORY_MAX)
+      return { error: `Every split needs a category (at most ${CATEGORY_MAX} characters).` };
+    if (!Number.isFinite(cents) || cents <= 0)
+      return { error: "Every split needs an amount above zero." };
+    if (note && note.length > NOTE_MAX)
+      return { error: `Split notes can be at most ${NOTE_MAX} characters.` };
+    splits.push({ category, amount: cents / 100, note });
+  }
+
+  const total = splits.reduce((sum, s) => sum + toCents(s.amount), 0);
+  if (total !== toCents(amount))
+    return {
+      error: `The splits add up to ${(total / 100).toFixed(2)} but the expense is ${Number(
+        amount
+      ).toFixed(2)}.`,
+    };
+  return { splits };
+}
+
+// whether stored splits still add up to `amount` (after an edit that
+// changed the amount but not the splits)
+function splitsMatch(splits, amount) {
+  return splits.reduce((sum, s) => sum + toCents(s.amount), 0) === toCents(amount);
+}
+
+// the category the expense row itself gets: its largest split's
+function mainCategory(splits) {
+  return splits.reduce((best, s) => (Number(s.amount) > Number(best.amount) ? s : best))
+    .category;
+}
+
+// Expense occurrences (recurrence.expandOccurrences) with each split one
+// replaced by one occurrence per split: same template, date, account and
+// member, with the split's category, amount and note. `splitsByExpense`
+// maps expense id -> its splits in order. An occurrence whose amount
+// differs from the splits' total (an overridden occurrence, a converted
+// currency) has them scaled to it; the last split takes the rounding.
+function applySplits(expenses, splitsByExpense) {
+  return expenses.flatMap((o) => {
+    const splits = splitsByExpense.get(o.template_id ?? o.id);
+    if (!splits || !splits.length) return [o];
+
+    const total = splits.reduce((sum, s) => sum + toCents(s.amount), 0);
+    const target = toCents(o.amount);
+    let left = target;
+    return splits.map((s, i) => {
+      const cents =
+        i === splits.length - 1 ? left : Math.round((target * toCents(s.amount)) / total);
+      left -= cents;
+      return { ...o, category: s.category, amount: cents / 100, splitNote: s.note };
+    });
+  });
+}
+
+module.exports = { parseSplits, splitsMatch, mainCategory, applySplits };
@@ -0,0 +1,75 @@
+// ===============================================================
+// STORAGE
+// Where uploaded files (receipts, pay stubs, invoices) are kept. One
+// small interface with a driver picked by STORAGE_DRIVER:
+//   local - files under STORAGE_DIR (default ./uploads)
+// so another driver (an object store) only has to provide the same
+// three calls:
+//   put(key, buffer)  - stores the bytes under `key`
+//   get(key)          - a readable stream of them
+//   remove(key)       - deletes them; a missing file is not an error
+// Keys are made here by newKey() and never contain anything the user
+// sent, so they can't point outside the storage area.
+// ===============================================================
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const DRIVERS = ["local"];
+
+const KEY_PATTERN = /^[0-9a-f]{2}\/[0-9a-f]{32}$/;
+
+// "3f/3f9c..." - the first two characters spread files over folders
+function newKey() {
+  const id = crypto.randomBytes(16).toString("hex");
+  return `${id.slice(0, 2)}/${id}`;
+}
+
+function checkKey(key) {
+  if (!KEY_PATTERN.test(String(key))) throw new Error(`Invalid storage key: ${key}`);
+  return key;
+}
+
+function localDriver(env) {
+  const dir = path.resolve(env.STORAGE_DIR || path.join(__dirname, "..", "uploads"));
+  const fileFor = (key) => path.join(dir, checkKey(key));
+
+  return {
+    put: async (key, buffer) => {
+      const file = fileFor(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer, { flag: "wx" });
+    },
+    get: async (key) => {
+      const file = fileFor(key);
+      await fs.promises.access(file);
+      return fs.createReadStream(file);
+    },
+    remove: async (key) => {
+      await fs.promises.rm(fileFor(key), { force: true });
+    },
+  };
+}
+
+function createStorage(env = process.env) {
+  const kind = env.STORAGE_DRIVER || "local";
+  if (!DRIVERS.includes(kind))
+    throw new Error(`STORAGE_DRIVER must be one of ${DRIVERS.join(", ")}.`);
+
+  const driver = localDriver(env);
+  return {
+    kind,
+    newKey,
+    put: driver.put,
+    get: driver.get,
+    remove: driver.remove,
+    // removes several files, logging (not throwing) failures: used after
+    // the rows pointing at them are already gone
+    removeAll: async (keys) => {
+      for (const key of keys)
+        await driver.remove(key).catch((e) => console.error(`storage: ${key}: ${e.message}`));
+    },
+  };
+}
+
+module.exports = { DRIVERS, createStorage };
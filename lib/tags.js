@@ -0,0 +1,91 @@
+// ===============================================================
+// TAGS
+// Free-form labels ("vacation-2026", "reimbursable", "tax-deductible")
+// on income and expense rows, any number per row and independent of
+// categories, so a trip can be totalled whatever it was spent on.
+// Names are kept lower-case with spaces turned into dashes, so
+// "Vacation 2026" and "#vacation-2026" are the same tag.
+// ===============================================================
+const TAG_MAX = 50;
+const TAGS_PER_TRANSACTION = 20;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// what normalizeTag accepts, for error messages
+const TAG_RULE =
+  `start with a letter or number, then use letters, numbers, "-", "_" or "." ` +
+  `(at most ${TAG_MAX} characters)`;
+
+// "Vacation 2026" -> "vacation-2026"; null when it isn't a usable name
+function normalizeTag(name) {
+  const tag = String(name || "")
+    .trim()
+    .replace(/^#/, "")
+    .toLowerCase()
+    .replace(/\s+/g, "-");
+  return tag.length <= TAG_MAX && /^[\p{L}\p{N}][\p{L}\p{N}_.-]*$/u.test(tag) ? tag : null;
+}
+
+// body.tags (a list, or one comma separated string) -> { tags } or
+// { error }; null or "" clears them
+function parseTags(value) {
+  if (value === null || value === "") return { tags: [] };
+  const list = Array.isArray(value) ? value : typeof value === "string" ? value.split(",") : null;
+  if (!list) return { error: "tags must be a list of names." };
+
+  const tags = [];
+  for (const raw of list) {
+    if (!String(raw ?? "").trim()) continue;
+    const tag = normalizeTag(raw);
+    if (!tag)
+      return {
+        error: `"${String(raw).trim()}" is not a valid tag: ${TAG_RULE}.`,
+      };
+    if (!tags.includes(tag)) tags.push(tag);
+  }
+  if (tags.length > TAGS_PER_TRANSACTION)
+    return { error: `At most ${TAGS_PER_TRANSACTION} tags per transaction.` };
+  return { tags };
+}
+
+// Income and expense occurrences totalled per tag, biggest spending
+// first, each with its spending by category. `tagsOf(kind, id)` gives a
+// transaction's tag names. Split expenses (lib/splits.js) count each
+// split in its own category but only once in `count`.
+function totalsByTag(occ, tagsOf) {
+  const by = {};
+  const add = (o, kind) => {
+    for (const tag of tagsOf(kind, o.template_id)) {
+      const t = (by[tag] = by[tag] || {
+        tag,
+        income: 0,
+        expenses: 0,
+        occurrences: new Set(),
+        categories: {},
+      });
+      t.occurrences.add(`${kind}:${o.template_id}:${o.date}`);
+      if (kind === "income") t.income += o.amount;
+      else {
+        t.expenses += o.amount;
+        t.categories[o.category] = (t.categories[o.category] || 0) + o.amount;
+      }
+    }
+  };
+  occ.income.forEach((o) => add(o, "income"));
+  occ.expense.forEach((o) => add(o, "expense"));
+
+  return Object.values(by)
+    .map((t) => ({
+      tag: t.tag,
+      income: round2(t.income),
+      expenses: round2(t.expenses),
+      net: round2(t.income - t.expenses),
+      count: t.occurrences.size,
+      byCategory: Object.entries(t.categories)
+        .map(([category, total]) => ({ category, total: round2(total) }))
+        .sort((a, b) => b.total - a.total),
+    }))
+    .sort((a, b) => b.expenses - a.expenses || a.tag.localeCompare(b.tag));
+}
+
+module.exports = { TAG_MAX, TAG_RULE, normalizeTag, parseTags, totalsByTag };
@@ -0,0 +1,63 @@
+// ===============================================================
+// LOGIN THROTTLING
+// Failed logins are counted per account (since its last successful
+// login) and per IP address (over a recent window). The first few
+// failures are free; after that each one doubles the wait before the
+// next try, and past the lockout threshold the account or address is
+// locked for a fixed time. All limits can be set in .env:
+//   LOGIN_FREE_ATTEMPTS      failures before any wait (default 5)
+//   LOGIN_LOCKOUT_ATTEMPTS   failures that lock the account (default 10)
+//   LOGIN_LOCKOUT_MINUTES    how long a lockout lasts (default 15)
+//   LOGIN_IP_FREE_ATTEMPTS / LOGIN_IP_LOCKOUT_ATTEMPTS (defaults 20 / 100)
+//   LOGIN_IP_WINDOW_MINUTES  window for counting an IP's failures (default 60)
+//   SIGNUPS_PER_IP_PER_HOUR  new accounts from one address (default 5)
+// ===============================================================
+const MAX_BACKOFF_SECONDS = 5 * 60;
+
+function throttleLimits(env = process.env) {
+  const num = (key, fallback) => Number(env[key] || fallback);
+  const lockoutSeconds = num("LOGIN_LOCKOUT_MINUTES", 15) * 60;
+  return {
+    account: {
+      free: num("LOGIN_FREE_ATTEMPTS", 5),
+      lockout: num("LOGIN_LOCKOUT_ATTEMPTS", 10),
+      lockoutSeconds,
+    },
+    ip: {
+      free: num("LOGIN_IP_FREE_ATTEMPTS", 20),
+      lockout: num("LOGIN_IP_LOCKOUT_ATTEMPTS", 100),
+      lockoutSeconds,
+      windowMinutes: num("LOGIN_IP_WINDOW_MINUTES", 60),
+    },
+    signupsPerHour: num("SIGNUPS_PER_IP_PER_HOUR", 5),
+  };
+}
+
+// `failures` so far, the last one `sinceLast` seconds ago ->
+// { locked, retryAfter } where retryAfter is the seconds still to wait
+// (0 when a new attempt is allowed right now)
+function attemptWait(failures, sinceLast, limits) {
+  if (failures < limits.free) return { locked: false, retryAfter: 0 };
+
+  const locked = failures >= limits.lockout;
+  const wait = locked
+    ? limits.lockoutSeconds
+    : Math.min(2 ** (failures - limits.free), MAX_BACKOFF_SECONDS);
+  return { locked, retryAfter: Math.max(0, Math.ceil(wait - sinceLast)) };
+}
+
+// the stricter of several attemptWait() results
+const strictest = (waits) =>
+  waits.reduce((worst, w) => (w.retryAfter > worst.retryAfter ? w : worst), {
+    locked: false,
+    retryAfter: 0,
+  });
+
+// 90 -> "2 minutes", 30 -> "30 seconds"
+function describeWait(seconds) {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? "" : "s"}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? "" : "s"}`;
+}
+
+module.exports = { MAX_BACKOFF_SECONDS, throttleLimits, attemptWait, strictest, describeWait };
@@ -0,0 +1,47 @@
+// ===============================================================
+// TOKENS
+// Access tokens are short-lived JWTs carrying the session id
+// (`sid`). Everything else (refresh tokens, email verification and
+// password reset links) is a random string of the form
+// "<row id>.<secret>"; only a SHA-256 hash of the secret is stored,
+// so a leaked table can't be replayed.
+// ===============================================================
+const crypto = require("crypto");
+
+const ACCESS_TOKEN_TTL = "15m";
+const REFRESH_TOKEN_DAYS = 30;
+
+const hashToken = (secret) =>
+  crypto.createHash("sha256").update(String(secret)).digest("hex");
+
+// a new random secret and the hash to store for it
+function newSecret() {
+  const secret = crypto.randomBytes(32).toString("base64url");
+  return { secret, hash: hashToken(secret) };
+}
+
+const formatIdToken = (id, secret) => `${id}.${secret}`;
+
+// "<id>.<secret>" -> { id, hash } or null
+function parseIdToken(token) {
+  const m = /^(\d+)\.([\w-]{20,})$/.exec(String(token || ""));
+  return m ? { id: Number(m[1]), hash: hashToken(m[2]) } : null;
+}
+
+// a Date `ms` milliseconds from now
+const expiresIn = (ms) => new Date(Date.now() + ms);
+
+const HOUR = 60 * 60 * 1000;
+const refreshExpiry = () => expiresIn(REFRESH_TOKEN_DAYS * 24 * HOUR);
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_DAYS,
+  HOUR,
+  hashToken,
+  newSecret,
+  formatIdToken,
+  parseIdToken,
+  expiresIn,
+  refreshExpiry,
+};
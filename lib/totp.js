@@ -0,0 +1,124 @@
+// ===============================================================
+// TOTP (RFC 6238)
+// Time-based one-time passwords as used by authenticator apps:
+// HMAC-SHA1 over 30-second steps, 6 digits. Secrets are kept as
+// base32 because that is what the otpauth:// URI and manual entry in
+// the apps expect. Also makes the single-use recovery codes that
+// stand in for the app when the phone is lost.
+// ===============================================================
+const crypto = require("crypto");
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+// lenient about case, spaces and padding, as people type it
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = BASE32.indexOf(ch);
+    if (idx === -1) throw new Error("Invalid base32 character.");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+// 160-bit secret, the size RFC 4226 recommends
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// RFC 4226 HOTP value for `counter`, zero-padded
+function hotp(secret, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const mac = crypto.createHmac("sha1", base32Decode(secret)).update(msg).digest();
+  const offset = mac[mac.length - 1] & 15;
+  const code = (mac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, "0");
+}
+
+const stepAt = (ms = Date.now()) => Math.floor(ms / 1000 / STEP_SECONDS);
+
+const totp = (secret, ms = Date.now()) => hotp(secret, stepAt(ms));
+
+// Checks `code` against the current step and `window` steps either
+// side (clock drift). Returns the matching step, or null. Callers
+// store the step and refuse codes from it or earlier, so a code can't
+// be replayed.
+function verifyTotp(secret, code, { window = 1, ms = Date.now(), afterStep = null } = {}) {
+  const clean = String(code || "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(clean)) return null;
+
+  const now = stepAt(ms);
+  for (let step = now - window; step <= now + window; step++) {
+    if (afterStep !== null && step <= afterStep) continue;
+    const expected = Buffer.from(hotp(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(clean))) return step;
+  }
+  return null;
+}
+
+// otpauth:// link that authenticator apps read from the QR code
+function provisioningUri({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+// "abcd-efgh" style codes, easy to read out and type
+function generateRecoveryCodes(count = 10) {
+  const alphabet = "abcdefghjkmnpqrstuvwxyz23456789";
+  return Array.from({ length: count }, () => {
+    const chars = Array.from(crypto.randomBytes(8), (b) => alphabet[b % alphabet.length]);
+    return `${chars.slice(0, 4).join("")}-${chars.slice(4).join("")}`;
+  });
+}
+
+// what people type -> the form the codes are stored (hashed) in
+const normalizeRecoveryCode = (code) =>
+  String(code || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+module.exports = {
+  STEP_SECONDS,
+  DIGITS,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  totp,
+  verifyTotp,
+  provisioningUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+};
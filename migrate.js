@@ -0,0 +1,53 @@
+// ===============================================================
+// MIGRATE.JS
+// Command line entry point for the schema migrations.
+//   npm run migrate            -> apply all pending migrations
+//   npm run migrate:status     -> list applied / pending migrations
+//   npm run migrate:rollback   -> undo the last migration
+//                                 (pass "-- --steps 3" to undo more)
+// ===============================================================
+require("dotenv").config();
+const mysql = require("mysql2/promise");
+const {
+  migrateUp,
+  migrateRollback,
+  migrationStatus,
+} = require("./lib/migrator");
+
+async function main() {
+  const [command = "up", ...args] = process.argv.slice(2);
+
+  const stepsIdx = args.indexOf("--steps");
+  const steps = stepsIdx >= 0 ? Number(args[stepsIdx + 1]) : 1;
+
+  const conn = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+  });
+
+  try {
+    if (command === "up") {
+      await migrateUp(conn);
+    } else if (command === "rollback") {
+      if (!Number.isInteger(steps) || steps < 1)
+        throw new Error("--steps must be a positive integer.");
+      await migrateRollback(conn, steps);
+    } else if (command === "status") {
+      const rows = await migrationStatus(conn);
+      rows.forEach((m) =>
+        console.log(`${m.applied ? "[x]" : "[ ]"} ${m.version}_${m.name}`)
+      );
+    } else {
+      throw new Error(`Unknown command "${command}" (use up, status or rollback).`);
+    }
+  } finally {
+    await conn.end();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
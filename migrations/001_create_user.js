@@ -0,0 +1,16 @@
+const { refuseRollback } = require("../lib/migrator");
+
+// user accounts; email is the key every other table scopes by
+module.exports = {
+  up: async (conn) => {
+    await conn.query(
+      `CREATE TABLE IF NOT EXISTS user (
+         email VARCHAR(255) PRIMARY KEY,
+         password VARCHAR(255) NOT NULL
+       )`
+    );
+  },
+
+  // the table may be older than the migrations (see refuseRollback)
+  down: refuseRollback("user"),
+};
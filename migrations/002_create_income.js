@@ -0,0 +1,25 @@
+const { addColumnIfMissing, refuseRollback } = require("../lib/migrator");
+
+// income rows (PATCH /api/income writes description, which the
+// original hand-written DDL never created, so older tables get it added)
+module.exports = {
+  up: async (conn) => {
+    await conn.query(
+      `CREATE TABLE IF NOT EXISTS income (
+         id INT AUTO_INCREMENT PRIMARY KEY,
+         user_email VARCHAR(255) NOT NULL,
+         source VARCHAR(120) NOT NULL,
+         description VARCHAR(255),
+         amount DECIMAL(12,2) NOT NULL,
+         cadence VARCHAR(50) DEFAULT 'monthly',
+         date DATE NOT NULL,
+         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+         INDEX idx_income_user_date (user_email, date)
+       )`
+    );
+    await addColumnIfMissing(conn, "income", "description", "VARCHAR(255) AFTER source");
+  },
+
+  // the table may be older than the migrations (see refuseRollback)
+  down: refuseRollback("income"),
+};
@@ -0,0 +1,25 @@
+const { addColumnIfMissing, refuseRollback } = require("../lib/migrator");
+
+// expense rows (the original DDL was missing the cadence column
+// the routes write, so older tables get it added)
+module.exports = {
+  up: async (conn) => {
+    await conn.query(
+      `CREATE TABLE IF NOT EXISTS expense (
+         id INT AUTO_INCREMENT PRIMARY KEY,
+         user_email VARCHAR(255) NOT NULL,
+         category VARCHAR(120) NOT NULL,
+         description VARCHAR(255),
+         amount DECIMAL(12,2) NOT NULL,
+         cadence VARCHAR(50) DEFAULT 'monthly',
+         date DATE NOT NULL,
+         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+         INDEX idx_expense_user_date (user_email, date)
+       )`
+    );
+    await addColumnIfMissing(conn, "expense", "cadence", "VARCHAR(50) DEFAULT 'monthly' AFTER amount");
+  },
+
+  // the table may be older than the migrations (see refuseRollback)
+  down: refuseRollback("expense"),
+};
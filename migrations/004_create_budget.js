@@ -0,0 +1,21 @@
+const { refuseRollback } = require("../lib/migrator");
+
+// per-category budget amounts used by /api/budgets and /api/reports
+module.exports = {
+  up: async (conn) => {
+    await conn.query(
+      `CREATE TABLE IF NOT EXISTS budget (
+         id INT AUTO_INCREMENT PRIMARY KEY,
+         user_email VARCHAR(255) NOT NULL,
+         category VARCHAR(120) NOT NULL,
+         amount DECIMAL(12,2) NOT NULL,
+         cadence VARCHAR(50) DEFAULT 'monthly',
+         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+         INDEX idx_budget_user (user_email)
+       )`
+    );
+  },
+
+  // the table may be older than the migrations (see refuseRollback)
+  down: refuseRollback("budget"),
+};
@@ -0,0 +1,53 @@
+const {
+  addColumnIfMissing,
+  addUniqueKeyIfMissing,
+  indexExists,
+  refuseRollback,
+} = require("../lib/migrator");
+
+// custom categories; the unique key is what lets POST /api/budgets
+// use INSERT IGNORE without creating duplicates. The routes look
+// categories up by id, so a table from before the migrations gets the
+// id and created_at columns it may lack, then the key, keeping the
+// oldest of any duplicates.
+module.exports = {
+  up: async (conn) => {
+    await conn.query(
+      `CREATE TABLE IF NOT EXISTS user_categories (
+         id INT AUTO_INCREMENT PRIMARY KEY,
+         user_email VARCHAR(255) NOT NULL,
+         category VARCHAR(120) NOT NULL,
+         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+         UNIQUE KEY uq_user_category (user_email, category)
+       )`
+    );
+    // AUTO_INCREMENT has to be a key; an existing primary key stays
+    const hasPrimary = await indexExists(conn, "user_categories", "PRIMARY");
+    await addColumnIfMissing(
+      conn,
+      "user_categories",
+      "id",
+      `INT AUTO_INCREMENT ${hasPrimary ? "UNIQUE" : "PRIMARY KEY"} FIRST`
+    );
+    await addColumnIfMissing(
+      conn,
+      "user_categories",
+      "created_at",
+      "TIMESTAMP DEFAULT CURRENT_TIMESTAMP"
+    );
+    if (!(await indexExists(conn, "user_categories", "uq_user_category"))) {
+      await conn.query(
+        `DELETE c FROM user_categories c
+         JOIN user_categories d
+           ON d.user_email = c.user_email AND d.category = c.category AND d.id < c.id`
+      );
+      await addUniqueKeyIfMissing(conn, "user_categories", "uq_user_category", [
+        "user_email",
+        "category",
+      ]);
+    }
+  },
+
+  // the table may be older than the migrations (see refuseRollback)
+  down: refuseRollback("user_categories"),
+};
@@ -0,0 +1,29 @@
+// recurring income/expense rows: an optional end date on the template
+// plus per-occurrence exceptions (skip one, or override its amount)
+module.exports = {
+  up: async (conn) => {
+    await conn.query("ALTER TABLE income ADD COLUMN end_date DATE NULL AFTER date");
+    await conn.query("ALTER TABLE expense ADD COLUMN end_date DATE NULL AFTER date");
+    await conn.query(
+      `CREATE TABLE recurrence_exception (
+         id INT AUTO_INCREMENT PRIMARY KEY,
+         user_email VARCHAR(255) NOT NULL,
+         kind ENUM('income', 'expense') NOT NULL,
+         template_id INT NOT NULL,
+         occurrence_date DATE NOT NULL,
+         action ENUM('skip', 'override') NOT NULL,
+         amount DECIMAL(12,2) NULL,
+         description VARCHAR(255) NULL,
+         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+         UNIQUE KEY uq_occurrence (kind, template_id, occurrence_date),
+         INDEX idx_exception_user (user_email)
+       )`
+    );
+  },
+
+  down: async (conn) => {
+    await conn.query("DROP TABLE IF EXISTS recurrence_exception");
+    await conn.query("ALTER TABLE expense DROP COLUMN end_date");
+    await conn.query("ALTER TABLE income DROP COLUMN end_date");
+  },
+};
@@ -0,0 +1,49 @@
+// budgets belong to one calendar month and are unique per
+// user + category + month. Existing rows are assigned to the month
+// they were created in, and duplicates (which /api/reports used to
+// SUM together) are collapsed into a single row holding that sum.
+// Budgets used to apply to every month, so each category's latest one
+// is also copied into the current month; otherwise every budget made
+// before it would vanish from the budget page and reports.
+module.exports = {
+  up: async (conn) => {
+    await conn.query("ALTER TABLE budget ADD COLUMN month DATE NULL AFTER cadence");
+    await conn.query(
+      "UPDATE budget SET month = DATE_FORMAT(IFNULL(created_at, NOW()), '%Y-%m-01')"
+    );
+    await conn.query(
+      `UPDATE budget b
+       JOIN (SELECT MIN(id) AS keep_id, SUM(amount) AS total
+             FROM budget
+             GROUP BY user_email, category, month
+             HAVING COUNT(*) > 1) d ON d.keep_id = b.id
+       SET b.amount = d.total`
+    );
+    await conn.query(
+      `DELETE b FROM budget b
+       JOIN budget k ON k.user_email = b.user_email
+                    AND k.category = b.category
+                    AND k.month = b.month
+                    AND k.id < b.id`
+    );
+    await conn.query(
+      `ALTER TABLE budget
+         MODIFY month DATE NOT NULL,
+         ADD UNIQUE KEY uq_budget_period (user_email, category, month)`
+    );
+    await conn.query(
+      `INSERT IGNORE INTO budget (user_email, category, amount, cadence, month)
+       SELECT b.user_email, b.category, b.amount, b.cadence, DATE_FORMAT(CURDATE(), '%Y-%m-01')
+       FROM budget b
+       JOIN (SELECT user_email, category, MAX(month) AS month
+             FROM budget GROUP BY user_email, category) l
+         ON l.user_email = b.user_email AND l.category = b.category AND l.month = b.month
+       WHERE b.month < DATE_FORMAT(CURDATE(), '%Y-%m-01')`
+    );
+  },
+
+  down: async (conn) => {
+    await conn.query("ALTER TABLE budget DROP INDEX uq_budget_period");
+    await conn.query("ALTER TABLE budget DROP COLUMN month");
+  },
+};
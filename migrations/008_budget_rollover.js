@@ -0,0 +1,17 @@
+// envelope budgeting: per-budget rollover switch and optional cap on
+// how much (surplus or overspend) carries into the next month
+module.exports = {
+  up: async (conn) => {
+    await conn.query(
+      `ALTER TABLE budget
+         ADD COLUMN rollover TINYINT(1) NOT NULL DEFAULT 0 AFTER month,
+         ADD COLUMN rollover_cap DECIMAL(12,2) NULL AFTER rollover`
+    );
+  },
+
+  down: async (conn) => {
+    await conn.query(
+      "ALTER TABLE budget DROP COLUMN rollover_cap, DROP COLUMN rollover"
+    );
+  },
+};
@@ -0,0 +1,49 @@
+const {
+  BUILT_IN_CATEGORIES,
+  defaultCategoryColor,
+} = require("../lib/categories");
+
+// categories get a stored color/icon and can be archived. Every user is
+// given their own rows for the built-in list plus any category their
+// expenses or budgets already use, so user_categories becomes the single
+// list that renames and merges work against.
+module.exports = {
+  up: async (conn) => {
+    await conn.query(
+      `ALTER TABLE user_categories
+         ADD COLUMN color CHAR(7) NULL AFTER category,
+         ADD COLUMN icon VARCHAR(50) NULL AFTER color,
+         ADD COLUMN archived TINYINT(1) NOT NULL DEFAULT 0 AFTER icon`
+    );
+
+    for (const c of BUILT_IN_CATEGORIES) {
+      await conn.query(
+        `INSERT IGNORE INTO user_categories (user_email, category, color, icon)
+         SELECT email, ?, ?, ? FROM user`,
+        [c.name, c.color, c.icon]
+      );
+    }
+    await conn.query(
+      `INSERT IGNORE INTO user_categories (user_email, category)
+       SELECT DISTINCT user_email, category FROM expense
+       UNION
+       SELECT DISTINCT user_email, category FROM budget`
+    );
+
+    const [uncolored] = await conn.query(
+      "SELECT id, category FROM user_categories WHERE color IS NULL"
+    );
+    for (const row of uncolored) {
+      await conn.query("UPDATE user_categories SET color=? WHERE id=?", [
+        defaultCategoryColor(row.category),
+        row.id,
+      ]);
+    }
+  },
+
+  down: async (conn) => {
+    await conn.query(
+      "ALTER TABLE user_categories DROP COLUMN archived, DROP COLUMN icon, DROP COLUMN color"
+    );
+  },
+};
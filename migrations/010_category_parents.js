@@ -0,0 +1,17 @@
+// one level of category nesting (e.g. Transportation > Fuel)
+module.exports = {
+  up: async (conn) => {
+    await conn.query(
+      `ALTER TABLE user_categories
+         ADD COLUMN parent_id INT NULL AFTER category,
+         ADD CONSTRAINT fk_category_parent FOREIGN KEY (parent_id)
+           REFERENCES user_categories (id) ON DELETE SET NULL`
+    );
+  },
+
+  down: async (conn) => {
+    await conn.query(
+      "ALTER TABLE user_categories DROP FOREIGN KEY fk_category_parent, DROP COLUMN parent_id"
+    );
+  },
+};
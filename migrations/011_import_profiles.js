@@ -0,0 +1,19 @@
+// saved CSV column mappings, one per bank export layout
+module.exports = {
+  up: async (conn) => {
+    await conn.query(
+      `CREATE TABLE import_profiles (
+         id INT AUTO_INCREMENT PRIMARY KEY,
+         user_email VARCHAR(255) NOT NULL,
+         name VARCHAR(120) NOT NULL,
+         mapping TEXT NOT NULL,
+         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+         UNIQUE KEY uq_import_profile (user_email, name)
+       )`
+    );
+  },
+
+  down: async (conn) => {
+    await conn.query("DROP TABLE IF EXISTS import_profiles");
+  },
+};
@@ -0,0 +1,32 @@
+// per-user rules that pick an expense's category (and optionally its
+// cadence) from its description / amount, plus where each expense came
+// from so rules can target imported rows only
+module.exports = {
+  up: async (conn) => {
+    await conn.query(
+      `CREATE TABLE categorization_rules (
+         id INT AUTO_INCREMENT PRIMARY KEY,
+         user_email VARCHAR(255) NOT NULL,
+         priority INT NOT NULL DEFAULT 100,
+         match_type ENUM('contains', 'regex') NOT NULL DEFAULT 'contains',
+         pattern VARCHAR(255) NULL,
+         min_amount DECIMAL(12,2) NULL,
+         max_amount DECIMAL(12,2) NULL,
+         source ENUM('any', 'manual', 'import') NOT NULL DEFAULT 'any',
+         category VARCHAR(120) NOT NULL,
+         cadence VARCHAR(50) NULL,
+         enabled TINYINT(1) NOT NULL DEFAULT 1,
+         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+         INDEX idx_rules_user (user_email, priority)
+       )`
+    );
+    await conn.query(
+      "ALTER TABLE expense ADD COLUMN origin VARCHAR(20) NOT NULL DEFAULT 'manual' AFTER cadence"
+    );
+  },
+
+  down: async (conn) => {
+    await conn.query("ALTER TABLE expense DROP COLUMN origin");
+    await conn.query("DROP TABLE IF EXISTS categorization_rules");
+  },
+};
@@ -0,0 +1,25 @@
+// server-side login sessions: each holds the hash of its current refresh
+// token (and the one before it, so a replayed old token can be spotted)
+module.exports = {
+  up: async (conn) => {
+    await conn.query(
+      `CREATE TABLE session (
+         id INT AUTO_INCREMENT PRIMARY KEY,
+         user_email VARCHAR(255) NOT NULL,
+         refresh_hash CHAR(64) NOT NULL,
+         previous_hash CHAR(64) NULL,
+         user_agent VARCHAR(255) NULL,
+         ip VARCHAR(64) NULL,
+         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+         last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+         expires_at DATETIME NOT NULL,
+         revoked_at DATETIME NULL,
+         INDEX idx_session_user (user_email)
+       )`
+    );
+  },
+
+  down: async (conn) => {
+    await conn.query("DROP TABLE IF EXISTS session");
+  },
+};
@@ -0,0 +1,26 @@
+// one-time links sent by email (verify address, reset password) and
+// when each user confirmed their address. Accounts that existed before
+// verification was required count as verified.
+module.exports = {
+  up: async (conn) => {
+    await conn.query(
+      `CREATE TABLE auth_token (
+         id INT AUTO_INCREMENT PRIMARY KEY,
+         user_email VARCHAR(255) NOT NULL,
+         purpose ENUM('verify_email', 'reset_password') NOT NULL,
+         token_hash CHAR(64) NOT NULL,
+         expires_at DATETIME NOT NULL,
+         used_at DATETIME NULL,
+         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+         INDEX idx_auth_token_user (user_email, purpose)
+       )`
+    );
+    await conn.query("ALTER TABLE user ADD COLUMN email_verified_at DATETIME NULL");
+    await conn.query("UPDATE user SET email_verified_at = NOW()");
+  },
+
+  down: async (conn) => {
+    await conn.query("ALTER TABLE user DROP COLUMN email_verified_at");
+    await conn.query("DROP TABLE IF EXISTS auth_token");
+  },
+};
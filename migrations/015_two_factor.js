@@ -0,0 +1,34 @@
+// optional TOTP two-factor login. totp_secret is set as soon as setup
+// starts; 2FA is only on once totp_enabled_at is set (the user has
+// typed a code from the app). totp_last_step is the last accepted time
+// step, so a code can't be used twice. Recovery codes are stored hashed.
+module.exports = {
+  up: async (conn) => {
+    await conn.query(
+      `ALTER TABLE user
+         ADD COLUMN totp_secret VARCHAR(64) NULL,
+         ADD COLUMN totp_enabled_at DATETIME NULL,
+         ADD COLUMN totp_last_step BIGINT NULL`
+    );
+    await conn.query(
+      `CREATE TABLE recovery_code (
+         id INT AUTO_INCREMENT PRIMARY KEY,
+         user_email VARCHAR(255) NOT NULL,
+         code_hash CHAR(64) NOT NULL,
+         used_at DATETIME NULL,
+         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+         INDEX idx_recovery_code_user (user_email)
+       )`
+    );
+  },
+
+  down: async (conn) => {
+    await conn.query("DROP TABLE IF EXISTS recovery_code");
+    await conn.query(
+      `ALTER TABLE user
+         DROP COLUMN totp_secret,
+         DROP COLUMN totp_enabled_at,
+         DROP COLUMN totp_last_step`
+    );
+  },
+};
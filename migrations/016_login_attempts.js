@@ -0,0 +1,25 @@
+// audit trail of login, second-step and sign-up attempts. Failures
+// drive login throttling and lockout; a successful login ends an
+// account's run of failures.
+module.exports = {
+  up: async (conn) => {
+    await conn.query(
+      `CREATE TABLE login_attempt (
+         id INT AUTO_INCREMENT PRIMARY KEY,
+         email VARCHAR(255) NULL,
+         ip VARCHAR(64) NULL,
+         action ENUM('login', 'mfa', 'signup') NOT NULL,
+         success TINYINT(1) NOT NULL,
+         reason VARCHAR(40) NULL,
+         user_agent VARCHAR(255) NULL,
+         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+         INDEX idx_login_attempt_email (email, created_at),
+         INDEX idx_login_attempt_ip (ip, created_at)
+       )`
+    );
+  },
+
+  down: async (conn) => {
+    await conn.query("DROP TABLE IF EXISTS login_attempt");
+  },
+};
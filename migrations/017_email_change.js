@@ -0,0 +1,20 @@
+// email changes are confirmed through a link sent to the new address,
+// which the token row remembers until then
+module.exports = {
+  up: async (conn) => {
+    await conn.query(
+      `ALTER TABLE auth_token
+         MODIFY purpose ENUM('verify_email', 'reset_password', 'change_email') NOT NULL,
+         ADD COLUMN new_email VARCHAR(255) NULL AFTER purpose`
+    );
+  },
+
+  down: async (conn) => {
+    await conn.query("DELETE FROM auth_token WHERE purpose='change_email'");
+    await conn.query(
+      `ALTER TABLE auth_token
+         DROP COLUMN new_email,
+         MODIFY purpose ENUM('verify_email', 'reset_password') NOT NULL`
+    );
+  },
+};
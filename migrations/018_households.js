@@ -0,0 +1,42 @@
+// shared households. A household's income, expenses, budgets,
+// categories and rules are stored like a user's, under the owner key
+// "household:<id>" in user_email, so every per-user query works for
+// them unchanged. created_by records which member added a transaction.
+module.exports = {
+  up: async (conn) => {
+    await conn.query(
+      `CREATE TABLE household (
+         id INT AUTO_INCREMENT PRIMARY KEY,
+         name VARCHAR(80) NOT NULL,
+         created_by VARCHAR(255) NULL,
+         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+       )`
+    );
+    await conn.query(
+      `CREATE TABLE household_member (
+         id INT AUTO_INCREMENT PRIMARY KEY,
+         household_id INT NOT NULL,
+         user_email VARCHAR(255) NOT NULL,
+         role ENUM('owner', 'editor', 'viewer') NOT NULL DEFAULT 'editor',
+         invited_by VARCHAR(255) NULL,
+         accepted_at DATETIME NULL,
+         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+         UNIQUE KEY uq_household_member (household_id, user_email),
+         INDEX idx_household_member_user (user_email),
+         CONSTRAINT fk_household_member FOREIGN KEY (household_id)
+           REFERENCES household (id) ON DELETE CASCADE
+       )`
+    );
+    for (const table of ["income", "expense"]) {
+      await conn.query(`ALTER TABLE ${table} ADD COLUMN created_by VARCHAR(255) NULL`);
+      await conn.query(`UPDATE ${table} SET created_by = user_email`);
+    }
+  },
+
+  down: async (conn) => {
+    for (const table of ["income", "expense"])
+      await conn.query(`ALTER TABLE ${table} DROP COLUMN created_by`);
+    await conn.query("DROP TABLE IF EXISTS household_member");
+    await conn.query("DROP TABLE IF EXISTS household");
+  },
+};
@@ -0,0 +1,56 @@
+// money accounts (checking, savings, credit card, cash) and transfers
+// between them. Income and expenses record the account they were paid
+// into or out of; existing rows stay unassigned. A transfer moves money
+// between two accounts and is neither income nor spending.
+module.exports = {
+  up: async (conn) => {
+    await conn.query(
+      `CREATE TABLE money_account (
+         id INT AUTO_INCREMENT PRIMARY KEY,
+         user_email VARCHAR(255) NOT NULL,
+         name VARCHAR(80) NOT NULL,
+         type ENUM('checking', 'savings', 'credit_card', 'cash') NOT NULL DEFAULT 'checking',
+         opening_balance DECIMAL(12,2) NOT NULL DEFAULT 0,
+         opening_date DATE NOT NULL,
+         archived TINYINT(1) NOT NULL DEFAULT 0,
+         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+         UNIQUE KEY uq_money_account_name (user_email, name)
+       )`
+    );
+    for (const table of ["income", "expense"]) {
+      await conn.query(
+        `ALTER TABLE ${table}
+           ADD COLUMN account_id INT NULL,
+           ADD CONSTRAINT fk_${table}_account FOREIGN KEY (account_id)
+             REFERENCES money_account (id) ON DELETE SET NULL`
+      );
+    }
+    await conn.query(
+      `CREATE TABLE transfer (
+         id INT AUTO_INCREMENT PRIMARY KEY,
+         user_email VARCHAR(255) NOT NULL,
+         from_account_id INT NOT NULL,
+         to_account_id INT NOT NULL,
+         amount DECIMAL(12,2) NOT NULL,
+         date DATE NOT NULL,
+         description VARCHAR(255) NULL,
+         created_by VARCHAR(255) NULL,
+         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+         INDEX idx_transfer_owner_date (user_email, date),
+         CONSTRAINT fk_transfer_from FOREIGN KEY (from_account_id)
+           REFERENCES money_account (id) ON DELETE CASCADE,
+         CONSTRAINT fk_transfer_to FOREIGN KEY (to_account_id)
+           REFERENCES money_account (id) ON DELETE CASCADE
+       )`
+    );
+  },
+
+  down: async (conn) => {
+    await conn.query("DROP TABLE IF EXISTS transfer");
+    for (const table of ["income", "expense"]) {
+      await conn.query(`ALTER TABLE ${table} DROP FOREIGN KEY fk_${table}_account`);
+      await conn.query(`ALTER TABLE ${table} DROP COLUMN account_id`);
+    }
+    await conn.query("DROP TABLE IF EXISTS money_account");
+  },
+};
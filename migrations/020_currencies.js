@@ -0,0 +1,34 @@
+// currencies. Users and households get the currency their reports and
+// budgets are kept in (plus the user's display locale); income,
+// expenses and accounts record the currency they are in. Everything
+// recorded so far was in dollars. exchange_rate holds the imported
+// rates, one row per pair and day: 1 base = rate quote.
+module.exports = {
+  up: async (conn) => {
+    await conn.query(
+      `ALTER TABLE user
+         ADD COLUMN currency CHAR(3) NOT NULL DEFAULT 'USD',
+         ADD COLUMN locale VARCHAR(35) NULL`
+    );
+    for (const table of ["household", "income", "expense", "money_account"])
+      await conn.query(`ALTER TABLE ${table} ADD COLUMN currency CHAR(3) NOT NULL DEFAULT 'USD'`);
+    await conn.query(
+      `CREATE TABLE exchange_rate (
+         id INT AUTO_INCREMENT PRIMARY KEY,
+         base CHAR(3) NOT NULL,
+         quote CHAR(3) NOT NULL,
+         rate DECIMAL(18,8) NOT NULL,
+         date DATE NOT NULL,
+         imported_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+         UNIQUE KEY uq_exchange_rate (base, quote, date)
+       )`
+    );
+  },
+
+  down: async (conn) => {
+    await conn.query("DROP TABLE IF EXISTS exchange_rate");
+    for (const table of ["household", "income", "expense", "money_account"])
+      await conn.query(`ALTER TABLE ${table} DROP COLUMN currency`);
+    await conn.query("ALTER TABLE user DROP COLUMN currency, DROP COLUMN locale");
+  },
+};
@@ -0,0 +1,26 @@
+// expense splits: one expense divided into line items with their own
+// category, amount and note, which add up to the expense's amount.
+// user_email repeats the expense's owner so splits move and export with
+// the account like every other per-user table.
+module.exports = {
+  up: async (conn) => {
+    await conn.query(
+      `CREATE TABLE expense_split (
+         id INT AUTO_INCREMENT PRIMARY KEY,
+         expense_id INT NOT NULL,
+         user_email VARCHAR(255) NOT NULL,
+         category VARCHAR(120) NOT NULL,
+         amount DECIMAL(12,2) NOT NULL,
+         note VARCHAR(255) NULL,
+         position INT NOT NULL DEFAULT 0,
+         INDEX idx_expense_split_owner (user_email, category),
+         CONSTRAINT fk_expense_split FOREIGN KEY (expense_id)
+           REFERENCES expense (id) ON DELETE CASCADE
+       )`
+    );
+  },
+
+  down: async (conn) => {
+    await conn.query("DROP TABLE IF EXISTS expense_split");
+  },
+};
@@ -0,0 +1,30 @@
+// attachments: receipts and other documents on income and expense rows.
+// The file itself lives in storage (lib/storage.js) under storage_key;
+// this table holds who it belongs to and what it is. transaction_id
+// points at income or expense depending on kind, so rows are removed
+// with their transaction by the routes rather than a foreign key.
+module.exports = {
+  up: async (conn) => {
+    await conn.query(
+      `CREATE TABLE attachment (
+         id INT AUTO_INCREMENT PRIMARY KEY,
+         user_email VARCHAR(255) NOT NULL,
+         kind ENUM('income', 'expense') NOT NULL,
+         transaction_id INT NOT NULL,
+         storage_key VARCHAR(64) NOT NULL,
+         filename VARCHAR(255) NOT NULL,
+         mime_type VARCHAR(100) NOT NULL,
+         size INT NOT NULL,
+         uploaded_by VARCHAR(255) NULL,
+         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+         UNIQUE KEY uq_attachment_key (storage_key),
+         INDEX idx_attachment_transaction (kind, transaction_id),
+         INDEX idx_attachment_owner (user_email)
+       )`
+    );
+  },
+
+  down: async (conn) => {
+    await conn.query("DROP TABLE IF EXISTS attachment");
+  },
+};
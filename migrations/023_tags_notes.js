@@ -0,0 +1,42 @@
+// tags and notes. A tag is a free-form label owned like a category
+// ("vacation-2026", "reimbursable"); transaction_tag links tags to
+// income and expense rows, many to many. transaction_id points at
+// income or expense depending on kind, so links are removed with their
+// transaction by the routes. notes is free text on either kind of row,
+// kept apart from description (which imports and rules use).
+module.exports = {
+  up: async (conn) => {
+    await conn.query(
+      `CREATE TABLE tag (
+         id INT AUTO_INCREMENT PRIMARY KEY,
+         user_email VARCHAR(255) NOT NULL,
+         name VARCHAR(50) NOT NULL,
+         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+         UNIQUE KEY uq_tag_name (user_email, name)
+       )`
+    );
+    await conn.query(
+      `CREATE TABLE transaction_tag (
+         id INT AUTO_INCREMENT PRIMARY KEY,
+         tag_id INT NOT NULL,
+         user_email VARCHAR(255) NOT NULL,
+         kind ENUM('income', 'expense') NOT NULL,
+         transaction_id INT NOT NULL,
+         UNIQUE KEY uq_transaction_tag (tag_id, kind, transaction_id),
+         INDEX idx_transaction_tag_row (kind, transaction_id),
+         INDEX idx_transaction_tag_owner (user_email),
+         CONSTRAINT fk_transaction_tag FOREIGN KEY (tag_id)
+           REFERENCES tag (id) ON DELETE CASCADE
+       )`
+    );
+    for (const table of ["income", "expense"])
+      await conn.query(`ALTER TABLE ${table} ADD COLUMN notes TEXT NULL AFTER description`);
+  },
+
+  down: async (conn) => {
+    for (const table of ["income", "expense"])
+      await conn.query(`ALTER TABLE ${table} DROP COLUMN notes`);
+    await conn.query("DROP TABLE IF EXISTS transaction_tag");
+    await conn.query("DROP TABLE IF EXISTS tag");
+  },
+};
@@ -0,0 +1,50 @@
+// savings goals: a target amount and optional target date, in the
+// owner's currency. A goal can be linked to one account (its balance
+// counts), category or tag (expenses in it since start_date count);
+// goal_contribution holds amounts recorded by hand (negative for money
+// taken back out).
+module.exports = {
+  up: async (conn) => {
+    await conn.query(
+      `CREATE TABLE goal (
+         id INT AUTO_INCREMENT PRIMARY KEY,
+         user_email VARCHAR(255) NOT NULL,
+         created_by VARCHAR(255) NULL,
+         name VARCHAR(80) NOT NULL,
+         target_amount DECIMAL(12,2) NOT NULL,
+         start_date DATE NOT NULL,
+         target_date DATE NULL,
+         account_id INT NULL,
+         category VARCHAR(120) NULL,
+         tag_id INT NULL,
+         archived TINYINT(1) NOT NULL DEFAULT 0,
+         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+         UNIQUE KEY uq_goal_name (user_email, name),
+         CONSTRAINT fk_goal_account FOREIGN KEY (account_id)
+           REFERENCES money_account (id) ON DELETE SET NULL,
+         CONSTRAINT fk_goal_tag FOREIGN KEY (tag_id)
+           REFERENCES tag (id) ON DELETE SET NULL
+       )`
+    );
+    await conn.query(
+      `CREATE TABLE goal_contribution (
+         id INT AUTO_INCREMENT PRIMARY KEY,
+         goal_id INT NOT NULL,
+         user_email VARCHAR(255) NOT NULL,
+         amount DECIMAL(12,2) NOT NULL,
+         date DATE NOT NULL,
+         note VARCHAR(255) NULL,
+         created_by VARCHAR(255) NULL,
+         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+         INDEX idx_goal_contribution_goal (goal_id, date),
+         CONSTRAINT fk_goal_contribution_goal FOREIGN KEY (goal_id)
+           REFERENCES goal (id) ON DELETE CASCADE
+       )`
+    );
+  },
+
+  down: async (conn) => {
+    await conn.query("DROP TABLE IF EXISTS goal_contribution");
+    await conn.query("DROP TABLE IF EXISTS goal");
+  },
+};
@@ -0,0 +1,29 @@
+// debts tracked outside the app's accounts (loans, credit cards) for
+// the payoff planner: what is owed today, the APR and the minimum
+// monthly payment, in the owner's currency. payoff_order is the
+// user's own order for the "custom" plan.
+module.exports = {
+  up: async (conn) => {
+    await conn.query(
+      `CREATE TABLE debt (
+         id INT AUTO_INCREMENT PRIMARY KEY,
+         user_email VARCHAR(255) NOT NULL,
+         created_by VARCHAR(255) NULL,
+         name VARCHAR(80) NOT NULL,
+         type ENUM('credit_card', 'loan', 'mortgage', 'student_loan', 'other')
+           NOT NULL DEFAULT 'loan',
+         balance DECIMAL(12,2) NOT NULL,
+         apr DECIMAL(6,3) NOT NULL DEFAULT 0,
+         minimum_payment DECIMAL(12,2) NOT NULL DEFAULT 0,
+         payoff_order INT NULL,
+         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+         UNIQUE KEY uq_debt_name (user_email, name)
+       )`
+    );
+  },
+
+  down: async (conn) => {
+    await conn.query("DROP TABLE IF EXISTS debt");
+  },
+};
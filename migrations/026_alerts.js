@@ -0,0 +1,63 @@
+const { DEFAULT_RULES } = require("../lib/alerts");
+const { OWNER_PREFIX } = require("../lib/households");
+
+// alerts (lib/alerts.js): the rules a user or household watches
+// spending with, and the notifications they raise. dedupe_key names
+// what a notification is about so the same alert is only stored once.
+// Users choose whether unread notifications are also mailed to them as
+// a digest. Every existing user and household gets the default rules.
+module.exports = {
+  up: async (conn) => {
+    await conn.query(
+      `CREATE TABLE alert_rule (
+         id INT AUTO_INCREMENT PRIMARY KEY,
+         user_email VARCHAR(255) NOT NULL,
+         type ENUM('budget', 'large_transaction', 'unusual_spend') NOT NULL,
+         category VARCHAR(120) NULL,
+         threshold DECIMAL(12,2) NOT NULL,
+         enabled TINYINT(1) NOT NULL DEFAULT 1,
+         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+         INDEX idx_alert_rule_owner (user_email)
+       )`
+    );
+    await conn.query(
+      `CREATE TABLE notification (
+         id INT AUTO_INCREMENT PRIMARY KEY,
+         user_email VARCHAR(255) NOT NULL,
+         rule_id INT NULL,
+         type VARCHAR(30) NOT NULL,
+         dedupe_key VARCHAR(191) NOT NULL,
+         title VARCHAR(255) NOT NULL,
+         body VARCHAR(500) NULL,
+         link VARCHAR(255) NULL,
+         read_at DATETIME NULL,
+         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+         UNIQUE KEY uq_notification_key (user_email, dedupe_key),
+         INDEX idx_notification_owner (user_email, created_at),
+         CONSTRAINT fk_notification_rule FOREIGN KEY (rule_id)
+           REFERENCES alert_rule (id) ON DELETE SET NULL
+       )`
+    );
+    await conn.query(
+      `ALTER TABLE user
+         ADD COLUMN alert_digest ENUM('off', 'daily', 'weekly') NOT NULL DEFAULT 'off',
+         ADD COLUMN last_digest_at DATETIME NULL`
+    );
+
+    for (const r of DEFAULT_RULES) {
+      await conn.query(
+        `INSERT INTO alert_rule (user_email, type, threshold)
+         SELECT email, ?, ? FROM user
+         UNION ALL
+         SELECT CONCAT(?, id), ?, ? FROM household`,
+        [r.type, r.threshold, OWNER_PREFIX, r.type, r.threshold]
+      );
+    }
+  },
+
+  down: async (conn) => {
+    await conn.query("ALTER TABLE user DROP COLUMN alert_digest, DROP COLUMN last_digest_at");
+    await conn.query("DROP TABLE IF EXISTS notification");
+    await conn.query("DROP TABLE IF EXISTS alert_rule");
+  },
+};
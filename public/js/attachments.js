@@ -0,0 +1,133 @@
+// ======================= attachments.js =======================
+// Receipts and other documents on income and expense rows (load after
+// session.js). Attachments.open(kind, id, title, onChange) shows a
+// dialog with the row's files: upload, view or delete them. onChange
+// runs after a file is added or removed so the page can refresh its
+// paperclip counts. Files need the session's token, so they are
+// fetched and opened from a blob URL rather than a plain link.
+"use strict";
+
+const Attachments = (function () {
+  const ACCEPT = "image/jpeg,image/png,image/gif,image/webp,image/heic,application/pdf";
+  let dialog = null;
+  let current = null; // { kind, id, onChange }
+
+  async function request(url, options = {}) {
+    const r = await Session.apiFetch(url, options);
+    if (r.status === 401) return Session.logout();
+    if (!r.ok) throw new Error((await r.json().catch(() => ({}))).message || "Request failed");
+    return r;
+  }
+
+  function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1048576) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / 1048576).toFixed(1)} MB`;
+  }
+
+  function build() {
+    dialog = document.createElement("dialog");
+    dialog.className = "attachments-dialog";
+    dialog.innerHTML = `
+      <div class="attachments-head">
+        <h3></h3>
+        <button type="button" class="ghost-btn" data-close>Close</button>
+      </div>
+      <ul class="attachments-list"></ul>
+      <form class="attachments-upload">
+        <input type="file" name="file" accept="${ACCEPT}" required />
+        <button type="submit">Upload</button>
+      </form>
+      <p class="attachments-hint">Photos (JPEG, PNG, GIF, WebP, HEIC) or PDFs.</p>`;
+    dialog.querySelector("[data-close]").addEventListener("click", () => dialog.close());
+    dialog.querySelector("form").addEventListener("submit", upload);
+    document.body.appendChild(dialog);
+  }
+
+  async function load() {
+    const r = await request(`/api/${current.kind}/${current.id}/attachments`);
+    if (!r) return;
+    const { items } = await r.json();
+
+    const list = dialog.querySelector(".attachments-list");
+    list.innerHTML = "";
+    items.forEach((a) => {
+      const li = document.createElement("li");
+      li.innerHTML = `
+        <i class="bx ${a.mimeType === "application/pdf" ? "bxs-file-pdf" : "bx-image"}"></i>
+        <button type="button" class="link-btn viewBtn"></button>
+        <span class="attachments-size">${formatSize(a.size)}</span>
+        <button type="button" class="ghost-btn deleteBtn">Delete</button>`;
+      li.querySelector(".viewBtn").textContent = a.filename;
+      li.querySelector(".viewBtn").addEventListener("click", () => view(a));
+      li.querySelector(".deleteBtn").addEventListener("click", () => remove(a));
+      list.appendChild(li);
+    });
+    if (!items.length) list.innerHTML = '<li class="attachments-empty">No files attached yet.</li>';
+  }
+
+  // opens the file in a new tab (PDFs and photos display there)
+  async function view(a) {
+    const tab = window.open("", "_blank");
+    try {
+      const r = await request(`/api/attachments/${a.id}`);
+      if (!r) return tab?.close();
+      const url = URL.createObjectURL(await r.blob());
+      if (tab) tab.location.href = url;
+      else location.href = url;
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (err) {
+      tab?.close();
+      alert(err.message);
+    }
+  }
+
+  async function remove(a) {
+    if (!confirm(`Delete ${a.filename}?`)) return;
+    try {
+      await request(`/api/attachments/${a.id}`, { method: "DELETE" });
+      await load();
+      current.onChange?.();
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  async function upload(e) {
+    e.preventDefault();
+    const form = e.target;
+    const button = form.querySelector("button");
+    button.disabled = true;
+    try {
+      // no Content-Type header: the browser sets the multipart boundary
+      await request(`/api/${current.kind}/${current.id}/attachments`, {
+        method: "POST",
+        body: new FormData(form),
+      });
+      form.reset();
+      await load();
+      current.onChange?.();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  // kind: "income" or "expense"
+  async function open(kind, id, title, onChange) {
+    if (!dialog) build();
+    current = { kind, id, onChange };
+    dialog.querySelector("h3").textContent = title;
+    dialog.querySelector("form").reset();
+    dialog.querySelector(".attachments-list").innerHTML = "";
+    dialog.showModal();
+    try {
+      await load();
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  return { open };
+})();
@@ -8,13 +8,10 @@ const getToken = () =>
 const auth = () =>
   getToken() ? { Authorization: "Bearer " + getToken() } : {};
 
-const currencyFmt = new Intl.NumberFormat("en-US", {
-  style: "currency",
-  currency: "USD",
-});
+// the budget's currency in the user's locale (js/money.js)
+const currencyFmt = Money.formatter();
 
-const unformatCurrency = (s) =>
-  Number(String(s || "").replace(/[^0-9.-]+/g, "")) || 0;
+const unformatCurrency = (s) => Money.parse(s);
 
 function attachCurrencyFormatter(input) {
   if (!input) return;
@@ -38,23 +35,57 @@ function todayISO() {
 
 // ---------------- GLOBAL STATE ----------------
 let spendingChart = null;
-let budgets = {}; // {category: amount}
+let budgets = {}; // {category: { budgeted, carriedIn, spent, available }}
 let transactions = [];
-let categoryColors = {};
+let categoryColors = {}; // {category: "#RRGGBB"} from /api/categories
+let selectedMonth = todayISO().slice(0, 7); // YYYY-MM shown in the budget list
 
 // ---------------- API ----------------
 async function apiCreateBudget(body) {
-  const r = await fetch("/api/budgets", {
+  const r = await Session.apiFetch("/api/budgets", {
     method: "POST",
     headers: { "Content-Type": "application/json", ...auth() },
     body: JSON.stringify(body),
   });
   if (r.status === 401) return logout();
+  const data = await r.json();
+  if (!r.ok) throw new Error(data.message || "Could not save budget.");
+  return data;
+}
+
+async function apiUpdateBudget(id, body) {
+  const r = await Session.apiFetch("/api/budgets/" + id, {
+    method: "PATCH",
+    headers: { "Content-Type": "application/json", ...auth() },
+    body: JSON.stringify(body),
+  });
+  if (r.status === 401) return logout();
+  const data = await r.json();
+  if (!r.ok) throw new Error(data.message || "Could not update budget.");
+  return data;
+}
+
+async function apiDeleteBudget(id) {
+  const r = await Session.apiFetch("/api/budgets/" + id, {
+    method: "DELETE",
+    headers: auth(),
+  });
+  if (r.status === 401) return logout();
+  if (!r.ok) throw new Error("Could not delete budget.");
+}
+
+async function apiCopyBudgets(to) {
+  const r = await Session.apiFetch("/api/budgets/copy", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...auth() },
+    body: JSON.stringify({ to }),
+  });
+  if (r.status === 401) return logout();
   return r.json();
 }
 
 async function apiCreateIncome(body) {
-  return fetch("/api/income", {
+  return Session.apiFetch("/api/income", {
     method: "POST",
     headers: { "Content-Type": "application/json", ...auth() },
     body: JSON.stringify(body),
@@ -62,37 +93,50 @@ async function apiCreateIncome(body) {
 }
 
 async function apiCreateExpense(body) {
-  return fetch("/api/expense", {
+  return Session.apiFetch("/api/expense", {
     method: "POST",
     headers: { "Content-Type": "application/json", ...auth() },
     body: JSON.stringify(body),
   });
 }
 
-async function apiGetReport() {
-  const r = await fetch("/api/reports", { headers: auth() });
+async function apiGetReport(params = {}) {
+  const qs = new URLSearchParams(params).toString();
+  const r = await Session.apiFetch("/api/reports" + (qs ? "?" + qs : ""), {
+    headers: auth(),
+  });
   if (r.status === 401) return logout();
   return r.json();
 }
 
-async function apiListBudgets() {
-  const r = await fetch("/api/budgets", { headers: auth() });
+async function apiListBudgets(month) {
+  const r = await Session.apiFetch("/api/budgets?month=" + encodeURIComponent(month), {
+    headers: auth(),
+  });
+  if (r.status === 401) return logout();
+  const data = await r.json();
+  return data.items || [];
+}
+
+async function apiRecentTransactions(limit = 10) {
+  const r = await Session.apiFetch(`/api/transactions?limit=${limit}`, {
+    headers: auth(),
+  });
   if (r.status === 401) return logout();
   const data = await r.json();
   return data.items || [];
 }
 
 async function apiLoadCategories() {
-  const r = await fetch("/api/categories", { headers: auth() });
+  const r = await Session.apiFetch("/api/categories", { headers: auth() });
   if (r.status === 401) return logout();
   const data = await r.json();
+  (data.items || []).forEach((c) => (categoryColors[c.name] = c.color));
   return data.categories || [];
 }
 
 function logout() {
-  localStorage.removeItem("token");
-  localStorage.removeItem("jwtToken");
-  window.location.href = "/";
+  return Session.logout();
 }
 
 // ---------------- RENDER HELPERS ----------------
@@ -100,14 +144,19 @@ function renderTransactions() {
   const list = document.getElementById("transaction-list");
   if (!list) return;
 
+  // transactions arrive newest first from /api/transactions
   list.innerHTML = "";
   transactions.forEach((t) => {
     const li = document.createElement("li");
     li.classList.add(t.type);
-    li.innerHTML = `${t.category} – <strong>${
+    // a split expense is listed under its largest split's category;
+    // categories are typed by users (other household members too), so
+    // they go in as text
+    li.innerHTML = `<span></span> – <strong>${
       t.type === "income" ? "+" : "-"
-    }${currencyFmt.format(t.amount)}</strong>`;
-    list.prepend(li);
+    }${Money.format(t.amount, t.currency)}</strong>`;
+    li.firstElementChild.textContent = `${t.category}${t.split ? " (split)" : ""}`;
+    list.appendChild(li);
   });
 }
 
@@ -123,24 +172,113 @@ function updateSummary(data) {
   );
 }
 
-function getCategoryColor(category) {
-  const preset = {
-    Rent: "#00A878",
-    Other: "#2274A5",
-    Utilities: "#F75C03",
-    "Food/Groceries": "#8C4F7F",
-    Transportation: "#FFB400",
-  };
-  if (preset[category]) return preset[category];
-
-  if (!categoryColors[category]) {
-    const letters = "456789ABCDEF";
-    let c = "#";
-    for (let i = 0; i < 6; i++)
-      c += letters[Math.floor(Math.random() * letters.length)];
-    categoryColors[category] = c;
+function renderBudgetList(rows) {
+  const wrap = document.getElementById("budgetTableWrap");
+  if (!wrap) return;
+
+  if (!rows.length) {
+    wrap.innerHTML = "<p>No budgets for this month.</p>";
+    return;
   }
-  return categoryColors[category];
+
+  const body = rows
+    .map(
+      (b) => `
+      <tr data-id="${b.id}">
+        <td class="budget-category"></td>
+        <td style="text-align:right">
+          <input type="text" class="amount-input" value="${currencyFmt.format(
+            Number(b.amount) || 0
+          )}" />
+        </td>
+        <td style="text-align:right">${currencyFmt.format(b.carriedIn || 0)}</td>
+        <td style="text-align:right">${currencyFmt.format(b.spent || 0)}</td>
+        <td style="text-align:right" class="${
+          Number(b.available) < 0 ? "over-budget" : ""
+        }"><strong>${currencyFmt.format(b.available || 0)}</strong></td>
+        <td>
+          <input type="checkbox" class="rollover-input" ${
+            b.rollover ? "checked" : ""
+          } title="Carry leftover (or overspend) into next month" />
+          <input type="text" class="cap-input" placeholder="No cap" value="${
+            b.rollover_cap != null ? currencyFmt.format(Number(b.rollover_cap)) : ""
+          }" title="Largest amount that may carry over" />
+        </td>
+        <td>
+          <button class="saveBtn">Save</button>
+          <button class="delBtn">Delete</button>
+        </td>
+      </tr>`
+    )
+    .join("");
+
+  wrap.innerHTML = `<table class="data-table">
+    <thead><tr>
+      <th>Category</th>
+      <th style="text-align:right">Budgeted</th>
+      <th style="text-align:right">Carried In</th>
+      <th style="text-align:right">Spent</th>
+      <th style="text-align:right">Available</th>
+      <th>Rollover / Cap</th>
+      <th style="width:160px">Actions</th>
+    </tr></thead>
+    <tbody>${body}</tbody>
+  </table>`;
+  // set as text: a category name may hold markup
+  wrap.querySelectorAll(".budget-category").forEach((td, i) => {
+    td.textContent = rows[i].category;
+  });
+
+  wrap.querySelectorAll(".amount-input").forEach(attachCurrencyFormatter);
+
+  wrap.querySelectorAll(".saveBtn").forEach(
+    (btn) =>
+      (btn.onclick = async (e) => {
+        const tr = e.target.closest("tr");
+        const amount = unformatCurrency(tr.querySelector(".amount-input").value);
+        if (amount <= 0) return alert("Enter a valid amount.");
+        const capValue = tr.querySelector(".cap-input").value.trim();
+        try {
+          await apiUpdateBudget(tr.dataset.id, {
+            amount,
+            rollover: tr.querySelector(".rollover-input").checked,
+            rollover_cap: capValue ? unformatCurrency(capValue) : null,
+          });
+          loadEverything();
+        } catch (err) {
+          alert(err.message);
+        }
+      })
+  );
+
+  wrap.querySelectorAll(".delBtn").forEach(
+    (btn) =>
+      (btn.onclick = async (e) => {
+        const tr = e.target.closest("tr");
+        if (!confirm("Delete this budget?")) return;
+        try {
+          await apiDeleteBudget(tr.dataset.id);
+          loadEverything();
+        } catch (err) {
+          alert(err.message);
+        }
+      })
+  );
+}
+
+// Colors come from /api/categories (stored per category). Anything not in
+// that list falls back to a palette slot picked from the name, so a
+// category never changes color between page loads.
+function getCategoryColor(category) {
+  if (categoryColors[category]) return categoryColors[category];
+
+  const palette = [
+    "#0EA5E9", "#A855F7", "#EAB308", "#14B8A6", "#F43F5E",
+    "#6366F1", "#84CC16", "#F97316", "#64748B", "#D946EF",
+  ];
+  let hash = 0;
+  for (const ch of String(category)) hash = (hash * 31 + ch.charCodeAt(0)) | 0;
+  return palette[Math.abs(hash) % palette.length];
 }
 
 function updateChart(expCats) {
@@ -168,16 +306,31 @@ async function handleBudgetSubmit(e) {
       : categorySelect.value.trim();
 
   const amount = unformatCurrency(amountInput.value);
+  const rolloverInput = document.getElementById("budget-rollover");
+  const capInput = document.getElementById("budget-rollover-cap");
 
   if (!category || amount <= 0) return alert("Enter valid category + amount.");
 
-  await apiCreateBudget({ category, amount, cadence: "monthly" });
+  try {
+    await apiCreateBudget({
+      category,
+      amount,
+      cadence: "monthly",
+      month: selectedMonth,
+      rollover: rolloverInput.checked,
+      rollover_cap: capInput.value.trim() ? unformatCurrency(capInput.value) : null,
+    });
+  } catch (err) {
+    return alert(err.message);
+  }
 
   categorySelect.value = "";
   customInput.value = "";
   customInput.style.display = "none";
 
   amountInput.value = currencyFmt.format(0);
+  rolloverInput.checked = false;
+  capInput.value = "";
 
   loadEverything();
 }
@@ -191,7 +344,8 @@ async function handleTransactionSubmit(e) {
 
   if (!category || amount <= 0) return alert("Invalid fields");
 
-  const payload = { amount, date: todayISO(), cadence: "monthly" };
+  // quick entries are single transactions, not recurring templates
+  const payload = { amount, date: todayISO(), cadence: "one-time" };
 
   if (type === "income") {
     await apiCreateIncome({ ...payload, source: category });
@@ -199,9 +353,6 @@ async function handleTransactionSubmit(e) {
     await apiCreateExpense({ ...payload, category });
   }
 
-  transactions.push({ type, category, amount });
-  renderTransactions();
-
   loadEverything();
 
   document.getElementById("trans-category").value = "";
@@ -210,14 +361,27 @@ async function handleTransactionSubmit(e) {
 
 // ---------------- MASTER LOAD ----------------
 async function loadEverything() {
-  const [budRows, report] = await Promise.all([
-    apiListBudgets(),
-    apiGetReport(),
+  const [budRows, report, recent] = await Promise.all([
+    apiListBudgets(selectedMonth),
+    apiGetReport({ period: "month", date: selectedMonth + "-01" }),
+    apiRecentTransactions(),
   ]);
 
   // Convert budgets array → object
   budgets = {};
-  budRows.forEach((b) => (budgets[b.category] = Number(b.amount || 0)));
+  budRows.forEach(
+    (b) =>
+      (budgets[b.category] = {
+        budgeted: Number(b.budgeted ?? b.amount ?? 0),
+        carriedIn: Number(b.carriedIn || 0),
+        spent: Number(b.spent || 0),
+        available: Number(b.available ?? b.amount ?? 0),
+      })
+  );
+  renderBudgetList(budRows);
+
+  transactions = recent || [];
+  renderTransactions();
 
   updateSummary(report.totals);
   updateChart(report.expensesByCategory);
@@ -225,6 +389,7 @@ async function loadEverything() {
 
 // ---------------- INIT ----------------
 document.addEventListener("DOMContentLoaded", async () => {
+  await Money.ready;
   attachCurrencyFormatter(document.getElementById("budget-amount"));
   attachCurrencyFormatter(document.getElementById("amount"));
 
@@ -253,6 +418,28 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
   });
 
+  // Month shown in the budget list (and used for the chart + summary)
+  const monthInput = document.getElementById("budget-month");
+  monthInput.value = selectedMonth;
+  monthInput.addEventListener("change", () => {
+    if (!monthInput.value) return;
+    selectedMonth = monthInput.value;
+    loadEverything();
+  });
+
+  document
+    .getElementById("copyBudgetsBtn")
+    .addEventListener("click", async () => {
+      const result = await apiCopyBudgets(selectedMonth);
+      if (!result) return;
+      alert(
+        result.copied
+          ? `Copied ${result.copied} budget(s) from last month.`
+          : result.message || "Nothing to copy from last month."
+      );
+      loadEverything();
+    });
+
   // Init chart
   const ctx = document.getElementById("spendingChart").getContext("2d");
   spendingChart = new Chart(ctx, {
@@ -266,20 +453,21 @@ document.addEventListener("DOMContentLoaded", async () => {
               const cat = ctx.label;
               const spent = Number(ctx.raw);
 
-              const budget = budgets[cat] || null;
-              if (!budget)
+              const env = budgets[cat] || null;
+              if (!env)
                 return `${cat}: ${currencyFmt.format(
                   spent
                 )} (Budget not set)`;
 
-              const remaining = budget - spent;
-
-              return [
+              const lines = [
                 `${cat}`,
                 `Spent: ${currencyFmt.format(spent)}`,
-                `Budget: ${currencyFmt.format(budget)}`,
-                `Remaining: ${currencyFmt.format(remaining)}`,
+                `Budget: ${currencyFmt.format(env.budgeted)}`,
               ];
+              if (env.carriedIn)
+                lines.push(`Carried in: ${currencyFmt.format(env.carriedIn)}`);
+              lines.push(`Available: ${currencyFmt.format(env.available)}`);
+              return lines;
             },
           },
         },
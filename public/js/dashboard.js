@@ -8,26 +8,41 @@ const getToken = () =>
 const auth = () =>
   getToken() ? { Authorization: "Bearer " + getToken() } : {};
 
-const currencyFmt = new Intl.NumberFormat("en-US", {
-  style: "currency",
-  currency: "USD",
-});
+// the budget's currency in the user's locale (js/money.js)
+const currencyFmt = Money.formatter();
+
+// ---------------- PERIOD PICKER ----------------
+// query params for /api/reports from the header's period picker
+function getReportParams() {
+  const period = document.getElementById("periodSelect")?.value || "month";
+  if (period === "all") return {};
+  if (period === "custom") {
+    const params = {};
+    const from = document.getElementById("fromDate")?.value;
+    const to = document.getElementById("toDate")?.value;
+    if (from) params.from = from;
+    if (to) params.to = to;
+    return params;
+  }
+  return { period };
+}
 
 // ---------------- API ----------------
-async function apiGetReport() {
-  const r = await fetch("/api/reports", { headers: auth() });
+async function apiGetReport(params = {}) {
+  const qs = new URLSearchParams(params).toString();
+  const r = await Session.apiFetch("/api/reports" + (qs ? "?" + qs : ""), {
+    headers: auth(),
+  });
 
-  if (r.status === 401) {
-    localStorage.clear();
-    location.href = "/";
-  }
+  if (r.status === 401) return Session.logout();
 
   return r.json();
 }
 
 // ---------------- LOAD DASHBOARD ----------------
 async function loadDashboard() {
-  const data = await apiGetReport();
+  // parent level: the doughnut starts at parent categories and drills down
+  const data = await apiGetReport({ ...getReportParams(), level: "parent" });
 
   // ---------- KPIs ----------
   document.getElementById("kpiIncome").textContent =
@@ -82,7 +97,7 @@ function renderIncomeChart(rows) {
       labels,
       datasets: [
         {
-          label: "Monthly Income ($)",
+          label: `Monthly Income (${Money.currency()})`,
           data: values,
           borderColor: "#4DA3FF",
           backgroundColor: "rgba(77,163,255,0.2)",
@@ -164,8 +179,13 @@ function setupBudgetVsActualChart(budgets, expenses) {
     (cat) => budgets.find((b) => b.category === cat)?.total || 0
   );
 
+  // a budgeted category's spending comes from the budget row, so a
+  // budget on a parent or on a single subcategory compares like for like
   const actualVals = categories.map(
-    (cat) => expenses.find((e) => e.category === cat)?.total || 0
+    (cat) =>
+      budgets.find((b) => b.category === cat)?.spent ??
+      expenses.find((e) => e.category === cat)?.total ??
+      0
   );
 
   barChart = new Chart(ctx, {
@@ -236,13 +256,24 @@ function setupBudgetVsActualChart(budgets, expenses) {
 }
 
 // ---------------- EXPENSE CATEGORY DOUGHNUT (UNIQUE COLORS) ----------------
+// rows are parent categories with their `children`; clicking a slice that
+// has subcategories redraws the doughnut with just those, and the back
+// button returns to the parents
 let categoryChart = null;
-function setupCategoryChart(rows) {
+let categoryParents = [];
+function setupCategoryChart(rows, drilledInto = null) {
   const ctx = document.getElementById("categoryChart")?.getContext("2d");
   if (!ctx) return;
 
   if (categoryChart) categoryChart.destroy();
 
+  if (!drilledInto) categoryParents = rows;
+  const backBtn = document.getElementById("categoryBackBtn");
+  if (backBtn) {
+    backBtn.hidden = !drilledInto;
+    backBtn.textContent = drilledInto ? `← ${drilledInto}` : "";
+  }
+
   const labels = rows.map((r) => r.category);
   const values = rows.map((r) => Number(r.total));
   const total = values.reduce((a, b) => a + b, 0);
@@ -275,6 +306,13 @@ function setupCategoryChart(rows) {
       ],
     },
     options: {
+      onClick: (_evt, elements) => {
+        if (drilledInto || !elements.length) return;
+        const row = rows[elements[0].index];
+        const children = row.children || [];
+        if (children.length > 1 || children[0]?.category !== row.category)
+          setupCategoryChart(children, row.category);
+      },
       plugins: {
         legend: { position: "right" },
         tooltip: {
@@ -297,16 +335,622 @@ function setupCategoryChart(rows) {
 }
 
 
+// ---------------- ACCOUNTS ----------------
+// balances per account, adding accounts, transfers between them, and
+// the running balance of the account picked from the list
+const ACCOUNT_TYPE_LABELS = {
+  checking: "Checking",
+  savings: "Savings",
+  credit_card: "Credit card",
+  cash: "Cash",
+};
+const LEDGER_LABELS = { transfer_in: "Transfer from", transfer_out: "Transfer to" };
+
+let accounts = [];
+let ledgerAccountId = null;
+
+async function apiJSON(path, options = {}) {
+  const r = await Session.apiFetch(path, {
+    ...options,
+    headers: { "Content-Type": "application/json", ...(options.headers || {}) },
+  });
+  if (r.status === 401) return Session.logout();
+  const body = r.status === 204 ? {} : await r.json();
+  if (!r.ok) throw new Error(body.message || "Request failed");
+  return body;
+}
+
+function showAccountsMessage(text) {
+  const el = document.getElementById("accountsMessage");
+  el.textContent = text || "";
+  el.hidden = !text;
+}
+
+// names the currencies the server had no exchange rate for
+function showCurrencyNote(id, missing, effect) {
+  const note = document.getElementById(id);
+  note.hidden = !missing?.length;
+  note.textContent = missing?.length ? `No exchange rate for ${missing.join(", ")}: ${effect}` : "";
+}
+
+function fillAccountSelect(select) {
+  select.innerHTML = "";
+  accounts
+    .filter((a) => !a.archived)
+    .forEach((a) => {
+      const opt = document.createElement("option");
+      opt.value = a.id;
+      opt.textContent = a.name;
+      select.appendChild(opt);
+    });
+}
+
+async function loadAccounts() {
+  // archived accounts stay listed (dimmed) so they can be reopened
+  const data = await apiJSON("/api/accounts?includeArchived=1");
+  if (!data) return;
+  accounts = data.items;
+
+  const list = document.getElementById("accountList");
+  document.getElementById("accountsTotal").textContent = Money.format(data.total, data.currency);
+  showCurrencyNote(
+    "accountsCurrencyNote",
+    data.missing,
+    "those amounts are left out of the balances."
+  );
+  document.getElementById("transferBtn").disabled = accounts.length < 2;
+
+  if (!accounts.length) {
+    list.innerHTML =
+      '<p class="accounts-empty">No accounts yet. Add your checking, savings, cards and cash to track balances.</p>';
+    document.getElementById("accountLedger").hidden = true;
+    return;
+  }
+
+  list.innerHTML = "";
+  accounts.forEach((a) => {
+    const item = document.createElement("button");
+    item.type = "button";
+    item.className = "account-item";
+    item.classList.toggle("active", a.id === ledgerAccountId);
+    item.classList.toggle("archived", a.archived);
+    item.innerHTML = `
+      <span class="account-type"></span>
+      <span class="account-name"></span>
+      <span class="account-balance"></span>`;
+    item.querySelector(".account-type").textContent = ACCOUNT_TYPE_LABELS[a.type];
+    item.querySelector(".account-name").textContent = a.name;
+    const balance = item.querySelector(".account-balance");
+    balance.textContent = Money.format(a.balance, a.currency);
+    balance.classList.toggle("negative", a.balance < 0);
+    item.addEventListener("click", () => loadLedger(a.id));
+    list.appendChild(item);
+  });
+
+  if (ledgerAccountId) await loadLedger(ledgerAccountId);
+}
+
+// newest first, like a bank statement
+async function loadLedger(id) {
+  const data = await apiJSON(`/api/accounts/${id}/ledger`);
+  if (!data) return;
+  ledgerAccountId = id;
+
+  document
+    .querySelectorAll(".account-item")
+    .forEach((el, i) => el.classList.toggle("active", accounts[i]?.id === id));
+  document.getElementById("ledgerTitle").textContent =
+    `${data.account.name} · ${Money.format(data.account.balance, data.account.currency)}`;
+  document.getElementById("archiveAccountBtn").textContent = data.account.archived
+    ? "Unarchive"
+    : "Archive";
+
+  const tbody = document.getElementById("ledgerRows");
+  tbody.innerHTML = "";
+  data.items
+    .slice()
+    .reverse()
+    .forEach((e) => {
+      const tr = document.createElement("tr");
+      tr.innerHTML = "<td></td><td></td><td></td><td></td>";
+      tr.children[0].textContent = e.date;
+      tr.children[1].textContent = LEDGER_LABELS[e.type]
+        ? `${LEDGER_LABELS[e.type]} ${e.counterpart || "another account"}${e.description ? ` · ${e.description}` : ""}`
+        : e.description || "";
+      // converted entries also show what was paid in the other currency;
+      // ones without a rate only that, and don't move the balance
+      tr.children[2].textContent =
+        e.amount === null
+          ? `${Money.format(e.originalAmount, e.currency)} (no exchange rate)`
+          : Money.format(e.amount, data.account.currency) +
+            (e.originalAmount !== undefined
+              ? ` (${Money.format(e.originalAmount, e.currency)})`
+              : "");
+      tr.children[2].className = (e.amount ?? e.originalAmount) < 0 ? "negative" : "positive";
+      tr.children[3].textContent = Money.format(e.balance, data.account.currency);
+      tbody.appendChild(tr);
+    });
+  const opening = document.createElement("tr");
+  opening.className = "ledger-opening";
+  opening.innerHTML = "<td></td><td>Opening balance</td><td></td><td></td>";
+  opening.children[0].textContent = data.account.openingDate;
+  opening.children[3].textContent = Money.format(
+    data.account.openingBalance,
+    data.account.currency
+  );
+  tbody.appendChild(opening);
+
+  document.getElementById("accountLedger").hidden = false;
+}
+
+function toggleAccountsForm(id) {
+  ["accountForm", "transferForm"].forEach((formId) => {
+    const form = document.getElementById(formId);
+    form.hidden = formId !== id || !form.hidden;
+  });
+  showAccountsMessage("");
+}
+
+async function createAccount(e) {
+  e.preventDefault();
+  const body = {
+    name: document.getElementById("accountName").value.trim(),
+    type: document.getElementById("accountType").value,
+    opening_balance: document.getElementById("accountOpening").value || 0,
+    currency: document.getElementById("accountCurrency").value,
+  };
+  const openingDate = document.getElementById("accountOpeningDate").value;
+  if (openingDate) body.opening_date = openingDate;
+
+  try {
+    const result = await apiJSON("/api/accounts", { method: "POST", body: JSON.stringify(body) });
+    if (!result) return;
+    e.target.reset();
+    e.target.hidden = true;
+    await loadAccounts();
+  } catch (err) {
+    showAccountsMessage(err.message);
+  }
+}
+
+async function createTransfer(e) {
+  e.preventDefault();
+  const body = {
+    from_account_id: document.getElementById("transferFrom").value,
+    to_account_id: document.getElementById("transferTo").value,
+    amount: document.getElementById("transferAmount").value,
+    description: document.getElementById("transferNote").value.trim(),
+  };
+  const date = document.getElementById("transferDate").value;
+  if (date) body.date = date;
+
+  try {
+    const result = await apiJSON("/api/transfers", { method: "POST", body: JSON.stringify(body) });
+    if (!result) return;
+    e.target.reset();
+    e.target.hidden = true;
+    await loadAccounts();
+  } catch (err) {
+    showAccountsMessage(err.message);
+  }
+}
+
+async function toggleArchive() {
+  const account = accounts.find((a) => a.id === ledgerAccountId);
+  if (!account) return;
+  try {
+    await apiJSON(`/api/accounts/${account.id}`, {
+      method: "PATCH",
+      body: JSON.stringify({ archived: !account.archived }),
+    });
+    await loadAccounts();
+  } catch (err) {
+    showAccountsMessage(err.message);
+  }
+}
+
+function setupAccountsPanel() {
+  document.getElementById("addAccountBtn").addEventListener("click", () => {
+    Money.fillSelect(document.getElementById("accountCurrency"));
+    toggleAccountsForm("accountForm");
+  });
+  document.getElementById("transferBtn").addEventListener("click", () => {
+    fillAccountSelect(document.getElementById("transferFrom"));
+    fillAccountSelect(document.getElementById("transferTo"));
+    document.getElementById("transferTo").selectedIndex = 1;
+    toggleAccountsForm("transferForm");
+  });
+  document
+    .querySelectorAll("#accountsPanel [data-cancel]")
+    .forEach((btn) => btn.addEventListener("click", () => toggleAccountsForm(null)));
+  document.getElementById("accountForm").addEventListener("submit", createAccount);
+  document.getElementById("transferForm").addEventListener("submit", createTransfer);
+  document.getElementById("archiveAccountBtn").addEventListener("click", toggleArchive);
+
+  loadAccounts().catch((err) => showAccountsMessage(err.message));
+}
+
+// ---------------- GOALS ----------------
+// savings goals with a progress bar each, adding/editing them, and
+// recording contributions by hand. Progress comes from /api/goals.
+const GOAL_STATUS_LABELS = {
+  reached: "Reached",
+  on_track: "On track",
+  behind: "Behind",
+  overdue: "Past due",
+  open: "No date",
+};
+
+let goals = [];
+let goalsCurrency = null;
+let contributionGoalId = null;
+
+function showGoalsMessage(text) {
+  const el = document.getElementById("goalsMessage");
+  el.textContent = text || "";
+  el.hidden = !text;
+}
+
+function goalLinkLabel(g) {
+  if (g.accountId) return `Counts ${g.account}'s balance`;
+  if (g.category) return `Counts ${g.category} expenses`;
+  if (g.tag) return `Counts expenses tagged #${g.tag}`;
+  return "";
+}
+
+function goalPlan(g) {
+  if (g.status === "reached") return "Target reached.";
+  if (!g.targetDate) return `${Money.format(g.remaining, goalsCurrency)} to go.`;
+  if (g.status === "overdue")
+    return `Target date ${g.targetDate} has passed; ${Money.format(g.remaining, goalsCurrency)} to go.`;
+  return `${Money.format(g.monthlyNeeded, goalsCurrency)} a month to reach it by ${g.targetDate}.`;
+}
+
+async function loadGoals() {
+  const data = await apiJSON("/api/goals");
+  if (!data) return;
+  goals = data.items;
+  goalsCurrency = data.currency;
+  showCurrencyNote("goalsCurrencyNote", data.missing, "those amounts are left out.");
+
+  const list = document.getElementById("goalList");
+  if (!goals.length) {
+    list.innerHTML =
+      '<p class="accounts-empty">No goals yet. Add one to track what you are saving toward.</p>';
+    return;
+  }
+
+  list.innerHTML = "";
+  goals.forEach((g) => {
+    const item = document.createElement("div");
+    item.className = "goal-item";
+    item.innerHTML = `
+      <div class="goal-top">
+        <span class="goal-name"></span>
+        <span class="goal-status ${g.status}">${GOAL_STATUS_LABELS[g.status]}</span>
+      </div>
+      <div class="goal-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100"
+           aria-valuenow="${g.percent}"><span style="width:${g.percent}%"></span></div>
+      <div class="goal-amounts"></div>
+      <div class="goal-plan"></div>
+      <div class="goal-link"></div>
+      <div class="goal-actions">
+        <button type="button" data-action="contribute">Add money</button>
+        <button type="button" class="link-btn" data-action="edit">Edit</button>
+        <button type="button" class="link-btn" data-action="delete">Delete</button>
+      </div>`;
+    item.querySelector(".goal-name").textContent = g.name;
+    item.querySelector(".goal-amounts").textContent =
+      `${Money.format(g.saved, goalsCurrency)} of ${Money.format(g.target, goalsCurrency)} (${g.percent}%)`;
+    item.querySelector(".goal-plan").textContent = goalPlan(g);
+    item.querySelector(".goal-link").textContent = goalLinkLabel(g);
+    item.querySelector('[data-action="contribute"]').addEventListener("click", () =>
+      openContributionForm(g)
+    );
+    item.querySelector('[data-action="edit"]').addEventListener("click", () => openGoalForm(g));
+    item.querySelector('[data-action="delete"]').addEventListener("click", () => deleteGoal(g));
+    list.appendChild(item);
+  });
+}
+
+function toggleGoalsForm(id) {
+  ["goalForm", "contributionForm"].forEach((formId) => {
+    document.getElementById(formId).hidden = formId !== id;
+  });
+  showGoalsMessage("");
+}
+
+// only the control for the picked link type is shown
+function showGoalLink() {
+  const type = document.getElementById("goalLinkType").value;
+  document.getElementById("goalAccount").hidden = type !== "account";
+  document.getElementById("goalCategory").hidden = type !== "category";
+  document.getElementById("goalTag").hidden = type !== "tag";
+}
+
+async function loadGoalCategories() {
+  const data = await apiJSON("/api/categories").catch(() => null);
+  const list = document.getElementById("goalCategories");
+  list.innerHTML = "";
+  (data?.categories || []).forEach((name) => list.appendChild(new Option(name)));
+}
+
+// empty for a new goal, filled in to edit `g`
+function openGoalForm(g = null) {
+  const form = document.getElementById("goalForm");
+  form.reset();
+  fillAccountSelect(document.getElementById("goalAccount"));
+  document.getElementById("goalId").value = g?.id || "";
+  if (g) {
+    document.getElementById("goalName").value = g.name;
+    document.getElementById("goalTarget").value = g.target;
+    document.getElementById("goalTargetDate").value = g.targetDate || "";
+    document.getElementById("goalLinkType").value =
+      (g.accountId && "account") || (g.category && "category") || (g.tag && "tag") || "";
+    if (g.accountId) document.getElementById("goalAccount").value = g.accountId;
+    document.getElementById("goalCategory").value = g.category || "";
+    document.getElementById("goalTag").value = g.tag || "";
+  }
+  showGoalLink();
+  loadGoalCategories();
+  toggleGoalsForm("goalForm");
+}
+
+async function saveGoal(e) {
+  e.preventDefault();
+  const type = document.getElementById("goalLinkType").value;
+  const body = {
+    name: document.getElementById("goalName").value.trim(),
+    target_amount: document.getElementById("goalTarget").value,
+    target_date: document.getElementById("goalTargetDate").value || null,
+    // the other two links are cleared
+    account_id: type === "account" ? document.getElementById("goalAccount").value : null,
+    category: type === "category" ? document.getElementById("goalCategory").value.trim() : null,
+    tag: type === "tag" ? document.getElementById("goalTag").value.trim() : null,
+  };
+  const id = document.getElementById("goalId").value;
+
+  try {
+    const result = await apiJSON(id ? `/api/goals/${id}` : "/api/goals", {
+      method: id ? "PATCH" : "POST",
+      body: JSON.stringify(body),
+    });
+    if (!result) return;
+    toggleGoalsForm(null);
+    await loadGoals();
+  } catch (err) {
+    showGoalsMessage(err.message);
+  }
+}
+
+async function deleteGoal(g) {
+  if (!confirm(`Delete the goal "${g.name}"? Its recorded contributions go with it.`)) return;
+  try {
+    await apiJSON(`/api/goals/${g.id}`, { method: "DELETE" });
+    await loadGoals();
+  } catch (err) {
+    showGoalsMessage(err.message);
+  }
+}
+
+function openContributionForm(g) {
+  contributionGoalId = g.id;
+  document.getElementById("contributionForm").reset();
+  document.getElementById("contributionTitle").textContent = `Add money to ${g.name}:`;
+  toggleGoalsForm("contributionForm");
+}
+
+async function addContribution(e) {
+  e.preventDefault();
+  const body = {
+    amount: document.getElementById("contributionAmount").value,
+    note: document.getElementById("contributionNote").value.trim(),
+  };
+  const date = document.getElementById("contributionDate").value;
+  if (date) body.date = date;
+
+  try {
+    const result = await apiJSON(`/api/goals/${contributionGoalId}/contributions`, {
+      method: "POST",
+      body: JSON.stringify(body),
+    });
+    if (!result) return;
+    toggleGoalsForm(null);
+    await loadGoals();
+  } catch (err) {
+    showGoalsMessage(err.message);
+  }
+}
+
+function setupGoalsPanel() {
+  document.getElementById("addGoalBtn").addEventListener("click", () => {
+    if (document.getElementById("goalForm").hidden) openGoalForm();
+    else toggleGoalsForm(null);
+  });
+  document
+    .querySelectorAll("#goalsPanel [data-cancel]")
+    .forEach((btn) => btn.addEventListener("click", () => toggleGoalsForm(null)));
+  document.getElementById("goalLinkType").addEventListener("change", showGoalLink);
+  document.getElementById("goalForm").addEventListener("submit", saveGoal);
+  document.getElementById("contributionForm").addEventListener("submit", addContribution);
+
+  loadGoals().catch((err) => showGoalsMessage(err.message));
+}
+
+// ---------------- FORECAST ----------------
+// The trailing months' net as a solid line, carried on as a dashed
+// projection with its low/high range shaded; with accounts, the
+// projected balance goes on a second axis.
+let forecastChart = null;
+
+const forecastLabel = (month) => formatMonthLabel(`${month}-01T00:00:00`);
+
+function renderForecastChart(data) {
+  const ctx = document.getElementById("forecastChart")?.getContext("2d");
+  if (!ctx) return;
+  if (forecastChart) forecastChart.destroy();
+
+  const { history, projection } = data;
+  const labels = [...history, ...projection].map((r) => forecastLabel(r.month));
+  const gap = history.map(() => null);
+  // the projection starts from the last actual month so the lines join
+  const last = history.length ? history[history.length - 1].net : null;
+  const joined = (key) => [...gap.slice(1), last, ...projection.map((p) => p[key])];
+  const hasBalance = data.startingBalance !== null;
+
+  const datasets = [
+    {
+      label: "Net (actual)",
+      data: [...history.map((h) => h.net), ...projection.map(() => null)],
+      borderColor: "#4DA3FF",
+      backgroundColor: "#4DA3FF",
+      borderWidth: 3,
+      tension: 0.3,
+    },
+    {
+      label: "Net (forecast)",
+      data: joined("net"),
+      borderColor: "#4DA3FF",
+      backgroundColor: "#4DA3FF",
+      borderDash: [6, 4],
+      borderWidth: 2,
+      tension: 0.3,
+    },
+    {
+      label: "Low",
+      data: joined("low"),
+      borderColor: "transparent",
+      pointRadius: 0,
+      tension: 0.3,
+    },
+    {
+      label: "Range",
+      data: joined("high"),
+      borderColor: "transparent",
+      backgroundColor: "rgba(77,163,255,0.15)",
+      pointRadius: 0,
+      fill: "-1",
+      tension: 0.3,
+    },
+  ];
+  if (hasBalance) {
+    datasets.push({
+      label: "Balance (forecast)",
+      data: [...gap, ...projection.map((p) => p.balance)],
+      borderColor: "#009e73",
+      backgroundColor: "#009e73",
+      borderDash: [6, 4],
+      borderWidth: 2,
+      tension: 0.3,
+      yAxisID: "y1",
+    });
+  }
+
+  const fmt = (v) => Money.format(v, data.currency.code);
+  forecastChart = new Chart(ctx, {
+    type: "line",
+    data: { labels, datasets },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: { mode: "index", intersect: false },
+      plugins: {
+        legend: {
+          position: "bottom",
+          labels: {
+            usePointStyle: true,
+            padding: 16,
+            filter: (item) => item.text !== "Low",
+          },
+        },
+        tooltip: {
+          // the joining point belongs to the actual line only
+          filter: (item) =>
+            item.raw !== null &&
+            item.dataset.label !== "Low" &&
+            (item.datasetIndex === 0 || item.dataIndex >= history.length),
+          callbacks: {
+            label: (item) => {
+              if (item.dataset.label !== "Range") return `${item.dataset.label}: ${fmt(item.raw)}`;
+              const p = projection[item.dataIndex - history.length];
+              return `Range: ${fmt(p.low)} to ${fmt(p.high)}`;
+            },
+          },
+        },
+      },
+      scales: {
+        y: { ticks: { callback: fmt } },
+        ...(hasBalance && {
+          y1: {
+            position: "right",
+            grid: { drawOnChartArea: false },
+            ticks: { callback: fmt },
+          },
+        }),
+      },
+    },
+  });
+}
+
+function renderForecastNote(data) {
+  const note = document.getElementById("forecastNote");
+  const months = data.shortfalls.map(forecastLabel);
+  note.classList.toggle("shortfall", months.length > 0);
+  let text = months.length
+    ? `Possible shortfall in ${months.join(", ")}.`
+    : `No shortfall expected in the next ${data.months} months.`;
+  const missing = data.currency.missing.join(", ");
+  if (missing) text += ` No exchange rate for ${missing}: those amounts are left out.`;
+  note.textContent = text;
+}
+
+async function loadForecast() {
+  const months = document.getElementById("forecastMonths")?.value || 6;
+  const note = document.getElementById("forecastNote");
+  try {
+    const data = await apiJSON(`/api/forecast?months=${months}`);
+    if (!data) return;
+    renderForecastChart(data);
+    renderForecastNote(data);
+  } catch (err) {
+    note.classList.remove("shortfall");
+    note.textContent = err.message;
+  }
+}
+
 // ---------------- INIT ----------------
-document.addEventListener("DOMContentLoaded", () => {
+document.addEventListener("DOMContentLoaded", async () => {
+  await Money.ready;
   loadDashboard();
+  setupAccountsPanel();
+  setupGoalsPanel();
+  loadForecast();
 
   document
     .getElementById("refreshButton")
-    ?.addEventListener("click", loadDashboard);
+    ?.addEventListener("click", () => {
+      loadDashboard();
+      loadAccounts().catch((err) => showAccountsMessage(err.message));
+      loadGoals().catch((err) => showGoalsMessage(err.message));
+      loadForecast();
+    });
 
-  document.getElementById("logoutButton")?.addEventListener("click", () => {
-    localStorage.clear();
-    location.href = "/";
+  document.getElementById("forecastMonths")?.addEventListener("change", loadForecast);
+
+  document
+    .getElementById("categoryBackBtn")
+    ?.addEventListener("click", () => setupCategoryChart(categoryParents));
+
+  const periodSelect = document.getElementById("periodSelect");
+  periodSelect?.addEventListener("change", () => {
+    document.getElementById("customRange").hidden =
+      periodSelect.value !== "custom";
+    loadDashboard();
   });
+  document.getElementById("fromDate")?.addEventListener("change", loadDashboard);
+  document.getElementById("toDate")?.addEventListener("change", loadDashboard);
+
+  document
+    .getElementById("logoutButton")
+    ?.addEventListener("click", () => Session.logout());
 });
@@ -10,11 +10,10 @@ let expenseRowsCache = [];
 let expenseRange = '6'; // default
 
 // Currency helpers
-const currencyFmt = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' });
-const unformatCurrency = (s) => {
-  const n = Number(String(s || '').replace(/[^0-9.-]+/g, ''));
-  return Number.isFinite(n) ? n : 0;
-};
+// amounts are typed in the currency picked in the form, in the user's
+// locale (js/money.js)
+const currencyFmt = { format: (n) => Money.format(n, $('#expenseCurrency')?.value) };
+const unformatCurrency = (s) => Money.parse(s);
 function attachCurrencyFormatter(input) {
   if (!input) return;
   if (!input.value) input.value = currencyFmt.format(0);
@@ -35,6 +34,18 @@ function formatTableDate(s) {
   if (isNaN(d)) return s;
   return `${pad2(d.getMonth()+1)}/${pad2(d.getDate())}/${d.getFullYear()}`;
 }
+// mysql DATE values arrive as local-midnight timestamps; <input type="date"> wants YYYY-MM-DD
+function formatInputDate(s) {
+  if (!s) return '';
+  const d = new Date(s);
+  if (isNaN(d)) return String(s).slice(0, 10);
+  return `${d.getFullYear()}-${pad2(d.getMonth()+1)}-${pad2(d.getDate())}`;
+}
+function formatCadence(r) {
+  const cadence = r.cadence || '';
+  if (!r.end_date || cadence === 'one-time') return cadence;
+  return `${cadence} until ${formatTableDate(r.end_date)}`;
+}
 function formatMonthLabel(yyyyMm) {
   const d = new Date(`${yyyyMm}-01T00:00:00`);
   if (isNaN(d)) return yyyyMm;
@@ -45,28 +56,53 @@ function formatMonthLabel(yyyyMm) {
 
 // API
 async function listExpense() {
-  const r = await fetch('/api/expense', { headers: { ...auth() } });
+  const tag = $('#tagFilter')?.value;
+  const url = '/api/expense' + (tag ? `?tag=${encodeURIComponent(tag)}` : '');
+  const r = await Session.apiFetch(url, { headers: { ...auth() } });
   if (r.status === 401) return logout();
   if (!r.ok) throw new Error('load failed');
   const { items } = await r.json();
   return items || [];
 }
 async function createExpense(body) {
-  const r = await fetch('/api/expense', {
+  const r = await Session.apiFetch('/api/expense', {
     method: 'POST', headers: { 'Content-Type': 'application/json', ...auth() }, body: JSON.stringify(body),
   });
   if (r.status === 401) return logout();
-  if (!r.ok) throw new Error('create failed');
+  if (!r.ok) throw new Error((await r.json().catch(() => ({}))).message || 'create failed');
+  showNewAlerts(await r.json());
 }
 async function updateExpense(id, body) {
-  const r = await fetch('/api/expense/' + id, {
+  const r = await Session.apiFetch('/api/expense/' + id, {
     method: 'PATCH', headers: { 'Content-Type': 'application/json', ...auth() }, body: JSON.stringify(body),
   });
   if (r.status === 401) return logout();
-  if (!r.ok) throw new Error('update failed');
+  if (!r.ok) throw new Error((await r.json().catch(() => ({}))).message || 'update failed');
+  showNewAlerts(await r.json());
+}
+// saving may have tripped an alert rule: update the bell's count
+function showNewAlerts(result) {
+  if (result.notifications) Notifications.refresh().catch(err => console.error(err));
+}
+// the "paid into" / "paid from" picker. Archived accounts are loaded
+// but hidden so editing an old entry keeps its account.
+async function loadAccountOptions(select) {
+  if (!select) return;
+  const r = await Session.apiFetch('/api/accounts?includeArchived=1', { headers: { ...auth() } });
+  if (!r.ok) return;
+  const { items } = await r.json();
+  select.length = 1; // keep "No account"
+  items.forEach(a => {
+    const opt = document.createElement('option');
+    opt.value = a.id;
+    opt.textContent = a.name;
+    opt.dataset.currency = a.currency;
+    opt.hidden = a.archived;
+    select.appendChild(opt);
+  });
 }
 async function deleteExpense(id) {
-  const r = await fetch('/api/expense/' + id, {
+  const r = await Session.apiFetch('/api/expense/' + id, {
     method: 'DELETE', headers: { ...auth() }
   });
   if (r.status === 401) return logout();
@@ -74,7 +110,101 @@ async function deleteExpense(id) {
 }
 
 // session
-function logout() { localStorage.removeItem('token'); localStorage.removeItem('jwtToken'); window.location.href = '/'; }
+function logout() { return Session.logout(); }
+
+// tags: typed comma separated, shown as chips. Notes and descriptions
+// are free text, so they are escaped before going into the table.
+const escapeHtml = (s) => String(s ?? '').replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+const readTags = (s) => String(s || '').split(',').map(t => t.trim()).filter(Boolean);
+function renderDetails(r) {
+  const parts = [];
+  if (r.description) parts.push(`<span class="row-details">${escapeHtml(r.description)}</span>`);
+  if (r.notes) parts.push(`<span class="row-details" title="Notes">${escapeHtml(r.notes)}</span>`);
+  if (r.tags?.length)
+    parts.push(`<span>${r.tags.map(t => `<span class="tag-chip">#${escapeHtml(t)}</span>`).join('')}</span>`);
+  return parts.join('');
+}
+// the table's tag filter; keeps the picked tag while it still exists
+async function loadTagFilter() {
+  const select = $('#tagFilter');
+  if (!select) return;
+  const r = await Session.apiFetch('/api/tags', { headers: { ...auth() } });
+  if (!r.ok) return;
+  const { items } = await r.json();
+  const picked = select.value;
+  select.length = 1; // keep "All tags"
+  items.filter(t => t.count).forEach(t => select.appendChild(new Option(`#${t.name} (${t.count})`, t.name)));
+  select.value = items.some(t => t.name === picked) ? picked : '';
+}
+
+// splits: the amount divided across categories, one line each with its
+// own category, amount and note. The lines must add up to the amount.
+const splitRows = () => [...document.querySelectorAll('#splitRows .split-row')];
+const categoryRow = () => $('.category-group')?.closest('.form-row');
+const isSplit = () => !$('#splitEditor').hidden;
+
+async function loadSplitCategories() {
+  const r = await Session.apiFetch('/api/categories', { headers: { ...auth() } });
+  if (!r.ok) return;
+  const { categories } = await r.json();
+  const list = $('#splitCategories');
+  list.innerHTML = '';
+  (categories || []).forEach(name => list.appendChild(new Option(name)));
+}
+function readSplits() {
+  return splitRows().map(row => ({
+    category: row.querySelector('.splitCategory').value.trim(),
+    amount: unformatCurrency(row.querySelector('.splitAmount').value),
+    note: row.querySelector('.splitNote').value.trim() || null,
+  }));
+}
+// shows what is left to assign; returns it (0 when the lines add up)
+function updateSplitRemaining() {
+  const total = unformatCurrency($('#expenseAmount').value);
+  const assigned = readSplits().reduce((sum, x) => sum + x.amount, 0);
+  const left = Math.round((total - assigned) * 100) / 100;
+  const el = $('#splitRemaining');
+  el.textContent = left === 0
+    ? 'Fully assigned'
+    : `${currencyFmt.format(Math.abs(left))} ${left > 0 ? 'left to assign' : 'over the amount'}`;
+  el.classList.toggle('off', left !== 0);
+  return left;
+}
+function addSplitRow(split = {}) {
+  const row = document.createElement('div');
+  row.className = 'split-row';
+  row.innerHTML = `
+    <input type="text" class="outline-green splitCategory" list="splitCategories" placeholder="Category" />
+    <input type="text" class="outline-green splitAmount" inputmode="decimal" />
+    <input type="text" class="outline-green splitNote" maxlength="255" placeholder="Note (optional)" />
+    <button type="button" class="ghost-btn removeSplitBtn" title="Remove line">&times;</button>`;
+  row.querySelector('.splitCategory').value = split.category || '';
+  row.querySelector('.splitNote').value = split.note || '';
+  const amount = row.querySelector('.splitAmount');
+  amount.value = currencyFmt.format(split.amount || 0);
+  attachCurrencyFormatter(amount);
+  amount.addEventListener('input', updateSplitRemaining);
+  // a split needs two lines; removing the second-to-last undoes it
+  row.querySelector('.removeSplitBtn').addEventListener('click', () => {
+    row.remove();
+    if (splitRows().length < 2) closeSplit(); else updateSplitRemaining();
+  });
+  $('#splitRows').appendChild(row);
+}
+function openSplit(splits) {
+  $('#splitRows').innerHTML = '';
+  $('#splitEditor').hidden = false;
+  $('#splitBtn').textContent = 'Remove split';
+  categoryRow().hidden = true;
+  splits.forEach(addSplitRow);
+  updateSplitRemaining();
+}
+function closeSplit() {
+  $('#splitRows').innerHTML = '';
+  $('#splitEditor').hidden = true;
+  $('#splitBtn').textContent = 'Split across categories';
+  categoryRow().hidden = false;
+}
 
 // chart helpers
 function aggregateByMonth(rows) {
@@ -84,7 +214,10 @@ function aggregateByMonth(rows) {
     const d = new Date(r.date);
     if (isNaN(d)) return;
     const ym = `${d.getFullYear()}-${pad2(d.getMonth()+1)}`;
-    map[ym] = (map[ym] || 0) + Number(r.amount || 0);
+    // converted_amount: in the budget's currency, so months add up; rows
+    // without an exchange rate (null) are left out
+    if (r.converted_amount === null) return;
+    map[ym] = (map[ym] || 0) + Number(r.converted_amount ?? r.amount ?? 0);
     if (!maxDate || d > maxDate) maxDate = d;
   });
   let labels = Object.keys(map).sort();
@@ -125,12 +258,12 @@ function renderChart(rows) {
       plugins: {
         legend: { display: false },
         tooltip: {
-          callbacks: { label: ctx => ` ${currencyFmt.format(ctx.parsed.y || 0)}` }
+          callbacks: { label: ctx => ` ${Money.format(ctx.parsed.y || 0)}` }
         }
       },
       scales: {
         x: { ticks: { autoSkip: false } },
-        y: { ticks: { callback: (v) => currencyFmt.format(v) }, beginAtZero: true }
+        y: { ticks: { callback: (v) => Money.format(v) }, beginAtZero: true }
       }
     }
   });
@@ -141,7 +274,10 @@ function renderTable(rows) {
   const wrap = $('#expenseTableWrap');
   if (!wrap) return;
 
-  if (!rows.length) { wrap.innerHTML = '<p>No expenses yet.</p>'; return; }
+  if (!rows.length) {
+    wrap.innerHTML = $('#tagFilter')?.value ? '<p>No expenses with this tag.</p>' : '<p>No expenses yet.</p>';
+    return;
+  }
 
   const head = `
     <thead>
@@ -150,6 +286,7 @@ function renderTable(rows) {
         <th style="text-align:left">Category</th>
         <th>Cadence</th>
         <th style="text-align:right">Amount</th>
+      <th title="Receipts and documents"><i class="bx bx-paperclip"></i></th>
         <th style="width:120px">Actions</th>
       </tr>
     </thead>`;
@@ -157,9 +294,16 @@ function renderTable(rows) {
   const body = rows.map(r => `
     <tr data-id="${r.id || r.expense_id || r.expenseId}">
       <td>${formatTableDate(r.date)}</td>
-      <td>${r.category}</td>
-      <td style="text-transform:capitalize">${r.cadence || ''}</td>
-      <td style="text-align:right">${currencyFmt.format(Number(r.amount) || 0)}</td>
+      <td>${r.splits?.length
+        ? `<span class="split-badge">Split</span>${escapeHtml(r.splits.map(s => s.category).join(', '))}`
+        : escapeHtml(r.category)}${renderDetails(r)}</td>
+      <td style="text-transform:capitalize">${formatCadence(r)}</td>
+      <td style="text-align:right">${Money.format(Number(r.amount) || 0, r.currency)}</td>
+      <td style="text-align:center">
+        <button class="clipBtn${r.attachments ? ' has-files' : ''}" title="Receipts and documents">
+          <i class="bx bx-paperclip"></i>${r.attachments ? ` ${r.attachments}` : ''}
+        </button>
+      </td>
       <td>
         <button class="editBtn">Edit</button>
         <button class="delBtn">Delete</button>
@@ -170,6 +314,14 @@ function renderTable(rows) {
     <table class="data-table">${head}<tbody>${body}</tbody></table>
   </div>`;
 
+  // Attachments (receipts, pay stubs, invoices); counts refresh on change
+  wrap.querySelectorAll('.clipBtn').forEach(b => b.onclick = (e) => {
+    const id = e.target.closest('tr').dataset.id;
+    const row = expenseRowsCache.find(x => String(x.id || x.expense_id || x.expenseId) === id);
+    if (!row) return;
+    Attachments.open('expense', id, `${row.category} on ${formatTableDate(row.date)}`, load);
+  });
+
   // Edit
   wrap.querySelectorAll('.editBtn').forEach(b => b.onclick = (e) => {
     const tr = e.target.closest('tr');
@@ -177,15 +329,22 @@ function renderTable(rows) {
     const row = expenseRowsCache.find(x => String(x.id || x.expense_id || x.expenseId) === id);
     if (!row) return;
     $('#expenseId').value = row.id || row.expense_id || row.expenseId;
-    $('#expenseDate').value = row.date;
+    $('#expenseDate').value = formatInputDate(row.date);
     const radios = document.querySelectorAll('input[name="category"]');
     let matched = false;
     radios.forEach(radio => {
       if (radio.value.toLowerCase() === String(row.category || '').toLowerCase()) { radio.checked = true; matched = true; }
     });
     if (!matched) document.querySelector('input[name="category"][value="Other"]')?.setAttribute('checked', true);
+    $('#expenseCurrency').value = row.currency || Money.currency();
     $('#expenseAmount').value = currencyFmt.format(Number(row.amount) || 0);
     $('#expenseCadence').value = row.cadence || 'monthly';
+    $('#expenseEndDate').value = formatInputDate(row.end_date);
+    $('#expenseAccount').value = row.account_id ?? '';
+    $('#expenseDescription').value = row.description || '';
+    $('#expenseNotes').value = row.notes || '';
+    $('#expenseTags').value = (row.tags || []).join(', ');
+    if (row.splits?.length) openSplit(row.splits); else closeSplit();
     window.scrollTo({ top: 0, behavior: 'smooth' });
   });
 
@@ -225,10 +384,13 @@ async function load() {
 }
 
 // init
-window.addEventListener('DOMContentLoaded', () => {
+window.addEventListener('DOMContentLoaded', async () => {
+  await Money.ready;
+  Money.fillSelect($('#expenseCurrency'));
   $('#logoutButton')?.addEventListener('click', logout);
   $('#logoutLink')?.addEventListener('click', logout);
   $('#refreshButton')?.addEventListener('click', load);
+  $('#tagFilter')?.addEventListener('change', load);
 
   // Range chips
   const chipEls = document.querySelectorAll('[data-range-expense]');
@@ -251,25 +413,72 @@ window.addEventListener('DOMContentLoaded', () => {
   // Form submit
   $('#expenseForm')?.addEventListener('submit', async (e) => {
     e.preventDefault();
+    if (isSplit() && updateSplitRemaining() !== 0)
+      return alert('The split lines must add up to the amount.');
     const catEl = document.querySelector('input[name="category"]:checked');
     const body = {
       date: $('#expenseDate')?.value || new Date().toISOString().slice(0,10),
       category: catEl ? catEl.value : 'Other',
       amount: Number.isFinite(unformatCurrency($('#expenseAmount')?.value)) ? unformatCurrency($('#expenseAmount')?.value) : 0,
       cadence: $('#expenseCadence')?.value || 'monthly',
+      end_date: $('#expenseEndDate')?.value || null,
+      account_id: $('#expenseAccount')?.value || null,
+      currency: $('#expenseCurrency')?.value || Money.currency(),
+      description: $('#expenseDescription')?.value.trim() || null,
+      notes: $('#expenseNotes')?.value.trim() || null,
+      tags: readTags($('#expenseTags')?.value),
+      // [] when not split (also undoes an earlier split)
+      splits: isSplit() ? readSplits() : [],
     };
     const id = $('#expenseId')?.value;
-    if (id) await updateExpense(id, body); else await createExpense(body);
+    try {
+      if (id) await updateExpense(id, body); else await createExpense(body);
+    } catch (err) {
+      return alert(err.message);
+    }
     localStorage.setItem('refreshDashboard','true');
+    await loadTagFilter();
     await load();
     $('#expenseForm').reset(); $('#expenseId').value = ''; $('#expenseAmount').value = currencyFmt.format(0);
+    closeSplit();
   });
 
   $('#resetBtn')?.addEventListener('click', () => {
     $('#expenseForm').reset(); $('#expenseId').value = ''; $('#expenseAmount').value = currencyFmt.format(0);
+    closeSplit();
+  });
+
+  // the first line starts with the picked category and the whole amount
+  $('#splitBtn')?.addEventListener('click', () => {
+    if (isSplit()) return closeSplit();
+    const catEl = document.querySelector('input[name="category"]:checked');
+    openSplit([
+      { category: catEl ? catEl.value : '', amount: unformatCurrency($('#expenseAmount').value) },
+      {},
+    ]);
   });
+  $('#addSplitBtn')?.addEventListener('click', () => { addSplitRow(); updateSplitRemaining(); });
+  $('#expenseAmount')?.addEventListener('input', () => { if (isSplit()) updateSplitRemaining(); });
 
   attachCurrencyFormatter($('#expenseAmount'));
+  loadAccountOptions($('#expenseAccount'));
+  loadSplitCategories();
+  loadTagFilter();
   load();
+
+  // picking an account switches to its currency; either change
+  // re-displays the amount
+  const reformatAmount = () => {
+    document.querySelectorAll('#expenseAmount, .splitAmount').forEach(input => {
+      input.value = currencyFmt.format(unformatCurrency(input.value));
+    });
+    if (isSplit()) updateSplitRemaining();
+  };
+  $('#expenseAccount')?.addEventListener('change', (e) => {
+    const code = e.target.selectedOptions[0]?.dataset.currency;
+    if (code) $('#expenseCurrency').value = code;
+    reformatAmount();
+  });
+  $('#expenseCurrency')?.addEventListener('change', reformatAmount);
 });
 // ===================== end expense.js =======================
@@ -0,0 +1,63 @@
+// ======================= households.js =======================
+// The budget switcher at the top of the sidebar (load it after
+// session.js). Pages work on the user's own data or on one shared
+// household's; Session sends the choice with every API call, and
+// switching reloads the page so everything on it follows.
+"use strict";
+
+const Households = (function () {
+  let items = [];
+
+  // the user's households, pending invites included
+  async function load() {
+    const r = await Session.apiFetch("/api/households");
+    if (!r.ok) return [];
+    items = (await r.json()).items;
+    return items;
+  }
+
+  // the household being viewed, or null for personal data
+  function current() {
+    const id = Session.householdId();
+    return items.find((h) => h.accepted && String(h.id) === id) || null;
+  }
+
+  function switchTo(id) {
+    Session.setHousehold(id);
+    location.reload();
+  }
+
+  async function renderSwitcher() {
+    const box = document.getElementById("householdSwitcher");
+    if (!box || !Session.getToken()) return;
+
+    await load();
+    // the household was left or deleted since it was picked
+    if (Session.householdId() && !current()) return switchTo("");
+
+    const joined = items.filter((h) => h.accepted);
+    if (!joined.length) return;
+
+    const select = document.createElement("select");
+    select.id = "householdSelect";
+    select.innerHTML = '<option value="">Personal</option>';
+    joined.forEach((h) => {
+      const opt = document.createElement("option");
+      opt.value = h.id;
+      opt.textContent = h.role === "viewer" ? `${h.name} (view only)` : h.name;
+      select.appendChild(opt);
+    });
+    select.value = Session.householdId();
+    select.addEventListener("change", () => switchTo(select.value));
+
+    box.innerHTML = '<label for="householdSelect">Budget</label>';
+    box.appendChild(select);
+    box.hidden = false;
+  }
+
+  document.addEventListener("DOMContentLoaded", () =>
+    renderSwitcher().catch((err) => console.error(err))
+  );
+
+  return { load, current, switchTo };
+})();
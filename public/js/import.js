@@ -0,0 +1,528 @@
+// ======================= import.js =======================
+// Bank statement import: read a CSV/OFX/QFX file in the browser,
+// map CSV columns (optionally from a saved bank profile), preview
+// the parsed rows with duplicates flagged, then import the ones
+// that stay ticked. Also manages the categorization rules that
+// suggest categories for imported and hand-entered expenses.
+"use strict";
+
+const getToken = () =>
+  localStorage.getItem("token") || localStorage.getItem("jwtToken") || "";
+const auth = () =>
+  getToken() ? { Authorization: "Bearer " + getToken() } : {};
+const $ = (s) => document.querySelector(s);
+
+// the budget's currency in the user's locale (js/money.js)
+const currencyFmt = Money.formatter();
+
+const MAPPING_SELECTS = ["#mapDate", "#mapDescription", "#mapAmount", "#mapDebit", "#mapCredit"];
+
+// column names banks commonly use, tried in order when a file is opened
+const COLUMN_GUESSES = {
+  dateColumn: [/^(transaction |posting |post )?date$/i, /date/i],
+  descriptionColumn: [/^(description|payee|name|memo|details)$/i, /desc|payee|merchant/i],
+  amountColumn: [/^amount$/i, /amount/i],
+  debitColumn: [/^(debit|withdrawal)s?$/i],
+  creditColumn: [/^(credit|deposit)s?$/i],
+};
+
+let fileText = "";
+let fileFormat = "csv";
+let profiles = [];
+let previewRows = [];
+
+function logout() {
+  return Session.logout();
+}
+
+// ---------------- API ----------------
+async function api(path, options = {}) {
+  const r = await Session.apiFetch(path, {
+    ...options,
+    headers: { "Content-Type": "application/json", ...auth(), ...(options.headers || {}) },
+  });
+  if (r.status === 401) return logout();
+  const body = r.status === 204 ? {} : await r.json();
+  if (!r.ok) throw new Error(body.message || "Request failed");
+  return body;
+}
+
+async function loadProfiles() {
+  const { items } = await api("/api/import/profiles");
+  profiles = items || [];
+
+  const select = $("#profileSelect");
+  const current = select.value;
+  select.innerHTML = '<option value="">New mapping</option>';
+  profiles.forEach((p) => {
+    const opt = document.createElement("option");
+    opt.value = p.id;
+    opt.textContent = p.name;
+    select.appendChild(opt);
+  });
+  select.value = profiles.some((p) => String(p.id) === current) ? current : "";
+  $("#deleteProfileBtn").hidden = !select.value;
+}
+
+// ---------------- CSV MAPPING ----------------
+// first row of the file, split on the delimiter (quotes respected)
+function headerCells(text, delimiter) {
+  const line = text.split(/\r?\n/).find((l) => l.trim()) || "";
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"' && quoted && line[i + 1] === '"') {
+      cell += '"';
+      i++;
+    } else if (ch === '"') {
+      quoted = !quoted;
+    } else if (ch === delimiter && !quoted) {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+// fill the column pickers: header names when the file has a header row,
+// otherwise "Column 1", "Column 2"... (sent as indexes)
+function fillColumnSelects() {
+  const hasHeader = $("#mapHasHeader").checked;
+  const cells = headerCells(fileText, $("#mapDelimiter").value);
+
+  MAPPING_SELECTS.forEach((sel) => {
+    const select = $(sel);
+    const previous = select.value;
+    select.innerHTML = '<option value="">—</option>';
+    cells.forEach((cell, idx) => {
+      const opt = document.createElement("option");
+      opt.value = hasHeader ? cell : String(idx);
+      opt.textContent = hasHeader ? cell || `Column ${idx + 1}` : `Column ${idx + 1} (${cell})`;
+      select.appendChild(opt);
+    });
+    if ([...select.options].some((o) => o.value === previous)) select.value = previous;
+  });
+}
+
+function guessColumns() {
+  if (!$("#mapHasHeader").checked) return;
+  const cells = headerCells(fileText, $("#mapDelimiter").value);
+
+  MAPPING_SELECTS.forEach((sel) => {
+    const patterns = COLUMN_GUESSES[$(sel).dataset.key] || [];
+    const match = patterns
+      .map((re) => cells.find((c) => re.test(c)))
+      .find(Boolean);
+    $(sel).value = match || "";
+  });
+  // with a signed amount column, debit/credit aren't needed
+  if ($("#mapAmount").value) {
+    $("#mapDebit").value = "";
+    $("#mapCredit").value = "";
+  }
+}
+
+function readMapping() {
+  const mapping = {
+    delimiter: $("#mapDelimiter").value,
+    hasHeader: $("#mapHasHeader").checked,
+    dateFormat: $("#mapDateFormat").value,
+    negateAmounts: $("#mapNegate").checked,
+  };
+  MAPPING_SELECTS.forEach((sel) => {
+    mapping[$(sel).dataset.key] = $(sel).value === "" ? null : $(sel).value;
+  });
+  return mapping;
+}
+
+function applyMapping(mapping) {
+  $("#mapDelimiter").value = mapping.delimiter || ",";
+  $("#mapHasHeader").checked = mapping.hasHeader !== false;
+  $("#mapDateFormat").value = mapping.dateFormat || "YYYY-MM-DD";
+  $("#mapNegate").checked = Boolean(mapping.negateAmounts);
+  fillColumnSelects();
+  MAPPING_SELECTS.forEach((sel) => {
+    const value = mapping[$(sel).dataset.key];
+    $(sel).value = value === null || value === undefined ? "" : String(value);
+  });
+}
+
+// ---------------- FILE ----------------
+async function onFileChosen() {
+  const file = $("#importFile").files[0];
+  resetPreview();
+  if (!file) {
+    $("#previewBtn").disabled = true;
+    return;
+  }
+
+  fileText = await file.text();
+  const ext = file.name.split(".").pop().toLowerCase();
+  fileFormat = ["ofx", "qfx"].includes(ext) ? ext : "csv";
+
+  $("#csvMapping").hidden = fileFormat !== "csv";
+  if (fileFormat === "csv") {
+    const profile = profiles.find((p) => String(p.id) === $("#profileSelect").value);
+    if (profile) {
+      applyMapping(profile.mapping);
+    } else {
+      fillColumnSelects();
+      guessColumns();
+    }
+  }
+  $("#previewBtn").disabled = false;
+}
+
+// ---------------- PREVIEW ----------------
+function resetPreview() {
+  previewRows = [];
+  $("#previewTable").hidden = true;
+  $("#previewTable tbody").innerHTML = "";
+  $("#previewSummary").textContent = "Choose a file to see its transactions here.";
+  $("#commitBtn").disabled = true;
+}
+
+async function preview() {
+  const body = { format: fileFormat, content: fileText };
+  if (fileFormat === "csv") body.mapping = readMapping();
+
+  try {
+    const data = await api("/api/import/preview", {
+      method: "POST",
+      body: JSON.stringify(body),
+    });
+    if (!data) return;
+    previewRows = data.rows;
+    renderPreview(data.summary);
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+function renderPreview(summary) {
+  const tbody = $("#previewTable tbody");
+  tbody.innerHTML = "";
+
+  previewRows.forEach((row, idx) => {
+    const tr = document.createElement("tr");
+    if (row.error) {
+      tr.className = "has-error";
+      tr.innerHTML = `<td></td><td colspan="6">Line ${row.line}: ${row.error}</td>`;
+      tbody.appendChild(tr);
+      return;
+    }
+
+    if (row.duplicate) tr.className = "is-duplicate";
+    tr.innerHTML = `
+      <td><input type="checkbox" class="row-check" data-idx="${idx}" ${row.duplicate ? "" : "checked"} /></td>
+      <td>${row.date}</td>
+      <td></td>
+      <td>
+        <select class="row-type" data-idx="${idx}">
+          <option value="expense">Expense</option>
+          <option value="income">Income</option>
+        </select>
+      </td>
+      <td><input type="text" class="row-category" data-idx="${idx}" list="categoryOptions" /></td>
+      <td class="amount">${currencyFmt.format(row.amount)}</td>
+      <td>${row.duplicate ? '<span class="badge">Already imported</span>' : ""}</td>`;
+    tr.children[2].textContent = row.description;
+    tr.querySelector(".row-type").value = row.type;
+    // rules suggest a category for expenses; blank means "use the rules / Other"
+    const categoryInput = tr.querySelector(".row-category");
+    categoryInput.value = row.category || "";
+    categoryInput.disabled = row.type !== "expense";
+    tr.querySelector(".row-type").addEventListener("change", (e) => {
+      categoryInput.disabled = e.target.value !== "expense";
+    });
+    tbody.appendChild(tr);
+  });
+
+  $("#previewTable").hidden = false;
+  $("#selectAll").checked = true;
+  $("#previewSummary").textContent =
+    `${summary.total} rows: ${summary.income} income, ${summary.expense} expense` +
+    (summary.duplicates ? `, ${summary.duplicates} already imported` : "") +
+    (summary.errors ? `, ${summary.errors} unreadable` : "") +
+    ".";
+  $("#commitBtn").disabled = !previewRows.some((r) => !r.error);
+}
+
+// ---------------- COMMIT ----------------
+async function commit() {
+  const rows = [...document.querySelectorAll(".row-check:checked")].map((box) => {
+    const row = previewRows[box.dataset.idx];
+    const type = document.querySelector(`.row-type[data-idx="${box.dataset.idx}"]`).value;
+    const category = document
+      .querySelector(`.row-category[data-idx="${box.dataset.idx}"]`)
+      .value.trim();
+    const out = { date: row.date, description: row.description, amount: row.amount, type };
+    if (type === "expense") {
+      if (category) out.category = category;
+      if (row.cadence && category === row.category) out.cadence = row.cadence;
+    }
+    return out;
+  });
+  if (!rows.length) return alert("Tick at least one row to import.");
+
+  $("#commitBtn").disabled = true;
+  try {
+    const result = await api("/api/import/commit", {
+      method: "POST",
+      body: JSON.stringify({
+        rows,
+        skipDuplicates: $("#skipDuplicates").checked,
+        account_id: $("#importAccount").value || null,
+      }),
+    });
+    if (!result) return;
+    if (result.notifications) Notifications.refresh().catch((err) => console.error(err));
+    alert(
+      `Imported ${result.imported} transaction(s)` +
+        (result.skipped ? `, skipped ${result.skipped} duplicate(s).` : ".")
+    );
+    $("#importFile").value = "";
+    $("#previewBtn").disabled = true;
+    resetPreview();
+  } catch (err) {
+    alert(err.message);
+    $("#commitBtn").disabled = false;
+  }
+}
+
+// ---------------- PROFILES ----------------
+async function saveProfile() {
+  const name = $("#profileName").value.trim();
+  const selected = $("#profileSelect").value;
+  const existing = profiles.find((p) => p.name === name || String(p.id) === selected);
+  if (!name && !existing) return alert("Give the mapping a name first.");
+
+  try {
+    let id;
+    if (existing && (!name || name === existing.name)) {
+      id = existing.id;
+      await api(`/api/import/profiles/${id}`, {
+        method: "PATCH",
+        body: JSON.stringify({ mapping: readMapping() }),
+      });
+    } else {
+      ({ id } = await api("/api/import/profiles", {
+        method: "POST",
+        body: JSON.stringify({ name, mapping: readMapping() }),
+      }));
+    }
+    await loadProfiles();
+    $("#profileSelect").value = String(id);
+    $("#deleteProfileBtn").hidden = false;
+    $("#profileName").value = "";
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+async function deleteProfile() {
+  const id = $("#profileSelect").value;
+  if (!id || !confirm("Delete this bank profile?")) return;
+  try {
+    await api(`/api/import/profiles/${id}`, { method: "DELETE" });
+    $("#profileSelect").value = "";
+    await loadProfiles();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+// ---------------- CATEGORIZATION RULES ----------------
+// the account a statement is imported into (open accounts only)
+async function loadAccountOptions() {
+  const { items } = await api("/api/accounts");
+  (items || []).forEach((a) => {
+    const opt = document.createElement("option");
+    opt.value = a.id;
+    opt.textContent = a.name;
+    $("#importAccount").appendChild(opt);
+  });
+}
+
+async function loadCategoryOptions() {
+  const { categories } = await api("/api/categories");
+  $("#categoryOptions").innerHTML = "";
+  (categories || []).forEach((name) => {
+    const opt = document.createElement("option");
+    opt.value = name;
+    $("#categoryOptions").appendChild(opt);
+  });
+}
+
+function describeAmount(rule) {
+  const fmt = (n) => currencyFmt.format(n);
+  if (rule.min_amount !== null && rule.max_amount !== null)
+    return `${fmt(rule.min_amount)} – ${fmt(rule.max_amount)}`;
+  if (rule.min_amount !== null) return `≥ ${fmt(rule.min_amount)}`;
+  if (rule.max_amount !== null) return `≤ ${fmt(rule.max_amount)}`;
+  return "Any";
+}
+
+async function loadRules() {
+  const { items } = await api("/api/rules");
+  const tbody = $("#rulesTable tbody");
+  tbody.innerHTML = "";
+
+  if (!items.length) {
+    tbody.innerHTML = '<tr><td colspan="8">No rules yet.</td></tr>';
+    return;
+  }
+
+  items.forEach((rule) => {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td><input type="number" class="rule-priority" value="${rule.priority}" step="1" style="width:70px" /></td>
+      <td></td>
+      <td>${describeAmount(rule)}</td>
+      <td>${rule.source === "any" ? "Any" : rule.source === "import" ? "Imported" : "By hand"}</td>
+      <td></td>
+      <td>${rule.cadence || "—"}</td>
+      <td><input type="checkbox" class="rule-enabled" ${rule.enabled ? "checked" : ""} /></td>
+      <td><button type="button" class="delBtn">Delete</button></td>`;
+    tr.children[1].textContent = rule.pattern
+      ? `${rule.match_type === "regex" ? "matches /" + rule.pattern + "/" : "contains “" + rule.pattern + "”"}`
+      : "Any";
+    tr.children[4].textContent = rule.category;
+
+    tr.querySelector(".rule-priority").addEventListener("change", (e) =>
+      updateRule(rule.id, { priority: Number(e.target.value) })
+    );
+    tr.querySelector(".rule-enabled").addEventListener("change", (e) =>
+      updateRule(rule.id, { enabled: e.target.checked })
+    );
+    tr.querySelector(".delBtn").addEventListener("click", () => deleteRule(rule.id));
+    tbody.appendChild(tr);
+  });
+}
+
+function readRuleForm() {
+  return {
+    priority: Number($("#rulePriority").value || 100),
+    match_type: $("#ruleMatchType").value,
+    pattern: $("#rulePattern").value.trim() || null,
+    min_amount: $("#ruleMin").value === "" ? null : Number($("#ruleMin").value),
+    max_amount: $("#ruleMax").value === "" ? null : Number($("#ruleMax").value),
+    source: $("#ruleSource").value,
+    category: $("#ruleCategory").value.trim(),
+    cadence: $("#ruleCadence").value || null,
+  };
+}
+
+async function createRule(e) {
+  e.preventDefault();
+  try {
+    await api("/api/rules", { method: "POST", body: JSON.stringify(readRuleForm()) });
+    $("#ruleForm").reset();
+    await Promise.all([loadRules(), loadCategoryOptions()]);
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+async function updateRule(id, changes) {
+  try {
+    await api(`/api/rules/${id}`, { method: "PATCH", body: JSON.stringify(changes) });
+    await loadRules();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+async function deleteRule(id) {
+  if (!confirm("Delete this rule?")) return;
+  try {
+    await api(`/api/rules/${id}`, { method: "DELETE" });
+    await loadRules();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+// tests the half-filled form when it has a category, otherwise the saved rules
+async function testRules() {
+  const body = {
+    description: $("#testDescription").value,
+    amount: Number($("#testAmount").value || 0),
+    source: $("#testSource").value,
+  };
+  const draft = readRuleForm();
+  if (draft.category && (draft.pattern || draft.min_amount !== null || draft.max_amount !== null))
+    body.rule = draft;
+
+  try {
+    const result = await api("/api/rules/test", { method: "POST", body: JSON.stringify(body) });
+    if (!result) return;
+    const which = body.rule ? "The rule in the form" : "Saved rules";
+    $("#testResult").textContent = result.matched
+      ? `${which}: → ${result.category}${result.cadence ? ` (${result.cadence})` : ""}`
+      : `${which}: no match, the expense would stay "Other".`;
+  } catch (err) {
+    $("#testResult").textContent = err.message;
+  }
+}
+
+async function applyRules() {
+  const all = $("#applyAll").checked;
+  const scope = all ? "every expense" : 'expenses still marked "Other"';
+  if (!confirm(`Run the rules over ${scope}?`)) return;
+  try {
+    const result = await api("/api/rules/apply", {
+      method: "POST",
+      body: JSON.stringify({ all }),
+    });
+    if (!result) return;
+    if (result.notifications) Notifications.refresh().catch((err) => console.error(err));
+    alert(`Checked ${result.checked} expense(s), re-categorized ${result.updated}.`);
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+// ---------------- INIT ----------------
+document.addEventListener("DOMContentLoaded", async () => {
+  if (!getToken()) return logout();
+  await Money.ready;
+  loadProfiles().catch((err) => console.error(err));
+  loadRules().catch((err) => console.error(err));
+  loadCategoryOptions().catch((err) => console.error(err));
+  loadAccountOptions().catch((err) => console.error(err));
+
+  $("#importFile").addEventListener("change", onFileChosen);
+  $("#previewBtn").addEventListener("click", preview);
+  $("#commitBtn").addEventListener("click", commit);
+  $("#saveProfileBtn").addEventListener("click", saveProfile);
+  $("#deleteProfileBtn").addEventListener("click", deleteProfile);
+  $("#ruleForm").addEventListener("submit", createRule);
+  $("#testRuleBtn").addEventListener("click", testRules);
+  $("#applyRulesBtn").addEventListener("click", applyRules);
+
+  $("#profileSelect").addEventListener("change", () => {
+    const profile = profiles.find((p) => String(p.id) === $("#profileSelect").value);
+    $("#deleteProfileBtn").hidden = !profile;
+    if (profile) applyMapping(profile.mapping);
+  });
+  ["#mapDelimiter", "#mapHasHeader"].forEach((sel) =>
+    $(sel).addEventListener("change", () => {
+      fillColumnSelects();
+      guessColumns();
+    })
+  );
+
+  $("#selectAll").addEventListener("change", (e) => {
+    document.querySelectorAll(".row-check").forEach((box) => {
+      box.checked = e.target.checked;
+    });
+  });
+
+  $("#logoutButton")?.addEventListener("click", logout);
+});
@@ -11,11 +11,10 @@ let incomeRowsCache = [];
 let incomeRange = '6'; // default 6 months
 
 // ---- Currency helpers ----
-const currencyFmt = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' });
-const unformatCurrency = (s) => {
-  const n = Number(String(s || '').replace(/[^0-9.-]+/g, ''));
-  return Number.isFinite(n) ? n : 0;
-};
+// amounts are typed in the currency picked in the form, in the user's
+// locale (js/money.js)
+const currencyFmt = { format: (n) => Money.format(n, $('#currencyInput')?.value) };
+const unformatCurrency = (s) => Money.parse(s);
 function attachCurrencyFormatter(input) {
   if (!input) return;
   if (!input.value) input.value = currencyFmt.format(0);
@@ -36,6 +35,18 @@ function formatTableDate(s) {
   if (isNaN(d)) return s;
   return `${pad2(d.getMonth()+1)}/${pad2(d.getDate())}/${d.getFullYear()}`;
 }
+// mysql DATE values arrive as local-midnight timestamps; <input type="date"> wants YYYY-MM-DD
+function formatInputDate(s) {
+  if (!s) return '';
+  const d = new Date(s);
+  if (isNaN(d)) return String(s).slice(0, 10);
+  return `${d.getFullYear()}-${pad2(d.getMonth()+1)}-${pad2(d.getDate())}`;
+}
+function formatCadence(r) {
+  const cadence = r.cadence || '';
+  if (!r.end_date || cadence === 'one-time') return cadence;
+  return `${cadence} until ${formatTableDate(r.end_date)}`;
+}
 function formatMonthLabel(yyyyMm) {
   const d = new Date(`${yyyyMm}-01T00:00:00`);
   if (isNaN(d)) return yyyyMm;
@@ -46,35 +57,80 @@ function formatMonthLabel(yyyyMm) {
 
 // ---- API calls ----
 async function listIncome() {
-  const r = await fetch('/api/income', { headers: { ...auth() } });
+  const tag = $('#tagFilter')?.value;
+  const url = '/api/income' + (tag ? `?tag=${encodeURIComponent(tag)}` : '');
+  const r = await Session.apiFetch(url, { headers: { ...auth() } });
   if (r.status === 401) return logout();
   if (!r.ok) throw new Error('load failed');
   const { items } = await r.json();
   return items || [];
 }
 async function createIncome(body) {
-  const r = await fetch('/api/income', {
+  const r = await Session.apiFetch('/api/income', {
     method: 'POST', headers: { 'Content-Type': 'application/json', ...auth() }, body: JSON.stringify(body),
   });
   if (r.status === 401) return logout();
-  if (!r.ok) throw new Error('create failed');
+  if (!r.ok) throw new Error((await r.json().catch(() => ({}))).message || 'create failed');
 }
 async function updateIncome(id, body) {
-  const r = await fetch('/api/income/' + id, {
+  const r = await Session.apiFetch('/api/income/' + id, {
     method: 'PATCH', headers: { 'Content-Type': 'application/json', ...auth() }, body: JSON.stringify(body),
   });
   if (r.status === 401) return logout();
-  if (!r.ok) throw new Error('update failed');
+  if (!r.ok) throw new Error((await r.json().catch(() => ({}))).message || 'update failed');
+}
+// the "paid into" / "paid from" picker. Archived accounts are loaded
+// but hidden so editing an old entry keeps its account.
+async function loadAccountOptions(select) {
+  if (!select) return;
+  const r = await Session.apiFetch('/api/accounts?includeArchived=1', { headers: { ...auth() } });
+  if (!r.ok) return;
+  const { items } = await r.json();
+  select.length = 1; // keep "No account"
+  items.forEach(a => {
+    const opt = document.createElement('option');
+    opt.value = a.id;
+    opt.textContent = a.name;
+    opt.dataset.currency = a.currency;
+    opt.hidden = a.archived;
+    select.appendChild(opt);
+  });
 }
 async function deleteIncome(id) {
-  const r = await fetch('/api/income/' + id, { method: 'DELETE', headers: { ...auth() } });
+  const r = await Session.apiFetch('/api/income/' + id, { method: 'DELETE', headers: { ...auth() } });
   if (r.status === 401) return logout();
   if (!r.ok) throw new Error('delete failed');
 }
 
 // ---- session ----
 function logout() {
-  localStorage.removeItem('token'); localStorage.removeItem('jwtToken'); window.location.href = '/';
+  return Session.logout();
+}
+
+// ---- tags + notes ----
+// tags: typed comma separated, shown as chips. Notes and descriptions
+// are free text, so they are escaped before going into the table.
+const escapeHtml = (s) => String(s ?? '').replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+const readTags = (s) => String(s || '').split(',').map(t => t.trim()).filter(Boolean);
+function renderDetails(r) {
+  const parts = [];
+  if (r.description) parts.push(`<span class="row-details">${escapeHtml(r.description)}</span>`);
+  if (r.notes) parts.push(`<span class="row-details" title="Notes">${escapeHtml(r.notes)}</span>`);
+  if (r.tags?.length)
+    parts.push(`<span>${r.tags.map(t => `<span class="tag-chip">#${escapeHtml(t)}</span>`).join('')}</span>`);
+  return parts.join('');
+}
+// the table's tag filter; keeps the picked tag while it still exists
+async function loadTagFilter() {
+  const select = $('#tagFilter');
+  if (!select) return;
+  const r = await Session.apiFetch('/api/tags', { headers: { ...auth() } });
+  if (!r.ok) return;
+  const { items } = await r.json();
+  const picked = select.value;
+  select.length = 1; // keep "All tags"
+  items.filter(t => t.count).forEach(t => select.appendChild(new Option(`#${t.name} (${t.count})`, t.name)));
+  select.value = items.some(t => t.name === picked) ? picked : '';
 }
 
 // ---- chart helpers ----
@@ -85,7 +141,10 @@ function aggregateByMonth(rows) {
     const d = new Date(r.date);
     if (isNaN(d)) return;
     const ym = `${d.getFullYear()}-${pad2(d.getMonth()+1)}`;
-    map[ym] = (map[ym] || 0) + Number(r.amount || 0);
+    // converted_amount: in the budget's currency, so months add up; rows
+    // without an exchange rate (null) are left out
+    if (r.converted_amount === null) return;
+    map[ym] = (map[ym] || 0) + Number(r.converted_amount ?? r.amount ?? 0);
     if (!maxDate || d > maxDate) maxDate = d;
   });
   let labels = Object.keys(map).sort();
@@ -130,13 +189,13 @@ function renderChart(rows) {
         legend: { display: false },
         tooltip: {
           callbacks: {
-            label: ctx => ` ${currencyFmt.format(ctx.parsed.y || 0)}`
+            label: ctx => ` ${Money.format(ctx.parsed.y || 0)}`
           }
         }
       },
       scales: {
         x: { ticks: { autoSkip: false } },
-        y: { ticks: { callback: (v) => currencyFmt.format(v) }, beginAtZero: true }
+        y: { ticks: { callback: (v) => Money.format(v) }, beginAtZero: true }
       }
     }
   });
@@ -147,7 +206,10 @@ function renderTable(rows) {
   const wrap = $('#tableWrap');
   if (!wrap) return;
 
-  if (!rows.length) { wrap.innerHTML = '<p>No income yet.</p>'; return; }
+  if (!rows.length) {
+    wrap.innerHTML = $('#tagFilter')?.value ? '<p>No income with this tag.</p>' : '<p>No income yet.</p>';
+    return;
+  }
 
   const head = `
     <thead><tr>
@@ -155,15 +217,21 @@ function renderTable(rows) {
       <th style="text-align:left">Source</th>
       <th>Cadence</th>
       <th style="text-align:right">Amount</th>
+      <th title="Receipts and documents"><i class="bx bx-paperclip"></i></th>
       <th style="width:120px">Actions</th>
     </tr></thead>`;
 
   const body = rows.map(r => `
    <tr data-id="${r.id || r.income_id || r.incomeId}">
       <td>${formatTableDate(r.date)}</td>
-      <td>${r.source}</td>
-      <td style="text-transform:capitalize">${r.cadence || ''}</td>
-      <td style="text-align:right">${currencyFmt.format(Number(r.amount) || 0)}</td>
+      <td>${escapeHtml(r.source)}${renderDetails(r)}</td>
+      <td style="text-transform:capitalize">${formatCadence(r)}</td>
+      <td style="text-align:right">${Money.format(Number(r.amount) || 0, r.currency)}</td>
+      <td style="text-align:center">
+        <button class="clipBtn${r.attachments ? ' has-files' : ''}" title="Receipts and documents">
+          <i class="bx bx-paperclip"></i>${r.attachments ? ` ${r.attachments}` : ''}
+        </button>
+      </td>
       <td>
         <button class="editBtn">Edit</button>
         <button class="delBtn">Delete</button>
@@ -174,6 +242,14 @@ function renderTable(rows) {
     <table class="data-table">${head}<tbody>${body}</tbody></table>
   </div>`;
 
+  // Attachments (receipts, pay stubs, invoices); counts refresh on change
+  wrap.querySelectorAll('.clipBtn').forEach(b => b.onclick = (e) => {
+    const id = e.target.closest('tr').dataset.id;
+    const row = incomeRowsCache.find(x => String(x.id || x.income_id || x.incomeId) === id);
+    if (!row) return;
+    Attachments.open('income', id, `${row.source} on ${formatTableDate(row.date)}`, load);
+  });
+
   // Edit
   wrap.querySelectorAll('.editBtn').forEach(b => b.onclick = (e) => {
     const tr = e.target.closest('tr');
@@ -181,7 +257,7 @@ function renderTable(rows) {
     const row = incomeRowsCache.find(x => String(x.id || x.income_id || x.incomeId) === id);
     if (!row) return;
     $('#incomeId').value = row.id || row.income_id || row.incomeId;
-    $('#dateInput').value = row.date;
+    $('#dateInput').value = formatInputDate(row.date);
     const radios = document.querySelectorAll('input[name="source"]');
     let ok = false;
     radios.forEach(r => {
@@ -191,8 +267,14 @@ function renderTable(rows) {
       }
     });
     if (!ok) document.querySelector('input[name="source"][value="Other"]')?.setAttribute('checked', true);
+    $('#currencyInput').value = row.currency || Money.currency();
     $('#amountInput').value = currencyFmt.format(Number(row.amount) || 0);
     $('#cadenceInput').value = row.cadence || 'monthly';
+    $('#endDateInput').value = formatInputDate(row.end_date);
+    $('#accountInput').value = row.account_id ?? '';
+    $('#descriptionInput').value = row.description || '';
+    $('#notesInput').value = row.notes || '';
+    $('#tagsInput').value = (row.tags || []).join(', ');
     window.scrollTo({ top: 0, behavior: 'smooth' });
   });
 
@@ -230,10 +312,13 @@ async function load() {
 }
 
 // ---- init ----
-window.addEventListener('DOMContentLoaded', () => {
+window.addEventListener('DOMContentLoaded', async () => {
+  await Money.ready;
+  Money.fillSelect($('#currencyInput'));
   $('#logoutButton')?.addEventListener('click', logout);
   $('#logoutLink')?.addEventListener('click', logout);
   $('#refreshButton')?.addEventListener('click', load);
+  $('#tagFilter')?.addEventListener('change', load);
 
   // Range chips
   const chipEls = document.querySelectorAll('[data-range-income]');
@@ -264,11 +349,22 @@ window.addEventListener('DOMContentLoaded', () => {
       date: $('#dateInput')?.value || new Date().toISOString().slice(0,10),
       source: sourceEl ? sourceEl.value : 'Other',
       amount: Number.isFinite(unformatCurrency($('#amountInput')?.value)) ? unformatCurrency($('#amountInput')?.value) : 0,
-      cadence: $('#cadenceInput')?.value || 'monthly'
+      cadence: $('#cadenceInput')?.value || 'monthly',
+      end_date: $('#endDateInput')?.value || null,
+      account_id: $('#accountInput')?.value || null,
+      currency: $('#currencyInput')?.value || Money.currency(),
+      description: $('#descriptionInput')?.value.trim() || null,
+      notes: $('#notesInput')?.value.trim() || null,
+      tags: readTags($('#tagsInput')?.value)
     };
     const id = $('#incomeId')?.value;
-    if (id) await updateIncome(id, body); else await createIncome(body);
+    try {
+      if (id) await updateIncome(id, body); else await createIncome(body);
+    } catch (err) {
+      return alert(err.message);
+    }
     localStorage.setItem('refreshDashboard','true');
+    await loadTagFilter();
     await load();
     $('#incomeForm').reset(); $('#incomeId').value = ''; $('#amountInput').value = currencyFmt.format(0);
   });
@@ -278,6 +374,20 @@ window.addEventListener('DOMContentLoaded', () => {
   });
 
   attachCurrencyFormatter($('#amountInput'));
+  loadAccountOptions($('#accountInput'));
+  loadTagFilter();
   load();
+
+  // picking an account switches to its currency; either change
+  // re-displays the amount
+  const reformatAmount = () => {
+    $('#amountInput').value = currencyFmt.format(unformatCurrency($('#amountInput').value));
+  };
+  $('#accountInput')?.addEventListener('change', (e) => {
+    const code = e.target.selectedOptions[0]?.dataset.currency;
+    if (code) $('#currencyInput').value = code;
+    reformatAmount();
+  });
+  $('#currencyInput')?.addEventListener('change', reformatAmount);
 });
 // ===================== end income.js =======================
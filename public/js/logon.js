@@ -3,47 +3,143 @@ const loginTab = document.getElementById('login-tab');
 const createAccountTab = document.getElementById('create-account-tab');
 const logonForm = document.getElementById('logon-form');
 const createAccountForm = document.getElementById('create-account-form');
+const forgotForm = document.getElementById('forgot-form');
+const resetForm = document.getElementById('reset-form');
+const mfaForm = document.getElementById('mfa-form');
 const messageEl = document.getElementById('message');
+const resendBtn = document.getElementById('resend-btn');
 
-loginTab.addEventListener('click', () => {
-    logonForm.classList.add('active-form');
-    createAccountForm.classList.remove('active-form');
-    loginTab.classList.add('active');
-    createAccountTab.classList.remove('active');
-});
+const forms = [logonForm, createAccountForm, forgotForm, resetForm, mfaForm];
+
+// shows one form; the tabs only light up for login / create account
+function showForm(form) {
+    forms.forEach((f) => f.classList.toggle('active-form', f === form));
+    loginTab.classList.toggle('active', form === logonForm);
+    createAccountTab.classList.toggle('active', form === createAccountForm);
+}
+
+function showMessage(text, kind = 'error') {
+    messageEl.textContent = text;
+    messageEl.classList.remove('error', 'success');
+    if (text) messageEl.classList.add(kind);
+}
+
+async function postJSON(url, body) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+    });
+    return { ok: response.ok, result: await response.json() };
+}
 
-createAccountTab.addEventListener('click', () => {
-    createAccountForm.classList.add('active-form');
-    logonForm.classList.remove('active-form');
-    createAccountTab.classList.add('active');
-    loginTab.classList.remove('active');
+// after too many failed tries the server says how long to wait
+// (result.retryAfter, in seconds); keep the button off until then
+function holdSubmit(form, seconds) {
+    const button = form.querySelector('button[type="submit"]');
+    button.disabled = true;
+    setTimeout(() => { button.disabled = false; }, seconds * 1000);
+}
+
+loginTab.addEventListener('click', () => showForm(logonForm));
+createAccountTab.addEventListener('click', () => showForm(createAccountForm));
+
+document.getElementById('forgot-link').addEventListener('click', () => {
+    document.getElementById('forgot-email').value = document.getElementById('login-email').value;
+    showMessage('');
+    showForm(forgotForm);
 });
 
+document.querySelectorAll('.back-to-login').forEach((btn) =>
+    btn.addEventListener('click', () => {
+        showMessage('');
+        showForm(logonForm);
+    })
+);
+
 // Logon form submission
 logonForm.addEventListener('submit', async (event) => {
     event.preventDefault();
     const email = document.getElementById('login-email').value;
     const password = document.getElementById('login-password').value;
+    resendBtn.hidden = true;
 
     try {
-        const response = await fetch('/api/login', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ email, password }),
-        });
-
-        const result = await response.json();
-        if (response.ok) {
-            localStorage.setItem('token', result.token);
+        const { ok, result } = await postJSON('/api/login', { email, password });
+        if (ok && result.mfaRequired) {
+            startSecondStep(result.mfaToken);
+        } else if (ok) {
+            Session.store(result);
             window.location.href = '/dashboard';
         } else {
-            messageEl.textContent = result.message;
-            messageEl.classList.add('error');
+            showMessage(result.message);
+            resendBtn.hidden = result.code !== 'EMAIL_NOT_VERIFIED';
+            if (result.retryAfter) holdSubmit(logonForm, result.retryAfter);
         }
     } catch (error) {
         console.error('Error:', error);
-        messageEl.textContent = 'An error occurred. Please try again later.';
-        messageEl.classList.add('error');
+        showMessage('An error occurred. Please try again later.');
+    }
+});
+
+// Second login step: a code from the authenticator app, or a recovery code
+let mfaToken = null;
+let useRecoveryCode = false;
+
+function setRecoveryMode(on) {
+    useRecoveryCode = on;
+    const input = document.getElementById('mfa-code');
+    input.value = '';
+    input.placeholder = on ? 'xxxx-xxxx' : '123456';
+    input.inputMode = on ? 'text' : 'numeric';
+    document.getElementById('mfa-label').textContent = on ? 'Recovery code:' : 'Code:';
+    document.getElementById('mfa-hint').textContent = on
+        ? 'Enter one of the recovery codes you saved. Each code works once.'
+        : 'Enter the 6-digit code from your authenticator app.';
+    document.getElementById('mfa-switch').textContent = on
+        ? 'Use a code from my app instead'
+        : 'Use a recovery code instead';
+}
+
+function startSecondStep(token) {
+    mfaToken = token;
+    setRecoveryMode(false);
+    showMessage('');
+    showForm(mfaForm);
+    document.getElementById('mfa-code').focus();
+}
+
+document.getElementById('mfa-switch').addEventListener('click', () => setRecoveryMode(!useRecoveryCode));
+
+mfaForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const value = document.getElementById('mfa-code').value.trim();
+    const body = useRecoveryCode ? { mfaToken, recoveryCode: value } : { mfaToken, code: value };
+
+    try {
+        const { ok, result } = await postJSON('/api/login/mfa', body);
+        if (ok) {
+            Session.store(result);
+            window.location.href = '/dashboard';
+        } else {
+            showMessage(result.message);
+            if (result.retryAfter) holdSubmit(mfaForm, result.retryAfter);
+        }
+    } catch (error) {
+        console.error('Error:', error);
+        showMessage('An error occurred. Please try again later.');
+    }
+});
+
+resendBtn.addEventListener('click', async () => {
+    const email = document.getElementById('login-email').value;
+    try {
+        const { result } = await postJSON('/api/auth/resend-verification', { email });
+        showMessage(result.message, 'success');
+        resendBtn.hidden = true;
+    } catch (error) {
+        console.error('Error:', error);
+        showMessage('An error occurred. Please try again later.');
     }
 });
 
@@ -54,29 +150,82 @@ createAccountForm.addEventListener('submit', async (event) => {
     const password = document.getElementById('create-password').value;
 
     try {
-        const response = await fetch('/api/create-account', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ email, password }),
-        });
-
-        const result = await response.json();
-        if (response.ok) {
-            messageEl.textContent = 'Account created successfully! You can now log in.';
-            messageEl.classList.add('success');
+        const { ok, result } = await postJSON('/api/create-account', { email, password });
+        if (ok) {
+            showMessage(result.message, 'success');
             document.getElementById('login-email').value = email;
-            document.getElementById('login-password').value = password;
-            logonForm.classList.add('active-form');
-            createAccountForm.classList.remove('active-form');
-            loginTab.classList.add('active');
-            createAccountTab.classList.remove('active');
+            showForm(logonForm);
         } else {
-            messageEl.textContent = result.message;
-            messageEl.classList.add('error');
+            showMessage(result.message);
         }
     } catch (error) {
         console.error('Error:', error);
-        messageEl.textContent = 'An error occurred. Please try again later.';
-        messageEl.classList.add('error');
+        showMessage('An error occurred. Please try again later.');
     }
-});
\ No newline at end of file
+});
+
+// Forgot password form submission
+forgotForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const email = document.getElementById('forgot-email').value;
+
+    try {
+        const { result } = await postJSON('/api/auth/forgot-password', { email });
+        showMessage(result.message, 'success');
+    } catch (error) {
+        console.error('Error:', error);
+        showMessage('An error occurred. Please try again later.');
+    }
+});
+
+// Reset password form submission (token comes from the emailed link)
+const params = new URLSearchParams(window.location.search);
+const resetToken = params.get('reset');
+
+resetForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const password = document.getElementById('reset-password').value;
+    if (password !== document.getElementById('reset-confirm').value)
+        return showMessage('The passwords do not match.');
+
+    try {
+        const { ok, result } = await postJSON('/api/auth/reset-password', { token: resetToken, password });
+        if (ok) {
+            Session.clear();
+            showMessage(result.message, 'success');
+            document.getElementById('login-email').value = result.email || '';
+            showForm(logonForm);
+        } else {
+            showMessage(result.message);
+        }
+    } catch (error) {
+        console.error('Error:', error);
+        showMessage('An error occurred. Please try again later.');
+    }
+});
+
+// Links from emails: /?verify=<token>, /?reset=<token> or /?change-email=<token>
+async function handleEmailLink() {
+    const link = params.has('verify')
+        ? ['/api/auth/verify-email', params.get('verify')]
+        : params.has('change-email')
+            ? ['/api/auth/confirm-email-change', params.get('change-email')]
+            : null;
+    if (!link && !resetToken) return;
+    // keep the token out of the history and out of reloads
+    history.replaceState(null, '', window.location.pathname);
+
+    if (resetToken) return showForm(resetForm);
+
+    try {
+        const [url, token] = link;
+        const { ok, result } = await postJSON(url, { token });
+        showMessage(result.message, ok ? 'success' : 'error');
+        if (ok) document.getElementById('login-email').value = result.email;
+    } catch (error) {
+        console.error('Error:', error);
+        showMessage('An error occurred. Please try again later.');
+    }
+}
+
+handleEmailLink();
@@ -0,0 +1,82 @@
+// ======================= money.js =======================
+// Formats and reads amounts in the user's locale and currency (load
+// after session.js). Preferences come from /api/preferences: the user's
+// locale and the currency of the budget being viewed, which reports and
+// budgets are converted into. Pages wait for Money.ready before their
+// first render.
+"use strict";
+
+const Money = (function () {
+  let prefs = {
+    locale: navigator.language || "en-US",
+    currency: "USD",
+    baseCurrency: "USD",
+    currencies: ["USD"],
+  };
+  const formatters = new Map();
+
+  async function load() {
+    try {
+      const r = await Session.apiFetch("/api/preferences");
+      if (r.ok) prefs = { ...prefs, ...(await r.json()) };
+    } catch (err) {
+      console.error(err);
+    }
+    return prefs;
+  }
+
+  const ready = Session.getToken() ? load() : Promise.resolve(prefs);
+
+  // "$1,234.50" / "1.234,50 €" for `currency` (default: the budget's)
+  function format(amount, currency = prefs.currency) {
+    const key = currency || prefs.currency;
+    if (!formatters.has(key))
+      formatters.set(
+        key,
+        new Intl.NumberFormat(prefs.locale, { style: "currency", currency: key })
+      );
+    return formatters.get(key).format(Number(amount) || 0);
+  }
+
+  // a drop-in for the pages' Intl.NumberFormat: { format(n) }
+  function formatter(currency) {
+    return { format: (amount) => format(amount, currency) };
+  }
+
+  // reads back what format() wrote, whatever the locale's separators
+  function parse(text) {
+    const decimal =
+      new Intl.NumberFormat(prefs.locale).formatToParts(1.5).find((p) => p.type === "decimal")
+        ?.value || ".";
+    const cleaned = String(text || "")
+      .replace(new RegExp(`[^0-9\\-${decimal === "." ? "\\." : decimal}]`, "g"), "")
+      .replace(decimal, ".");
+    const n = Number(cleaned);
+    return Number.isFinite(n) ? n : 0;
+  }
+
+  // fills a <select> with the currencies to offer, `selected` picked
+  function fillSelect(select, selected = prefs.currency) {
+    if (!select) return;
+    select.innerHTML = "";
+    new Set([selected, ...prefs.currencies]).forEach((code) => {
+      const opt = document.createElement("option");
+      opt.value = code;
+      opt.textContent = code;
+      select.appendChild(opt);
+    });
+    select.value = selected;
+  }
+
+  return {
+    ready,
+    format,
+    formatter,
+    parse,
+    fillSelect,
+    currency: () => prefs.currency,
+    baseCurrency: () => prefs.baseCurrency,
+    locale: () => prefs.locale,
+    currencies: () => prefs.currencies,
+  };
+})();
@@ -0,0 +1,146 @@
+// ===================== notifications.js =====================
+// The notification bell in the sidebar (load it after session.js):
+// the unread count for the budget being viewed, and a panel listing the
+// latest alerts. Opening one marks it read and goes to its page. The
+// count is fetched again every minute while the tab is in view, and
+// pages call Notifications.refresh() after saving something that may
+// have raised an alert.
+"use strict";
+
+const Notifications = (function () {
+  const REFRESH_MS = 60 * 1000;
+  let items = [];
+  let unread = 0;
+
+  async function api(path, options = {}) {
+    const r = await Session.apiFetch(path, {
+      ...options,
+      headers: { "Content-Type": "application/json", ...(options.headers || {}) },
+    });
+    if (!r.ok) throw new Error("Request failed");
+    return r.status === 204 ? {} : r.json();
+  }
+
+  // "5 min ago", "3 h ago", else the date
+  function when(value) {
+    const d = new Date(value);
+    if (isNaN(d)) return "";
+    const minutes = Math.round((Date.now() - d) / 60000);
+    if (minutes < 1) return "just now";
+    if (minutes < 60) return `${minutes} min ago`;
+    if (minutes < 24 * 60) return `${Math.round(minutes / 60)} h ago`;
+    return d.toLocaleDateString();
+  }
+
+  function renderCount() {
+    const badge = document.getElementById("bellCount");
+    if (!badge) return;
+    badge.textContent = unread > 99 ? "99+" : String(unread);
+    badge.hidden = unread === 0;
+    document
+      .getElementById("bellButton")
+      .setAttribute("aria-label", unread ? `Notifications (${unread} unread)` : "Notifications");
+  }
+
+  function renderList() {
+    const list = document.getElementById("bellList");
+    list.innerHTML = "";
+    if (!items.length) {
+      list.innerHTML = '<p class="bell-empty">No notifications yet.</p>';
+      return;
+    }
+    items.forEach((n) => {
+      const row = document.createElement("button");
+      row.type = "button";
+      row.className = n.read ? "bell-item" : "bell-item unread";
+      row.innerHTML = `
+        <span class="bell-item-title"></span>
+        <span class="bell-item-body"></span>
+        <span class="bell-item-when">${when(n.createdAt)}</span>`;
+      row.querySelector(".bell-item-title").textContent = n.title;
+      row.querySelector(".bell-item-body").textContent = n.body || "";
+      row.addEventListener("click", () => open(n));
+      list.appendChild(row);
+    });
+  }
+
+  async function refresh() {
+    if (!document.getElementById("notificationBell") || !Session.getToken()) return;
+    const data = await api("/api/notifications?limit=20");
+    items = data.items;
+    unread = data.unread;
+    renderCount();
+    if (!document.getElementById("bellPanel").hidden) renderList();
+  }
+
+  async function open(n) {
+    if (!n.read) {
+      await api(`/api/notifications/${n.id}`, {
+        method: "PATCH",
+        body: JSON.stringify({ read: true }),
+      }).catch((err) => console.error(err));
+    }
+    if (n.link && n.link !== location.pathname) return (location.href = n.link);
+    await refresh();
+  }
+
+  async function markAllRead() {
+    await api("/api/notifications/read-all", { method: "POST" });
+    await refresh();
+  }
+
+  function togglePanel(show) {
+    const panel = document.getElementById("bellPanel");
+    panel.hidden = !show;
+    document.getElementById("bellButton").setAttribute("aria-expanded", String(show));
+    if (show) {
+      renderList();
+      refresh().catch((err) => console.error(err));
+    }
+  }
+
+  function render() {
+    const box = document.getElementById("notificationBell");
+    if (!box || !Session.getToken()) return;
+
+    box.innerHTML = `
+      <button type="button" class="bell-button" id="bellButton" aria-expanded="false"
+              aria-controls="bellPanel" aria-label="Notifications">
+        <i class="bx bx-bell"></i><span>Notifications</span>
+        <span class="bell-count" id="bellCount" hidden>0</span>
+      </button>
+      <div class="bell-panel" id="bellPanel" hidden>
+        <div class="bell-head">
+          <strong>Notifications</strong>
+          <button type="button" class="bell-link" id="bellReadAll">Mark all read</button>
+        </div>
+        <div class="bell-list" id="bellList"></div>
+        <a class="bell-link bell-settings" href="/settings#alerts">Alert settings</a>
+      </div>`;
+    box.hidden = false;
+
+    document.getElementById("bellButton").addEventListener("click", (e) => {
+      e.stopPropagation();
+      togglePanel(document.getElementById("bellPanel").hidden);
+    });
+    document
+      .getElementById("bellReadAll")
+      .addEventListener("click", () => markAllRead().catch((err) => console.error(err)));
+    // clicks outside the panel close it
+    document.addEventListener("click", (e) => {
+      if (!box.contains(e.target)) togglePanel(false);
+    });
+    document.addEventListener("visibilitychange", () => {
+      if (!document.hidden) refresh().catch((err) => console.error(err));
+    });
+    setInterval(() => {
+      if (!document.hidden) refresh().catch((err) => console.error(err));
+    }, REFRESH_MS);
+
+    refresh().catch((err) => console.error(err));
+  }
+
+  document.addEventListener("DOMContentLoaded", render);
+
+  return { refresh };
+})();
@@ -6,8 +6,10 @@
    - renders income trend, budget vs actual, expense doughnut
    - renders full-width budget-usage bar (was duplicate spending pie)
    - updates KPIs
+   - for a household: who spent what, and a filter to one member
+   - debt payoff plans (snowball, avalanche, custom) from /api/debts/plan
    - exports to Excel (SheetJS)
-   - relies on /api/reports and /api/budgets
+   - relies on /api/reports, /api/budgets and /api/transactions
 */
 
 const getToken = () =>
@@ -15,10 +17,8 @@ const getToken = () =>
 const auth = () =>
   getToken() ? { Authorization: "Bearer " + getToken() } : {};
 
-const currencyFmt = new Intl.NumberFormat("en-US", {
-  style: "currency",
-  currency: "USD",
-});
+// the budget's currency in the user's locale (js/money.js)
+const currencyFmt = Money.formatter();
 
 // Chart handles
 let spendingChart = null;
@@ -27,50 +27,80 @@ let budgetVsActualChart = null;
 let expenseDoughnutChart = null;
 let spendingChartFull = null;
 
-// Category color logic (copied from budget.js)
-const categoryColors = {};
+// Category color logic (same as budget.js): stored color, else a stable
+// name-based fallback
+const categoryColors = {}; // {category: "#RRGGBB"} from /api/categories
 function getCategoryColor(category) {
-  const preset = {
-    Rent: "#00A878",
-    Other: "#2274A5",
-    Utilities: "#F75C03",
-    "Food/Groceries": "#8C4F7F",
-    Transportation: "#FFB400",
-  };
-  if (preset[category]) return preset[category];
-  if (!categoryColors[category]) {
-    const letters = "456789ABCDEF";
-    let c = "#";
-    for (let i = 0; i < 6; i++)
-      c += letters[Math.floor(Math.random() * letters.length)];
-    categoryColors[category] = c;
+  if (categoryColors[category]) return categoryColors[category];
+
+  const palette = [
+    "#0EA5E9", "#A855F7", "#EAB308", "#14B8A6", "#F43F5E",
+    "#6366F1", "#84CC16", "#F97316", "#64748B", "#D946EF",
+  ];
+  let hash = 0;
+  for (const ch of String(category)) hash = (hash * 31 + ch.charCodeAt(0)) | 0;
+  return palette[Math.abs(hash) % palette.length];
+}
+
+// Period picker (+ household member filter) -> query params for /api/reports
+function getReportParams() {
+  const period = document.getElementById("periodSelect")?.value || "month";
+  const member = document.getElementById("memberSelect")?.value;
+  const params = member ? { member } : {};
+  if (period === "all") return params;
+  if (period === "custom") {
+    const from = document.getElementById("fromDate")?.value;
+    const to = document.getElementById("toDate")?.value;
+    if (from) params.from = from;
+    if (to) params.to = to;
+    return params;
   }
-  return categoryColors[category];
+  return { ...params, period };
 }
 
 // API helpers
-async function apiGetReport() {
-  const r = await fetch("/api/reports", { headers: auth() });
-  if (r.status === 401) {
-    localStorage.clear();
-    location.href = "/";
-  }
+async function apiGetReport(params = {}) {
+  const qs = new URLSearchParams(params).toString();
+  const r = await Session.apiFetch("/api/reports" + (qs ? "?" + qs : ""), {
+    headers: auth(),
+  });
+  if (r.status === 401) return Session.logout();
   return r.json();
 }
-async function apiListBudgets() {
-  const r = await fetch("/api/budgets", { headers: auth() });
-  if (r.status === 401) {
-    localStorage.clear();
-    location.href = "/";
+async function apiLoadCategoryColors() {
+  try {
+    const r = await Session.apiFetch("/api/categories", { headers: auth() });
+    if (!r.ok) return;
+    const data = await r.json();
+    (data.items || []).forEach((c) => (categoryColors[c.name] = c.color));
+  } catch (e) {
+    /* fall back to name-based colors */
   }
+}
+async function apiListBudgets() {
+  const r = await Session.apiFetch("/api/budgets", { headers: auth() });
+  if (r.status === 401) return Session.logout();
   const data = await r.json();
   return data.items || [];
 }
+// pages through /api/transactions and returns every row (or null on failure)
 async function apiTryTransactions() {
   try {
-    const r = await fetch("/api/transactions", { headers: auth() });
-    if (!r.ok) return null;
-    return await r.json();
+    const items = [];
+    let offset = 0;
+    let hasMore = true;
+    while (hasMore) {
+      const r = await Session.apiFetch(
+        `/api/transactions?sort=date&order=asc&limit=500&offset=${offset}`,
+        { headers: auth() }
+      );
+      if (!r.ok) return null;
+      const page = await r.json();
+      items.push(...(page.items || []));
+      offset += (page.items || []).length;
+      hasMore = page.hasMore && (page.items || []).length > 0;
+    }
+    return items;
   } catch (e) {
     return null;
   }
@@ -101,7 +131,7 @@ function renderKPIs(totals = {}, budgetsArray = []) {
 }
 
 // Spending pie (small left) – actual spending by category
-function renderSpendingPie(expCats = [], budgetsObj = {}) {
+function renderSpendingPie(expCats = [], envelopesObj = {}) {
   const ctx = document
     .getElementById("reportSpendingChart")
     ?.getContext("2d");
@@ -127,18 +157,20 @@ function renderSpendingPie(expCats = [], budgetsObj = {}) {
             label: (ctx) => {
               const cat = ctx.label;
               const spent = Number(ctx.raw || 0);
-              const budget = budgetsObj[cat] || null;
-              if (!budget)
+              const env = envelopesObj[cat] || null;
+              if (!env)
                 return `${cat}: ${currencyFmt.format(
                   spent
                 )} (Budget not set)`;
-              const remaining = budget - spent;
-              return [
+              const lines = [
                 `${cat}`,
                 `Spent: ${currencyFmt.format(spent)}`,
-                `Budget: ${currencyFmt.format(budget)}`,
-                `Remaining: ${currencyFmt.format(remaining)}`,
+                `Budget: ${currencyFmt.format(env.budgeted)}`,
               ];
+              if (env.carriedIn)
+                lines.push(`Carried in: ${currencyFmt.format(env.carriedIn)}`);
+              lines.push(`Available: ${currencyFmt.format(env.available)}`);
+              return lines;
             },
           },
         },
@@ -153,7 +185,7 @@ function renderSpendingPie(expCats = [], budgetsObj = {}) {
 
 // Full-width Budget Usage by Category (%) – Polar Area chart so it
 // feels visually different from the Budget vs Actual bar chart.
-function renderSpendingPieFull(expCats = [], budgetsObj = {}) {
+function renderSpendingPieFull(expCats = [], envelopesObj = {}) {
   const ctx = document
     .getElementById("reportSpendingChartFull")
     ?.getContext("2d");
@@ -163,8 +195,11 @@ function renderSpendingPieFull(expCats = [], budgetsObj = {}) {
   const labels = expCats.map((c) => c.category);
   const spent = expCats.map((c) => Number(c.total || 0));
 
-  // Budget per category (from budgetsObj)
-  const budgets = labels.map((cat) => Number(budgetsObj[cat] || 0));
+  // Money available to spend per category: budget plus whatever carried in
+  const budgets = labels.map((cat) => {
+    const env = envelopesObj[cat];
+    return env ? env.budgeted + env.carriedIn : 0;
+  });
 
   // Percent of budget used (0 if no budget set)
   const usage = labels.map((cat, i) => {
@@ -323,7 +358,11 @@ function renderBudgetVsActual(
     return Number(b.total || b.amount || 0);
   });
 
+  // budget rows carry their own spending, which includes subcategories
+  // when the budget is on a parent category
   const actualVals = cats.map((cat) => {
+    const b = (budgetsByCategory || []).find((b) => b.category === cat);
+    if (b && b.spent !== undefined) return Number(b.spent);
     const e =
       (expensesByCategory || []).find((e) => e.category === cat) || {};
     return Number(e.total || 0);
@@ -405,14 +444,40 @@ function renderBudgetVsActual(
   window.reportCharts.budgetVsActual = budgetVsActualChart;
 }
 
-// Expense doughnut – % of total expenses by category
-function renderExpenseDoughnut(expCats = []) {
+// Expense doughnut – % of total expenses by category. Leaf rows are
+// grouped under their parent category; clicking a parent slice that has
+// subcategories shows just those, and the back button returns.
+function renderExpenseDoughnut(expCats = [], drilledInto = null) {
   const ctx = document
     .getElementById("reportExpenseDoughnut")
     ?.getContext("2d");
   if (!ctx) return;
-  const labels = expCats.map((c) => c.category);
-  const values = expCats.map((c) => Number(c.total || 0));
+
+  const backBtn = document.getElementById("doughnutBackBtn");
+  if (backBtn) {
+    backBtn.hidden = !drilledInto;
+    backBtn.textContent = drilledInto ? `← ${drilledInto}` : "";
+    backBtn.onclick = () => renderExpenseDoughnut(expCats);
+  }
+
+  const groups = {};
+  expCats.forEach((c) => {
+    const parent = c.parent || c.category;
+    const g = (groups[parent] = groups[parent] || { total: 0, children: [] });
+    g.total += Number(c.total || 0);
+    g.children.push(c);
+  });
+  const slices = drilledInto
+    ? groups[drilledInto].children.map((c) => ({
+        category: c.category,
+        total: Number(c.total || 0),
+      }))
+    : Object.entries(groups)
+        .map(([category, g]) => ({ category, total: g.total }))
+        .sort((a, b) => b.total - a.total);
+
+  const labels = slices.map((c) => c.category);
+  const values = slices.map((c) => c.total);
   const colors = labels.map(getCategoryColor);
   if (expenseDoughnutChart) expenseDoughnutChart.destroy();
   expenseDoughnutChart = new Chart(ctx, {
@@ -422,6 +487,13 @@ function renderExpenseDoughnut(expCats = []) {
       datasets: [{ data: values, backgroundColor: colors, hoverOffset: 8 }],
     },
     options: {
+      onClick: (_evt, elements) => {
+        if (drilledInto || !elements.length) return;
+        const category = labels[elements[0].index];
+        const children = groups[category].children;
+        if (children.length > 1 || children[0].category !== category)
+          renderExpenseDoughnut(expCats, category);
+      },
       plugins: {
         legend: { position: "right" },
         tooltip: {
@@ -455,6 +527,8 @@ async function exportReportToExcel(report = {}, budgetsArray = []) {
   const totals = report.totals || {};
   const kpiRows = [
     ["Metric", "Value"],
+    ["From", report.range?.from || ""],
+    ["To", report.range?.to || ""],
     ["Total Income", totals.income || 0],
     ["Total Expenses", totals.expenses || 0],
     [
@@ -501,7 +575,10 @@ async function exportReportToExcel(report = {}, budgetsArray = []) {
     []
   ).map((b) => ({
     Category: b.category,
-    Amount: Number(b.total || b.amount || 0),
+    Budgeted: Number(b.total || b.amount || 0),
+    CarriedIn: Number(b.carriedIn || 0),
+    Spent: Number(b.spent || 0),
+    Available: Number(b.available || 0),
   }));
   if (budRows.length)
     XLSX.utils.book_append_sheet(
@@ -510,6 +587,51 @@ async function exportReportToExcel(report = {}, budgetsArray = []) {
       "Budgets"
     );
 
+  // Tags
+  const tagRows = (report.byTag || []).map((t) => ({
+    Tag: t.tag,
+    Income: Number(t.income || 0),
+    Expenses: Number(t.expenses || 0),
+    Net: Number(t.net || 0),
+    Transactions: t.count,
+  }));
+  if (tagRows.length)
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(tagRows), "Tags");
+
+  // Debt payoff: every plan's summary, and the picked plan month by month
+  const debtPlan = window.__lastDebtPlan;
+  if (debtPlan?.debts?.length) {
+    const planRows = debtPlan.plans.map((p) => ({
+      Plan: PLAN_LABELS[p.strategy],
+      ExtraPerMonth: p.extra,
+      MonthlyBudget: p.monthlyBudget,
+      DebtFreeBy: p.payoffMonth || "",
+      Months: p.months ?? "",
+      TotalInterest: p.totalInterest,
+      TotalPaid: p.totalPaid,
+    }));
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(planRows), "DebtPlans");
+
+    const strategy = document.getElementById("debtStrategy")?.value || "avalanche";
+    const picked = debtPlan.plans.find((p) => p.strategy === strategy);
+    const names = Object.fromEntries(debtPlan.debts.map((d) => [d.id, d.name]));
+    const scheduleRows = (picked?.schedule || []).flatMap((m) =>
+      m.debts.map((d) => ({
+        Month: m.month,
+        Debt: names[d.id] || d.id,
+        Payment: d.payment,
+        Interest: d.interest,
+        Balance: d.balance,
+      }))
+    );
+    if (scheduleRows.length)
+      XLSX.utils.book_append_sheet(
+        wb,
+        XLSX.utils.json_to_sheet(scheduleRows),
+        "DebtSchedule"
+      );
+  }
+
   // Optional transactions sheet
   try {
     const tx = await apiTryTransactions();
@@ -518,6 +640,10 @@ async function exportReportToExcel(report = {}, budgetsArray = []) {
         Date: t.date || t.createdAt || "",
         Type: t.type || t.kind || "",
         Category: t.category || t.source || "",
+        Description: t.description || "",
+        Notes: t.notes || "",
+        Tags: (t.tags || []).join(", "),
+        Cadence: t.cadence || "",
         Amount: Number(t.amount || 0),
       }));
       if (txRows.length)
@@ -546,20 +672,298 @@ async function exportReportToExcel(report = {}, budgetsArray = []) {
   XLSX.writeFile(wb, filename);
 }
 
+// amounts in currencies without an exchange rate are left out;
+// say which ones so the totals can be read with care
+function renderCurrencyNote(info) {
+  const note = document.getElementById("currencyNote");
+  if (!note) return;
+  const missing = info?.missing || [];
+  note.hidden = !missing.length;
+  note.textContent = missing.length
+    ? `No exchange rate to ${info.code} for ${missing.join(", ")}: those amounts are left out.`
+    : "";
+}
+
+// Household reports: one row per member who added transactions, and
+// the member filter's options (kept while a member is picked)
+function renderByMember(byMember) {
+  const card = document.getElementById("byMemberCard");
+  const select = document.getElementById("memberSelect");
+  card.hidden = !byMember;
+  select.hidden = !byMember;
+  if (!byMember) return;
+
+  const totalSpent = byMember.reduce((s, m) => s + m.expenses, 0);
+  const tbody = document.querySelector("#byMemberTable tbody");
+  tbody.innerHTML = "";
+  byMember.forEach((m) => {
+    const tr = document.createElement("tr");
+    const share = totalSpent ? Math.round((m.expenses / totalSpent) * 100) : 0;
+    tr.innerHTML = `
+      <td></td>
+      <td>${currencyFmt.format(m.income)}</td>
+      <td>${currencyFmt.format(m.expenses)}</td>
+      <td>${currencyFmt.format(m.net)}</td>
+      <td>${share}%</td>`;
+    tr.children[0].textContent = m.email || "Former member";
+    tbody.appendChild(tr);
+  });
+
+  const picked = select.value;
+  select.innerHTML = '<option value="">Everyone</option>';
+  byMember
+    .filter((m) => m.email)
+    .forEach((m) => select.add(new Option(m.email, m.email)));
+  select.value = picked;
+}
+
+// Tags: one row per tag used in the period, with the categories its
+// expenses went to (largest first)
+function renderByTag(byTag = []) {
+  const card = document.getElementById("byTagCard");
+  card.hidden = !byTag.length;
+  const tbody = document.querySelector("#byTagTable tbody");
+  tbody.innerHTML = "";
+  byTag.forEach((t) => {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td></td>
+      <td>${currencyFmt.format(t.income)}</td>
+      <td>${currencyFmt.format(t.expenses)}</td>
+      <td>${currencyFmt.format(t.net)}</td>
+      <td class="tag-categories"></td>`;
+    tr.children[0].textContent = `#${t.tag}`;
+    tr.children[4].textContent = t.byCategory
+      .slice(0, 3)
+      .map((c) => `${c.category} ${currencyFmt.format(c.total)}`)
+      .join(", ");
+    tbody.appendChild(tr);
+  });
+}
+
+// Debt payoff planner: the debts, then every strategy's plan from
+// /api/debts/plan. The extra amount starts at the suggested one (the
+// recent average net) until the user types their own.
+const DEBT_TYPE_LABELS = {
+  credit_card: "Credit card",
+  loan: "Loan",
+  mortgage: "Mortgage",
+  student_loan: "Student loan",
+  other: "Other",
+};
+const PLAN_LABELS = { avalanche: "Avalanche", snowball: "Snowball", custom: "Custom order" };
+const PLAN_COLORS = { avalanche: "#2274A5", snowball: "#F97316", custom: "#A855F7" };
+let debtPayoffChart = null;
+
+async function debtRequest(path, options = {}) {
+  const r = await Session.apiFetch(path, {
+    ...options,
+    headers: { "Content-Type": "application/json", ...auth() },
+  });
+  if (r.status === 401) return Session.logout();
+  const body = r.status === 204 ? {} : await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(body.message || "Request failed");
+  return body;
+}
+
+const formatMonth = (ym) =>
+  ym
+    ? new Date(`${ym}-01T00:00:00`).toLocaleDateString(Money.locale(), {
+        month: "short",
+        year: "numeric",
+      })
+    : "Not with this budget";
+
+function renderDebtTable(debts) {
+  const tbody = document.querySelector("#debtTable tbody");
+  tbody.innerHTML = "";
+  if (!debts.length)
+    tbody.innerHTML = '<tr><td colspan="7">No debts yet. Add your loans and cards below.</td></tr>';
+  debts.forEach((d) => {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td></td>
+      <td>${DEBT_TYPE_LABELS[d.type] || d.type}</td>
+      <td>${currencyFmt.format(d.balance)}</td>
+      <td>${d.apr}%</td>
+      <td>${currencyFmt.format(d.minimumPayment)}</td>
+      <td><input type="number" class="debt-order" min="1" step="1" aria-label="Custom order" /></td>
+      <td><button type="button" class="link-btn">Delete</button></td>`;
+    tr.children[0].textContent = d.name;
+    const order = tr.querySelector(".debt-order");
+    order.value = d.payoffOrder ?? "";
+    order.addEventListener("change", () =>
+      updateDebt(d.id, { payoff_order: order.value === "" ? null : Number(order.value) })
+    );
+    tr.querySelector(".link-btn").addEventListener("click", () => deleteDebt(d));
+    tbody.appendChild(tr);
+  });
+}
+
+// remaining balance month by month, one line per plan
+function renderDebtChart(plans) {
+  const ctx = document.getElementById("debtPayoffChart")?.getContext("2d");
+  if (!ctx) return;
+  const longest = plans.reduce((a, p) => (p.schedule.length > a.schedule.length ? p : a));
+  const labels = longest.schedule.map((m) => m.month);
+  if (debtPayoffChart) debtPayoffChart.destroy();
+  debtPayoffChart = new Chart(ctx, {
+    type: "line",
+    data: {
+      labels,
+      datasets: plans.map((p) => ({
+        label: PLAN_LABELS[p.strategy],
+        data: labels.map((_, i) => p.schedule[i]?.balance ?? 0),
+        borderColor: PLAN_COLORS[p.strategy],
+        backgroundColor: "transparent",
+        tension: 0.2,
+        borderWidth: 2,
+        pointRadius: 0,
+      })),
+    },
+    options: {
+      scales: {
+        y: { ticks: { callback: (v) => currencyFmt.format(v) }, beginAtZero: true },
+      },
+      plugins: {
+        tooltip: {
+          callbacks: { label: (c) => ` ${c.dataset.label}: ${currencyFmt.format(c.parsed.y)}` },
+        },
+      },
+      responsive: true,
+      maintainAspectRatio: false,
+    },
+  });
+  window.reportCharts = window.reportCharts || {};
+  window.reportCharts.debtPayoff = debtPayoffChart;
+}
+
+function renderDebtPlan(data) {
+  const strategy = document.getElementById("debtStrategy").value;
+  const note = document.getElementById("debtNetNote");
+  note.textContent =
+    `Over the last ${data.net.months} months you kept ${currencyFmt.format(data.net.averageNet)}` +
+    ` a month on average, so the plans put ${currencyFmt.format(data.suggestedExtra)} extra` +
+    " toward debts unless you change it.";
+  renderDebtTable(data.debts);
+
+  const hasDebts = data.debts.some((d) => d.balance > 0);
+  document.getElementById("debtPlanControls").hidden = !data.debts.length;
+  document.getElementById("debtPlanResults").hidden = !hasDebts;
+  const extraInput = document.getElementById("debtExtra");
+  if (!extraInput.dataset.touched) extraInput.value = data.extra;
+  if (!hasDebts) return;
+
+  const plansBody = document.querySelector("#debtPlansTable tbody");
+  plansBody.innerHTML = "";
+  data.plans.forEach((p) => {
+    const tr = document.createElement("tr");
+    tr.classList.toggle("selected", p.strategy === strategy);
+    tr.innerHTML = `
+      <td>${PLAN_LABELS[p.strategy]}</td>
+      <td>${formatMonth(p.payoffMonth)}</td>
+      <td>${p.paidOff ? p.months : "—"}</td>
+      <td>${p.paidOff ? currencyFmt.format(p.totalInterest) : "—"}</td>`;
+    plansBody.appendChild(tr);
+  });
+
+  const picked = data.plans.find((p) => p.strategy === strategy);
+  const payoffBody = document.querySelector("#debtPayoffTable tbody");
+  payoffBody.innerHTML = "";
+  picked.debts.forEach((d) => {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${d.order}</td>
+      <td></td>
+      <td>${formatMonth(d.payoffMonth)}</td>
+      <td>${currencyFmt.format(d.interest)}</td>
+      <td>${currencyFmt.format(d.paid)}</td>`;
+    tr.children[1].textContent = d.name;
+    payoffBody.appendChild(tr);
+  });
+
+  renderDebtChart(data.plans);
+}
+
+async function loadDebtPlan() {
+  const extraInput = document.getElementById("debtExtra");
+  const qs =
+    extraInput.dataset.touched && extraInput.value !== ""
+      ? `?${new URLSearchParams({ extra: extraInput.value })}`
+      : "";
+  try {
+    const data = await debtRequest(`/api/debts/plan${qs}`);
+    if (!data) return;
+    window.__lastDebtPlan = data;
+    renderDebtPlan(data);
+  } catch (err) {
+    console.error("Failed to load debt plan:", err);
+  }
+}
+
+async function addDebt(e) {
+  e.preventDefault();
+  const body = {
+    name: document.getElementById("debtName").value.trim(),
+    type: document.getElementById("debtType").value,
+    balance: document.getElementById("debtBalance").value,
+    apr: document.getElementById("debtApr").value,
+    minimum_payment: document.getElementById("debtMinimum").value,
+  };
+  try {
+    await debtRequest("/api/debts", { method: "POST", body: JSON.stringify(body) });
+    e.target.reset();
+    await loadDebtPlan();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+async function updateDebt(id, body) {
+  try {
+    await debtRequest(`/api/debts/${id}`, { method: "PATCH", body: JSON.stringify(body) });
+    await loadDebtPlan();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+async function deleteDebt(d) {
+  if (!confirm(`Delete ${d.name}?`)) return;
+  try {
+    await debtRequest(`/api/debts/${d.id}`, { method: "DELETE" });
+    await loadDebtPlan();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
 // Master load
 async function loadReport() {
   try {
     const [report, budgetsArray] = await Promise.all([
-      apiGetReport(),
+      apiGetReport(getReportParams()),
       apiListBudgets(),
+      apiLoadCategoryColors(),
     ]);
-    const budgetsObj = {};
-    budgetsArray.forEach((b) => {
-      budgetsObj[b.category] = Number(b.amount || b.total || 0);
+    // envelopes for the selected period, as computed by /api/reports
+    const periodBudgets = report.budgets?.byCategory || budgetsArray || [];
+    const envelopesObj = {};
+    periodBudgets.forEach((b) => {
+      const budgeted = Number(b.total || b.amount || 0);
+      const carriedIn = Number(b.carriedIn || 0);
+      envelopesObj[b.category] = {
+        budgeted,
+        carriedIn,
+        available: Number(b.available ?? budgeted + carriedIn),
+      };
     });
 
-    renderKPIs(report.totals || {}, budgetsArray || []);
-    renderSpendingPie(report.expensesByCategory || [], budgetsObj); // left small – actual spending
+    renderKPIs(report.totals || {}, periodBudgets);
+    renderCurrencyNote(report.currency);
+    renderByMember(report.byMember || null);
+    renderByTag(report.byTag || []);
+    renderSpendingPie(report.expensesByCategory || [], envelopesObj); // left small – actual spending
     renderIncomeTrend(report.monthlyIncome || []);
     renderBudgetVsActual(
       report.budgets?.byCategory || budgetsArray || [],
@@ -568,7 +972,7 @@ async function loadReport() {
     renderExpenseDoughnut(report.expensesByCategory || []); // donut – % of total expenses
     renderSpendingPieFull(
       report.expensesByCategory || [],
-      budgetsObj
+      envelopesObj
     ); // bottom – budget usage % (horizontal)
 
     window.__lastReport = report;
@@ -580,11 +984,35 @@ async function loadReport() {
 }
 
 // Init
-document.addEventListener("DOMContentLoaded", () => {
+document.addEventListener("DOMContentLoaded", async () => {
+  await Money.ready;
   loadReport();
+  loadDebtPlan();
   document
     .getElementById("refreshButton")
-    ?.addEventListener("click", loadReport);
+    ?.addEventListener("click", () => {
+      loadReport();
+      loadDebtPlan();
+    });
+
+  document.getElementById("debtForm")?.addEventListener("submit", addDebt);
+  document.getElementById("debtExtra")?.addEventListener("change", (e) => {
+    e.target.dataset.touched = "1";
+    loadDebtPlan();
+  });
+  document.getElementById("debtStrategy")?.addEventListener("change", () => {
+    if (window.__lastDebtPlan) renderDebtPlan(window.__lastDebtPlan);
+  });
+
+  const periodSelect = document.getElementById("periodSelect");
+  periodSelect?.addEventListener("change", () => {
+    document.getElementById("customRange").hidden =
+      periodSelect.value !== "custom";
+    loadReport();
+  });
+  document.getElementById("fromDate")?.addEventListener("change", loadReport);
+  document.getElementById("memberSelect")?.addEventListener("change", loadReport);
+  document.getElementById("toDate")?.addEventListener("change", loadReport);
   document
     .getElementById("exportBtn")
     ?.addEventListener("click", () =>
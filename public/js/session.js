@@ -0,0 +1,113 @@
+// ======================= session.js =======================
+// Shared by every signed-in page (load it before the page script).
+// Access tokens only last 15 minutes: when an API call comes back
+// 401, apiFetch trades the refresh token for a new pair and retries
+// the call once. Refresh tokens are single-use, so every refresh
+// stores the new one. apiFetch also sends the household picked in the
+// sidebar switcher (X-Household-Id), so pages show that household's
+// data instead of the user's own.
+"use strict";
+
+const Session = (function () {
+  const ACCESS_KEY = "token";
+  const REFRESH_KEY = "refreshToken";
+  const HOUSEHOLD_KEY = "householdId";
+  let refreshing = null; // one refresh at a time; other 401s wait on it
+
+  function getToken() {
+    return localStorage.getItem(ACCESS_KEY) || localStorage.getItem("jwtToken") || "";
+  }
+
+  function authHeader() {
+    return getToken() ? { Authorization: "Bearer " + getToken() } : {};
+  }
+
+  // the household pages work on; "" means the user's own data
+  function householdId() {
+    return localStorage.getItem(HOUSEHOLD_KEY) || "";
+  }
+
+  function setHousehold(id) {
+    if (id) localStorage.setItem(HOUSEHOLD_KEY, String(id));
+    else localStorage.removeItem(HOUSEHOLD_KEY);
+  }
+
+  // keep the pair returned by /api/login or /api/auth/refresh
+  function store({ token, refreshToken }) {
+    if (token) localStorage.setItem(ACCESS_KEY, token);
+    if (refreshToken) localStorage.setItem(REFRESH_KEY, refreshToken);
+  }
+
+  function clear() {
+    localStorage.removeItem(ACCESS_KEY);
+    localStorage.removeItem("jwtToken");
+    localStorage.removeItem(REFRESH_KEY);
+    localStorage.removeItem(HOUSEHOLD_KEY);
+  }
+
+  function refresh() {
+    if (refreshing) return refreshing;
+
+    refreshing = (async () => {
+      const used = localStorage.getItem(REFRESH_KEY);
+      if (!used) return false;
+
+      const r = await fetch("/api/auth/refresh", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ refreshToken: used }),
+      });
+      if (r.ok) {
+        store(await r.json());
+        return true;
+      }
+      // another tab may have refreshed with the same token first
+      return localStorage.getItem(REFRESH_KEY) !== used;
+    })()
+      .catch(() => false)
+      .finally(() => {
+        refreshing = null;
+      });
+
+    return refreshing;
+  }
+
+  // fetch() with the current access token, refreshing it once on a 401
+  async function apiFetch(url, options = {}) {
+    const send = () =>
+      fetch(url, {
+        ...options,
+        headers: {
+          ...(options.headers || {}),
+          ...(householdId() ? { "X-Household-Id": householdId() } : {}),
+          ...authHeader(),
+        },
+      });
+
+    let r = await send();
+    if (r.status === 401 && (await refresh())) r = await send();
+    return r;
+  }
+
+  // revokes this session on the server, then forgets the tokens
+  async function logout() {
+    try {
+      if (getToken()) await apiFetch("/api/auth/logout", { method: "POST" });
+    } catch (e) {
+      console.error(e);
+    }
+    clear();
+    location.href = "/";
+  }
+
+  return {
+    getToken,
+    authHeader,
+    householdId,
+    setHousehold,
+    store,
+    clear,
+    apiFetch,
+    logout,
+  };
+})();
@@ -0,0 +1,667 @@
+// ======================= settings.js =======================
+// Account settings: email and password, base currency and number
+// format, alert rules and the alert digest, shared households and
+// their members, two-factor login, the list of signed-in sessions (sign out
+// one device or every other one), and downloading or deleting
+// everything stored for the account.
+"use strict";
+
+const $ = (s) => document.querySelector(s);
+
+// ---------------- API ----------------
+async function api(path, options = {}) {
+  const r = await Session.apiFetch(path, {
+    ...options,
+    headers: { "Content-Type": "application/json", ...(options.headers || {}) },
+  });
+  if (r.status === 401) return Session.logout();
+  const body = r.status === 204 ? {} : await r.json();
+  if (!r.ok) throw new Error(body.message || "Request failed");
+  return body;
+}
+
+// ---------------- SESSIONS ----------------
+function formatWhen(value) {
+  const d = new Date(value);
+  return isNaN(d) ? "" : d.toLocaleString();
+}
+
+// "Mozilla/5.0 (Macintosh; ...) Chrome/120..." -> "Chrome on Mac"
+function describeDevice(userAgent) {
+  const ua = userAgent || "";
+  const browser =
+    (/Edg\//.test(ua) && "Edge") ||
+    (/Chrome\//.test(ua) && "Chrome") ||
+    (/Firefox\//.test(ua) && "Firefox") ||
+    (/Safari\//.test(ua) && "Safari") ||
+    "Unknown browser";
+  const os =
+    (/Windows/.test(ua) && "Windows") ||
+    (/iPhone|iPad/.test(ua) && "iOS") ||
+    (/Mac OS X/.test(ua) && "Mac") ||
+    (/Android/.test(ua) && "Android") ||
+    (/Linux/.test(ua) && "Linux") ||
+    "";
+  return os ? `${browser} on ${os}` : browser;
+}
+
+async function loadSessions() {
+  const data = await api("/api/auth/sessions");
+  if (!data) return;
+
+  const tbody = $("#sessionsTable tbody");
+  tbody.innerHTML = "";
+  data.items.forEach((s) => {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td></td>
+      <td></td>
+      <td>${formatWhen(s.createdAt)}</td>
+      <td>${formatWhen(s.lastUsedAt)}</td>
+      <td>${
+        s.current
+          ? '<span class="badge">This device</span>'
+          : '<button type="button" class="delBtn">Sign out</button>'
+      }</td>`;
+    tr.children[0].textContent = describeDevice(s.userAgent);
+    tr.children[1].textContent = s.ip || "";
+    tr.querySelector(".delBtn")?.addEventListener("click", () => revokeSession(s.id));
+    tbody.appendChild(tr);
+  });
+}
+
+async function revokeSession(id) {
+  try {
+    await api(`/api/auth/sessions/${id}`, { method: "DELETE" });
+    await loadSessions();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+async function revokeOtherSessions() {
+  if (!confirm("Sign out on every other device?")) return;
+  try {
+    const result = await api("/api/auth/sessions", { method: "DELETE" });
+    if (!result) return;
+    alert(`Signed out ${result.revoked} other session(s).`);
+    await loadSessions();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+// ---------------- ACCOUNT ----------------
+async function loadAccount() {
+  const data = await api("/api/account");
+  if (!data) return;
+  $("#accountEmail").textContent = data.email;
+}
+
+async function changePassword(e) {
+  e.preventDefault();
+  if ($("#newPassword").value !== $("#confirmPassword").value)
+    return alert("The new passwords do not match.");
+  try {
+    const result = await api("/api/account/password", {
+      method: "POST",
+      body: JSON.stringify({
+        currentPassword: $("#currentPassword").value,
+        newPassword: $("#newPassword").value,
+      }),
+    });
+    if (!result) return;
+    $("#passwordForm").reset();
+    alert(result.message);
+    await loadSessions();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+async function changeEmail(e) {
+  e.preventDefault();
+  try {
+    const result = await api("/api/account/email", {
+      method: "POST",
+      body: JSON.stringify({
+        newEmail: $("#newEmail").value.trim(),
+        ...reauthBody("#emailPassword", "#emailCode"),
+      }),
+    });
+    if (!result) return;
+    $("#emailForm").reset();
+    alert(result.message);
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+// ---------------- CURRENCY + FORMAT ----------------
+// offered next to the browser's own language and the saved one
+const LOCALES = [
+  "en-US", "en-GB", "en-CA", "en-AU", "en-IN", "de-DE",
+  "fr-FR", "es-ES", "it-IT", "nl-NL", "pt-BR", "ja-JP",
+];
+
+async function loadPreferences() {
+  await Money.ready;
+  Money.fillSelect($("#prefCurrency"), Money.baseCurrency());
+
+  const select = $("#prefLocale");
+  select.innerHTML = "";
+  new Set([Money.locale(), navigator.language, ...LOCALES].filter(Boolean)).forEach((tag) => {
+    // shows what the tag means: "en-GB · £1,234.50"
+    let sample = "";
+    try {
+      sample = new Intl.NumberFormat(tag, {
+        style: "currency",
+        currency: Money.baseCurrency(),
+      }).format(1234.5);
+    } catch (e) {
+      return;
+    }
+    select.add(new Option(`${tag} · ${sample}`, tag));
+  });
+  select.value = Money.locale();
+
+  const data = await api("/api/exchange-rates");
+  if (!data) return;
+  const latest = data.items.reduce((max, r) => (r.date > max ? r.date : max), "");
+  $("#ratesInfo").textContent = data.items.length
+    ? `${data.items.length} exchange rate pair(s) imported, latest from ${latest}.`
+    : "No exchange rates imported yet, so amounts in other currencies are not converted.";
+}
+
+async function savePreferences(e) {
+  e.preventDefault();
+  try {
+    const result = await api("/api/preferences", {
+      method: "PATCH",
+      body: JSON.stringify({ currency: $("#prefCurrency").value, locale: $("#prefLocale").value }),
+    });
+    // every page formats with the new settings from its next load
+    if (result) location.reload();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+// ---------------- ALERTS ----------------
+// how each rule type reads in the table, around its threshold input
+const ALERT_LABELS = {
+  budget: ["A budget reaches", "%"],
+  large_transaction: ["An expense is", "or more"],
+  unusual_spend: ["Spending reaches", "× its average"],
+};
+const ALERT_PLACEHOLDERS = { budget: "80", large_transaction: "500", unusual_spend: "2" };
+
+async function loadAlertRules() {
+  const data = await api("/api/alert-rules");
+  if (!data) return;
+
+  const tbody = $("#alertRulesTable tbody");
+  tbody.innerHTML = "";
+  data.items.forEach((rule) => {
+    const [before, after] = ALERT_LABELS[rule.type];
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${before} <input type="number" min="0" step="0.01" aria-label="Threshold" /> ${
+        rule.type === "large_transaction" ? `${data.currency} ${after}` : after
+      }</td>
+      <td></td>
+      <td><input type="checkbox" aria-label="Rule on" /></td>
+      <td><button type="button" class="delBtn">Delete</button></td>`;
+    const threshold = tr.querySelector('input[type="number"]');
+    threshold.value = rule.threshold;
+    threshold.addEventListener("change", () =>
+      updateAlertRule(rule, { threshold: threshold.value })
+    );
+    tr.children[1].textContent = rule.category || "Any";
+    const enabled = tr.querySelector('input[type="checkbox"]');
+    enabled.checked = rule.enabled;
+    enabled.addEventListener("change", () => updateAlertRule(rule, { enabled: enabled.checked }));
+    tr.querySelector(".delBtn").addEventListener("click", () => deleteAlertRule(rule));
+    tbody.appendChild(tr);
+  });
+  if (!data.items.length)
+    tbody.innerHTML = '<tr><td colspan="4">No alert rules. Add one below.</td></tr>';
+}
+
+async function loadAlertOptions() {
+  const [categories, prefs] = await Promise.all([
+    api("/api/categories"),
+    api("/api/preferences"),
+  ]);
+  if (categories) {
+    const list = $("#alertCategories");
+    list.innerHTML = "";
+    categories.categories.forEach((name) => list.appendChild(new Option(name)));
+  }
+  if (prefs) $("#alertDigest").value = prefs.alertDigest || "off";
+}
+
+async function addAlertRule(e) {
+  e.preventDefault();
+  try {
+    const result = await api("/api/alert-rules", {
+      method: "POST",
+      body: JSON.stringify({
+        type: $("#alertType").value,
+        threshold: $("#alertThreshold").value,
+        category: $("#alertCategory").value.trim(),
+      }),
+    });
+    if (!result) return;
+    $("#alertRuleForm").reset();
+    showAlertPlaceholder();
+    await loadAlertRules();
+    Notifications.refresh().catch((err) => console.error(err));
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+async function updateAlertRule(rule, changes) {
+  try {
+    await api(`/api/alert-rules/${rule.id}`, {
+      method: "PATCH",
+      body: JSON.stringify(changes),
+    });
+    Notifications.refresh().catch((err) => console.error(err));
+  } catch (err) {
+    alert(err.message);
+  }
+  await loadAlertRules();
+}
+
+async function deleteAlertRule(rule) {
+  if (!confirm("Delete this alert rule? Alerts it already raised are kept.")) return;
+  try {
+    await api(`/api/alert-rules/${rule.id}`, { method: "DELETE" });
+    await loadAlertRules();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+async function saveDigest() {
+  try {
+    await api("/api/preferences", {
+      method: "PATCH",
+      body: JSON.stringify({ alert_digest: $("#alertDigest").value }),
+    });
+  } catch (err) {
+    alert(err.message);
+    await loadAlertOptions();
+  }
+}
+
+function showAlertPlaceholder() {
+  $("#alertThreshold").placeholder = ALERT_PLACEHOLDERS[$("#alertType").value];
+}
+
+// ---------------- HOUSEHOLDS ----------------
+const ROLE_LABELS = { owner: "Owner", editor: "Editor", viewer: "Viewer" };
+let openHousehold = null; // the household whose members are shown
+
+async function loadHouseholds() {
+  const data = await api("/api/households");
+  if (!data) return;
+
+  const tbody = $("#householdsTable tbody");
+  tbody.innerHTML = "";
+  data.items.forEach((h) => {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td></td>
+      <td>${ROLE_LABELS[h.role]}</td>
+      <td></td>
+      <td>${h.accepted ? h.members : '<span class="badge pending">Invited</span>'}</td>
+      <td>${
+        h.accepted
+          ? '<button type="button" class="membersBtn">Members</button>' +
+            (h.role === "owner" ? '<button type="button" class="deleteHouseholdBtn">Delete</button>' : "")
+          : '<button type="button" class="acceptBtn">Accept</button>' +
+            '<button type="button" class="declineBtn">Decline</button>'
+      }</td>`;
+    tr.children[0].textContent = h.invitedBy && !h.accepted ? `${h.name} (from ${h.invitedBy})` : h.name;
+    if (h.accepted && h.role === "owner") {
+      const select = document.createElement("select");
+      Money.fillSelect(select, h.currency);
+      select.addEventListener("change", () => changeHouseholdCurrency(h, select));
+      tr.children[2].appendChild(select);
+    } else {
+      tr.children[2].textContent = h.currency;
+    }
+    tr.querySelector(".membersBtn")?.addEventListener("click", () => openMembers(h));
+    tr.querySelector(".deleteHouseholdBtn")?.addEventListener("click", () => deleteHousehold(h));
+    tr.querySelector(".acceptBtn")?.addEventListener("click", () => acceptInvite(h));
+    tr.querySelector(".declineBtn")?.addEventListener("click", () => removeMember(h, h.memberId, true));
+    tbody.appendChild(tr);
+  });
+  if (!data.items.length)
+    tbody.innerHTML = '<tr><td colspan="5">No households yet.</td></tr>';
+}
+
+async function changeHouseholdCurrency(h, select) {
+  try {
+    await api(`/api/households/${h.id}`, {
+      method: "PATCH",
+      body: JSON.stringify({ currency: select.value }),
+    });
+    h.currency = select.value;
+  } catch (err) {
+    select.value = h.currency;
+    alert(err.message);
+  }
+}
+
+async function createHousehold(e) {
+  e.preventDefault();
+  try {
+    const result = await api("/api/households", {
+      method: "POST",
+      body: JSON.stringify({ name: $("#householdName").value.trim() }),
+    });
+    if (!result) return;
+    $("#householdForm").reset();
+    await loadHouseholds();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+async function deleteHousehold(h) {
+  if (!confirm(`Delete "${h.name}" and everything recorded in it for every member?`)) return;
+  try {
+    await api(`/api/households/${h.id}`, { method: "DELETE" });
+    if (Session.householdId() === String(h.id)) return Households.switchTo("");
+    $("#membersPanel").hidden = true;
+    await loadHouseholds();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+async function acceptInvite(h) {
+  try {
+    await api(`/api/households/${h.id}/accept`, { method: "POST" });
+    // the sidebar switcher lists it from the next page load
+    location.reload();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+async function openMembers(h) {
+  openHousehold = h;
+  $("#membersTitle").textContent = `Members of ${h.name}`;
+  $("#membersPanel").hidden = false;
+  await loadMembers();
+}
+
+async function loadMembers() {
+  const h = openHousehold;
+  const data = await api(`/api/households/${h.id}/members`);
+  if (!data) return;
+  const isOwner = data.role === "owner";
+  $("#inviteForm").hidden = !isOwner;
+
+  const tbody = $("#membersTable tbody");
+  tbody.innerHTML = "";
+  data.items.forEach((m) => {
+    const self = m.id === h.memberId;
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td></td>
+      <td></td>
+      <td>${m.accepted ? "Member" : '<span class="badge pending">Invited</span>'}</td>
+      <td>${
+        self
+          ? '<button type="button" class="removeBtn">Leave</button>'
+          : isOwner
+            ? `<button type="button" class="removeBtn">${m.accepted ? "Remove" : "Cancel invite"}</button>`
+            : ""
+      }</td>`;
+    tr.children[0].textContent = m.email;
+    if (isOwner) {
+      const select = document.createElement("select");
+      Object.entries(ROLE_LABELS).forEach(([value, label]) => select.add(new Option(label, value)));
+      select.value = m.role;
+      select.addEventListener("change", () => changeRole(m, select));
+      tr.children[1].appendChild(select);
+    } else {
+      tr.children[1].textContent = ROLE_LABELS[m.role];
+    }
+    tr.querySelector(".removeBtn")?.addEventListener("click", () => removeMember(h, m.id, self));
+    tbody.appendChild(tr);
+  });
+}
+
+async function changeRole(member, select) {
+  try {
+    await api(`/api/households/${openHousehold.id}/members/${member.id}`, {
+      method: "PATCH",
+      body: JSON.stringify({ role: select.value }),
+    });
+    await loadMembers();
+  } catch (err) {
+    select.value = member.role;
+    alert(err.message);
+  }
+}
+
+// `self`: leaving the household or declining its invite
+async function removeMember(h, memberId, self) {
+  const question = self ? `Leave "${h.name}"?` : "Remove this member from the household?";
+  if (!confirm(question)) return;
+  try {
+    await api(`/api/households/${h.id}/members/${memberId}`, { method: "DELETE" });
+    if (self && Session.householdId() === String(h.id)) return Households.switchTo("");
+    if (self) $("#membersPanel").hidden = true;
+    else await loadMembers();
+    await loadHouseholds();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+async function inviteMember(e) {
+  e.preventDefault();
+  try {
+    const result = await api(`/api/households/${openHousehold.id}/members`, {
+      method: "POST",
+      body: JSON.stringify({ email: $("#inviteEmail").value.trim(), role: $("#inviteRole").value }),
+    });
+    if (!result) return;
+    $("#inviteForm").reset();
+    await loadMembers();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+// ---------------- YOUR DATA ----------------
+// saves the export through a temporary link; resolves once it started
+async function downloadExport() {
+  const r = await Session.apiFetch("/api/account/export");
+  if (r.status === 401) return Session.logout();
+  if (!r.ok) throw new Error((await r.json()).message || "Export failed");
+
+  const name = /filename="([^"]+)"/.exec(r.headers.get("Content-Disposition") || "");
+  const url = URL.createObjectURL(await r.blob());
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name ? name[1] : "walletly-export.json";
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+  return true;
+}
+
+async function exportData() {
+  try {
+    await downloadExport();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+async function deleteAccount(e) {
+  e.preventDefault();
+  if (!confirm("Delete your account and all of its data? This can't be undone.")) return;
+  try {
+    if (!(await downloadExport())) return;
+    const result = await api("/api/account", {
+      method: "DELETE",
+      body: JSON.stringify(reauthBody("#deletePassword", "#deleteCode")),
+    });
+    if (!result) return;
+    alert(result.message);
+    Session.clear();
+    location.href = "/";
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+// ---------------- TWO-FACTOR LOGIN ----------------
+function showRecoveryCodes(codes) {
+  const list = $("#recoveryCodeList");
+  list.innerHTML = "";
+  codes.forEach((code) => {
+    const li = document.createElement("li");
+    li.textContent = code;
+    list.appendChild(li);
+  });
+  $("#recoveryCodes").hidden = false;
+}
+
+async function loadTwoFactor() {
+  const data = await api("/api/auth/2fa");
+  if (!data) return;
+
+  $("#twofaBadge").hidden = !data.enabled;
+  // the account forms only ask for a code once 2FA is on
+  document.querySelectorAll(".needs-2fa").forEach((el) => {
+    el.hidden = !data.enabled;
+  });
+  $("#twofaOff").hidden = data.enabled;
+  $("#twofaOn").hidden = !data.enabled;
+  $("#twofaSetup").hidden = true;
+  $("#twofaStatus").textContent = data.enabled
+    ? `Logging in asks for a code from your authenticator app. ${data.recoveryCodesLeft} recovery code(s) left.`
+    : "Add a second step to logging in: a code from an authenticator app on your phone.";
+}
+
+async function startTwoFactorSetup() {
+  try {
+    const data = await api("/api/auth/2fa/setup", { method: "POST" });
+    if (!data) return;
+    $("#twofaQr").src = data.qr;
+    $("#twofaSecret").textContent = data.secret.replace(/(.{4})/g, "$1 ").trim();
+    $("#twofaEnableCode").value = "";
+    $("#twofaOff").hidden = true;
+    $("#twofaSetup").hidden = false;
+    $("#twofaEnableCode").focus();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+async function enableTwoFactor() {
+  try {
+    const data = await api("/api/auth/2fa/enable", {
+      method: "POST",
+      body: JSON.stringify({ code: $("#twofaEnableCode").value.trim() }),
+    });
+    if (!data) return;
+    await loadTwoFactor();
+    showRecoveryCodes(data.recoveryCodes);
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+// password plus whichever kind of code was typed in the code field
+// (app codes are 6 digits, recovery codes have letters and a dash)
+function reauthBody(passwordSel = "#twofaPassword", codeSel = "#twofaCode") {
+  const value = $(codeSel).value.trim();
+  if (!value) return { password: $(passwordSel).value };
+  const isAppCode = /^\d{6}$/.test(value.replace(/\s/g, ""));
+  return {
+    password: $(passwordSel).value,
+    ...(isAppCode ? { code: value } : { recoveryCode: value }),
+  };
+}
+
+function clearReauth() {
+  $("#twofaPassword").value = "";
+  $("#twofaCode").value = "";
+}
+
+async function disableTwoFactor() {
+  if (!confirm("Turn off two-factor login?")) return;
+  try {
+    const data = await api("/api/auth/2fa/disable", {
+      method: "POST",
+      body: JSON.stringify(reauthBody()),
+    });
+    if (!data) return;
+    clearReauth();
+    $("#recoveryCodes").hidden = true;
+    await loadTwoFactor();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+async function newRecoveryCodes() {
+  try {
+    const data = await api("/api/auth/2fa/recovery-codes", {
+      method: "POST",
+      body: JSON.stringify(reauthBody()),
+    });
+    if (!data) return;
+    clearReauth();
+    await loadTwoFactor();
+    showRecoveryCodes(data.recoveryCodes);
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+// ---------------- INIT ----------------
+document.addEventListener("DOMContentLoaded", () => {
+  if (!Session.getToken()) return Session.logout();
+  loadAccount().catch((err) => console.error(err));
+  loadPreferences().catch((err) => console.error(err));
+  loadAlertRules().catch((err) => console.error(err));
+  loadAlertOptions().catch((err) => console.error(err));
+  Money.ready.then(loadHouseholds).catch((err) => console.error(err));
+  loadTwoFactor().catch((err) => console.error(err));
+  loadSessions().catch((err) => console.error(err));
+
+  $("#passwordForm").addEventListener("submit", changePassword);
+  $("#emailForm").addEventListener("submit", changeEmail);
+  $("#preferencesForm").addEventListener("submit", savePreferences);
+  $("#alertRuleForm").addEventListener("submit", addAlertRule);
+  $("#alertType").addEventListener("change", showAlertPlaceholder);
+  $("#alertDigest").addEventListener("change", saveDigest);
+  $("#householdForm").addEventListener("submit", createHousehold);
+  $("#inviteForm").addEventListener("submit", inviteMember);
+  $("#closeMembersBtn").addEventListener("click", () => {
+    $("#membersPanel").hidden = true;
+  });
+  $("#exportBtn").addEventListener("click", exportData);
+  $("#deleteForm").addEventListener("submit", deleteAccount);
+  $("#twofaSetupBtn").addEventListener("click", startTwoFactorSetup);
+  $("#twofaEnableBtn").addEventListener("click", enableTwoFactor);
+  $("#twofaDisableBtn").addEventListener("click", disableTwoFactor);
+  $("#twofaNewCodesBtn").addEventListener("click", newRecoveryCodes);
+
+  $("#revokeOthersBtn").addEventListener("click", revokeOtherSessions);
+  $("#logoutButton")?.addEventListener("click", () => Session.logout());
+});
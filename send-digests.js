@@ -0,0 +1,105 @@
+// ===============================================================
+// SEND-DIGESTS.JS
+// Command line entry point for the alert digest emails. Mails every
+// user whose digest is due (Settings -> Alerts: daily or weekly) the
+// notifications still unread in their own budget and their households
+// since their last digest, through the mail transport picked by
+// MAIL_TRANSPORT (lib/mailer.js). Meant to run from cron, e.g. daily:
+//   npm run digest:send
+//   npm run digest:send -- --dry-run   -> only list who would get what
+// ===============================================================
+require("dotenv").config();
+const mysql = require("mysql2/promise");
+const { createMailer } = require("./lib/mailer");
+const { digestMessage } = require("./lib/alerts");
+const { ownerKey } = require("./lib/households");
+
+const APP_URL = process.env.APP_URL || "http://localhost:3000";
+
+// an hour's slack, so a cron job that starts a little early doesn't
+// skip a day (or a week)
+const DUE_AFTER_HOURS = { daily: 23, weekly: 7 * 24 - 1 };
+
+// [{ name, items }] of unread notifications newer than `since`, one
+// section for the user's own budget and one per household
+async function unreadSections(conn, email, since) {
+  const [joined] = await conn.execute(
+    `SELECT h.id, h.name FROM household h
+     JOIN household_member m ON m.household_id = h.id
+     WHERE m.user_email=? AND m.accepted_at IS NOT NULL
+     ORDER BY h.name`,
+    [email]
+  );
+  const budgets = [
+    { name: "Personal", owner: email },
+    ...joined.map((h) => ({ name: h.name, owner: ownerKey(h.id) })),
+  ];
+
+  const sections = [];
+  for (const b of budgets) {
+    const [items] = await conn.execute(
+      `SELECT title, body, created_at AS createdAt FROM notification
+       WHERE user_email=? AND read_at IS NULL AND created_at > ?
+       ORDER BY created_at`,
+      [b.owner, since]
+    );
+    sections.push({ name: b.name, items });
+  }
+  return sections;
+}
+
+async function main() {
+  const dryRun = process.argv.slice(2).includes("--dry-run");
+  const mailer = createMailer();
+  const conn = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+  });
+
+  try {
+    const [users] = await conn.execute(
+      `SELECT email, alert_digest, last_digest_at FROM user
+       WHERE (alert_digest='daily' AND (last_digest_at IS NULL
+               OR last_digest_at <= NOW() - INTERVAL ? HOUR))
+          OR (alert_digest='weekly' AND (last_digest_at IS NULL
+               OR last_digest_at <= NOW() - INTERVAL ? HOUR))`,
+      [DUE_AFTER_HOURS.daily, DUE_AFTER_HOURS.weekly]
+    );
+
+    let sent = 0;
+    for (const u of users) {
+      // the first digest covers one period back
+      const since =
+        u.last_digest_at ||
+        new Date(Date.now() - (DUE_AFTER_HOURS[u.alert_digest] + 1) * 60 * 60 * 1000);
+      const sections = await unreadSections(conn, u.email, since);
+      const count = sections.reduce((s, sec) => s + sec.items.length, 0);
+
+      if (dryRun) {
+        console.log(`${u.email}: ${count} unread notification(s)`);
+        continue;
+      }
+      if (count) {
+        // a failed send is left for the next run
+        try {
+          await mailer.send({ to: u.email, ...digestMessage(u.alert_digest, sections, APP_URL) });
+          sent++;
+        } catch (err) {
+          console.error(`Could not send the digest to ${u.email}:`, err.message || err);
+          continue;
+        }
+      }
+      await conn.execute("UPDATE user SET last_digest_at=NOW() WHERE email=?", [u.email]);
+    }
+    if (!dryRun) console.log(`${users.length} digest(s) due, ${sent} sent.`);
+  } finally {
+    await conn.end();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
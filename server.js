@@ -4,13 +4,46 @@ const mysql = require("mysql2/promise");
 const jwt = require("jsonwebtoken");
 const bcrypt = require("bcryptjs");
 const path = require("path");
+const recurrence = require("./lib/recurrence");
+const periods = require("./lib/periods");
+const envelopes = require("./lib/envelopes");
+const categories = require("./lib/categories");
+const importer = require("./lib/import");
+const rules = require("./lib/rules");
+const tokens = require("./lib/tokens");
+const totp = require("./lib/totp");
+const passwords = require("./lib/passwords");
+const throttle = require("./lib/throttle");
+const account = require("./lib/account");
+const households = require("./lib/households");
+const ledger = require("./lib/ledger");
+const currency = require("./lib/currency");
+const splits = require("./lib/splits");
+const attachments = require("./lib/attachments");
+const tags = require("./lib/tags");
+const goals = require("./lib/goals");
+const debtPlanner = require("./lib/debtPlanner");
+const forecast = require("./lib/forecast");
+const alerts = require("./lib/alerts");
+const multer = require("multer");
+const QRCode = require("qrcode");
+const { createMailer } = require("./lib/mailer");
+const { createStorage } = require("./lib/storage");
 
 const app = express();
 const port = 3000;
+const mailer = createMailer();
+// uploaded receipts and documents
+const storage = createStorage();
+// base of the links put in emails
+const APP_URL = process.env.APP_URL || `http://localhost:${port}`;
 
 // ===============================================================
 // MIDDLEWARE
 // ===============================================================
+// statement imports post the whole file as JSON; registered first so the
+// default (100kb) parser below leaves those bodies alone
+app.use("/api/import", express.json({ limit: "10mb" }));
 app.use(express.json());
 app.use(express.static("public"));
 
@@ -35,6 +68,12 @@ app.get("/report", (_req, res) =>
 app.get("/budget-tracker", (_req, res) =>
   res.sendFile(path.join(__dirname, "public", "budget.html"))
 );
+app.get("/import", (_req, res) =>
+  res.sendFile(path.join(__dirname, "public", "import.html"))
+);
+app.get("/settings", (_req, res) =>
+  res.sendFile(path.join(__dirname, "public", "settings.html"))
+);
 
 // ===============================================================
 // DATABASE
@@ -51,6 +90,9 @@ async function createConnection() {
 // ===============================================================
 // AUTH
 // ===============================================================
+// Access tokens only last a few minutes and name their session (`sid`);
+// a request is let through while that session is neither revoked nor
+// expired, so logging out or revoking a session takes effect at once.
 async function authenticateToken(req, res, next) {
   const hdr = req.headers.authorization || "";
   const parts = hdr.split(" ");
@@ -60,21 +102,23 @@ async function authenticateToken(req, res, next) {
     return res.status(401).json({ message: "No authentication token." });
 
   jwt.verify(token, process.env.JWT_SECRET, async (err, decoded) => {
-    if (err)
+    if (err || !decoded.sid)
       return res.status(401).json({ message: "Invalid or expired token." });
 
     try {
       const conn = await createConnection();
       const [rows] = await conn.execute(
-        "SELECT email FROM user WHERE email = ?",
-        [decoded.email]
+        `SELECT s.id, s.user_email FROM session s
+         JOIN user u ON u.email = s.user_email
+         WHERE s.id=? AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+        [decoded.sid]
       );
       await conn.end();
 
       if (!rows.length)
-        return res.status(403).json({ message: "User not found." });
+        return res.status(401).json({ message: "Session has ended. Please log in again." });
 
-      req.user = decoded;
+      req.user = { email: rows[0].user_email, sid: rows[0].id };
       next();
     } catch (e) {
       console.error(e);
@@ -83,31 +127,216 @@ async function authenticateToken(req, res, next) {
   });
 }
 
+// Which data a request works on: the user's own, or a household they
+// belong to when the page sends X-Household-Id. Sets req.scope =
+// { owner, householdId, role }; data routes read and write rows under
+// req.scope.owner. Viewers may only read, unless the route is marked
+// with allowViewers.
+async function resolveScope(req, res, next) {
+  const raw = req.get("X-Household-Id");
+  if (!raw) {
+    req.scope = { owner: req.user.email, householdId: null, role: "owner" };
+    return next();
+  }
+
+  try {
+    const conn = await createConnection();
+    const [[member]] = await conn.execute(
+      `SELECT role FROM household_member
+       WHERE household_id=? AND user_email=? AND accepted_at IS NOT NULL`,
+      [Number(raw) || 0, req.user.email]
+    );
+    await conn.end();
+
+    if (!member)
+      return res
+        .status(403)
+        .json({ message: "You are not a member of that household.", code: "NOT_A_MEMBER" });
+    if (req.method !== "GET" && !req.allowViewers && !households.canEdit(member.role))
+      return res
+        .status(403)
+        .json({ message: "Viewers can't make changes in this household.", code: "READ_ONLY" });
+
+    req.scope = {
+      owner: households.ownerKey(Number(raw)),
+      householdId: Number(raw),
+      role: member.role,
+    };
+    next();
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Database error." });
+  }
+}
+
+// for routes that work on user-or-household data
+const scoped = [authenticateToken, resolveScope];
+
+// for the few POSTs and changes a viewer may make too (previewing an
+// import, testing rules, marking notifications read), which leave the
+// budget itself alone
+const allowViewers = (req, res, next) => {
+  req.allowViewers = true;
+  next();
+};
+const viewerScoped = [authenticateToken, allowViewers, resolveScope];
+
+const signAccessToken = (email, sid) =>
+  jwt.sign({ email, sid }, process.env.JWT_SECRET, {
+    expiresIn: tokens.ACCESS_TOKEN_TTL,
+  });
+
+const tokenPair = (email, sid, secret) => ({
+  token: signAccessToken(email, sid),
+  refreshToken: tokens.formatIdToken(sid, secret),
+  expiresIn: tokens.ACCESS_TOKEN_TTL,
+});
+
+// opens a session for `email` and returns the tokens the browser keeps
+async function startSession(conn, email, req) {
+  const { secret, hash } = tokens.newSecret();
+  const [r] = await conn.execute(
+    `INSERT INTO session (user_email, refresh_hash, user_agent, ip, expires_at)
+     VALUES (?, ?, ?, ?, ?)`,
+    [
+      email,
+      hash,
+      String(req.get("user-agent") || "").slice(0, 255) || null,
+      req.ip || null,
+      tokens.refreshExpiry(),
+    ]
+  );
+  return tokenPair(email, r.insertId, secret);
+}
+
+// ===============================================================
+// LOGIN THROTTLING
+// ===============================================================
+// Every login, second-step and sign-up attempt leaves a login_attempt
+// row. Before checking a password or code, the failures recorded for
+// the account and for the caller's IP decide whether it may try yet
+// (see lib/throttle.js); a locked-out try is refused without being
+// checked, so it can't be used to keep guessing.
+const loginLimits = throttle.throttleLimits();
+
+async function recordAttempt(conn, req, { email, action, success, reason = null }) {
+  await conn.execute(
+    `INSERT INTO login_attempt (email, ip, action, success, reason, user_agent)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      email || null,
+      req.ip || null,
+      action,
+      success ? 1 : 0,
+      reason,
+      String(req.get("user-agent") || "").slice(0, 255) || null,
+    ]
+  );
+}
+
+// { locked, retryAfter } for another login try by `email` from req.ip.
+// Account failures count from its last successful login (within a day);
+// IP failures over the last LOGIN_IP_WINDOW_MINUTES.
+async function loginWait(conn, req, email) {
+  const [[account]] = await conn.execute(
+    `SELECT COUNT(*) AS n, TIMESTAMPDIFF(SECOND, MAX(created_at), NOW()) AS since
+     FROM login_attempt
+     WHERE email=? AND success=0 AND action IN ('login', 'mfa')
+       AND created_at > NOW() - INTERVAL 1 DAY
+       AND created_at > COALESCE(
+         (SELECT MAX(created_at) FROM login_attempt
+          WHERE email=? AND success=1 AND action IN ('login', 'mfa')),
+         '1970-01-01 00:00:01')`,
+    [email, email]
+  );
+  const [[ip]] = await conn.execute(
+    `SELECT COUNT(*) AS n, TIMESTAMPDIFF(SECOND, MAX(created_at), NOW()) AS since
+     FROM login_attempt
+     WHERE ip=? AND success=0 AND action IN ('login', 'mfa')
+       AND created_at > NOW() - INTERVAL ? MINUTE`,
+    [req.ip || null, loginLimits.ip.windowMinutes]
+  );
+
+  return throttle.strictest([
+    throttle.attemptWait(Number(account.n), Number(account.since), loginLimits.account),
+    throttle.attemptWait(Number(ip.n), Number(ip.since), loginLimits.ip),
+  ]);
+}
+
+function tooManyAttempts(res, wait) {
+  const when = throttle.describeWait(wait.retryAfter);
+  res.set("Retry-After", String(wait.retryAfter));
+  return res.status(429).json({
+    message: wait.locked
+      ? `Too many failed attempts, so logging in is locked for ${when}. You can reset your password in the meantime.`
+      : `Too many failed attempts. Try again in ${when}.`,
+    code: wait.locked ? "LOGIN_LOCKED" : "TOO_MANY_ATTEMPTS",
+    retryAfter: wait.retryAfter,
+  });
+}
+
 // ===============================================================
 // ACCOUNT ROUTES
 // ===============================================================
+const isEmail = (s) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(s || ""));
+
 app.post("/api/create-account", async (req, res) => {
-  const { email, password } = req.body;
+  const { password } = req.body;
+  const email = String(req.body.email || "").trim();
 
   if (!email || !password)
     return res
       .status(400)
       .json({ message: "Email and password are required." });
+  if (!isEmail(email))
+    return res.status(400).json({ message: "Enter a valid email address." });
+  const weak = passwords.checkPassword(password, { email });
+  if (weak) return res.status(400).json({ message: weak });
 
+  let conn;
   try {
-    const conn = await createConnection();
+    conn = await createConnection();
+    const [[recent]] = await conn.execute(
+      `SELECT COUNT(*) AS n FROM login_attempt
+       WHERE ip=? AND action='signup' AND created_at > NOW() - INTERVAL 1 HOUR`,
+      [req.ip || null]
+    );
+    if (Number(recent.n) >= loginLimits.signupsPerHour) {
+      await conn.end();
+      res.set("Retry-After", "3600");
+      return res.status(429).json({
+        message: "Too many new accounts from this address. Try again in an hour.",
+        code: "TOO_MANY_ATTEMPTS",
+        retryAfter: 3600,
+      });
+    }
+
     const hashed = await bcrypt.hash(password, 10);
 
     await conn.execute("INSERT INTO user (email, password) VALUES (?, ?)", [
       email,
       hashed,
     ]);
+    await recordAttempt(conn, req, { email, action: "signup", success: true });
+    await seedCategories(conn, email);
+    await seedAlertRules(conn, email);
+    await sendVerificationEmail(conn, email);
 
     await conn.end();
-    res.status(201).json({ message: "Account created successfully!" });
+    res.status(201).json({
+      message: "Account created! Check your email for a link to confirm your address.",
+    });
   } catch (err) {
-    if (err.code === "ER_DUP_ENTRY")
+    if (err.code === "ER_DUP_ENTRY") {
+      await recordAttempt(conn, req, {
+        email,
+        action: "signup",
+        success: false,
+        reason: "email_taken",
+      });
+      await conn.end();
       return res.status(409).json({ message: "Email already exists." });
+    }
 
     console.error(err);
     res.status(500).json({ message: "Error creating account." });
@@ -115,317 +344,5226 @@ app.post("/api/create-account", async (req, res) => {
 });
 
 app.post("/api/login", async (req, res) => {
-  const { email, password } = req.body;
+  const { password } = req.body;
+  const email = String(req.body.email || "").trim();
 
   try {
     const conn = await createConnection();
+    const wait = await loginWait(conn, req, email);
+    if (wait.retryAfter) {
+      await conn.end();
+      return tooManyAttempts(res, wait);
+    }
+
     const [rows] = await conn.execute("SELECT * FROM user WHERE email=?", [
       email,
     ]);
-    await conn.end();
 
-    if (!rows.length)
+    const ok = rows.length && (await bcrypt.compare(String(password || ""), rows[0].password));
+    if (!ok) {
+      await recordAttempt(conn, req, {
+        email,
+        action: "login",
+        success: false,
+        reason: rows.length ? "bad_password" : "unknown_email",
+      });
+      await conn.end();
       return res.status(401).json({ message: "Invalid email or password." });
+    }
+    if (!rows[0].email_verified_at) {
+      await conn.end();
+      return res.status(403).json({
+        message: "Please confirm your email address first. Check your inbox for the link.",
+        code: "EMAIL_NOT_VERIFIED",
+      });
+    }
 
-    const ok = await bcrypt.compare(password, rows[0].password);
-    if (!ok)
-      return res.status(401).json({ message: "Invalid email or password." });
+    // with 2FA on, the password only earns a short-lived ticket for
+    // the second step; the session starts in /api/login/mfa
+    if (rows[0].totp_enabled_at) {
+      await conn.end();
+      return res.json({ mfaRequired: true, mfaToken: signMfaToken(rows[0].email) });
+    }
 
-    const token = jwt.sign({ email }, process.env.JWT_SECRET, {
-      expiresIn: "1h",
-    });
+    await recordAttempt(conn, req, { email: rows[0].email, action: "login", success: true });
+    const session = await startSession(conn, rows[0].email, req);
+    await conn.end();
 
-    res.json({ token });
+    res.json(session);
   } catch (e) {
     console.error(e);
     res.status(500).json({ message: "Login failed." });
   }
 });
 
-// ===============================================================
-// INCOME ROUTES
-// ===============================================================
-app.get("/api/income", authenticateToken, async (req, res) => {
+// body { mfaToken, code } or { mfaToken, recoveryCode }
+app.post("/api/login/mfa", async (req, res) => {
+  let email;
+  try {
+    const decoded = jwt.verify(String(req.body.mfaToken || ""), process.env.JWT_SECRET);
+    if (decoded.purpose !== "mfa") throw new Error("not an mfa token");
+    email = decoded.email;
+  } catch {
+    return res
+      .status(401)
+      .json({ message: "Your login timed out. Please enter your password again." });
+  }
+
   try {
     const conn = await createConnection();
-    const [rows] = await conn.execute(
-      "SELECT * FROM income WHERE user_email=? ORDER BY date DESC",
-      [req.user.email]
+    const wait = await loginWait(conn, req, email);
+    if (wait.retryAfter) {
+      await conn.end();
+      return tooManyAttempts(res, wait);
+    }
+
+    const [[user]] = await conn.execute(
+      "SELECT * FROM user WHERE email=? AND totp_enabled_at IS NOT NULL",
+      [email]
     );
+    if (!user || !(await checkSecondFactor(conn, user, req.body))) {
+      await recordAttempt(conn, req, { email, action: "mfa", success: false, reason: "bad_code" });
+      await conn.end();
+      return res.status(401).json({ message: "That code didn't work. Try again." });
+    }
+
+    await recordAttempt(conn, req, { email, action: "mfa", success: true });
+    const session = await startSession(conn, user.email, req);
     await conn.end();
-    res.json({ items: rows });
+    res.json(session);
   } catch (e) {
-    res.status(500).json({ message: "Error retrieving income." });
+    console.error(e);
+    res.status(500).json({ message: "Login failed." });
   }
 });
 
-app.post("/api/income", authenticateToken, async (req, res) => {
-  const { source, amount, date, cadence = "monthly" } = req.body;
+// ===============================================================
+// EMAIL VERIFICATION + PASSWORD RESET
+// ===============================================================
+// Both work through one-time links: the token in the link is only
+// stored hashed, expires, and stops working once used or once a newer
+// link of the same kind is sent.
+const AUTH_TOKEN_TTL = {
+  verify_email: 24 * tokens.HOUR,
+  reset_password: tokens.HOUR,
+  change_email: 24 * tokens.HOUR,
+};
 
-  if (!source || !amount || !date)
-    return res.status(400).json({ message: "Missing fields." });
+// `newEmail` is only for change_email: the address being moved to
+async function issueAuthToken(conn, email, purpose, newEmail = null) {
+  await conn.execute(
+    "UPDATE auth_token SET used_at=NOW() WHERE user_email=? AND purpose=? AND used_at IS NULL",
+    [email, purpose]
+  );
+  const { secret, hash } = tokens.newSecret();
+  const [r] = await conn.execute(
+    `INSERT INTO auth_token (user_email, purpose, new_email, token_hash, expires_at)
+     VALUES (?, ?, ?, ?, ?)`,
+    [email, purpose, newEmail, hash, tokens.expiresIn(AUTH_TOKEN_TTL[purpose])]
+  );
+  return tokens.formatIdToken(r.insertId, secret);
+}
+
+// the link token's row ({ id, user_email, new_email }), or null when
+// the token is wrong, already used or expired
+async function findAuthToken(conn, token, purpose) {
+  const parsed = tokens.parseIdToken(token);
+  if (!parsed) return null;
+
+  const [[row]] = await conn.execute(
+    `SELECT id, user_email, new_email FROM auth_token
+     WHERE id=? AND purpose=? AND token_hash=? AND used_at IS NULL AND expires_at > NOW()`,
+    [parsed.id, purpose, parsed.hash]
+  );
+  return row || null;
+}
+
+// findAuthToken that also uses the token up
+async function consumeAuthToken(conn, token, purpose) {
+  const row = await findAuthToken(conn, token, purpose);
+  if (!row) return null;
+
+  const [r] = await conn.execute(
+    "UPDATE auth_token SET used_at=NOW() WHERE id=? AND used_at IS NULL",
+    [row.id]
+  );
+  return r.affectedRows ? row : null;
+}
+
+// a mail that fails to send is logged, not fatal: the user can ask again
+async function sendMail(message) {
+  try {
+    await mailer.send(message);
+  } catch (e) {
+    console.error(`Could not send "${message.subject}" to ${message.to}:`, e);
+  }
+}
 
+async function sendVerificationEmail(conn, email) {
+  const token = await issueAuthToken(conn, email, "verify_email");
+  await sendMail({
+    to: email,
+    subject: "Confirm your Walletly email address",
+    text:
+      `Welcome to Walletly!\n\nConfirm your email address by opening this link ` +
+      `within 24 hours:\n\n${APP_URL}/?verify=${encodeURIComponent(token)}\n\n` +
+      `If you didn't create an account you can ignore this email.`,
+  });
+}
+
+app.post("/api/auth/verify-email", async (req, res) => {
   try {
     const conn = await createConnection();
-    const [r] = await conn.execute(
-      "INSERT INTO income (user_email, source, amount, cadence, date) VALUES (?, ?, ?, ?, ?)",
-      [req.user.email, source.trim(), Number(amount), cadence, date]
-    );
+    const row = await consumeAuthToken(conn, req.body.token, "verify_email");
+    const email = row && row.user_email;
+    if (email)
+      await conn.execute(
+        "UPDATE user SET email_verified_at=NOW() WHERE email=? AND email_verified_at IS NULL",
+        [email]
+      );
     await conn.end();
-    res.status(201).json({ id: r.insertId });
+
+    if (!email)
+      return res.status(400).json({
+        message: "This confirmation link is invalid or has expired. Log in to get a new one.",
+      });
+    res.json({ message: "Email confirmed. You can now log in.", email });
   } catch (e) {
-    res.status(500).json({ message: "Error creating income." });
+    console.error(e);
+    res.status(500).json({ message: "Error confirming email." });
   }
 });
 
-app.patch("/api/income/:id", authenticateToken, async (req, res) => {
-  const id = req.params.id;
-  const { source, amount, date, description = null, cadence = "monthly" } = req.body;
+// same answer whether or not the address has an account
+app.post("/api/auth/resend-verification", async (req, res) => {
+  const email = String(req.body.email || "").trim();
 
   try {
     const conn = await createConnection();
-    await conn.execute(
-      `UPDATE income 
-       SET source=?, description=?, amount=?, date=?, cadence=? 
-       WHERE id=? AND user_email=?`,
-      [source, description, Number(amount), date, cadence, id, req.user.email]
+    const [[user]] = await conn.execute(
+      "SELECT email FROM user WHERE email=? AND email_verified_at IS NULL",
+      [email]
     );
+    if (user) await sendVerificationEmail(conn, user.email);
     await conn.end();
-    res.json({ message: "Income updated successfully" });
+    res.json({ message: "If that account needs confirming, a new link is on its way." });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ message: "Error updating income." });
+    res.status(500).json({ message: "Error sending confirmation email." });
   }
 });
 
-app.delete("/api/income/:id", authenticateToken, async (req, res) => {
-  const id = req.params.id;
+// same answer whether or not the address has an account
+app.post("/api/auth/forgot-password", async (req, res) => {
+  const email = String(req.body.email || "").trim();
 
   try {
     const conn = await createConnection();
-    await conn.execute(
-      "DELETE FROM income WHERE id=? AND user_email=?",
-      [id, req.user.email]
-    );
+    const [[user]] = await conn.execute("SELECT email FROM user WHERE email=?", [email]);
+    if (user) {
+      const token = await issueAuthToken(conn, user.email, "reset_password");
+      await sendMail({
+        to: user.email,
+        subject: "Reset your Walletly password",
+        text:
+          `Someone asked to reset the password for this Walletly account.\n\n` +
+          `Choose a new password within the next hour here:\n\n` +
+          `${APP_URL}/?reset=${encodeURIComponent(token)}\n\n` +
+          `If it wasn't you, ignore this email and your password stays the same.`,
+      });
+    }
     await conn.end();
-    res.status(204).send();
+    res.json({ message: "If that email has an account, a reset link is on its way." });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ message: "Error deleting income." });
+    res.status(500).json({ message: "Error sending reset email." });
   }
 });
 
-// ===============================================================
-// EXPENSE ROUTES
-// ===============================================================
-app.get("/api/expense", authenticateToken, async (req, res) => {
+// body { token, password }. Signs out every session, and confirms the
+// address too since the link could only be opened from that inbox.
+app.post("/api/auth/reset-password", async (req, res) => {
+  const { token, password } = req.body;
+  if (!password) return res.status(400).json({ message: "Password is required." });
+
   try {
     const conn = await createConnection();
-    const [rows] = await conn.execute(
-      "SELECT * FROM expense WHERE user_email=? ORDER BY date DESC",
-      [req.user.email]
+    const found = await findAuthToken(conn, token, "reset_password");
+    const email = found && found.user_email;
+    // checked before the token is used up, so a rejected password can be retried
+    const weak = email && passwords.checkPassword(password, { email });
+    if (weak) {
+      await conn.end();
+      return res.status(400).json({ message: weak });
+    }
+    if (!email || !(await consumeAuthToken(conn, token, "reset_password"))) {
+      await conn.end();
+      return res.status(400).json({
+        message: "This reset link is invalid or has expired. Ask for a new one.",
+      });
+    }
+
+    const hashed = await bcrypt.hash(password, 10);
+    await conn.execute(
+      "UPDATE user SET password=?, email_verified_at=COALESCE(email_verified_at, NOW()) WHERE email=?",
+      [hashed, email]
+    );
+    await conn.execute(
+      "UPDATE session SET revoked_at=NOW() WHERE user_email=? AND revoked_at IS NULL",
+      [email]
     );
     await conn.end();
-    res.json({ items: rows });
+    res.json({ message: "Password updated. You can now log in.", email });
   } catch (e) {
-    res.status(500).json({ message: "Error retrieving expenses." });
+    console.error(e);
+    res.status(500).json({ message: "Error resetting password." });
   }
 });
 
-app.post("/api/expense", authenticateToken, async (req, res) => {
-  const { category, amount, date, description = null, cadence = "monthly" } =
-    req.body;
+// ===============================================================
+// TWO-FACTOR AUTHENTICATION (TOTP + RECOVERY CODES)
+// ===============================================================
+// Setup stores a secret but leaves 2FA off until a code from the app
+// proves it was scanned. Turning it off or making new recovery codes
+// needs the password and a current code (or a recovery code).
+const TOTP_ISSUER = "Walletly";
+const MFA_TOKEN_TTL = "5m";
+const RECOVERY_CODE_COUNT = 10;
 
-  if (!category || !amount || !date)
-    return res.status(400).json({ message: "Missing fields." });
+const signMfaToken = (email) =>
+  jwt.sign({ email, purpose: "mfa" }, process.env.JWT_SECRET, {
+    expiresIn: MFA_TOKEN_TTL,
+  });
 
-  try {
-    const conn = await createConnection();
+// true when body.code (TOTP) or body.recoveryCode is good for `user`;
+// either one is used up by a successful check
+async function checkSecondFactor(conn, user, { code, recoveryCode }) {
+  if (recoveryCode) {
+    const hash = tokens.hashToken(totp.normalizeRecoveryCode(recoveryCode));
     const [r] = await conn.execute(
-      "INSERT INTO expense (user_email, category, description, amount, date, cadence) VALUES (?, ?, ?, ?, ?, ?)",
-      [req.user.email, category.trim(), description, Number(amount), date, cadence]
+      `UPDATE recovery_code SET used_at=NOW()
+       WHERE user_email=? AND code_hash=? AND used_at IS NULL LIMIT 1`,
+      [user.email, hash]
     );
-    await conn.end();
-    res.status(201).json({ id: r.insertId });
-  } catch (e) {
-    res.status(500).json({ message: "Error creating expense." });
+    return r.affectedRows > 0;
   }
-});
 
-app.patch("/api/expense/:id", authenticateToken, async (req, res) => {
-  const id = req.params.id;
-  const { category, amount, date, description = null, cadence = "monthly" } = req.body;
+  const step = totp.verifyTotp(user.totp_secret, code, { afterStep: user.totp_last_step });
+  if (step === null) return false;
+  // conditional so two requests racing with one code can't both win
+  const [r] = await conn.execute(
+    `UPDATE user SET totp_last_step=?
+     WHERE email=? AND (totp_last_step IS NULL OR totp_last_step < ?)`,
+    [step, user.email, step]
+  );
+  return r.affectedRows > 0;
+}
+
+// swaps in a fresh set of recovery codes; returns them in plain text
+// (the only time they are shown)
+async function replaceRecoveryCodes(conn, email) {
+  const codes = totp.generateRecoveryCodes(RECOVERY_CODE_COUNT);
+  await conn.execute("DELETE FROM recovery_code WHERE user_email=?", [email]);
+  for (const code of codes)
+    await conn.execute("INSERT INTO recovery_code (user_email, code_hash) VALUES (?, ?)", [
+      email,
+      tokens.hashToken(totp.normalizeRecoveryCode(code)),
+    ]);
+  return codes;
+}
+
+// password, plus the second factor when 2FA is on, for changes that
+// weaken 2FA or take over the account (new email, deletion).
+// Returns an error message, or null when the user checks out.
+async function reauthenticate(conn, user, body) {
+  if (!body.password || !(await bcrypt.compare(String(body.password), user.password)))
+    return "Password is incorrect.";
+  if (!user.totp_enabled_at) return null;
+  if (!body.code && !body.recoveryCode)
+    return "Enter a code from your authenticator app or a recovery code.";
+  if (!(await checkSecondFactor(conn, user, body))) return "That code didn't work.";
+  return null;
+}
+
+async function loadUser(conn, email) {
+  const [[user]] = await conn.execute("SELECT * FROM user WHERE email=?", [email]);
+  return user;
+}
 
+app.get("/api/auth/2fa", authenticateToken, async (req, res) => {
   try {
     const conn = await createConnection();
-    await conn.execute(
-      `UPDATE expense 
-       SET category=?, description=?, amount=?, date=?, cadence=? 
-       WHERE id=? AND user_email=?`,
-      [category, description, Number(amount), date, cadence, id, req.user.email]
+    const user = await loadUser(conn, req.user.email);
+    const [[left]] = await conn.execute(
+      "SELECT COUNT(*) AS n FROM recovery_code WHERE user_email=? AND used_at IS NULL",
+      [req.user.email]
     );
     await conn.end();
-    res.json({ message: "Expense updated successfully" });
+
+    res.json({
+      enabled: !!user.totp_enabled_at,
+      enabledAt: user.totp_enabled_at,
+      recoveryCodesLeft: Number(left.n),
+    });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ message: "Error updating expense." });
+    res.status(500).json({ message: "Error loading two-factor settings." });
   }
 });
 
-app.delete("/api/expense/:id", authenticateToken, async (req, res) => {
-  const id = req.params.id;
-
+// starts (or restarts) setup: a new secret, its otpauth:// URI and
+// that URI as a QR code image
+app.post("/api/auth/2fa/setup", authenticateToken, async (req, res) => {
   try {
     const conn = await createConnection();
+    const user = await loadUser(conn, req.user.email);
+    if (user.totp_enabled_at) {
+      await conn.end();
+      return res.status(409).json({ message: "Two-factor login is already on." });
+    }
+
+    const secret = totp.generateSecret();
     await conn.execute(
-      "DELETE FROM expense WHERE id=? AND user_email=?",
-      [id, req.user.email]
+      "UPDATE user SET totp_secret=?, totp_last_step=NULL WHERE email=?",
+      [secret, user.email]
     );
     await conn.end();
-    res.status(204).send();
+
+    const uri = totp.provisioningUri({ secret, account: user.email, issuer: TOTP_ISSUER });
+    res.json({ secret, uri, qr: await QRCode.toDataURL(uri) });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ message: "Error deleting expense." });
+    res.status(500).json({ message: "Error starting two-factor setup." });
   }
 });
 
-// ===============================================================
-// BUDGET ROUTES
-// ===============================================================
-app.get("/api/budgets", authenticateToken, async (req, res) => {
+// body { code }: the first code from the app turns 2FA on
+app.post("/api/auth/2fa/enable", authenticateToken, async (req, res) => {
   try {
     const conn = await createConnection();
-    const [rows] = await conn.execute(
-      "SELECT id, category, amount, cadence, created_at FROM budget WHERE user_email=? ORDER BY category",
-      [req.user.email]
-    );
+    const user = await loadUser(conn, req.user.email);
+    if (user.totp_enabled_at || !user.totp_secret) {
+      await conn.end();
+      return res.status(409).json({
+        message: user.totp_enabled_at
+          ? "Two-factor login is already on."
+          : "Start two-factor setup first.",
+      });
+    }
+    if (!(await checkSecondFactor(conn, user, { code: req.body.code }))) {
+      await conn.end();
+      return res
+        .status(400)
+        .json({ message: "That code didn't match. Check the time on your phone and try again." });
+    }
+
+    await conn.execute("UPDATE user SET totp_enabled_at=NOW() WHERE email=?", [user.email]);
+    const recoveryCodes = await replaceRecoveryCodes(conn, user.email);
     await conn.end();
-    res.json({ items: rows });
+
+    res.json({ message: "Two-factor login is on.", recoveryCodes });
   } catch (e) {
-    res.status(500).json({ message: "Error retrieving budgets." });
+    console.error(e);
+    res.status(500).json({ message: "Error turning on two-factor login." });
   }
 });
 
-app.post("/api/budgets", authenticateToken, async (req, res) => {
-  const { category, amount, cadence = "monthly" } = req.body;
-
-  if (!category || !amount)
-    return res.status(400).json({ message: "Missing fields." });
-
+// body { password, code | recoveryCode }
+app.post("/api/auth/2fa/disable", authenticateToken, async (req, res) => {
   try {
     const conn = await createConnection();
+    const user = await loadUser(conn, req.user.email);
+    if (!user.totp_enabled_at) {
+      await conn.end();
+      return res.status(409).json({ message: "Two-factor login is not on." });
+    }
+    const error = await reauthenticate(conn, user, req.body);
+    if (error) {
+      await conn.end();
+      return res.status(403).json({ message: error });
+    }
 
-    const [r] = await conn.execute(
-      "INSERT INTO budget (user_email, category, amount, cadence) VALUES (?, ?, ?, ?)",
-      [req.user.email, category.trim(), Number(amount), cadence]
-    );
-
-    // save custom category
     await conn.execute(
-      "INSERT IGNORE INTO user_categories (user_email, category) VALUES (?, ?)",
-      [req.user.email, category.trim()]
+      `UPDATE user SET totp_secret=NULL, totp_enabled_at=NULL, totp_last_step=NULL
+       WHERE email=?`,
+      [user.email]
     );
+    await conn.execute("DELETE FROM recovery_code WHERE user_email=?", [user.email]);
+    await conn.end();
+
+    res.json({ message: "Two-factor login is off." });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error turning off two-factor login." });
+  }
+});
+
+// body { password, code | recoveryCode }; the old codes stop working
+app.post("/api/auth/2fa/recovery-codes", authenticateToken, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    const user = await loadUser(conn, req.user.email);
+    if (!user.totp_enabled_at) {
+      await conn.end();
+      return res.status(409).json({ message: "Two-factor login is not on." });
+    }
+    const error = await reauthenticate(conn, user, req.body);
+    if (error) {
+      await conn.end();
+      return res.status(403).json({ message: error });
+    }
 
+    const recoveryCodes = await replaceRecoveryCodes(conn, user.email);
     await conn.end();
-    res.status(201).json({ id: r.insertId });
+    res.json({ recoveryCodes });
   } catch (e) {
-    res.status(500).json({ message: "Error creating budget." });
+    console.error(e);
+    res.status(500).json({ message: "Error making new recovery codes." });
   }
 });
 
 // ===============================================================
-// CATEGORIES (BUILT-IN + CUSTOM)
+// ACCOUNT SETTINGS (PASSWORD, EMAIL, EXPORT, DELETE)
 // ===============================================================
-app.get("/api/categories", authenticateToken, async (req, res) => {
-  const builtIn = [
-    "Rent",
-    "Utilities",
-    "Food/Groceries",
-    "Transportation",
-    "Entertainment",
-    "Health",
-    "Other",
-  ];
-
+app.get("/api/account", authenticateToken, async (req, res) => {
   try {
     const conn = await createConnection();
-    const [rows] = await conn.execute(
-      "SELECT category FROM user_categories WHERE user_email=?",
-      [req.user.email]
-    );
+    const user = await loadUser(conn, req.user.email);
     await conn.end();
 
-    const custom = rows.map((r) => r.category);
-
-    res.json({ categories: [...builtIn, ...custom] });
+    res.json({
+      email: user.email,
+      emailVerifiedAt: user.email_verified_at,
+      twoFactorEnabled: !!user.totp_enabled_at,
+    });
   } catch (e) {
-    res.status(500).json({ message: "Error loading categories." });
+    console.error(e);
+    res.status(500).json({ message: "Error loading account." });
   }
 });
 
-// ===============================================================
-// REPORTS (THE IMPORTANT ONE — FIXED)
-// ===============================================================
-app.get("/api/reports", authenticateToken, async (req, res) => {
-  const email = req.user.email;
+// body { currentPassword, newPassword }; other devices are signed out
+app.post("/api/account/password", authenticateToken, async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
 
   try {
     const conn = await createConnection();
+    const user = await loadUser(conn, req.user.email);
+    if (!currentPassword || !(await bcrypt.compare(String(currentPassword), user.password))) {
+      await conn.end();
+      return res.status(403).json({ message: "Current password is incorrect." });
+    }
+    const weak = passwords.checkPassword(newPassword, { email: user.email });
+    if (weak) {
+      await conn.end();
+      return res.status(400).json({ message: weak });
+    }
 
-    // ---- totals ----
-    const [[inc]] = await conn.execute(
-      "SELECT IFNULL(SUM(amount),0) AS income FROM income WHERE user_email=?",
-      [email]
-    );
-
-    const [[exp]] = await conn.execute(
-      "SELECT IFNULL(SUM(amount),0) AS expenses FROM expense WHERE user_email=?",
-      [email]
+    const hashed = await bcrypt.hash(newPassword, 10);
+    await conn.execute("UPDATE user SET password=? WHERE email=?", [hashed, user.email]);
+    await conn.execute(
+      "UPDATE session SET revoked_at=NOW() WHERE user_email=? AND id<>? AND revoked_at IS NULL",
+      [user.email, req.user.sid]
     );
+    await conn.end();
 
-    // ---- monthly income (line chart) ----
-    const [monthlyInc] = await conn.execute(
-      `SELECT DATE_FORMAT(date, '%Y-%m-01') AS date,
-              SUM(amount) AS total
-       FROM income
-       WHERE user_email=?
-       GROUP BY DATE_FORMAT(date, '%Y-%m-01')
-       ORDER BY date`,
-      [email]
-    );
+    res.json({ message: "Password changed. Your other devices have been signed out." });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error changing password." });
+  }
+});
 
-    // ---- expenses by category ----
-    const [cats] = await conn.execute(
-      `SELECT category, SUM(amount) AS total
-       FROM expense
-       WHERE user_email=?
-       GROUP BY category
-       ORDER BY total DESC`,
-      [email]
-    );
+// body { newEmail, password, code | recoveryCode }. Nothing changes
+// until the link sent to the new address is opened.
+app.post("/api/account/email", authenticateToken, async (req, res) => {
+  const newEmail = String(req.body.newEmail || "").trim();
+  if (!isEmail(newEmail))
+    return res.status(400).json({ message: "Enter a valid email address." });
+  if (newEmail.toLowerCase() === req.user.email.toLowerCase())
+    return res.status(400).json({ message: "That is already your email address." });
 
-    // ---- budgets by category ----
-    const [bud] = await conn.execute(
-      `SELECT category, SUM(amount) AS total
-       FROM budget
-       WHERE user_email=?
-       GROUP BY category`,
-      [email]
-    );
+  try {
+    const conn = await createConnection();
+    const user = await loadUser(conn, req.user.email);
+    const error = await reauthenticate(conn, user, req.body);
+    if (error) {
+      await conn.end();
+      return res.status(403).json({ message: error });
+    }
+    const [[taken]] = await conn.execute("SELECT email FROM user WHERE email=?", [newEmail]);
+    if (taken) {
+      await conn.end();
+      return res.status(409).json({ message: "Another account already uses that email." });
+    }
 
+    const token = await issueAuthToken(conn, user.email, "change_email", newEmail);
     await conn.end();
 
+    await sendMail({
+      to: newEmail,
+      subject: "Confirm your new Walletly email address",
+      text:
+        `Open this link within 24 hours to start using this address for ` +
+        `your Walletly account:\n\n${APP_URL}/?change-email=${encodeURIComponent(token)}`,
+    });
+    await sendMail({
+      to: user.email,
+      subject: "Your Walletly email address is being changed",
+      text:
+        `Someone asked to move your Walletly account to ${newEmail}. It only ` +
+        `happens once the link sent there is opened.\n\nIf this wasn't you, ` +
+        `change your password now.`,
+    });
+    res.json({
+      message: `We sent a link to ${newEmail}. Your email changes once you open it.`,
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error changing email." });
+  }
+});
+
+// body { token } from the link sent to the new address. The account
+// and every row it owns move over in one transaction.
+app.post("/api/auth/confirm-email-change", async (req, res) => {
+  let conn;
+  try {
+    conn = await createConnection();
+    await conn.beginTransaction();
+
+    const row = await consumeAuthToken(conn, req.body.token, "change_email");
+    if (!row) {
+      await conn.rollback();
+      return res
+        .status(400)
+        .json({ message: "This link is invalid or has expired. Ask for a new one in Settings." });
+    }
+    const [[taken]] = await conn.execute("SELECT email FROM user WHERE email=? FOR UPDATE", [
+      row.new_email,
+    ]);
+    if (taken) {
+      await conn.rollback();
+      return res.status(409).json({ message: "Another account already uses that email." });
+    }
+
+    await account.renameAccount(conn, row.user_email, row.new_email);
+    await conn.execute("UPDATE user SET email_verified_at=NOW() WHERE email=?", [row.new_email]);
+    await conn.commit();
+
+    res.json({ message: `Your email is now ${row.new_email}.`, email: row.new_email });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    if (e.code === "ER_DUP_ENTRY")
+      return res.status(409).json({ message: "Another account already uses that email." });
+
+    console.error(e);
+    res.status(500).json({ message: "Error changing email." });
+  } finally {
+    if (conn) await conn.end().catch(() => {});
+  }
+});
+
+// every row the account owns, as a JSON download
+app.get("/api/account/export", authenticateToken, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    const data = await account.exportAccount(conn, req.user.email);
+    await conn.end();
+
+    const day = data.exportedAt.slice(0, 10);
+    res.set("Content-Disposition", `attachment; filename="walletly-export-${day}.json"`);
+    res.json(data);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error exporting account." });
+  }
+});
+
+// body { password, code | recoveryCode }; removes the account for good
+app.delete("/api/account", authenticateToken, async (req, res) => {
+  let conn;
+  try {
+    conn = await createConnection();
+    const user = await loadUser(conn, req.user.email);
+    const error = await reauthenticate(conn, user, req.body);
+    if (error) {
+      await conn.end();
+      return res.status(403).json({ message: error });
+    }
+
+    // households only this user owns go with the account when nobody
+    // else is in them; otherwise ownership has to be handed over first
+    const [owned] = await conn.execute(
+      `SELECT h.id, h.name,
+              (SELECT COUNT(*) FROM household_member x
+               WHERE x.household_id = h.id AND x.accepted_at IS NOT NULL) AS members,
+              (SELECT COUNT(*) FROM household_member x
+               WHERE x.household_id = h.id AND x.role = 'owner' AND x.accepted_at IS NOT NULL) AS owners
+       FROM household_member m JOIN household h ON h.id = m.household_id
+       WHERE m.user_email=? AND m.role='owner' AND m.accepted_at IS NOT NULL`,
+      [user.email]
+    );
+    const stuck = owned.find((h) => Number(h.owners) === 1 && Number(h.members) > 1);
+    if (stuck) {
+      await conn.end();
+      return res.status(409).json({
+        message: `Make another member an owner of "${stuck.name}" (or delete it) before deleting your account.`,
+      });
+    }
+
+    await conn.beginTransaction();
+    const files = [];
+    for (const h of owned.filter((h) => Number(h.members) === 1))
+      files.push(...(await deleteHousehold(conn, h.id)));
+    files.push(...(await account.deleteAccount(conn, user.email)));
+    await conn.commit();
+    await conn.end();
+    await storage.removeAll(files);
+
+    res.json({ message: "Your account and all of its data have been deleted." });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    console.error(e);
+    res.status(500).json({ message: "Error deleting account." });
+  }
+});
+
+// ===============================================================
+// SESSIONS (REFRESH, LOGOUT, ACTIVE SESSIONS)
+// ===============================================================
+// Two tabs can race to refresh with the same token; an old token that
+// comes back within this window is turned away without treating it as
+// stolen.
+const REFRESH_GRACE_SECONDS = 30;
+
+// body { refreshToken } -> a new token pair; the old refresh token
+// stops working. Presenting an already-rotated token again ends the
+// session, since someone else must have a copy of it.
+app.post("/api/auth/refresh", async (req, res) => {
+  const parsed = tokens.parseIdToken(req.body.refreshToken);
+  if (!parsed) return res.status(401).json({ message: "Invalid refresh token." });
+
+  try {
+    const conn = await createConnection();
+    const [[session]] = await conn.execute(
+      `SELECT *, TIMESTAMPDIFF(SECOND, last_used_at, NOW()) AS idle_seconds
+       FROM session WHERE id=? AND revoked_at IS NULL AND expires_at > NOW()`,
+      [parsed.id]
+    );
+
+    if (session && parsed.hash === session.previous_hash) {
+      if (session.idle_seconds > REFRESH_GRACE_SECONDS)
+        await conn.execute("UPDATE session SET revoked_at=NOW() WHERE id=?", [session.id]);
+      await conn.end();
+      return res.status(401).json({ message: "Refresh token was already used." });
+    }
+    if (!session || parsed.hash !== session.refresh_hash) {
+      await conn.end();
+      return res.status(401).json({ message: "Session has ended. Please log in again." });
+    }
+
+    const { secret, hash } = tokens.newSecret();
+    const [r] = await conn.execute(
+      `UPDATE session
+       SET previous_hash=refresh_hash, refresh_hash=?, last_used_at=NOW(), expires_at=?
+       WHERE id=? AND refresh_hash=?`,
+      [hash, tokens.refreshExpiry(), session.id, session.refresh_hash]
+    );
+    await conn.end();
+
+    if (!r.affectedRows)
+      return res.status(401).json({ message: "Refresh token was already used." });
+    res.json(tokenPair(session.user_email, session.id, secret));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error refreshing session." });
+  }
+});
+
+// ends the session the request was made with
+app.post("/api/auth/logout", authenticateToken, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    await conn.execute("UPDATE session SET revoked_at=NOW() WHERE id=?", [req.user.sid]);
+    await conn.end();
+    res.status(204).send();
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error logging out." });
+  }
+});
+
+app.get("/api/auth/sessions", authenticateToken, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    const [rows] = await conn.execute(
+      `SELECT id, user_agent, ip, created_at, last_used_at, expires_at FROM session
+       WHERE user_email=? AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY last_used_at DESC`,
+      [req.user.email]
+    );
+    await conn.end();
+    res.json({
+      items: rows.map((r) => ({
+        id: r.id,
+        userAgent: r.user_agent,
+        ip: r.ip,
+        createdAt: r.created_at,
+        lastUsedAt: r.last_used_at,
+        expiresAt: r.expires_at,
+        current: r.id === req.user.sid,
+      })),
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error loading sessions." });
+  }
+});
+
+// revoke every other session (?includeCurrent=1 signs this one out too)
+app.delete("/api/auth/sessions", authenticateToken, async (req, res) => {
+  const includeCurrent = ["1", "true"].includes(req.query.includeCurrent);
+
+  try {
+    const conn = await createConnection();
+    const [r] = await conn.execute(
+      `UPDATE session SET revoked_at=NOW()
+       WHERE user_email=? AND revoked_at IS NULL ${includeCurrent ? "" : "AND id<>?"}`,
+      includeCurrent ? [req.user.email] : [req.user.email, req.user.sid]
+    );
+    await conn.end();
+    res.json({ revoked: r.affectedRows });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error revoking sessions." });
+  }
+});
+
+app.delete("/api/auth/sessions/:id", authenticateToken, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    const [r] = await conn.execute(
+      "UPDATE session SET revoked_at=NOW() WHERE id=? AND user_email=? AND revoked_at IS NULL",
+      [req.params.id, req.user.email]
+    );
+    await conn.end();
+    if (!r.affectedRows) return res.status(404).json({ message: "Session not found." });
+    res.status(204).send();
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error revoking session." });
+  }
+});
+
+// ===============================================================
+// HOUSEHOLDS (SHARED BUDGETS, MEMBERS, ROLES)
+// ===============================================================
+// Members are invited by email and join once they accept; the invite
+// waits for people who haven't signed up yet. A household always keeps
+// at least one owner.
+const HOUSEHOLD_NAME_MAX = 80;
+
+const memberItem = (m) => ({
+  id: m.id,
+  email: m.user_email,
+  role: m.role,
+  invitedBy: m.invited_by,
+  accepted: !!m.accepted_at,
+  joinedAt: m.accepted_at,
+});
+
+// the user's membership in household `id` (pending ones included), or null
+async function findMembership(conn, householdId, email) {
+  const [[m]] = await conn.execute(
+    `SELECT m.*, h.name FROM household_member m
+     JOIN household h ON h.id = m.household_id
+     WHERE m.household_id=? AND m.user_email=?`,
+    [householdId, email]
+  );
+  return m || null;
+}
+
+// membership check for the routes below: answers 403/404 itself and
+// returns null, or returns the accepted membership (with the
+// household's name)
+async function requireMember(conn, req, res, { manage = false } = {}) {
+  const m = await findMembership(conn, Number(req.params.id) || 0, req.user.email);
+  if (!m || !m.accepted_at) {
+    res.status(404).json({ message: "Household not found." });
+    return null;
+  }
+  if (manage && !households.canManage(m.role)) {
+    res.status(403).json({ message: "Only an owner can do that." });
+    return null;
+  }
+  return m;
+}
+
+async function countOwners(conn, householdId) {
+  const [[r]] = await conn.execute(
+    `SELECT COUNT(*) AS n FROM household_member
+     WHERE household_id=? AND role='owner' AND accepted_at IS NOT NULL`,
+    [householdId]
+  );
+  return Number(r.n);
+}
+
+// deletes a household with all of its data. Run inside a transaction.
+// Returns the storage keys of its files, to remove after the commit.
+async function deleteHousehold(conn, householdId) {
+  const files = await account.deleteOwnedRows(conn, households.ownerKey(householdId));
+  await conn.execute("DELETE FROM household WHERE id=?", [householdId]);
+  return files;
+}
+
+// the user's households, including invites they haven't answered
+app.get("/api/households", authenticateToken, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    const [rows] = await conn.execute(
+      `SELECT h.id, h.name, h.currency, m.id AS member_id, m.role, m.accepted_at, m.invited_by,
+              (SELECT COUNT(*) FROM household_member x
+               WHERE x.household_id = h.id AND x.accepted_at IS NOT NULL) AS members
+       FROM household_member m
+       JOIN household h ON h.id = m.household_id
+       WHERE m.user_email=?
+       ORDER BY h.name`,
+      [req.user.email]
+    );
+    await conn.end();
+
+    res.json({
+      items: rows.map((r) => ({
+        id: r.id,
+        name: r.name,
+        currency: r.currency,
+        memberId: r.member_id,
+        role: r.role,
+        accepted: !!r.accepted_at,
+        invitedBy: r.invited_by,
+        members: Number(r.members),
+      })),
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error loading households." });
+  }
+});
+
+app.post("/api/households", authenticateToken, async (req, res) => {
+  const name = String(req.body.name || "").trim();
+  if (!name || name.length > HOUSEHOLD_NAME_MAX)
+    return res
+      .status(400)
+      .json({ message: `Name is required (at most ${HOUSEHOLD_NAME_MAX} characters).` });
+
+  let conn;
+  try {
+    conn = await createConnection();
+    await conn.beginTransaction();
+    // the household starts out in its creator's currency
+    const [r] = await conn.execute(
+      `INSERT INTO household (name, created_by, currency)
+       SELECT ?, email, currency FROM user WHERE email=?`,
+      [name, req.user.email]
+    );
+    await conn.execute(
+      `INSERT INTO household_member (household_id, user_email, role, accepted_at)
+       VALUES (?, ?, 'owner', NOW())`,
+      [r.insertId, req.user.email]
+    );
+    await seedCategories(conn, households.ownerKey(r.insertId));
+    await seedAlertRules(conn, households.ownerKey(r.insertId));
+    await conn.commit();
+    await conn.end();
+
+    res.status(201).json({ id: r.insertId });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    console.error(e);
+    res.status(500).json({ message: "Error creating household." });
+  }
+});
+
+// rename, or change the currency its reports and budgets are kept in
+app.patch("/api/households/:id", authenticateToken, async (req, res) => {
+  const name = req.body.name !== undefined ? String(req.body.name).trim() : undefined;
+  const code = parseCurrency(req.body.currency);
+  if (name === undefined && code === undefined)
+    return res.status(400).json({ message: "Send a name or a currency." });
+  if (name !== undefined && (!name || name.length > HOUSEHOLD_NAME_MAX))
+    return res
+      .status(400)
+      .json({ message: `Name is required (at most ${HOUSEHOLD_NAME_MAX} characters).` });
+  if (code === null)
+    return res.status(400).json({ message: "currency must be an ISO 4217 code such as EUR." });
+
+  try {
+    const conn = await createConnection();
+    const m = await requireMember(conn, req, res, { manage: true });
+    if (!m) {
+      await conn.end();
+      return;
+    }
+
+    await conn.execute(
+      "UPDATE household SET name=IFNULL(?, name), currency=IFNULL(?, currency) WHERE id=?",
+      [name ?? null, code ?? null, m.household_id]
+    );
+    await conn.end();
+    res.json({ message: "Household updated." });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error updating household." });
+  }
+});
+
+// removes the household and everything recorded in it
+app.delete("/api/households/:id", authenticateToken, async (req, res) => {
+  let conn;
+  try {
+    conn = await createConnection();
+    const m = await requireMember(conn, req, res, { manage: true });
+    if (!m) {
+      await conn.end();
+      return;
+    }
+
+    await conn.beginTransaction();
+    const files = await deleteHousehold(conn, m.household_id);
+    await conn.commit();
+    await conn.end();
+    await storage.removeAll(files);
+    res.status(204).send();
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    console.error(e);
+    res.status(500).json({ message: "Error deleting household." });
+  }
+});
+
+app.get("/api/households/:id/members", authenticateToken, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    const m = await requireMember(conn, req, res);
+    if (!m) {
+      await conn.end();
+      return;
+    }
+
+    const [rows] = await conn.execute(
+      `SELECT * FROM household_member WHERE household_id=?
+       ORDER BY accepted_at IS NULL, FIELD(role, 'owner', 'editor', 'viewer'), user_email`,
+      [m.household_id]
+    );
+    await conn.end();
+    res.json({ role: m.role, items: rows.map(memberItem) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error loading members." });
+  }
+});
+
+// invite: body { email, role }
+app.post("/api/households/:id/members", authenticateToken, async (req, res) => {
+  const email = String(req.body.email || "").trim();
+  const role = req.body.role || "editor";
+  if (!isEmail(email))
+    return res.status(400).json({ message: "Enter a valid email address." });
+  if (!households.ROLES.includes(role))
+    return res
+      .status(400)
+      .json({ message: `role must be one of ${households.ROLES.join(", ")}.` });
+
+  try {
+    const conn = await createConnection();
+    const m = await requireMember(conn, req, res, { manage: true });
+    if (!m) {
+      await conn.end();
+      return;
+    }
+
+    let r;
+    try {
+      [r] = await conn.execute(
+        `INSERT INTO household_member (household_id, user_email, role, invited_by)
+         VALUES (?, ?, ?, ?)`,
+        [m.household_id, email, role, req.user.email]
+      );
+    } catch (e) {
+      await conn.end();
+      if (e.code === "ER_DUP_ENTRY")
+        return res
+          .status(409)
+          .json({ message: "That person is already a member or has been invited." });
+      throw e;
+    }
+    await conn.end();
+
+    await sendMail({
+      to: email,
+      subject: `${req.user.email} invited you to "${m.name}" on Walletly`,
+      text:
+        `${req.user.email} invited you to share the household budget "${m.name}" ` +
+        `on Walletly as ${role === "viewer" ? "a viewer" : `an ${role}`}.\n\n` +
+        `Log in (or create an account with this email) and accept the invite ` +
+        `under Settings:\n\n${APP_URL}/settings`,
+    });
+    res.status(201).json({ id: r.insertId });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error inviting member." });
+  }
+});
+
+// body { role }
+app.patch("/api/households/:id/members/:memberId", authenticateToken, async (req, res) => {
+  const { role } = req.body;
+  if (!households.ROLES.includes(role))
+    return res
+      .status(400)
+      .json({ message: `role must be one of ${households.ROLES.join(", ")}.` });
+
+  try {
+    const conn = await createConnection();
+    const m = await requireMember(conn, req, res, { manage: true });
+    if (!m) {
+      await conn.end();
+      return;
+    }
+
+    const [[target]] = await conn.execute(
+      "SELECT * FROM household_member WHERE id=? AND household_id=?",
+      [req.params.memberId, m.household_id]
+    );
+    if (!target) {
+      await conn.end();
+      return res.status(404).json({ message: "Member not found." });
+    }
+    if (
+      target.role === "owner" &&
+      role !== "owner" &&
+      target.accepted_at &&
+      (await countOwners(conn, m.household_id)) <= 1
+    ) {
+      await conn.end();
+      return res
+        .status(400)
+        .json({ message: "A household needs an owner. Make someone else an owner first." });
+    }
+
+    await conn.execute("UPDATE household_member SET role=? WHERE id=?", [role, target.id]);
+    await conn.end();
+    res.json({ message: "Role updated." });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error updating member." });
+  }
+});
+
+// owners remove members or cancel invites; anyone can remove
+// themselves (leave, or decline an invite)
+app.delete("/api/households/:id/members/:memberId", authenticateToken, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    const [[target]] = await conn.execute(
+      "SELECT * FROM household_member WHERE id=? AND household_id=?",
+      [req.params.memberId, Number(req.params.id) || 0]
+    );
+    const self = target && target.user_email === req.user.email;
+    const me = target && (self ? target : await findMembership(conn, target.household_id, req.user.email));
+
+    if (!me || (!self && !(me.accepted_at && households.canManage(me.role)))) {
+      await conn.end();
+      return res.status(404).json({ message: "Member not found." });
+    }
+    if (target.role === "owner" && target.accepted_at) {
+      const [[others]] = await conn.execute(
+        `SELECT COUNT(*) AS n FROM household_member
+         WHERE household_id=? AND id<>? AND accepted_at IS NOT NULL`,
+        [target.household_id, target.id]
+      );
+      const owners = await countOwners(conn, target.household_id);
+      if (owners <= 1) {
+        await conn.end();
+        return res.status(400).json({
+          message: Number(others.n)
+            ? "A household needs an owner. Make someone else an owner first."
+            : "You're the only member. Delete the household instead.",
+        });
+      }
+    }
+
+    await conn.execute("DELETE FROM household_member WHERE id=?", [target.id]);
+    await conn.end();
+    res.status(204).send();
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error removing member." });
+  }
+});
+
+app.post("/api/households/:id/accept", authenticateToken, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    const [r] = await conn.execute(
+      `UPDATE household_member SET accepted_at=NOW()
+       WHERE household_id=? AND user_email=? AND accepted_at IS NULL`,
+      [Number(req.params.id) || 0, req.user.email]
+    );
+    await conn.end();
+
+    if (!r.affectedRows) return res.status(404).json({ message: "Invite not found." });
+    res.json({ message: "You joined the household." });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error accepting invite." });
+  }
+});
+
+// ===============================================================
+// SCHEDULE VALIDATION (shared by income + expense)
+// ===============================================================
+// a real calendar day: "2024-02-31" would otherwise roll over into March
+const isISODate = (s) =>
+  /^\d{4}-\d{2}-\d{2}$/.test(String(s)) &&
+  !isNaN(new Date(s)) &&
+  new Date(`${s}T00:00:00Z`).toISOString().slice(0, 10) === s;
+
+function validateSchedule({ date, cadence, end_date }) {
+  if (date !== undefined && !isISODate(date))
+    return "date must be YYYY-MM-DD.";
+  if (!recurrence.CADENCES.includes(cadence))
+    return `cadence must be one of ${recurrence.CADENCES.join(", ")}.`;
+  if (end_date) {
+    if (!isISODate(end_date)) return "end_date must be YYYY-MM-DD.";
+    if (date && end_date < date) return "end_date cannot be before date.";
+  }
+  return null;
+}
+
+// ===============================================================
+// INCOME ROUTES
+// ===============================================================
+// ?tag=<name> lists only income with that tag
+app.get("/api/income", scoped, async (req, res) => {
+  const tag = req.query.tag ? tags.normalizeTag(req.query.tag) : undefined;
+  if (tag === null) return res.status(400).json({ message: "tag is not a valid tag name." });
+
+  try {
+    const conn = await createConnection();
+    const [rows] = await conn.execute(
+      `SELECT i.*, ${attachmentCount("income", "i")}
+       FROM income i WHERE i.user_email=? ${tag ? `AND ${hasTag("income", "i")}` : ""}
+       ORDER BY i.date DESC`,
+      tag ? [req.scope.owner, tag] : [req.scope.owner]
+    );
+    const converted = await withConvertedAmounts(conn, req.scope, rows);
+    const tagged = await loadTags(conn, req.scope.owner);
+    await conn.end();
+    const items = converted.map((r) => ({ ...r, tags: tagged.get(`income:${r.id}`) || [] }));
+    res.json({ items });
+  } catch (e) {
+    res.status(500).json({ message: "Error retrieving income." });
+  }
+});
+
+app.post("/api/income", scoped, async (req, res) => {
+  const {
+    source,
+    amount,
+    date,
+    description = null,
+    notes = null,
+    cadence = "monthly",
+    end_date = null,
+  } = req.body;
+  const accountId = parseAccountId(req.body.account_id) ?? null;
+  const code = parseCurrency(req.body.currency);
+  const tagged = tags.parseTags(req.body.tags ?? null);
+
+  if (!source || !amount || !date)
+    return res.status(400).json({ message: "Missing fields." });
+  if (code === null)
+    return res.status(400).json({ message: "currency must be an ISO 4217 code such as EUR." });
+  if (tagged.error) return res.status(400).json({ message: tagged.error });
+
+  const scheduleError = validateSchedule({ date, cadence, end_date });
+  if (scheduleError) return res.status(400).json({ message: scheduleError });
+
+  let conn;
+  try {
+    conn = await createConnection();
+    const accountError = await checkAccount(conn, req.scope.owner, accountId);
+    if (accountError) {
+      await conn.end();
+      return res.status(400).json({ message: accountError });
+    }
+
+    const incomeCurrency = code || (await defaultCurrency(conn, req.scope, accountId));
+    await conn.beginTransaction();
+    const [r] = await conn.execute(
+      "INSERT INTO income (user_email, created_by, source, description, notes, amount, currency, cadence, date, end_date, account_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+      [
+        req.scope.owner,
+        req.user.email,
+        source.trim(),
+        description || null,
+        notes || null,
+        Number(amount),
+        incomeCurrency,
+        cadence,
+        date,
+        end_date || null,
+        accountId,
+      ]
+    );
+    await saveTags(conn, req.scope.owner, "income", r.insertId, tagged.tags);
+    await conn.commit();
+    await conn.end();
+    res.status(201).json({ id: r.insertId });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    res.status(500).json({ message: "Error creating income." });
+  }
+});
+
+app.patch("/api/income/:id", scoped, async (req, res) => {
+  const id = req.params.id;
+  const {
+    source,
+    amount,
+    date,
+    description = null,
+    cadence = "monthly",
+    end_date = null,
+  } = req.body;
+  // the account, currency, notes and tags only change when they are sent
+  const accountId = parseAccountId(req.body.account_id);
+  const code = parseCurrency(req.body.currency);
+  const notes = req.body.notes;
+  const tagged = req.body.tags !== undefined ? tags.parseTags(req.body.tags) : null;
+
+  if (code === null)
+    return res.status(400).json({ message: "currency must be an ISO 4217 code such as EUR." });
+  if (tagged?.error) return res.status(400).json({ message: tagged.error });
+  const scheduleError = validateSchedule({ date, cadence, end_date });
+  if (scheduleError) return res.status(400).json({ message: scheduleError });
+
+  let conn;
+  try {
+    conn = await createConnection();
+    const accountError = await checkAccount(conn, req.scope.owner, accountId);
+    if (accountError) {
+      await conn.end();
+      return res.status(400).json({ message: accountError });
+    }
+
+    await conn.beginTransaction();
+    const [r] = await conn.execute(
+      `UPDATE income 
+       SET source=?, description=?, amount=?, date=?, cadence=?, end_date=?,
+           account_id=IF(?, ?, account_id), currency=IFNULL(?, currency),
+           notes=IF(?, ?, notes)
+       WHERE id=? AND user_email=?`,
+      [source, description, Number(amount), date, cadence, end_date || null,
+        accountId !== undefined, accountId ?? null, code ?? null,
+        notes !== undefined, notes || null, id, req.scope.owner]
+    );
+    if (tagged && r.affectedRows) await saveTags(conn, req.scope.owner, "income", id, tagged.tags);
+    await conn.commit();
+    await conn.end();
+    res.json({ message: "Income updated successfully" });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    console.error(e);
+    res.status(500).json({ message: "Error updating income." });
+  }
+});
+
+app.delete("/api/income/:id", scoped, async (req, res) => {
+  const id = req.params.id;
+
+  try {
+    const conn = await createConnection();
+    const [r] = await conn.execute(
+      "DELETE FROM income WHERE id=? AND user_email=?",
+      [id, req.scope.owner]
+    );
+    await conn.execute(
+      "DELETE FROM recurrence_exception WHERE kind='income' AND template_id=? AND user_email=?",
+      [id, req.scope.owner]
+    );
+    await conn.execute(
+      "DELETE FROM transaction_tag WHERE kind='income' AND transaction_id=? AND user_email=?",
+      [id, req.scope.owner]
+    );
+    const files = r.affectedRows
+      ? await deleteAttachmentsOf(conn, req.scope.owner, "income", id)
+      : [];
+    await conn.end();
+    await storage.removeAll(files);
+    res.status(204).send();
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error deleting income." });
+  }
+});
+
+// ===============================================================
+// EXPENSE ROUTES
+// ===============================================================
+// splits of the owner's expenses (all of them, or only `ids`) as
+// expense id -> [{ id, category, amount, note }] in order
+async function loadSplits(conn, owner, ids = null) {
+  if (ids && !ids.length) return new Map();
+  const [rows] = await conn.execute(
+    `SELECT id, expense_id, category, amount, note FROM expense_split
+     WHERE user_email=? ${ids ? `AND expense_id IN (${ids.map(() => "?").join(", ")})` : ""}
+     ORDER BY expense_id, position, id`,
+    [owner, ...(ids || [])]
+  );
+  const byExpense = new Map();
+  rows.forEach((r) => {
+    if (!byExpense.has(r.expense_id)) byExpense.set(r.expense_id, []);
+    byExpense.get(r.expense_id).push({
+      id: r.id,
+      category: r.category,
+      amount: Number(r.amount),
+      note: r.note,
+    });
+  });
+  return byExpense;
+}
+
+// replaces an expense's splits (an empty list removes them)
+async function saveSplits(conn, owner, expenseId, list) {
+  await conn.execute("DELETE FROM expense_split WHERE expense_id=? AND user_email=?", [
+    expenseId,
+    owner,
+  ]);
+  for (const [i, s] of list.entries()) {
+    await conn.execute(
+      `INSERT INTO expense_split (expense_id, user_email, category, amount, note, position)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [expenseId, owner, s.category, s.amount, s.note, i]
+    );
+    await rememberCategory(conn, owner, s.category);
+  }
+}
+
+// expense occurrences with split expenses counted per split, for
+// anything that adds spending up by category
+async function splitByCategory(conn, owner, expenses) {
+  return splits.applySplits(expenses, await loadSplits(conn, owner));
+}
+
+// ?tag=<name> lists only expenses with that tag
+app.get("/api/expense", scoped, async (req, res) => {
+  const tag = req.query.tag ? tags.normalizeTag(req.query.tag) : undefined;
+  if (tag === null) return res.status(400).json({ message: "tag is not a valid tag name." });
+
+  try {
+    const conn = await createConnection();
+    const [rows] = await conn.execute(
+      `SELECT e.*, ${attachmentCount("expense", "e")}
+       FROM expense e WHERE e.user_email=? ${tag ? `AND ${hasTag("expense", "e")}` : ""}
+       ORDER BY e.date DESC`,
+      tag ? [req.scope.owner, tag] : [req.scope.owner]
+    );
+    const converted = await withConvertedAmounts(conn, req.scope, rows);
+    const byExpense = await loadSplits(conn, req.scope.owner);
+    const tagged = await loadTags(conn, req.scope.owner);
+    await conn.end();
+    const items = converted.map((r) => ({
+      ...r,
+      splits: byExpense.get(r.id) || [],
+      tags: tagged.get(`expense:${r.id}`) || [],
+    }));
+    res.json({ items });
+  } catch (e) {
+    res.status(500).json({ message: "Error retrieving expenses." });
+  }
+});
+
+// A missing or "Other" category is filled in from the user's
+// categorization rules; a matching rule's cadence is used when the
+// request didn't send one. body.splits ([{ category, amount, note }],
+// adding up to amount) splits the expense across categories instead.
+app.post("/api/expense", scoped, async (req, res) => {
+  const { amount, date, description = null, notes = null, end_date = null } = req.body;
+  const accountId = parseAccountId(req.body.account_id) ?? null;
+  const code = parseCurrency(req.body.currency);
+  const tagged = tags.parseTags(req.body.tags ?? null);
+  let category = String(req.body.category || "").trim();
+  let cadence = req.body.cadence;
+
+  if (!amount || !date)
+    return res.status(400).json({ message: "Missing fields." });
+  if (code === null)
+    return res.status(400).json({ message: "currency must be an ISO 4217 code such as EUR." });
+  if (tagged.error) return res.status(400).json({ message: tagged.error });
+  const split =
+    req.body.splits !== undefined ? splits.parseSplits(req.body.splits, amount) : { splits: [] };
+  if (split.error) return res.status(400).json({ message: split.error });
+  if (split.splits.length) category = splits.mainCategory(split.splits);
+
+  let conn;
+  try {
+    conn = await createConnection();
+    const accountError = await checkAccount(conn, req.scope.owner, accountId);
+    if (accountError) {
+      await conn.end();
+      return res.status(400).json({ message: accountError });
+    }
+
+    if (rules.needsCategory(category)) {
+      const match = rules.findMatchingRule(await loadRules(conn, req.scope.owner), {
+        description,
+        amount,
+        source: "manual",
+      });
+      if (match) {
+        category = match.category;
+        if (cadence === undefined && match.cadence) cadence = match.cadence;
+      }
+    }
+    category = category || "Other";
+    cadence = cadence ?? "monthly";
+
+    const scheduleError = validateSchedule({ date, cadence, end_date });
+    if (scheduleError) {
+      await conn.end();
+      return res.status(400).json({ message: scheduleError });
+    }
+
+    const expenseCurrency = code || (await defaultCurrency(conn, req.scope, accountId));
+    await conn.beginTransaction();
+    const [r] = await conn.execute(
+      "INSERT INTO expense (user_email, created_by, category, description, notes, amount, currency, date, end_date, cadence, account_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+      [
+        req.scope.owner,
+        req.user.email,
+        category,
+        description,
+        notes || null,
+        Number(amount),
+        expenseCurrency,
+        date,
+        end_date || null,
+        cadence,
+        accountId,
+      ]
+    );
+    await rememberCategory(conn, req.scope.owner, category);
+    await saveSplits(conn, req.scope.owner, r.insertId, split.splits);
+    await saveTags(conn, req.scope.owner, "expense", r.insertId, tagged.tags);
+    await conn.commit();
+    const notifications = await checkAlertsAfterSave(conn, req.scope, [r.insertId]);
+    await conn.end();
+    res.status(201).json({ id: r.insertId, category, notifications });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    res.status(500).json({ message: "Error creating expense." });
+  }
+});
+
+app.patch("/api/expense/:id", scoped, async (req, res) => {
+  const id = req.params.id;
+  const {
+    category,
+    amount,
+    date,
+    description = null,
+    cadence = "monthly",
+    end_date = null,
+  } = req.body;
+  // the account, currency, notes, tags and splits only change when they
+  // are sent (splits: [] removes the split)
+  const accountId = parseAccountId(req.body.account_id);
+  const code = parseCurrency(req.body.currency);
+  const notes = req.body.notes;
+  const tagged = req.body.tags !== undefined ? tags.parseTags(req.body.tags) : null;
+  const split =
+    req.body.splits !== undefined ? splits.parseSplits(req.body.splits, amount) : null;
+
+  if (code === null)
+    return res.status(400).json({ message: "currency must be an ISO 4217 code such as EUR." });
+  if (tagged?.error) return res.status(400).json({ message: tagged.error });
+  if (split?.error) return res.status(400).json({ message: split.error });
+  const scheduleError = validateSchedule({ date, cadence, end_date });
+  if (scheduleError) return res.status(400).json({ message: scheduleError });
+
+  let conn;
+  try {
+    conn = await createConnection();
+    const accountError = await checkAccount(conn, req.scope.owner, accountId);
+    if (accountError) {
+      await conn.end();
+      return res.status(400).json({ message: accountError });
+    }
+
+    // splits left as they are must still add up to the new amount
+    let newCategory = category;
+    if (split?.splits.length) newCategory = splits.mainCategory(split.splits);
+    else if (!split) {
+      const existing = (await loadSplits(conn, req.scope.owner, [Number(id)])).get(Number(id));
+      if (existing) {
+        if (!splits.splitsMatch(existing, amount)) {
+          await conn.end();
+          return res
+            .status(400)
+            .json({ message: "The splits no longer add up to the amount. Send new splits." });
+        }
+        newCategory = splits.mainCategory(existing);
+      }
+    }
+
+    await conn.beginTransaction();
+    const [r] = await conn.execute(
+      `UPDATE expense 
+       SET category=?, description=?, amount=?, date=?, cadence=?, end_date=?,
+           account_id=IF(?, ?, account_id), currency=IFNULL(?, currency),
+           notes=IF(?, ?, notes)
+       WHERE id=? AND user_email=?`,
+      [newCategory, description, Number(amount), date, cadence, end_date || null,
+        accountId !== undefined, accountId ?? null, code ?? null,
+        notes !== undefined, notes || null, id, req.scope.owner]
+    );
+    if (newCategory) await rememberCategory(conn, req.scope.owner, newCategory.trim());
+    if (split && r.affectedRows) await saveSplits(conn, req.scope.owner, id, split.splits);
+    if (tagged && r.affectedRows) await saveTags(conn, req.scope.owner, "expense", id, tagged.tags);
+    await conn.commit();
+    const notifications = r.affectedRows
+      ? await checkAlertsAfterSave(conn, req.scope, [Number(id)])
+      : 0;
+    await conn.end();
+    res.json({ message: "Expense updated successfully", notifications });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    console.error(e);
+    res.status(500).json({ message: "Error updating expense." });
+  }
+});
+
+app.delete("/api/expense/:id", scoped, async (req, res) => {
+  const id = req.params.id;
+
+  try {
+    const conn = await createConnection();
+    const [r] = await conn.execute(
+      "DELETE FROM expense WHERE id=? AND user_email=?",
+      [id, req.scope.owner]
+    );
+    await conn.execute(
+      "DELETE FROM recurrence_exception WHERE kind='expense' AND template_id=? AND user_email=?",
+      [id, req.scope.owner]
+    );
+    await conn.execute(
+      "DELETE FROM transaction_tag WHERE kind='expense' AND transaction_id=? AND user_email=?",
+      [id, req.scope.owner]
+    );
+    const files = r.affectedRows
+      ? await deleteAttachmentsOf(conn, req.scope.owner, "expense", id)
+      : [];
+    await conn.end();
+    await storage.removeAll(files);
+    res.status(204).send();
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error deleting expense." });
+  }
+});
+
+// ===============================================================
+// ATTACHMENTS (RECEIPTS AND DOCUMENTS ON TRANSACTIONS)
+// ===============================================================
+// Files live in storage (lib/storage.js) and are only handed out by
+// these routes, to whoever can see the transaction they are attached
+// to: its owner, or the members of its household.
+const ATTACHMENT_KINDS = ["income", "expense"];
+
+// uploads are held in memory up to the size limit, checked, and then
+// written to storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: attachments.maxBytes(), files: 1 },
+});
+
+// upload.single("file") with its errors answered as JSON
+function receiveFile(req, res, next) {
+  upload.single("file")(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE")
+      return res.status(413).json({
+        message: `Files can be at most ${Math.round(attachments.maxBytes() / 1048576)} MB.`,
+      });
+    if (err instanceof multer.MulterError)
+      return res.status(400).json({ message: 'Send one file in the "file" field.' });
+    next(err);
+  });
+}
+
+// a SELECT column counting the attachments of `alias`'s rows
+const attachmentCount = (kind, alias) =>
+  `(SELECT COUNT(*) FROM attachment a
+    WHERE a.kind='${kind}' AND a.transaction_id=${alias}.id
+      AND a.user_email=${alias}.user_email) AS attachments`;
+
+const attachmentItem = (r) => ({
+  id: r.id,
+  kind: r.kind,
+  transactionId: r.transaction_id,
+  filename: r.filename,
+  mimeType: r.mime_type,
+  size: r.size,
+  uploadedBy: r.uploaded_by,
+  createdAt: r.created_at,
+});
+
+async function findAttachment(conn, owner, id) {
+  const [[row]] = await conn.execute("SELECT * FROM attachment WHERE id=? AND user_email=?", [
+    Number(id) || 0,
+    owner,
+  ]);
+  return row || null;
+}
+
+// removes a transaction's attachment rows; returns their storage keys
+// for storage.removeAll()
+async function deleteAttachmentsOf(conn, owner, kind, transactionId) {
+  const [rows] = await conn.execute(
+    "SELECT storage_key FROM attachment WHERE kind=? AND transaction_id=? AND user_email=?",
+    [kind, transactionId, owner]
+  );
+  await conn.execute(
+    "DELETE FROM attachment WHERE kind=? AND transaction_id=? AND user_email=?",
+    [kind, transactionId, owner]
+  );
+  return rows.map((r) => r.storage_key);
+}
+
+for (const kind of ATTACHMENT_KINDS) {
+  app.get(`/api/${kind}/:id/attachments`, scoped, async (req, res) => {
+    try {
+      const conn = await createConnection();
+      const [rows] = await conn.execute(
+        `SELECT * FROM attachment WHERE kind=? AND transaction_id=? AND user_email=?
+         ORDER BY created_at, id`,
+        [kind, Number(req.params.id) || 0, req.scope.owner]
+      );
+      await conn.end();
+      res.json({ items: rows.map(attachmentItem) });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ message: "Error loading attachments." });
+    }
+  });
+
+  // multipart/form-data with the file in "file"
+  app.post(`/api/${kind}/:id/attachments`, scoped, receiveFile, async (req, res) => {
+    const checked = attachments.checkUpload(req.file);
+    if (checked.error) return res.status(400).json({ message: checked.error });
+
+    let key = null;
+    try {
+      const conn = await createConnection();
+      const [[row]] = await conn.execute(
+        `SELECT id FROM ${kind} WHERE id=? AND user_email=?`,
+        [Number(req.params.id) || 0, req.scope.owner]
+      );
+      if (!row) {
+        await conn.end();
+        return res
+          .status(404)
+          .json({ message: `${kind === "income" ? "Income" : "Expense"} not found.` });
+      }
+
+      key = storage.newKey();
+      await storage.put(key, req.file.buffer);
+      const [r] = await conn.execute(
+        `INSERT INTO attachment
+           (user_email, kind, transaction_id, storage_key, filename, mime_type, size, uploaded_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [req.scope.owner, kind, row.id, key, checked.filename, checked.mimeType,
+          req.file.size, req.user.email]
+      );
+      const saved = await findAttachment(conn, req.scope.owner, r.insertId);
+      await conn.end();
+      res.status(201).json(attachmentItem(saved));
+    } catch (e) {
+      if (key) await storage.removeAll([key]);
+      console.error(e);
+      res.status(500).json({ message: "Error saving attachment." });
+    }
+  });
+}
+
+// the file itself, as a download
+app.get("/api/attachments/:id", scoped, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    const row = await findAttachment(conn, req.scope.owner, req.params.id);
+    await conn.end();
+    if (!row) return res.status(404).json({ message: "Attachment not found." });
+
+    let stream;
+    try {
+      stream = await storage.get(row.storage_key);
+    } catch (e) {
+      console.error(e);
+      return res.status(404).json({ message: "The file is missing from storage." });
+    }
+    res.set({
+      "Content-Type": row.mime_type,
+      "Content-Length": row.size,
+      "X-Content-Type-Options": "nosniff",
+      "Cache-Control": "private, no-store",
+    });
+    res.attachment(row.filename);
+    stream.on("error", (e) => {
+      console.error(e);
+      res.destroy(e);
+    });
+    stream.pipe(res);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error loading attachment." });
+  }
+});
+
+app.delete("/api/attachments/:id", scoped, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    const row = await findAttachment(conn, req.scope.owner, req.params.id);
+    if (!row) {
+      await conn.end();
+      return res.status(404).json({ message: "Attachment not found." });
+    }
+    await conn.execute("DELETE FROM attachment WHERE id=?", [row.id]);
+    await conn.end();
+    await storage.removeAll([row.storage_key]);
+    res.status(204).send();
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error deleting attachment." });
+  }
+});
+
+// ===============================================================
+// TAGS
+// ===============================================================
+// Labels on income and expense rows, many per row (lib/tags.js). A tag
+// is created the first time a transaction uses it.
+
+// a WHERE condition: `alias`'s row has the tag named by the next ?
+const hasTag = (kind, alias) =>
+  `EXISTS (SELECT 1 FROM transaction_tag tt JOIN tag g ON g.id = tt.tag_id
+           WHERE tt.kind='${kind}' AND tt.transaction_id=${alias}.id
+             AND tt.user_email=${alias}.user_email AND g.name=?)`;
+
+// the owner's tagged transactions as "kind:id" -> [tag names]
+async function loadTags(conn, owner) {
+  const [rows] = await conn.execute(
+    `SELECT tt.kind, tt.transaction_id, g.name
+     FROM transaction_tag tt JOIN tag g ON g.id = tt.tag_id
+     WHERE tt.user_email=? ORDER BY g.name`,
+    [owner]
+  );
+  const byRow = new Map();
+  rows.forEach((r) => {
+    const key = `${r.kind}:${r.transaction_id}`;
+    if (!byRow.has(key)) byRow.set(key, []);
+    byRow.get(key).push(r.name);
+  });
+  return byRow;
+}
+
+// replaces a transaction's tags with `names` (already normalized)
+async function saveTags(conn, owner, kind, id, names) {
+  await conn.execute(
+    "DELETE FROM transaction_tag WHERE kind=? AND transaction_id=? AND user_email=?",
+    [kind, id, owner]
+  );
+  for (const name of names) {
+    await conn.execute("INSERT IGNORE INTO tag (user_email, name) VALUES (?, ?)", [owner, name]);
+    await conn.execute(
+      `INSERT IGNORE INTO transaction_tag (tag_id, user_email, kind, transaction_id)
+       SELECT id, user_email, ?, ? FROM tag WHERE user_email=? AND name=?`,
+      [kind, id, owner, name]
+    );
+  }
+}
+
+async function findTag(conn, owner, id) {
+  const [[row]] = await conn.execute("SELECT * FROM tag WHERE id=? AND user_email=?", [
+    Number(id) || 0,
+    owner,
+  ]);
+  return row || null;
+}
+
+// every tag with how many transactions carry it
+app.get("/api/tags", scoped, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    const [rows] = await conn.execute(
+      `SELECT g.id, g.name, COUNT(tt.id) AS count
+       FROM tag g LEFT JOIN transaction_tag tt ON tt.tag_id = g.id
+       WHERE g.user_email=?
+       GROUP BY g.id, g.name
+       ORDER BY g.name`,
+      [req.scope.owner]
+    );
+    await conn.end();
+    res.json({ items: rows.map((r) => ({ id: r.id, name: r.name, count: Number(r.count) })) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error loading tags." });
+  }
+});
+
+// rename: body { name }. Renaming to a tag that already exists merges
+// the two.
+app.patch("/api/tags/:id", scoped, async (req, res) => {
+  const name = tags.normalizeTag(req.body.name);
+  if (!name)
+    return res.status(400).json({
+      message: `name must ${tags.TAG_RULE}.`,
+    });
+
+  let conn;
+  try {
+    conn = await createConnection();
+    const tag = await findTag(conn, req.scope.owner, req.params.id);
+    if (!tag) {
+      await conn.end();
+      return res.status(404).json({ message: "Tag not found." });
+    }
+
+    await conn.beginTransaction();
+    const [[other]] = await conn.execute(
+      "SELECT id FROM tag WHERE user_email=? AND name=? AND id<>?",
+      [req.scope.owner, name, tag.id]
+    );
+    if (other) {
+      await conn.execute(
+        `INSERT IGNORE INTO transaction_tag (tag_id, user_email, kind, transaction_id)
+         SELECT ?, user_email, kind, transaction_id FROM transaction_tag WHERE tag_id=?`,
+        [other.id, tag.id]
+      );
+      await conn.execute("UPDATE goal SET tag_id=? WHERE tag_id=?", [other.id, tag.id]);
+      await conn.execute("DELETE FROM tag WHERE id=?", [tag.id]);
+    } else {
+      await conn.execute("UPDATE tag SET name=? WHERE id=?", [name, tag.id]);
+    }
+    await conn.commit();
+    await conn.end();
+    res.json({ message: other ? `Merged into ${name}.` : "Tag renamed.", id: other?.id ?? tag.id });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    console.error(e);
+    res.status(500).json({ message: "Error renaming tag." });
+  }
+});
+
+// removes the tag from every transaction
+app.delete("/api/tags/:id", scoped, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    const [r] = await conn.execute("DELETE FROM tag WHERE id=? AND user_email=?", [
+      Number(req.params.id) || 0,
+      req.scope.owner,
+    ]);
+    await conn.end();
+    if (!r.affectedRows) return res.status(404).json({ message: "Tag not found." });
+    res.status(204).send();
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error deleting tag." });
+  }
+});
+
+// ===============================================================
+// TRANSACTIONS (INCOME + EXPENSE AS ONE LEDGER)
+// ===============================================================
+// Recurring rows are listed once per occurrence, like reports count
+// them (lib/recurrence.js), so dates and amounts are those of the
+// occurrence and the `id` is that of its template row.
+const TRANSACTION_SORTS = ["date", "amount", "category", "type"];
+
+// turns the query string into WHERE clauses over the merged ledger.
+// Dates and amounts belong to occurrences, not to the template rows the
+// query reads, so they come back as { from, to, minAmount, maxAmount }
+// to be applied after expanding.
+function buildTransactionFilters(query) {
+  const where = [];
+  const params = [];
+  const { from, to, type, category, q, member, account, tag } = query;
+
+  if (from !== undefined && !isISODate(from)) return { error: "from must be YYYY-MM-DD." };
+  if (to !== undefined && !isISODate(to)) return { error: "to must be YYYY-MM-DD." };
+  if (type !== undefined) {
+    if (!["income", "expense"].includes(type))
+      return { error: "type must be income or expense." };
+    where.push("t.type = ?");
+    params.push(type);
+  }
+  // category may be a comma separated list; a split expense matches
+  // when any of its splits is in one of them. A list with no names in
+  // it (",", " ") filters nothing, like an empty one.
+  const cats = String(category || "")
+    .split(",")
+    .map((c) => c.trim())
+    .filter(Boolean);
+  if (cats.length) {
+    const marks = cats.map(() => "?").join(", ");
+    where.push(
+      `(t.category IN (${marks}) OR (t.type = 'expense' AND EXISTS (
+         SELECT 1 FROM expense_split s WHERE s.expense_id = t.id AND s.category IN (${marks}))))`
+    );
+    params.push(...cats, ...cats);
+  }
+  for (const key of ["minAmount", "maxAmount"]) {
+    const value = query[key];
+    if (value !== undefined && !Number.isFinite(Number(value)))
+      return { error: `${key} must be a number.` };
+  }
+  if (q) {
+    where.push("(t.category LIKE ? OR t.description LIKE ? OR t.notes LIKE ?)");
+    params.push(`%${q}%`, `%${q}%`, `%${q}%`);
+  }
+  // household ledgers: only what this member added
+  if (member) {
+    where.push("t.created_by = ?");
+    params.push(String(member));
+  }
+  if (tag) {
+    const name = tags.normalizeTag(tag);
+    if (!name) return { error: "tag is not a valid tag name." };
+    where.push(
+      `EXISTS (SELECT 1 FROM transaction_tag tt JOIN tag g ON g.id = tt.tag_id
+               WHERE tt.kind = t.type AND tt.transaction_id = t.id AND g.name = ?)`
+    );
+    params.push(name);
+  }
+  // one account's transactions, or "none" for unassigned ones
+  if (account) {
+    if (account === "none") where.push("t.account_id IS NULL");
+    else {
+      if (!Number.isInteger(Number(account)))
+        return { error: "account must be an account id or none." };
+      where.push("t.account_id = ?");
+      params.push(Number(account));
+    }
+  }
+
+  return {
+    where,
+    params,
+    from,
+    to,
+    minAmount: query.minAmount !== undefined ? Number(query.minAmount) : undefined,
+    maxAmount: query.maxAmount !== undefined ? Number(query.maxAmount) : undefined,
+  };
+}
+
+// orders transactions by `sort` ("asc" or "desc"); ties go income
+// before expenses, then by template id and date
+function compareTransactions(sort, order) {
+  const dir = order === "asc" ? 1 : -1;
+  const cmp = (a, b) =>
+    typeof a === "string"
+      ? a.localeCompare(b, undefined, { sensitivity: "base" })
+      : a - b;
+  return (a, b) =>
+    dir * cmp(a[sort], b[sort]) ||
+    a.type.localeCompare(b.type) ||
+    dir * (a.id - b.id) ||
+    dir * a.date.localeCompare(b.date);
+}
+
+app.get("/api/transactions", scoped, async (req, res) => {
+  const filters = buildTransactionFilters(req.query);
+  if (filters.error) return res.status(400).json({ message: filters.error });
+
+  const sort = req.query.sort || "date";
+  if (!TRANSACTION_SORTS.includes(sort))
+    return res.status(400).json({
+      message: `sort must be one of ${TRANSACTION_SORTS.join(", ")}.`,
+    });
+  const order = String(req.query.order || "desc").toLowerCase();
+  if (!["asc", "desc"].includes(order))
+    return res.status(400).json({ message: "order must be asc or desc." });
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  const ledger = `
+    SELECT id, 'income' AS type, source AS category, description, notes,
+           amount, currency, date, end_date, cadence, created_at, created_by, account_id,
+           0 AS split
+    FROM income WHERE user_email=?
+    UNION ALL
+    SELECT id, 'expense' AS type, category, description, notes,
+           amount, currency, date, end_date, cadence, created_at, created_by, account_id,
+           EXISTS (SELECT 1 FROM expense_split s WHERE s.expense_id = expense.id) AS split
+    FROM expense WHERE user_email=?`;
+  const whereSql = filters.where.length
+    ? "WHERE " + filters.where.join(" AND ")
+    : "";
+  const params = [req.scope.owner, req.scope.owner, ...filters.params];
+
+  try {
+    const conn = await createConnection();
+    const [rows] = await conn.execute(
+      `SELECT t.id, t.type, t.category, t.description, t.notes, t.amount, t.currency,
+              DATE_FORMAT(t.date, '%Y-%m-%d') AS date,
+              DATE_FORMAT(t.end_date, '%Y-%m-%d') AS end_date,
+              t.cadence, t.created_at, t.created_by, t.account_id, t.split
+       FROM (${ledger}) t
+       ${whereSql}`,
+      params
+    );
+
+    // one-time rows keep their own date, however far ahead; recurring
+    // ones are expanded up to `to`, or today when there is none
+    const first = filters.from || rows.map((r) => r.date).sort()[0] || todayISO();
+    const through = filters.to || todayISO();
+    const [exceptions] = await conn.execute(
+      `SELECT kind, template_id, action, amount, description,
+              DATE_FORMAT(occurrence_date, '%Y-%m-%d') AS occurrence_date
+       FROM recurrence_exception
+       WHERE user_email=? AND occurrence_date BETWEEN ? AND ?`,
+      [req.scope.owner, first, through]
+    );
+    const tagged = await loadTags(conn, req.scope.owner);
+    await conn.end();
+
+    const repeats = (r) => r.cadence === "weekly" || r.cadence === "monthly";
+    const occurrences = ["income", "expense"].flatMap((kind) => {
+      const ofKind = rows.filter((r) => r.type === kind);
+      return [
+        ...recurrence.expandOccurrences(
+          ofKind.filter((r) => !repeats(r)),
+          kind,
+          filters.from || "0000-01-01",
+          filters.to || "9999-12-31"
+        ),
+        ...recurrence.expandOccurrences(ofKind.filter(repeats), kind, first, through, exceptions),
+      ];
+    });
+    const matching = occurrences
+      .filter(
+        (o) =>
+          (filters.minAmount === undefined || o.amount >= filters.minAmount) &&
+          (filters.maxAmount === undefined || o.amount <= filters.maxAmount)
+      )
+      .sort(compareTransactions(sort, order));
+    const page = matching.slice(offset, offset + limit);
+
+    res.json({
+      items: page.map((o) => ({
+        id: o.id,
+        type: o.type,
+        category: o.category,
+        description: o.description,
+        notes: o.notes,
+        amount: o.amount,
+        currency: o.currency,
+        date: o.date,
+        cadence: o.cadence,
+        overridden: o.overridden,
+        created_at: o.created_at,
+        created_by: o.created_by,
+        account_id: o.account_id,
+        split: Boolean(o.split),
+        tags: tagged.get(`${o.type}:${o.id}`) || [],
+      })),
+      total: matching.length,
+      limit,
+      offset,
+      hasMore: offset + page.length < matching.length,
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error retrieving transactions." });
+  }
+});
+
+// ===============================================================
+// RECURRING TRANSACTIONS
+// ===============================================================
+const RECURRING_KINDS = {
+  income: { table: "income", label: "source" },
+  expense: { table: "expense", label: "category" },
+};
+
+const todayISO = () => recurrence.toISODate(new Date());
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// every income + expense occurrence in [from, to], with skips and
+// overrides applied
+async function loadOccurrences(conn, email, from, to) {
+  const [incomeRows] = await conn.execute(
+    `SELECT id, source, description, amount, currency, cadence, created_by, account_id,
+            DATE_FORMAT(date, '%Y-%m-%d') AS date,
+            DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date
+     FROM income WHERE user_email=? AND date <= ?`,
+    [email, to]
+  );
+  const [expenseRows] = await conn.execute(
+    `SELECT id, category, description, amount, currency, cadence, created_by, account_id,
+            DATE_FORMAT(date, '%Y-%m-%d') AS date,
+            DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date
+     FROM expense WHERE user_email=? AND date <= ?`,
+    [email, to]
+  );
+  const [exceptions] = await conn.execute(
+    `SELECT kind, template_id, action, amount, description,
+            DATE_FORMAT(occurrence_date, '%Y-%m-%d') AS occurrence_date
+     FROM recurrence_exception
+     WHERE user_email=? AND occurrence_date BETWEEN ? AND ?`,
+    [email, from, to]
+  );
+
+  return {
+    income: recurrence.expandOccurrences(incomeRows, "income", from, to, exceptions),
+    expense: recurrence.expandOccurrences(expenseRows, "expense", from, to, exceptions),
+  };
+}
+
+// loads one template row owned by the user, or null
+async function findTemplate(conn, kind, id, email) {
+  const { table } = RECURRING_KINDS[kind];
+  const [[row]] = await conn.execute(
+    `SELECT *, DATE_FORMAT(date, '%Y-%m-%d') AS date,
+            DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date
+     FROM ${table} WHERE id=? AND user_email=?`,
+    [id, email]
+  );
+  return row || null;
+}
+
+// every template that repeats, with its next upcoming occurrence
+app.get("/api/recurring", scoped, async (req, res) => {
+  const today = todayISO();
+
+  try {
+    const conn = await createConnection();
+    const items = [];
+    for (const [kind, { table, label }] of Object.entries(RECURRING_KINDS)) {
+      const [rows] = await conn.execute(
+        `SELECT id, ${label} AS label, description, amount, cadence,
+                DATE_FORMAT(date, '%Y-%m-%d') AS date,
+                DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date
+         FROM ${table}
+         WHERE user_email=? AND cadence IN ('monthly', 'weekly')
+         ORDER BY date`,
+        [req.scope.owner]
+      );
+      rows.forEach((r) =>
+        items.push({
+          ...r,
+          kind,
+          amount: Number(r.amount),
+          nextOccurrence: recurrence.nextOccurrence(r, today),
+        })
+      );
+    }
+    await conn.end();
+    res.json({ items });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error retrieving recurring items." });
+  }
+});
+
+// occurrences of one template in a window (defaults to the next 3 months),
+// including skipped ones so the UI can offer to restore them
+app.get(
+  "/api/recurring/:kind/:id/occurrences",
+  scoped,
+  async (req, res) => {
+    const { kind, id } = req.params;
+    if (!RECURRING_KINDS[kind])
+      return res.status(404).json({ message: "Unknown transaction type." });
+
+    const from = req.query.from || todayISO();
+    const to = req.query.to || recurrence.addMonths(from, 3);
+    if (!isISODate(from) || !isISODate(to))
+      return res.status(400).json({ message: "from/to must be YYYY-MM-DD." });
+
+    try {
+      const conn = await createConnection();
+      const template = await findTemplate(conn, kind, id, req.scope.owner);
+      if (!template) {
+        await conn.end();
+        return res.status(404).json({ message: "Transaction not found." });
+      }
+
+      const [exceptions] = await conn.execute(
+        `SELECT kind, template_id, action, amount, description,
+                DATE_FORMAT(occurrence_date, '%Y-%m-%d') AS occurrence_date
+         FROM recurrence_exception
+         WHERE kind=? AND template_id=? AND user_email=?`,
+        [kind, id, req.scope.owner]
+      );
+      await conn.end();
+
+      const items = recurrence
+        .expandOccurrences([template], kind, from, to, exceptions, {
+          includeSkipped: true,
+        })
+        .map((o) => ({
+          date: o.date,
+          amount: o.amount,
+          description: o.description,
+          overridden: o.overridden,
+          skipped: o.skipped,
+        }));
+
+      res.json({ items });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ message: "Error retrieving occurrences." });
+    }
+  }
+);
+
+// skip ({ skip: true }) or override ({ amount, description }) one
+// occurrence; skip must be a real boolean, so "false" can't skip
+app.put(
+  "/api/recurring/:kind/:id/occurrences/:date",
+  scoped,
+  async (req, res) => {
+    const { kind, id, date } = req.params;
+    const { skip = false, amount = null, description = null } = req.body;
+
+    if (!RECURRING_KINDS[kind])
+      return res.status(404).json({ message: "Unknown transaction type." });
+    if (!isISODate(date))
+      return res.status(400).json({ message: "date must be YYYY-MM-DD." });
+    if (typeof skip !== "boolean")
+      return res.status(400).json({ message: "skip must be true or false." });
+    if (!skip && amount === null && description === null)
+      return res
+        .status(400)
+        .json({ message: "Provide skip, amount or description." });
+    if (amount !== null && !Number.isFinite(Number(amount)))
+      return res.status(400).json({ message: "amount must be a number." });
+
+    try {
+      const conn = await createConnection();
+      const template = await findTemplate(conn, kind, id, req.scope.owner);
+      if (!template || !recurrence.isOccurrence(template, date)) {
+        await conn.end();
+        return res
+          .status(404)
+          .json({ message: "No such occurrence for this transaction." });
+      }
+
+      await conn.execute(
+        `INSERT INTO recurrence_exception
+           (user_email, kind, template_id, occurrence_date, action, amount, description)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE action=VALUES(action), amount=VALUES(amount),
+                                 description=VALUES(description)`,
+        [
+          req.scope.owner,
+          kind,
+          id,
+          date,
+          skip ? "skip" : "override",
+          skip || amount === null ? null : Number(amount),
+          skip ? null : description,
+        ]
+      );
+      // an overridden amount changes the month's spending; the expense
+      // itself was checked for size when it was saved
+      const notifications =
+        kind === "expense" && !skip ? await checkAlertsAfterSave(conn, req.scope, []) : 0;
+      await conn.end();
+      res.json({
+        message: skip ? "Occurrence skipped." : "Occurrence updated.",
+        notifications,
+      });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ message: "Error updating occurrence." });
+    }
+  }
+);
+
+// restore an occurrence to the template's values
+app.delete(
+  "/api/recurring/:kind/:id/occurrences/:date",
+  scoped,
+  async (req, res) => {
+    const { kind, id, date } = req.params;
+    if (!RECURRING_KINDS[kind])
+      return res.status(404).json({ message: "Unknown transaction type." });
+
+    try {
+      const conn = await createConnection();
+      await conn.execute(
+        `DELETE FROM recurrence_exception
+         WHERE kind=? AND template_id=? AND occurrence_date=? AND user_email=?`,
+        [kind, id, date, req.scope.owner]
+      );
+      // the restored amount counts toward the month again
+      if (kind === "expense") await checkAlertsAfterSave(conn, req.scope, []);
+      await conn.end();
+      res.status(204).send();
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ message: "Error restoring occurrence." });
+    }
+  }
+);
+
+// ===============================================================
+// CURRENCIES + DISPLAY PREFERENCES
+// ===============================================================
+// Transactions keep the currency they were paid in. Reports, budgets
+// and account totals are shown in the scope's currency: the user's
+// base currency, or the household's. Rates come from the
+// exchange_rate table (npm run rates:import).
+
+// body.currency -> undefined (not sent), null (not a currency) or a code
+function parseCurrency(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  return currency.normalizeCurrency(value);
+}
+
+// the currency reports and budgets for this scope are kept in
+async function scopeCurrency(conn, scope) {
+  const [[row]] = scope.householdId
+    ? await conn.execute("SELECT currency FROM household WHERE id=?", [scope.householdId])
+    : await conn.execute("SELECT currency FROM user WHERE email=?", [scope.owner]);
+  return row?.currency || currency.DEFAULT_CURRENCY;
+}
+
+// the locale text stored for the scope is written in (alerts): the
+// user's, or for a household, its creator's, so all members share one
+async function scopeLocale(conn, scope) {
+  const [[row]] = scope.householdId
+    ? await conn.execute(
+        "SELECT u.locale FROM household h JOIN user u ON u.email = h.created_by WHERE h.id=?",
+        [scope.householdId]
+      )
+    : await conn.execute("SELECT locale FROM user WHERE email=?", [scope.owner]);
+  return row?.locale || currency.DEFAULT_LOCALE;
+}
+
+// currency for a new transaction that didn't name one: its account's,
+// or the scope's
+async function defaultCurrency(conn, scope, accountId) {
+  const acct = accountId ? await findAccount(conn, scope.owner, accountId) : null;
+  return acct ? acct.currency : scopeCurrency(conn, scope);
+}
+
+// a converter (lib/currency.js) loaded with the rates touching `codes`
+async function loadConverter(conn, codes) {
+  const list = [...new Set(codes.filter(Boolean))];
+  if (list.length < 2) return currency.createConverter([]);
+
+  const marks = list.map(() => "?").join(", ");
+  const [rows] = await conn.execute(
+    `SELECT base, quote, rate, DATE_FORMAT(date, '%Y-%m-%d') AS date
+     FROM exchange_rate WHERE base IN (${marks}) OR quote IN (${marks})`,
+    [...list, ...list]
+  );
+  return currency.createConverter(rows);
+}
+
+// loadOccurrences() with every amount converted into `target`; `missing`
+// lists currencies no rate covers (those occurrences are left out)
+async function loadConvertedOccurrences(conn, owner, from, to, target) {
+  const occ = await loadOccurrences(conn, owner, from, to);
+  const codes = [...occ.income, ...occ.expense].map((o) => o.currency);
+  return currency.convertOccurrences(occ, target, await loadConverter(conn, [target, ...codes]));
+}
+
+// adds converted_amount (in the scope's currency, at the rate of the
+// row's date) to income or expense rows for charts that add them up;
+// it is null when no rate covers the row, which then counts for nothing
+async function withConvertedAmounts(conn, scope, rows) {
+  const target = await scopeCurrency(conn, scope);
+  const converter = await loadConverter(conn, [target, ...rows.map((r) => r.currency)]);
+  return rows.map((r) => ({
+    ...r,
+    converted_amount: converter.convert(
+      r.amount,
+      r.currency,
+      target,
+      recurrence.toISODate(r.date)
+    ),
+  }));
+}
+
+// the user's locale, the currency of the budget being viewed (personal
+// or household), the currencies to offer in pickers and how often
+// alerts are mailed to the user
+app.get("/api/preferences", scoped, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    const [[user]] = await conn.execute(
+      "SELECT currency, locale, alert_digest FROM user WHERE email=?",
+      [req.user.email]
+    );
+    const current = await scopeCurrency(conn, req.scope);
+    const [rated] = await conn.execute(
+      "SELECT base AS code FROM exchange_rate UNION SELECT quote FROM exchange_rate"
+    );
+    await conn.end();
+
+    res.json({
+      locale: user.locale || currency.DEFAULT_LOCALE,
+      currency: current,
+      baseCurrency: user.currency,
+      alertDigest: user.alert_digest,
+      currencies: [
+        ...new Set([
+          current,
+          user.currency,
+          ...currency.COMMON_CURRENCIES,
+          ...rated.map((r) => r.code).sort(),
+        ]),
+      ],
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error loading preferences." });
+  }
+});
+
+// body { currency?, locale?, alert_digest? } for the user's own budget,
+// display and alert emails (alert_digest: off, daily or weekly)
+app.patch("/api/preferences", authenticateToken, async (req, res) => {
+  const code = parseCurrency(req.body.currency);
+  const locale =
+    req.body.locale !== undefined ? currency.normalizeLocale(req.body.locale) : undefined;
+  const digest = req.body.alert_digest;
+
+  if (code === null)
+    return res.status(400).json({ message: "currency must be an ISO 4217 code such as EUR." });
+  if (locale === null)
+    return res.status(400).json({ message: "locale must be a language tag such as en-GB." });
+  if (digest !== undefined && !alerts.DIGEST_FREQUENCIES.includes(digest))
+    return res
+      .status(400)
+      .json({ message: `alert_digest must be one of ${alerts.DIGEST_FREQUENCIES.join(", ")}.` });
+
+  try {
+    const conn = await createConnection();
+    await conn.execute(
+      `UPDATE user SET currency=IFNULL(?, currency), locale=IFNULL(?, locale),
+              alert_digest=IFNULL(?, alert_digest)
+       WHERE email=?`,
+      [code ?? null, locale ?? null, digest ?? null, req.user.email]
+    );
+    await conn.end();
+    res.json({ message: "Preferences saved." });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error saving preferences." });
+  }
+});
+
+// the latest imported rate for every pair, and when it is from
+app.get("/api/exchange-rates", authenticateToken, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    const [rows] = await conn.execute(
+      `SELECT r.base, r.quote, r.rate, DATE_FORMAT(r.date, '%Y-%m-%d') AS date
+       FROM exchange_rate r
+       JOIN (SELECT base, quote, MAX(date) AS date FROM exchange_rate GROUP BY base, quote) l
+         ON l.base = r.base AND l.quote = r.quote AND l.date = r.date
+       ORDER BY r.base, r.quote`
+    );
+    await conn.end();
+    res.json({ items: rows.map((r) => ({ ...r, rate: Number(r.rate) })) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error loading exchange rates." });
+  }
+});
+
+// ===============================================================
+// ACCOUNTS (CHECKING, SAVINGS, CREDIT CARDS, CASH)
+// ===============================================================
+// Balances aren't stored: they are worked out from the opening balance
+// and every income, expense and transfer on the account since
+// (lib/ledger.js), so editing an old transaction moves them too.
+const ACCOUNT_NAME_MAX = 80;
+
+const accountItem = (a, balance) => ({
+  id: a.id,
+  name: a.name,
+  type: a.type,
+  openingBalance: Number(a.opening_balance),
+  openingDate: a.opening_date,
+  currency: a.currency,
+  archived: Boolean(a.archived),
+  balance,
+});
+
+// body.account_id -> undefined (leave as is), null (no account) or an id
+function parseAccountId(value) {
+  if (value === undefined) return undefined;
+  if (value === null || value === "") return null;
+  return Number(value);
+}
+
+// loads one account owned by `owner`, or null
+async function findAccount(conn, owner, id) {
+  const [[row]] = await conn.execute(
+    `SELECT *, DATE_FORMAT(opening_date, '%Y-%m-%d') AS opening_date
+     FROM money_account WHERE id=? AND user_email=?`,
+    [id, owner]
+  );
+  return row || null;
+}
+
+// Returns an error message, or null if `accountId` is one of the
+// owner's accounts (or null, for none).
+async function checkAccount(conn, owner, accountId) {
+  if (accountId === null || accountId === undefined) return null;
+  const found = Number.isInteger(accountId)
+    ? await findAccount(conn, owner, accountId)
+    : null;
+  return found ? null : "account_id must be one of your accounts.";
+}
+
+async function loadAccounts(conn, owner, includeArchived = true) {
+  const [rows] = await conn.execute(
+    `SELECT *, DATE_FORMAT(opening_date, '%Y-%m-%d') AS opening_date
+     FROM money_account
+     WHERE user_email=? ${includeArchived ? "" : "AND archived=0"}
+     ORDER BY archived, FIELD(type, 'checking', 'savings', 'credit_card', 'cash'), name`,
+    [owner]
+  );
+  return rows;
+}
+
+// `currency` is the currency of the account the money leaves
+async function loadTransfers(conn, owner, from, to) {
+  const [rows] = await conn.execute(
+    `SELECT t.id, t.from_account_id, t.to_account_id, t.amount, t.description,
+            t.created_by, a.currency, DATE_FORMAT(t.date, '%Y-%m-%d') AS date
+     FROM transfer t JOIN money_account a ON a.id = t.from_account_id
+     WHERE t.user_email=? AND t.date BETWEEN ? AND ?
+     ORDER BY t.date, t.id`,
+    [owner, from, to]
+  );
+  return rows;
+}
+
+// everything the ledger needs to run `accounts` forward to `through`,
+// with a converter for every currency involved (and `alsoCurrency`)
+async function loadLedgerInputs(conn, owner, accounts, through, alsoCurrency = null) {
+  const from = accounts.map((a) => a.opening_date).sort()[0] || through;
+  const occ = await loadOccurrences(conn, owner, from, through);
+  const transfers = await loadTransfers(conn, owner, from, through);
+  const converter = await loadConverter(conn, [
+    alsoCurrency,
+    ...accounts.map((a) => a.currency),
+    ...[...occ.income, ...occ.expense, ...transfers].map((x) => x.currency),
+  ]);
+  return { occ, transfers, convert: converter.convert };
+}
+
+// name/type/opening balance/opening date/currency from the body,
+// falling back to `existing` for a partial update. Returns { error } or
+// the columns; currency is left undefined for a new account that
+// didn't name one.
+function parseAccount(body, existing = null) {
+  const name = body.name !== undefined ? String(body.name).trim() : existing?.name;
+  const type = body.type ?? existing?.type ?? "checking";
+  const openingBalance = body.opening_balance ?? existing?.opening_balance ?? 0;
+  const openingDate = body.opening_date ?? existing?.opening_date ?? todayISO();
+  const code = parseCurrency(body.currency);
+
+  if (!name || name.length > ACCOUNT_NAME_MAX)
+    return { error: `name is required (at most ${ACCOUNT_NAME_MAX} characters).` };
+  if (!ledger.ACCOUNT_TYPES.includes(type))
+    return { error: `type must be one of ${ledger.ACCOUNT_TYPES.join(", ")}.` };
+  if (openingBalance === "" || !Number.isFinite(Number(openingBalance)))
+    return { error: "opening_balance must be a number." };
+  if (!isISODate(openingDate)) return { error: "opening_date must be YYYY-MM-DD." };
+  if (code === null) return { error: "currency must be an ISO 4217 code such as EUR." };
+
+  return {
+    name,
+    type,
+    opening_balance: round2(Number(openingBalance)),
+    opening_date: openingDate,
+    currency: code ?? existing?.currency,
+  };
+}
+
+// every account with its balance today, in the account's currency.
+// `total` adds up the open ones (credit card debt counts against it) in
+// the scope's currency. Archived accounts are left out unless
+// ?includeArchived=1. `missing` lists currencies without an exchange
+// rate; those amounts are left out of the balances and the total.
+app.get("/api/accounts", scoped, async (req, res) => {
+  const includeArchived = ["1", "true"].includes(req.query.includeArchived);
+  const today = todayISO();
+
+  try {
+    const conn = await createConnection();
+    const target = await scopeCurrency(conn, req.scope);
+    const accounts = await loadAccounts(conn, req.scope.owner, includeArchived);
+    const { occ, transfers, convert } = await loadLedgerInputs(
+      conn,
+      req.scope.owner,
+      accounts,
+      today,
+      target
+    );
+    await conn.end();
+
+    const { balances, missing } = ledger.accountBalances(
+      accounts,
+      occ,
+      transfers,
+      today,
+      convert
+    );
+    const open = accounts.filter((a) => !a.archived);
+    const sum = ledger.totalBalance(open, balances, target, today, convert);
+    res.json({
+      items: accounts.map((a) => accountItem(a, balances[a.id])),
+      total: sum.total,
+      currency: target,
+      missing: [...new Set([...missing, ...sum.missing])].sort(),
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error loading accounts." });
+  }
+});
+
+app.post("/api/accounts", scoped, async (req, res) => {
+  const fields = parseAccount(req.body);
+  if (fields.error) return res.status(400).json({ message: fields.error });
+
+  try {
+    const conn = await createConnection();
+    const [r] = await conn.execute(
+      `INSERT INTO money_account (user_email, name, type, opening_balance, opening_date, currency)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        req.scope.owner,
+        fields.name,
+        fields.type,
+        fields.opening_balance,
+        fields.opening_date,
+        fields.currency || (await scopeCurrency(conn, req.scope)),
+      ]
+    );
+    await conn.end();
+    res.status(201).json({ id: r.insertId });
+  } catch (e) {
+    if (e.code === "ER_DUP_ENTRY")
+      return res.status(409).json({ message: "An account with that name already exists." });
+
+    console.error(e);
+    res.status(500).json({ message: "Error creating account." });
+  }
+});
+
+// rename, change type, currency or opening balance, or archive
+// (archived: true)
+app.patch("/api/accounts/:id", scoped, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    const existing = await findAccount(conn, req.scope.owner, req.params.id);
+    if (!existing) {
+      await conn.end();
+      return res.status(404).json({ message: "Account not found." });
+    }
+
+    const fields = parseAccount(req.body, existing);
+    if (fields.error) {
+      await conn.end();
+      return res.status(400).json({ message: fields.error });
+    }
+
+    const { archived } = req.body;
+    await conn.execute(
+      `UPDATE money_account
+       SET name=?, type=?, opening_balance=?, opening_date=?, currency=?, archived=?
+       WHERE id=?`,
+      [
+        fields.name,
+        fields.type,
+        fields.opening_balance,
+        fields.opening_date,
+        fields.currency,
+        archived !== undefined ? (archived ? 1 : 0) : existing.archived,
+        existing.id,
+      ]
+    );
+    await conn.end();
+    res.json({ message: "Account updated successfully" });
+  } catch (e) {
+    if (e.code === "ER_DUP_ENTRY")
+      return res.status(409).json({ message: "An account with that name already exists." });
+
+    console.error(e);
+    res.status(500).json({ message: "Error updating account." });
+  }
+});
+
+// only accounts nothing was recorded against can be deleted; the rest
+// are archived so their history stays intact
+app.delete("/api/accounts/:id", scoped, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    const existing = await findAccount(conn, req.scope.owner, req.params.id);
+    if (!existing) {
+      await conn.end();
+      return res.status(404).json({ message: "Account not found." });
+    }
+
+    const [[{ used }]] = await conn.execute(
+      `SELECT (SELECT COUNT(*) FROM income WHERE account_id=?)
+            + (SELECT COUNT(*) FROM expense WHERE account_id=?)
+            + (SELECT COUNT(*) FROM transfer WHERE from_account_id=? OR to_account_id=?) AS used`,
+      [existing.id, existing.id, existing.id, existing.id]
+    );
+    if (Number(used)) {
+      await conn.end();
+      return res.status(409).json({
+        message: "This account has transactions. Archive it instead.",
+        code: "ACCOUNT_IN_USE",
+      });
+    }
+
+    await conn.execute("DELETE FROM money_account WHERE id=?", [existing.id]);
+    await conn.end();
+    res.status(204).send();
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error deleting account." });
+  }
+});
+
+// the account's movements between ?from (default: its opening date) and
+// ?to (default: today), oldest first, each with the running balance.
+// Entries in a currency no rate covers have a null amount and don't
+// count toward the balance; `missing` lists those currencies.
+app.get("/api/accounts/:id/ledger", scoped, async (req, res) => {
+  const { from, to = todayISO() } = req.query;
+  if (from !== undefined && !isISODate(from))
+    return res.status(400).json({ message: "from must be YYYY-MM-DD." });
+  if (!isISODate(to)) return res.status(400).json({ message: "to must be YYYY-MM-DD." });
+
+  try {
+    const conn = await createConnection();
+    const existing = await findAccount(conn, req.scope.owner, req.params.id);
+    if (!existing) {
+      await conn.end();
+      return res.status(404).json({ message: "Account not found." });
+    }
+
+    const names = Object.fromEntries(
+      (await loadAccounts(conn, req.scope.owner)).map((a) => [a.id, a.name])
+    );
+    const { occ, transfers, convert } = await loadLedgerInputs(
+      conn,
+      req.scope.owner,
+      [existing],
+      to
+    );
+    await conn.end();
+
+    const entries = ledger.accountLedger(existing, occ, transfers, to, convert);
+    const balance = entries.length
+      ? entries[entries.length - 1].balance
+      : round2(Number(existing.opening_balance));
+    const shown = from ? entries.filter((e) => e.date >= from) : entries;
+    const before = entries.length - shown.length;
+
+    res.json({
+      account: accountItem(existing, balance),
+      startingBalance: before
+        ? entries[before - 1].balance
+        : round2(Number(existing.opening_balance)),
+      items: shown.map((e) =>
+        e.counterpartId ? { ...e, counterpart: names[e.counterpartId] || null } : e
+      ),
+      missing: ledger.missingCurrencies(entries),
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error loading account ledger." });
+  }
+});
+
+// ===============================================================
+// TRANSFERS BETWEEN ACCOUNTS
+// ===============================================================
+// Moving money between two accounts (paying off a card, topping up
+// savings) changes both balances but is neither income nor spending,
+// so transfers live in their own table that reports never read.
+const transferItem = (t) => ({
+  id: t.id,
+  fromAccountId: t.from_account_id,
+  toAccountId: t.to_account_id,
+  amount: Number(t.amount),
+  currency: t.currency,
+  date: t.date,
+  description: t.description,
+  createdBy: t.created_by,
+});
+
+async function findTransfer(conn, owner, id) {
+  const [[row]] = await conn.execute(
+    `SELECT *, DATE_FORMAT(date, '%Y-%m-%d') AS date
+     FROM transfer WHERE id=? AND user_email=?`,
+    [id, owner]
+  );
+  return row || null;
+}
+
+// the transfer's columns from the body, falling back to `existing` for
+// a partial update. Returns { error } or the columns.
+async function parseTransfer(conn, owner, body, existing = null) {
+  const fromId = parseAccountId(body.from_account_id) ?? existing?.from_account_id;
+  const toId = parseAccountId(body.to_account_id) ?? existing?.to_account_id;
+  const amount = body.amount ?? existing?.amount;
+  const date = body.date ?? existing?.date ?? todayISO();
+  const description =
+    body.description !== undefined
+      ? String(body.description || "").trim() || null
+      : existing?.description ?? null;
+
+  if (!(Number(amount) > 0)) return { error: "amount must be a positive number." };
+  if (!isISODate(date)) return { error: "date must be YYYY-MM-DD." };
+  if (fromId == null || toId == null)
+    return { error: "from_account_id and to_account_id are required." };
+  if (fromId === toId) return { error: "Choose two different accounts." };
+  for (const id of [fromId, toId]) {
+    const error = await checkAccount(conn, owner, id);
+    if (error) return { error: "Both accounts must be yours." };
+  }
+
+  return {
+    from_account_id: fromId,
+    to_account_id: toId,
+    amount: round2(Number(amount)),
+    date,
+    description,
+  };
+}
+
+// transfers in [?from, ?to], newest first; ?account narrows to one account
+app.get("/api/transfers", scoped, async (req, res) => {
+  const { from = "1000-01-01", to = "9999-12-31", account } = req.query;
+  if (!isISODate(from) || !isISODate(to))
+    return res.status(400).json({ message: "from/to must be YYYY-MM-DD." });
+
+  try {
+    const conn = await createConnection();
+    let rows = await loadTransfers(conn, req.scope.owner, from, to);
+    await conn.end();
+
+    if (account)
+      rows = rows.filter(
+        (t) => String(t.from_account_id) === account || String(t.to_account_id) === account
+      );
+    res.json({ items: rows.reverse().map(transferItem) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error loading transfers." });
+  }
+});
+
+app.post("/api/transfers", scoped, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    const fields = await parseTransfer(conn, req.scope.owner, req.body);
+    if (fields.error) {
+      await conn.end();
+      return res.status(400).json({ message: fields.error });
+    }
+
+    const [r] = await conn.execute(
+      `INSERT INTO transfer
+         (user_email, created_by, from_account_id, to_account_id, amount, date, description)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        req.scope.owner,
+        req.user.email,
+        fields.from_account_id,
+        fields.to_account_id,
+        fields.amount,
+        fields.date,
+        fields.description,
+      ]
+    );
+    await conn.end();
+    res.status(201).json({ id: r.insertId });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error creating transfer." });
+  }
+});
+
+app.patch("/api/transfers/:id", scoped, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    const existing = await findTransfer(conn, req.scope.owner, req.params.id);
+    if (!existing) {
+      await conn.end();
+      return res.status(404).json({ message: "Transfer not found." });
+    }
+
+    const fields = await parseTransfer(conn, req.scope.owner, req.body, existing);
+    if (fields.error) {
+      await conn.end();
+      return res.status(400).json({ message: fields.error });
+    }
+
+    await conn.execute(
+      `UPDATE transfer
+       SET from_account_id=?, to_account_id=?, amount=?, date=?, description=?
+       WHERE id=?`,
+      [
+        fields.from_account_id,
+        fields.to_account_id,
+        fields.amount,
+        fields.date,
+        fields.description,
+        existing.id,
+      ]
+    );
+    await conn.end();
+    res.json({ message: "Transfer updated successfully" });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error updating transfer." });
+  }
+});
+
+app.delete("/api/transfers/:id", scoped, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    await conn.execute("DELETE FROM transfer WHERE id=? AND user_email=?", [
+      req.params.id,
+      req.scope.owner,
+    ]);
+    await conn.end();
+    res.status(204).send();
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error deleting transfer." });
+  }
+});
+
+// ===============================================================
+// SAVINGS GOALS
+// ===============================================================
+// What has been saved toward a goal is worked out on every load, like
+// account balances: hand-recorded contributions plus its linked
+// account, category or tag (lib/goals.js). Amounts are in the scope's
+// currency.
+const GOAL_NAME_MAX = 80;
+const GOAL_NOTE_MAX = 255;
+
+const goalItem = (g, progress) => ({
+  id: g.id,
+  name: g.name,
+  target: Number(g.target_amount),
+  startDate: g.start_date,
+  targetDate: g.target_date,
+  accountId: g.account_id,
+  account: g.account_name,
+  category: g.category,
+  tag: g.tag,
+  archived: Boolean(g.archived),
+  createdBy: g.created_by,
+  ...progress,
+});
+
+const GOAL_COLUMNS = `g.*, DATE_FORMAT(g.start_date, '%Y-%m-%d') AS start_date,
+  DATE_FORMAT(g.target_date, '%Y-%m-%d') AS target_date, t.name AS tag, a.name AS account_name`;
+const GOAL_JOINS = `LEFT JOIN tag t ON t.id = g.tag_id
+  LEFT JOIN money_account a ON a.id = g.account_id`;
+
+// loads one goal owned by `owner`, or null
+async function findGoal(conn, owner, id) {
+  const [[row]] = await conn.execute(
+    `SELECT ${GOAL_COLUMNS} FROM goal g ${GOAL_JOINS}
+     WHERE g.id=? AND g.user_email=?`,
+    [Number(id) || 0, owner]
+  );
+  return row || null;
+}
+
+async function loadGoals(conn, owner, includeArchived = false) {
+  const [rows] = await conn.execute(
+    `SELECT ${GOAL_COLUMNS} FROM goal g ${GOAL_JOINS}
+     WHERE g.user_email=? ${includeArchived ? "" : "AND g.archived=0"}
+     ORDER BY g.archived, g.target_date IS NULL, g.target_date, g.name`,
+    [owner]
+  );
+  return rows;
+}
+
+// name/target/dates/link from the body, falling back to `existing` for
+// a partial update. A goal links to one account, category or tag at
+// most; a tag that doesn't exist yet is created. Returns { error } or
+// the columns.
+async function parseGoal(conn, owner, body, existing = null) {
+  const name = body.name !== undefined ? String(body.name).trim() : existing?.name;
+  const target = body.target_amount ?? existing?.target_amount;
+  const startDate = body.start_date ?? existing?.start_date ?? todayISO();
+  const targetDate =
+    body.target_date !== undefined ? body.target_date || null : existing?.target_date ?? null;
+  const accountId =
+    body.account_id !== undefined ? parseAccountId(body.account_id) : existing?.account_id ?? null;
+  const category =
+    body.category !== undefined
+      ? String(body.category || "").trim() || null
+      : existing?.category ?? null;
+  const tag = body.tag !== undefined ? tags.normalizeTag(body.tag) : existing?.tag ?? null;
+
+  if (!name || name.length > GOAL_NAME_MAX)
+    return { error: `name is required (at most ${GOAL_NAME_MAX} characters).` };
+  if (!(Number(target) > 0)) return { error: "target_amount must be a positive number." };
+  if (!isISODate(startDate)) return { error: "start_date must be YYYY-MM-DD." };
+  if (targetDate !== null && !isISODate(targetDate))
+    return { error: "target_date must be YYYY-MM-DD." };
+  if (targetDate !== null && targetDate <= startDate)
+    return { error: "target_date must be after start_date." };
+  if (body.tag && !tag) return { error: "tag is not a valid tag name." };
+  if ([accountId, category, tag].filter((x) => x != null).length > 1)
+    return { error: "Link a goal to one account, category or tag at most." };
+  if (category && category.length > 120)
+    return { error: "category can be at most 120 characters." };
+  const accountError = await checkAccount(conn, owner, accountId);
+  if (accountError) return { error: accountError };
+
+  let tagId = null;
+  if (tag) {
+    await conn.execute("INSERT IGNORE INTO tag (user_email, name) VALUES (?, ?)", [owner, tag]);
+    const [[row]] = await conn.execute("SELECT id FROM tag WHERE user_email=? AND name=?", [
+      owner,
+      tag,
+    ]);
+    tagId = row.id;
+  }
+
+  return {
+    name,
+    target_amount: round2(Number(target)),
+    start_date: startDate,
+    target_date: targetDate,
+    account_id: accountId,
+    category,
+    tag_id: tagId,
+  };
+}
+
+// { saved: { <goal id>: saved }, missing } for `list` as of `today`, in
+// `target`. `missing` lists currencies no rate covers; those amounts
+// are left out.
+async function goalSavings(conn, owner, list, today, target) {
+  const saved = Object.fromEntries(list.map((g) => [g.id, 0]));
+  const missing = new Set();
+  if (!list.length) return { saved, missing: [] };
+
+  const [manual] = await conn.execute(
+    `SELECT goal_id, SUM(amount) AS total FROM goal_contribution
+     WHERE user_email=? AND date <= ? GROUP BY goal_id`,
+    [owner, today]
+  );
+  manual.forEach((m) => {
+    if (m.goal_id in saved) saved[m.goal_id] += Number(m.total);
+  });
+
+  // linked accounts: their balance today
+  if (list.some((g) => g.account_id)) {
+    const accounts = await loadAccounts(conn, owner);
+    const { occ, transfers, convert } = await loadLedgerInputs(conn, owner, accounts, today, target);
+    const result = ledger.accountBalances(accounts, occ, transfers, today, convert);
+    result.missing.forEach((c) => missing.add(c));
+    list
+      .filter((g) => g.account_id)
+      .forEach((g) => {
+        const account = accounts.filter((a) => Number(a.id) === Number(g.account_id));
+        const sum = ledger.totalBalance(account, result.balances, target, today, convert);
+        sum.missing.forEach((c) => missing.add(c));
+        saved[g.id] += sum.total;
+      });
+  }
+
+  // linked categories and tags: expenses since the goal started
+  const linked = list.filter((g) => g.category || g.tag);
+  if (linked.length) {
+    const from = linked.map((g) => g.start_date).sort()[0];
+    const { occ, missing: unconverted } =
+      from <= today
+        ? await loadConvertedOccurrences(conn, owner, from, today, target)
+        : { occ: { expense: [] }, missing: [] };
+    unconverted.forEach((c) => missing.add(c));
+    const expenses = await splitByCategory(conn, owner, occ.expense);
+    const tagged = await loadTags(conn, owner);
+    const tagsOf = (kind, id) => tagged.get(`${kind}:${id}`) || [];
+    linked.forEach((g) => {
+      saved[g.id] += goals.linkedContributions(
+        { startDate: g.start_date, category: g.category, tag: g.tag },
+        expenses,
+        tagsOf
+      );
+    });
+  }
+  return { saved, missing: [...missing].sort() };
+}
+
+// every goal with its progress today. Archived goals are left out
+// unless ?includeArchived=1. `missing` is as for goalSavings().
+app.get("/api/goals", scoped, async (req, res) => {
+  const includeArchived = ["1", "true"].includes(req.query.includeArchived);
+  const today = todayISO();
+
+  try {
+    const conn = await createConnection();
+    const target = await scopeCurrency(conn, req.scope);
+    const rows = await loadGoals(conn, req.scope.owner, includeArchived);
+    const { saved, missing } = await goalSavings(conn, req.scope.owner, rows, today, target);
+    await conn.end();
+
+    const items = rows.map((g) =>
+      goalItem(
+        g,
+        goals.goalProgress(
+          { target: g.target_amount, startDate: g.start_date, targetDate: g.target_date },
+          saved[g.id],
+          today
+        )
+      )
+    );
+    res.json({ items, currency: target, missing });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error loading goals." });
+  }
+});
+
+app.post("/api/goals", scoped, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    const fields = await parseGoal(conn, req.scope.owner, req.body);
+    if (fields.error) {
+      await conn.end();
+      return res.status(400).json({ message: fields.error });
+    }
+
+    const [r] = await conn.execute(
+      `INSERT INTO goal
+         (user_email, created_by, name, target_amount, start_date, target_date,
+          account_id, category, tag_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        req.scope.owner,
+        req.user.email,
+        fields.name,
+        fields.target_amount,
+        fields.start_date,
+        fields.target_date,
+        fields.account_id,
+        fields.category,
+        fields.tag_id,
+      ]
+    );
+    await conn.end();
+    res.status(201).json({ id: r.insertId });
+  } catch (e) {
+    if (e.code === "ER_DUP_ENTRY")
+      return res.status(409).json({ message: "A goal with that name already exists." });
+
+    console.error(e);
+    res.status(500).json({ message: "Error creating goal." });
+  }
+});
+
+// change any field, or archive (archived: true) once it is done with
+app.patch("/api/goals/:id", scoped, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    const existing = await findGoal(conn, req.scope.owner, req.params.id);
+    if (!existing) {
+      await conn.end();
+      return res.status(404).json({ message: "Goal not found." });
+    }
+
+    const fields = await parseGoal(conn, req.scope.owner, req.body, existing);
+    if (fields.error) {
+      await conn.end();
+      return res.status(400).json({ message: fields.error });
+    }
+
+    const { archived } = req.body;
+    await conn.execute(
+      `UPDATE goal
+       SET name=?, target_amount=?, start_date=?, target_date=?, account_id=?, category=?,
+           tag_id=?, archived=?
+       WHERE id=?`,
+      [
+        fields.name,
+        fields.target_amount,
+        fields.start_date,
+        fields.target_date,
+        fields.account_id,
+        fields.category,
+        fields.tag_id,
+        archived !== undefined ? (archived ? 1 : 0) : existing.archived,
+        existing.id,
+      ]
+    );
+    await conn.end();
+    res.json({ message: "Goal updated successfully" });
+  } catch (e) {
+    if (e.code === "ER_DUP_ENTRY")
+      return res.status(409).json({ message: "A goal with that name already exists." });
+
+    console.error(e);
+    res.status(500).json({ message: "Error updating goal." });
+  }
+});
+
+// its contributions go with it; linked transactions are left alone
+app.delete("/api/goals/:id", scoped, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    const [r] = await conn.execute("DELETE FROM goal WHERE id=? AND user_email=?", [
+      Number(req.params.id) || 0,
+      req.scope.owner,
+    ]);
+    await conn.end();
+    if (!r.affectedRows) return res.status(404).json({ message: "Goal not found." });
+    res.status(204).send();
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error deleting goal." });
+  }
+});
+
+// contributions recorded by hand, newest first
+app.get("/api/goals/:id/contributions", scoped, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    const goal = await findGoal(conn, req.scope.owner, req.params.id);
+    if (!goal) {
+      await conn.end();
+      return res.status(404).json({ message: "Goal not found." });
+    }
+    const [rows] = await conn.execute(
+      `SELECT id, amount, note, created_by, DATE_FORMAT(date, '%Y-%m-%d') AS date
+       FROM goal_contribution WHERE goal_id=? ORDER BY date DESC, id DESC`,
+      [goal.id]
+    );
+    await conn.end();
+    res.json({
+      items: rows.map((c) => ({
+        id: c.id,
+        amount: Number(c.amount),
+        date: c.date,
+        note: c.note,
+        createdBy: c.created_by,
+      })),
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error loading contributions." });
+  }
+});
+
+// body { amount, date?, note? }; a negative amount takes money back out
+app.post("/api/goals/:id/contributions", scoped, async (req, res) => {
+  const { amount, date = todayISO() } = req.body;
+  const note = String(req.body.note || "").trim() || null;
+  if (!Number.isFinite(Number(amount)) || !round2(Number(amount)))
+    return res.status(400).json({ message: "amount must be a number other than zero." });
+  if (!isISODate(date)) return res.status(400).json({ message: "date must be YYYY-MM-DD." });
+  if (note && note.length > GOAL_NOTE_MAX)
+    return res.status(400).json({ message: `note can be at most ${GOAL_NOTE_MAX} characters.` });
+
+  try {
+    const conn = await createConnection();
+    const goal = await findGoal(conn, req.scope.owner, req.params.id);
+    if (!goal) {
+      await conn.end();
+      return res.status(404).json({ message: "Goal not found." });
+    }
+    const [r] = await conn.execute(
+      `INSERT INTO goal_contribution (goal_id, user_email, amount, date, note, created_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [goal.id, req.scope.owner, round2(Number(amount)), date, note, req.user.email]
+    );
+    await conn.end();
+    res.status(201).json({ id: r.insertId });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error saving contribution." });
+  }
+});
+
+app.delete("/api/goals/:id/contributions/:contributionId", scoped, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    const [r] = await conn.execute(
+      "DELETE FROM goal_contribution WHERE id=? AND goal_id=? AND user_email=?",
+      [Number(req.params.contributionId) || 0, Number(req.params.id) || 0, req.scope.owner]
+    );
+    await conn.end();
+    if (!r.affectedRows) return res.status(404).json({ message: "Contribution not found." });
+    res.status(204).send();
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error deleting contribution." });
+  }
+});
+
+// ===============================================================
+// DEBTS + PAYOFF PLANNER
+// ===============================================================
+// Loans and credit cards kept outside the app's accounts, and plans for
+// paying them off (lib/debtPlanner.js). Amounts are in the scope's
+// currency. The extra put toward debts each month defaults to what the
+// budget has had left over lately: the average monthly net (income
+// minus expenses, as in /api/reports) over the last full months.
+const DEBT_NAME_MAX = 80;
+const DEBT_TYPES = ["credit_card", "loan", "mortgage", "student_loan", "other"];
+const NET_MONTHS = 3;
+
+const debtItem = (d) => ({
+  id: d.id,
+  name: d.name,
+  type: d.type,
+  balance: Number(d.balance),
+  apr: Number(d.apr),
+  minimumPayment: Number(d.minimum_payment),
+  payoffOrder: d.payoff_order,
+  updatedAt: d.updated_at,
+});
+
+async function findDebt(conn, owner, id) {
+  const [[row]] = await conn.execute("SELECT * FROM debt WHERE id=? AND user_email=?", [
+    Number(id) || 0,
+    owner,
+  ]);
+  return row || null;
+}
+
+// the debt's columns from the body, falling back to `existing` for a
+// partial update. Returns { error } or the columns.
+function parseDebt(body, existing = null) {
+  const name = body.name !== undefined ? String(body.name).trim() : existing?.name;
+  const type = body.type ?? existing?.type ?? "loan";
+  const balance = body.balance ?? existing?.balance;
+  const apr = body.apr ?? existing?.apr ?? 0;
+  const minimum = body.minimum_payment ?? existing?.minimum_payment ?? 0;
+  const order =
+    body.payoff_order !== undefined ? body.payoff_order : existing?.payoff_order ?? null;
+
+  if (!name || name.length > DEBT_NAME_MAX)
+    return { error: `name is required (at most ${DEBT_NAME_MAX} characters).` };
+  if (!DEBT_TYPES.includes(type))
+    return { error: `type must be one of ${DEBT_TYPES.join(", ")}.` };
+  if (balance === "" || !(Number(balance) >= 0))
+    return { error: "balance must be a number, 0 or more." };
+  if (apr === "" || !(Number(apr) >= 0 && Number(apr) < 1000))
+    return { error: "apr must be a yearly percentage such as 19.99." };
+  if (minimum === "" || !(Number(minimum) >= 0))
+    return { error: "minimum_payment must be a number, 0 or more." };
+  if (order !== null && order !== "" && !Number.isInteger(Number(order)))
+    return { error: "payoff_order must be a whole number." };
+
+  return {
+    name,
+    type,
+    balance: round2(Number(balance)),
+    apr: Math.round(Number(apr) * 1000) / 1000,
+    minimum_payment: round2(Number(minimum)),
+    payoff_order: order === null || order === "" ? null : Number(order),
+  };
+}
+
+// the average monthly net over the NET_MONTHS full months before
+// `today`, in `target`, with the window it was taken over. Amounts in
+// the `missing` currencies have no rate and are left out.
+async function recentMonthlyNet(conn, owner, today, target) {
+  const to = recurrence.addDays(today.slice(0, 7) + "-01", -1);
+  const from = recurrence.addMonths(today.slice(0, 7) + "-01", -NET_MONTHS);
+  const { occ, missing } = await loadConvertedOccurrences(conn, owner, from, to, target);
+  const sum = (list) => list.reduce((s, o) => s + o.amount, 0);
+  return {
+    from,
+    to,
+    months: NET_MONTHS,
+    averageNet: round2((sum(occ.income) - sum(occ.expense)) / NET_MONTHS),
+    missing,
+  };
+}
+
+// in the custom payoff order, then smallest balance first
+app.get("/api/debts", scoped, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    const [rows] = await conn.execute(
+      "SELECT * FROM debt WHERE user_email=? ORDER BY payoff_order IS NULL, payoff_order, balance",
+      [req.scope.owner]
+    );
+    const target = await scopeCurrency(conn, req.scope);
+    await conn.end();
+
+    const items = rows.map(debtItem);
+    res.json({
+      items,
+      total: round2(items.reduce((s, d) => s + d.balance, 0)),
+      currency: target,
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error loading debts." });
+  }
+});
+
+app.post("/api/debts", scoped, async (req, res) => {
+  const fields = parseDebt(req.body);
+  if (fields.error) return res.status(400).json({ message: fields.error });
+
+  try {
+    const conn = await createConnection();
+    const [r] = await conn.execute(
+      `INSERT INTO debt
+         (user_email, created_by, name, type, balance, apr, minimum_payment, payoff_order)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        req.scope.owner,
+        req.user.email,
+        fields.name,
+        fields.type,
+        fields.balance,
+        fields.apr,
+        fields.minimum_payment,
+        fields.payoff_order,
+      ]
+    );
+    await conn.end();
+    res.status(201).json({ id: r.insertId });
+  } catch (e) {
+    if (e.code === "ER_DUP_ENTRY")
+      return res.status(409).json({ message: "A debt with that name already exists." });
+
+    console.error(e);
+    res.status(500).json({ message: "Error creating debt." });
+  }
+});
+
+// update the balance as it goes down, or any other field
+app.patch("/api/debts/:id", scoped, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    const existing = await findDebt(conn, req.scope.owner, req.params.id);
+    if (!existing) {
+      await conn.end();
+      return res.status(404).json({ message: "Debt not found." });
+    }
+
+    const fields = parseDebt(req.body, existing);
+    if (fields.error) {
+      await conn.end();
+      return res.status(400).json({ message: fields.error });
+    }
+
+    await conn.execute(
+      `UPDATE debt
+       SET name=?, type=?, balance=?, apr=?, minimum_payment=?, payoff_order=?
+       WHERE id=?`,
+      [
+        fields.name,
+        fields.type,
+        fields.balance,
+        fields.apr,
+        fields.minimum_payment,
+        fields.payoff_order,
+        existing.id,
+      ]
+    );
+    await conn.end();
+    res.json({ message: "Debt updated successfully" });
+  } catch (e) {
+    if (e.code === "ER_DUP_ENTRY")
+      return res.status(409).json({ message: "A debt with that name already exists." });
+
+    console.error(e);
+    res.status(500).json({ message: "Error updating debt." });
+  }
+});
+
+app.delete("/api/debts/:id", scoped, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    const [r] = await conn.execute("DELETE FROM debt WHERE id=? AND user_email=?", [
+      Number(req.params.id) || 0,
+      req.scope.owner,
+    ]);
+    await conn.end();
+    if (!r.affectedRows) return res.status(404).json({ message: "Debt not found." });
+    res.status(204).send();
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error deleting debt." });
+  }
+});
+
+// Payoff plans for every strategy, starting next month.
+//   ?extra=   monthly amount on top of the minimums (default: the
+//             recent average net, or 0 when that is negative)
+//   ?order=   debt ids, comma separated, for the custom plan (default:
+//             each debt's payoff_order)
+app.get("/api/debts/plan", scoped, async (req, res) => {
+  const extra = req.query.extra !== undefined ? Number(req.query.extra) : null;
+  if (extra !== null && !(extra >= 0))
+    return res.status(400).json({ message: "extra must be a number, 0 or more." });
+  const order = req.query.order ? String(req.query.order).split(",").map(Number) : [];
+  if (order.some((id) => !Number.isInteger(id)))
+    return res.status(400).json({ message: "order must be debt ids separated by commas." });
+
+  const today = todayISO();
+  try {
+    const conn = await createConnection();
+    const [rows] = await conn.execute("SELECT * FROM debt WHERE user_email=?", [
+      req.scope.owner,
+    ]);
+    const target = await scopeCurrency(conn, req.scope);
+    const net = await recentMonthlyNet(conn, req.scope.owner, today, target);
+    await conn.end();
+
+    const suggestedExtra = Math.max(0, net.averageNet);
+    const options = {
+      extra: extra ?? suggestedExtra,
+      startMonth: debtPlanner.addMonths(today.slice(0, 7), 1),
+      order,
+    };
+    const debts = rows.map(debtItem);
+    res.json({
+      currency: target,
+      net,
+      suggestedExtra,
+      extra: options.extra,
+      debts,
+      plans: debtPlanner.STRATEGIES.map((strategy) =>
+        debtPlanner.simulate(debts, { ...options, strategy })
+      ),
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error building payoff plan." });
+  }
+});
+
+// ===============================================================
+// BUDGET ROUTES
+// ===============================================================
+// "YYYY-MM" or any "YYYY-MM-DD" -> first day of that month, or null
+function parseMonth(value) {
+  const m = /^(\d{4})-(\d{2})(-\d{2})?$/.exec(String(value || ""));
+  if (!m || Number(m[2]) < 1 || Number(m[2]) > 12) return null;
+  return `${m[1]}-${m[2]}-01`;
+}
+const currentMonth = () => todayISO().slice(0, 7) + "-01";
+
+// how often a budget's amount applies within its month
+const BUDGET_CADENCES = ["monthly", "weekly"];
+
+// a month's budget amount; weekly budgets cover every day of the month
+function monthlyBudgetAmount(amount, cadence, month) {
+  if (cadence !== "weekly") return amount;
+  const days = Number(recurrence.addDays(recurrence.addMonths(month, 1), -1).slice(8));
+  return amount * (days / 7);
+}
+
+// rollover settings from a request body; returns { error } or the values
+function parseRollover(body, existing = {}) {
+  const rollover =
+    body.rollover !== undefined ? Boolean(body.rollover) : Boolean(existing.rollover);
+  let cap = body.rollover_cap !== undefined ? body.rollover_cap : existing.rollover_cap;
+  if (cap === "" || cap === undefined) cap = null;
+  if (cap !== null && !(Number(cap) >= 0))
+    return { error: "rollover_cap must be a positive number." };
+  return { rollover: rollover ? 1 : 0, rollover_cap: cap === null ? null : Number(cap) };
+}
+
+// { envelopes, missing }: envelope figures for every budget month up to
+// and including `throughMonth`. Budgets are in `target` (the scope's
+// currency) and spending is converted into it; `missing` lists the
+// currencies of spending no rate covers, which is left out.
+async function loadEnvelopes(conn, email, throughMonth, target) {
+  const [rows] = await conn.execute(
+    `SELECT id, category, amount, cadence, rollover, rollover_cap,
+            DATE_FORMAT(month, '%Y-%m-%d') AS month
+     FROM budget WHERE user_email=? AND month <= ?`,
+    [email, throughMonth]
+  );
+  if (!rows.length) return { envelopes: [], missing: [] };
+
+  const first = rows.reduce((m, r) => (r.month < m ? r.month : m), rows[0].month);
+  const monthEnd = recurrence.addDays(recurrence.addMonths(throughMonth, 1), -1);
+  const last = monthEnd < todayISO() ? monthEnd : todayISO();
+  const { occ, missing } =
+    first <= last
+      ? await loadConvertedOccurrences(conn, email, first, last, target)
+      : { occ: { expense: [] }, missing: [] };
+  const spending = await splitByCategory(conn, email, occ.expense);
+
+  const computed = envelopes.computeEnvelopes(
+    rows.map((r) => ({
+      ...r,
+      amount: monthlyBudgetAmount(Number(r.amount), r.cadence, r.month),
+      rollover: Boolean(r.rollover),
+    })),
+    envelopes.spentByMonth(spending, await loadParentMap(conn, email))
+  );
+  return { envelopes: computed, missing };
+}
+
+// ?month=YYYY-MM (defaults to the current month)
+app.get("/api/budgets", scoped, async (req, res) => {
+  const month = req.query.month ? parseMonth(req.query.month) : currentMonth();
+  if (!month)
+    return res.status(400).json({ message: "month must be YYYY-MM." });
+
+  try {
+    const conn = await createConnection();
+    const [rows] = await conn.execute(
+      `SELECT id, category, amount, cadence, rollover, rollover_cap,
+              DATE_FORMAT(month, '%Y-%m') AS month, created_at
+       FROM budget WHERE user_email=? AND month=? ORDER BY category`,
+      [req.scope.owner, month]
+    );
+    const target = await scopeCurrency(conn, req.scope);
+    const { envelopes: env, missing } = await loadEnvelopes(
+      conn,
+      req.scope.owner,
+      month,
+      target
+    );
+    await conn.end();
+
+    const byId = new Map(env.map((e) => [e.id, e]));
+    const items = rows.map((r) => {
+      const e = byId.get(r.id) || {};
+      return {
+        ...r,
+        rollover: Boolean(r.rollover),
+        budgeted: e.budgeted,
+        spent: e.spent,
+        carriedIn: e.carriedIn,
+        available: e.available,
+      };
+    });
+    res.json({ items, month: month.slice(0, 7), currency: target, missing });
+  } catch (e) {
+    res.status(500).json({ message: "Error retrieving budgets." });
+  }
+});
+
+app.post("/api/budgets", scoped, async (req, res) => {
+  const { category, amount, cadence = "monthly" } = req.body;
+  const month = req.body.month ? parseMonth(req.body.month) : currentMonth();
+
+  if (!category || !String(category).trim() || amount === undefined)
+    return res.status(400).json({ message: "Missing fields." });
+  if (!(Number(amount) > 0))
+    return res.status(400).json({ message: "amount must be greater than 0." });
+  if (!BUDGET_CADENCES.includes(cadence))
+    return res
+      .status(400)
+      .json({ message: `cadence must be one of ${BUDGET_CADENCES.join(", ")}.` });
+  if (!month)
+    return res.status(400).json({ message: "month must be YYYY-MM." });
+
+  const rollover = parseRollover(req.body);
+  if (rollover.error) return res.status(400).json({ message: rollover.error });
+
+  try {
+    const conn = await createConnection();
+
+    const [r] = await conn.execute(
+      "INSERT INTO budget (user_email, category, amount, cadence, month, rollover, rollover_cap) VALUES (?, ?, ?, ?, ?, ?, ?)",
+      [
+        req.scope.owner,
+        String(category).trim(),
+        Number(amount),
+        cadence,
+        month,
+        rollover.rollover,
+        rollover.rollover_cap,
+      ]
+    );
+
+    // save custom category
+    await rememberCategory(conn, req.scope.owner, String(category).trim());
+
+    await conn.end();
+    res.status(201).json({ id: r.insertId });
+  } catch (e) {
+    if (e.code === "ER_DUP_ENTRY")
+      return res.status(409).json({
+        message: "A budget for this category already exists for that month.",
+      });
+
+    console.error(e);
+    res.status(500).json({ message: "Error creating budget." });
+  }
+});
+
+// copy every budget from one month into another, skipping categories
+// the target month already has. Body: { to: "YYYY-MM", from?: "YYYY-MM" }
+// where `from` defaults to the month before `to`.
+app.post("/api/budgets/copy", scoped, async (req, res) => {
+  const to = req.body.to ? parseMonth(req.body.to) : currentMonth();
+  const from = req.body.from
+    ? parseMonth(req.body.from)
+    : to && recurrence.addMonths(to, -1);
+
+  if (!to || !from)
+    return res.status(400).json({ message: "from/to must be YYYY-MM." });
+  if (from === to)
+    return res.status(400).json({ message: "from and to must differ." });
+
+  try {
+    const conn = await createConnection();
+    const [r] = await conn.execute(
+      `INSERT IGNORE INTO budget
+         (user_email, category, amount, cadence, month, rollover, rollover_cap)
+       SELECT user_email, category, amount, cadence, ?, rollover, rollover_cap
+       FROM budget WHERE user_email=? AND month=?`,
+      [to, req.scope.owner, from]
+    );
+    await conn.end();
+    res.status(201).json({ copied: r.affectedRows });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error copying budgets." });
+  }
+});
+
+app.patch("/api/budgets/:id", scoped, async (req, res) => {
+  const id = req.params.id;
+  const { category, amount, cadence } = req.body;
+
+  if (amount !== undefined && !(Number(amount) > 0))
+    return res.status(400).json({ message: "amount must be greater than 0." });
+  if (cadence !== undefined && !BUDGET_CADENCES.includes(cadence))
+    return res
+      .status(400)
+      .json({ message: `cadence must be one of ${BUDGET_CADENCES.join(", ")}.` });
+  if (category !== undefined && !String(category).trim())
+    return res.status(400).json({ message: "category cannot be empty." });
+
+  try {
+    const conn = await createConnection();
+    const [[existing]] = await conn.execute(
+      "SELECT * FROM budget WHERE id=? AND user_email=?",
+      [id, req.scope.owner]
+    );
+    if (!existing) {
+      await conn.end();
+      return res.status(404).json({ message: "Budget not found." });
+    }
+
+    const rollover = parseRollover(req.body, existing);
+    if (rollover.error) {
+      await conn.end();
+      return res.status(400).json({ message: rollover.error });
+    }
+
+    await conn.execute(
+      `UPDATE budget SET category=?, amount=?, cadence=?, rollover=?, rollover_cap=?
+       WHERE id=? AND user_email=?`,
+      [
+        category !== undefined ? String(category).trim() : existing.category,
+        amount !== undefined ? Number(amount) : existing.amount,
+        cadence || existing.cadence,
+        rollover.rollover,
+        rollover.rollover_cap,
+        id,
+        req.scope.owner,
+      ]
+    );
+    await conn.end();
+    res.json({ message: "Budget updated successfully" });
+  } catch (e) {
+    if (e.code === "ER_DUP_ENTRY")
+      return res.status(409).json({
+        message: "A budget for this category already exists for that month.",
+      });
+
+    console.error(e);
+    res.status(500).json({ message: "Error updating budget." });
+  }
+});
+
+app.delete("/api/budgets/:id", scoped, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    await conn.execute("DELETE FROM budget WHERE id=? AND user_email=?", [
+      req.params.id,
+      req.scope.owner,
+    ]);
+    await conn.end();
+    res.status(204).send();
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error deleting budget." });
+  }
+});
+
+// ===============================================================
+// ALERTS + NOTIFICATIONS
+// ===============================================================
+// Rules (lib/alerts.js) are checked whenever expenses are created,
+// changed or imported; what they find is stored as notifications for
+// the bell on every page. Both belong to the scope, so a household's
+// members share its rules and notifications. Users can also have
+// unread notifications mailed to them (npm run digest:send).
+
+// every new user and household starts with the default rules
+async function seedAlertRules(conn, owner) {
+  for (const r of alerts.DEFAULT_RULES) {
+    await conn.execute("INSERT INTO alert_rule (user_email, type, threshold) VALUES (?, ?, ?)", [
+      owner,
+      r.type,
+      r.threshold,
+    ]);
+  }
+}
+
+const alertRuleItem = (r) => ({
+  id: r.id,
+  type: r.type,
+  category: r.category,
+  threshold: Number(r.threshold),
+  enabled: Boolean(r.enabled),
+  createdAt: r.created_at,
+});
+
+const notificationItem = (n) => ({
+  id: n.id,
+  type: n.type,
+  title: n.title,
+  body: n.body,
+  link: n.link,
+  read: Boolean(n.read_at),
+  createdAt: n.created_at,
+});
+
+async function loadAlertRules(conn, owner) {
+  const [rows] = await conn.execute(
+    "SELECT * FROM alert_rule WHERE user_email=? ORDER BY type, threshold, id",
+    [owner]
+  );
+  return rows.map(alertRuleItem);
+}
+
+async function findAlertRule(conn, owner, id) {
+  const [[row]] = await conn.execute("SELECT * FROM alert_rule WHERE id=? AND user_email=?", [
+    Number(id) || 0,
+    owner,
+  ]);
+  return row ? alertRuleItem(row) : null;
+}
+
+// Checks the scope's rules against this month's budgets and spending
+// and against `expenseIds` (the expenses just saved). Stores what is new
+// and returns how many notifications were added.
+async function checkAlerts(conn, scope, expenseIds = []) {
+  const owner = scope.owner;
+  const rules = (await loadAlertRules(conn, owner)).filter((r) => r.enabled);
+  if (!rules.length) return 0;
+
+  const target = await scopeCurrency(conn, scope);
+  const fmt = alerts.createFormat(target, await scopeLocale(conn, scope));
+  const month = currentMonth();
+  const has = (type) => rules.some((r) => r.type === type);
+  const found = [];
+
+  if (has("budget")) {
+    const { envelopes: env } = await loadEnvelopes(conn, owner, month, target);
+    found.push(...alerts.budgetAlerts(rules, env.filter((e) => e.month === month), fmt));
+  }
+
+  if (has("large_transaction") && expenseIds.length) {
+    const [rows] = await conn.execute(
+      `SELECT id, category, description, amount, currency, DATE_FORMAT(date, '%Y-%m-%d') AS date
+       FROM expense WHERE user_email=? AND id IN (${expenseIds.map(() => "?").join(", ")})`,
+      [owner, ...expenseIds]
+    );
+    // an expense no rate converts can't be compared with the limit
+    const saved = (await withConvertedAmounts(conn, scope, rows))
+      .filter((r) => r.converted_amount !== null)
+      .map((r) => ({ ...r, amount: r.converted_amount }));
+    found.push(...alerts.largeTransactionAlerts(rules, saved, fmt));
+  }
+
+  if (has("unusual_spend")) {
+    const from = recurrence.addMonths(month, -alerts.UNUSUAL_MONTHS);
+    const { occ } = await loadConvertedOccurrences(conn, owner, from, todayISO(), target);
+    const spending = await splitByCategory(conn, owner, occ.expense);
+    found.push(...alerts.unusualSpendAlerts(rules, spending, month, fmt));
+  }
+
+  let added = 0;
+  for (const a of found) {
+    const [r] = await conn.execute(
+      `INSERT IGNORE INTO notification (user_email, rule_id, type, dedupe_key, title, body, link)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [owner, a.rule.id, a.rule.type, a.key, a.title, a.body, a.link]
+    );
+    added += r.affectedRows;
+  }
+  return added;
+}
+
+// alerts come on top of saving an expense: a failed check is logged and
+// the save still goes through
+async function checkAlertsAfterSave(conn, scope, expenseIds) {
+  try {
+    return await checkAlerts(conn, scope, expenseIds);
+  } catch (e) {
+    console.error("Could not check alerts:", e);
+    return 0;
+  }
+}
+
+app.get("/api/alert-rules", scoped, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    const items = await loadAlertRules(conn, req.scope.owner);
+    const target = await scopeCurrency(conn, req.scope);
+    await conn.end();
+    res.json({ items, currency: target });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error loading alert rules." });
+  }
+});
+
+// body { type, threshold, category?, enabled? }: threshold is a
+// percentage for budget rules, an amount for large transactions and a
+// multiple of the average for unusual spending
+app.post("/api/alert-rules", scoped, async (req, res) => {
+  const rule = alerts.parseRule(req.body);
+  if (rule.error) return res.status(400).json({ message: rule.error });
+
+  try {
+    const conn = await createConnection();
+    const [r] = await conn.execute(
+      `INSERT INTO alert_rule (user_email, type, category, threshold, enabled)
+       VALUES (?, ?, ?, ?, ?)`,
+      [req.scope.owner, rule.type, rule.category, rule.threshold, rule.enabled ? 1 : 0]
+    );
+    // a new rule may already apply
+    if (rule.enabled) await checkAlertsAfterSave(conn, req.scope, []);
+    await conn.end();
+    res.status(201).json({ id: r.insertId });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error creating alert rule." });
+  }
+});
+
+app.patch("/api/alert-rules/:id", scoped, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    const existing = await findAlertRule(conn, req.scope.owner, req.params.id);
+    if (!existing) {
+      await conn.end();
+      return res.status(404).json({ message: "Alert rule not found." });
+    }
+    const rule = alerts.parseRule(req.body, existing);
+    if (rule.error) {
+      await conn.end();
+      return res.status(400).json({ message: rule.error });
+    }
+
+    await conn.execute(
+      "UPDATE alert_rule SET type=?, category=?, threshold=?, enabled=? WHERE id=?",
+      [rule.type, rule.category, rule.threshold, rule.enabled ? 1 : 0, existing.id]
+    );
+    if (rule.enabled) await checkAlertsAfterSave(conn, req.scope, []);
+    await conn.end();
+    res.json({ message: "Alert rule updated successfully" });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error updating alert rule." });
+  }
+});
+
+// the rule's notifications stay
+app.delete("/api/alert-rules/:id", scoped, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    await conn.execute("DELETE FROM alert_rule WHERE id=? AND user_email=?", [
+      req.params.id,
+      req.scope.owner,
+    ]);
+    await conn.end();
+    res.status(204).send();
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error deleting alert rule." });
+  }
+});
+
+// the latest notifications (?limit=, default 20, at most 100; ?unread=1
+// for unread only) and how many are unread in all
+app.get("/api/notifications", scoped, async (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+  const unreadOnly = req.query.unread === "1";
+
+  try {
+    const conn = await createConnection();
+    const [rows] = await conn.execute(
+      `SELECT * FROM notification WHERE user_email=? ${unreadOnly ? "AND read_at IS NULL" : ""}
+       ORDER BY created_at DESC, id DESC LIMIT ${limit}`,
+      [req.scope.owner]
+    );
+    const [[count]] = await conn.execute(
+      "SELECT COUNT(*) AS unread FROM notification WHERE user_email=? AND read_at IS NULL",
+      [req.scope.owner]
+    );
+    await conn.end();
+    res.json({ items: rows.map(notificationItem), unread: Number(count.unread) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error loading notifications." });
+  }
+});
+
+// body { read: true|false }
+app.patch("/api/notifications/:id", viewerScoped, async (req, res) => {
+  const read = req.body.read !== undefined ? Boolean(req.body.read) : true;
+  try {
+    const conn = await createConnection();
+    const [r] = await conn.execute(
+      `UPDATE notification SET read_at=IF(?, IFNULL(read_at, NOW()), NULL)
+       WHERE id=? AND user_email=?`,
+      [read, req.params.id, req.scope.owner]
+    );
+    await conn.end();
+    if (!r.affectedRows) return res.status(404).json({ message: "Notification not found." });
+    res.json({ message: read ? "Marked as read." : "Marked as unread." });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error updating notification." });
+  }
+});
+
+app.post("/api/notifications/read-all", viewerScoped, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    const [r] = await conn.execute(
+      "UPDATE notification SET read_at=NOW() WHERE user_email=? AND read_at IS NULL",
+      [req.scope.owner]
+    );
+    await conn.end();
+    res.json({ updated: r.affectedRows });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error updating notifications." });
+  }
+});
+
+app.delete("/api/notifications/:id", scoped, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    await conn.execute("DELETE FROM notification WHERE id=? AND user_email=?", [
+      req.params.id,
+      req.scope.owner,
+    ]);
+    await conn.end();
+    res.status(204).send();
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error deleting notification." });
+  }
+});
+
+// ===============================================================
+// CATEGORIES (BUILT-IN + CUSTOM)
+// ===============================================================
+// every new account starts with its own copy of the built-in categories
+async function seedCategories(conn, email) {
+  for (const c of categories.BUILT_IN_CATEGORIES) {
+    await conn.execute(
+      "INSERT IGNORE INTO user_categories (user_email, category, color, icon) VALUES (?, ?, ?, ?)",
+      [email, c.name, c.color, c.icon]
+    );
+  }
+}
+
+// make sure a category used by an expense or budget is in the user's list
+async function rememberCategory(conn, email, name) {
+  await conn.execute(
+    "INSERT IGNORE INTO user_categories (user_email, category, color) VALUES (?, ?, ?)",
+    [email, name, categories.defaultCategoryColor(name)]
+  );
+}
+
+async function findCategory(conn, email, id) {
+  const [[row]] = await conn.execute(
+    "SELECT * FROM user_categories WHERE id=? AND user_email=?",
+    [id, email]
+  );
+  return row || null;
+}
+
+// category name -> parent category name, for every subcategory
+async function loadParentMap(conn, email) {
+  const [rows] = await conn.execute(
+    `SELECT c.category, p.category AS parent
+     FROM user_categories c
+     JOIN user_categories p ON p.id = c.parent_id
+     WHERE c.user_email=?`,
+    [email]
+  );
+  return Object.fromEntries(rows.map((r) => [r.category, r.parent]));
+}
+
+// body.parent_id -> undefined (leave as is), null (top level) or an id
+function parseParentId(value) {
+  if (value === undefined) return undefined;
+  if (value === null || value === "") return null;
+  return Number(value);
+}
+
+// Categories nest one level deep: a parent must be a top-level category
+// of the same user, and a category that has children stays top level.
+// Returns an error message, or null if `parentId` is fine for `self`.
+async function checkParent(conn, email, parentId, self = null) {
+  if (parentId === null) return null;
+
+  const parent = Number.isInteger(parentId)
+    ? await findCategory(conn, email, parentId)
+    : null;
+  if (!parent) return "parent_id must be one of your categories.";
+  if (self && parent.id === self.id) return "A category cannot be its own parent.";
+  if (parent.parent_id) return "A subcategory cannot have subcategories.";
+
+  if (self) {
+    const [[{ children }]] = await conn.execute(
+      "SELECT COUNT(*) AS children FROM user_categories WHERE parent_id=?",
+      [self.id]
+    );
+    if (children) return "A category with subcategories cannot be moved under another.";
+  }
+  return null;
+}
+
+// tables that refer to a category by name; renaming or merging a
+// category rewrites them (budgets need more care, see mergeCategoryInto)
+const CATEGORY_NAME_TABLES = [
+  "expense",
+  "expense_split",
+  "categorization_rules",
+  "goal",
+  "alert_rule",
+];
+
+// Moves every expense, rule, goal link, alert rule and budget from
+// `source` into `target` and deletes `source`. Where both have a budget for the same month the
+// amounts are added together. Subcategories of `source` move under
+// `target` when it is top level, otherwise they become top level
+// themselves. Runs inside the caller's transaction.
+async function mergeCategoryInto(conn, email, source, target) {
+  for (const table of CATEGORY_NAME_TABLES)
+    await conn.execute(
+      `UPDATE ${table} SET category=? WHERE user_email=? AND category=?`,
+      [target.category, email, source.category]
+    );
+  await conn.execute(
+    `UPDATE budget t
+     JOIN budget s ON s.user_email = t.user_email AND s.month = t.month
+     SET t.amount = t.amount + s.amount
+     WHERE t.user_email=? AND t.category=? AND s.category=?`,
+    [email, target.category, source.category]
+  );
+  await conn.execute(
+    `DELETE s FROM budget s
+     JOIN budget t ON t.user_email = s.user_email AND t.month = s.month
+     WHERE s.user_email=? AND s.category=? AND t.category=?`,
+    [email, source.category, target.category]
+  );
+  await conn.execute(
+    "UPDATE budget SET category=? WHERE user_email=? AND category=?",
+    [target.category, email, source.category]
+  );
+  const newParent =
+    target.parent_id === null || target.parent_id === source.id ? target.id : null;
+  await conn.execute(
+    "UPDATE user_categories SET parent_id=? WHERE parent_id=? AND id<>?",
+    [newParent, source.id, target.id]
+  );
+  if (target.parent_id === source.id)
+    await conn.execute("UPDATE user_categories SET parent_id=NULL WHERE id=?", [
+      target.id,
+    ]);
+  await conn.execute("DELETE FROM user_categories WHERE id=? AND user_email=?", [
+    source.id,
+    email,
+  ]);
+}
+
+const categoryItem = (r) => ({
+  id: r.id,
+  name: r.category,
+  color: r.color || categories.defaultCategoryColor(r.category),
+  icon: r.icon,
+  archived: Boolean(r.archived),
+  parentId: r.parent_id ?? null,
+});
+
+// `categories` keeps the plain list of names older pages read;
+// `items` carries ids, colors, icons, the archived flag and parentId.
+// Archived categories are left out unless ?includeArchived=1.
+app.get("/api/categories", scoped, async (req, res) => {
+  const includeArchived = ["1", "true"].includes(req.query.includeArchived);
+
+  try {
+    const conn = await createConnection();
+    const [rows] = await conn.execute(
+      `SELECT * FROM user_categories
+       WHERE user_email=? ${includeArchived ? "" : "AND archived=0"}
+       ORDER BY id`,
+      [req.scope.owner]
+    );
+    await conn.end();
+
+    const items = rows.map(categoryItem);
+    res.json({
+      categories: items.filter((c) => !c.archived).map((c) => c.name),
+      items,
+    });
+  } catch (e) {
+    res.status(500).json({ message: "Error loading categories." });
+  }
+});
+
+app.post("/api/categories", scoped, async (req, res) => {
+  const name = String(req.body.name || "").trim();
+  const { color, icon = null } = req.body;
+  const parentId = parseParentId(req.body.parent_id) ?? null;
+
+  if (!name) return res.status(400).json({ message: "name is required." });
+  if (color !== undefined && !categories.isHexColor(color))
+    return res.status(400).json({ message: "color must look like #RRGGBB." });
+
+  try {
+    const conn = await createConnection();
+    const parentError = await checkParent(conn, req.scope.owner, parentId);
+    if (parentError) {
+      await conn.end();
+      return res.status(400).json({ message: parentError });
+    }
+
+    const [r] = await conn.execute(
+      `INSERT INTO user_categories (user_email, category, color, icon, parent_id)
+       VALUES (?, ?, ?, ?, ?)`,
+      [
+        req.scope.owner,
+        name,
+        color || categories.defaultCategoryColor(name),
+        icon,
+        parentId,
+      ]
+    );
+    await conn.end();
+    res.status(201).json({ id: r.insertId });
+  } catch (e) {
+    if (e.code === "ER_DUP_ENTRY")
+      return res.status(409).json({ message: "Category already exists." });
+
+    console.error(e);
+    res.status(500).json({ message: "Error creating category." });
+  }
+});
+
+// rename (cascades to expenses and budgets), recolor, change icon,
+// archive, or move under a parent (parent_id: null for top level)
+app.patch("/api/categories/:id", scoped, async (req, res) => {
+  const { color, icon, archived } = req.body;
+  const parentId = parseParentId(req.body.parent_id);
+  const name = req.body.name !== undefined ? String(req.body.name).trim() : undefined;
+
+  if (name === "")
+    return res.status(400).json({ message: "name cannot be empty." });
+  if (color !== undefined && !categories.isHexColor(color))
+    return res.status(400).json({ message: "color must look like #RRGGBB." });
+
+  let conn;
+  try {
+    conn = await createConnection();
+    const existing = await findCategory(conn, req.scope.owner, req.params.id);
+    if (!existing) {
+      await conn.end();
+      return res.status(404).json({ message: "Category not found." });
+    }
+    if (parentId !== undefined) {
+      const parentError = await checkParent(conn, req.scope.owner, parentId, existing);
+      if (parentError) {
+        await conn.end();
+        return res.status(400).json({ message: parentError });
+      }
+    }
+
+    await conn.beginTransaction();
+    await conn.execute(
+      `UPDATE user_categories SET category=?, color=?, icon=?, archived=?, parent_id=?
+       WHERE id=?`,
+      [
+        name ?? existing.category,
+        color ?? existing.color,
+        icon !== undefined ? icon : existing.icon,
+        archived !== undefined ? (archived ? 1 : 0) : existing.archived,
+        parentId !== undefined ? parentId : existing.parent_id,
+        existing.id,
+      ]
+    );
+    if (name !== undefined && name !== existing.category) {
+      for (const table of CATEGORY_NAME_TABLES)
+        await conn.execute(
+          `UPDATE ${table} SET category=? WHERE user_email=? AND category=?`,
+          [name, req.scope.owner, existing.category]
+        );
+      await conn.execute(
+        "UPDATE budget SET category=? WHERE user_email=? AND category=?",
+        [name, req.scope.owner, existing.category]
+      );
+    }
+    await conn.commit();
+    await conn.end();
+
+    res.json({ message: "Category updated successfully" });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    if (e.code === "ER_DUP_ENTRY")
+      return res.status(409).json({
+        message: "A category with that name already exists. Merge them instead.",
+      });
+
+    console.error(e);
+    res.status(500).json({ message: "Error updating category." });
+  }
+});
+
+// fold this category into another one: body { into: <category id> }
+app.post("/api/categories/:id/merge", scoped, async (req, res) => {
+  if (String(req.body.into) === String(req.params.id))
+    return res.status(400).json({ message: "Cannot merge a category into itself." });
+
+  let conn;
+  try {
+    conn = await createConnection();
+    const source = await findCategory(conn, req.scope.owner, req.params.id);
+    const target = await findCategory(conn, req.scope.owner, req.body.into);
+    if (!source || !target) {
+      await conn.end();
+      return res.status(404).json({ message: "Category not found." });
+    }
+
+    await conn.beginTransaction();
+    await mergeCategoryInto(conn, req.scope.owner, source, target);
+    await conn.commit();
+    await conn.end();
+
+    res.json({ message: `Merged ${source.category} into ${target.category}.` });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    console.error(e);
+    res.status(500).json({ message: "Error merging categories." });
+  }
+});
+
+// delete; a category still used by expenses or budgets needs
+// ?reassignTo=<category id> (or archive it with PATCH instead)
+app.delete("/api/categories/:id", scoped, async (req, res) => {
+  const reassignTo = req.query.reassignTo;
+
+  let conn;
+  try {
+    conn = await createConnection();
+    const source = await findCategory(conn, req.scope.owner, req.params.id);
+    if (!source) {
+      await conn.end();
+      return res.status(404).json({ message: "Category not found." });
+    }
+
+    if (!reassignTo) {
+      const [[used]] = await conn.execute(
+        `SELECT (SELECT COUNT(*) FROM expense WHERE user_email=? AND category=?)
+                + (SELECT COUNT(*) FROM expense_split WHERE user_email=? AND category=?) AS expenses,
+                (SELECT COUNT(*) FROM budget WHERE user_email=? AND category=?) AS budgets`,
+        [req.scope.owner, source.category, req.scope.owner, source.category,
+          req.scope.owner, source.category]
+      );
+      if (used.expenses || used.budgets) {
+        await conn.end();
+        return res.status(409).json({
+          message: "Category is in use. Pass reassignTo or archive it instead.",
+          expenses: used.expenses,
+          budgets: used.budgets,
+        });
+      }
+
+      await conn.execute("DELETE FROM user_categories WHERE id=?", [source.id]);
+      await conn.end();
+      return res.status(204).send();
+    }
+
+    const target = await findCategory(conn, req.scope.owner, reassignTo);
+    if (!target || target.id === source.id) {
+      await conn.end();
+      return res.status(400).json({ message: "reassignTo must be another category." });
+    }
+
+    await conn.beginTransaction();
+    await mergeCategoryInto(conn, req.scope.owner, source, target);
+    await conn.commit();
+    await conn.end();
+    res.status(204).send();
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    console.error(e);
+    res.status(500).json({ message: "Error deleting category." });
+  }
+});
+
+// ===============================================================
+// IMPORT (CSV / OFX / QFX BANK STATEMENTS)
+// ===============================================================
+// The page reads the file in the browser and posts its text, so
+// these routes get a bigger JSON limit (see MIDDLEWARE). Preview
+// parses and flags duplicates without writing anything; commit
+// writes the rows the user kept in one transaction.
+const IMPORT_FORMATS = ["csv", "ofx", "qfx"];
+
+async function findImportProfile(conn, email, id) {
+  const [[row]] = await conn.execute(
+    "SELECT * FROM import_profiles WHERE id=? AND user_email=?",
+    [id, email]
+  );
+  return row ? { id: row.id, name: row.name, mapping: JSON.parse(row.mapping) } : null;
+}
+
+// body { format, content, mapping? | profileId? } -> { rows } or { error }
+async function parseStatement(conn, email, body) {
+  const format = String(body.format || "csv").toLowerCase();
+  if (!IMPORT_FORMATS.includes(format))
+    return { error: `format must be one of ${IMPORT_FORMATS.join(", ")}.` };
+  if (typeof body.content !== "string" || !body.content.trim())
+    return { error: "content is required." };
+
+  // problems with the file itself come back as plain Errors
+  if (format !== "csv") {
+    try {
+      return { rows: importer.importOFX(body.content) };
+    } catch (e) {
+      return { error: e.message };
+    }
+  }
+
+  let mapping = body.mapping;
+  if (body.profileId) {
+    const profile = await findImportProfile(conn, email, body.profileId);
+    if (!profile) return { error: "Import profile not found." };
+    mapping = { ...profile.mapping, ...(body.mapping || {}) };
+  }
+  const normalized = importer.normalizeMapping(mapping);
+  if (normalized.error) return { error: normalized.error };
+
+  try {
+    return { rows: importer.importCSV(body.content, normalized) };
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
+// duplicate keys of the user's income and expense rows in [from, to]
+async function existingImportKeys(conn, email, from, to) {
+  const [rows] = await conn.execute(
+    `SELECT DATE_FORMAT(date, '%Y-%m-%d') AS date, amount,
+            COALESCE(description, source) AS description
+     FROM income WHERE user_email=? AND date BETWEEN ? AND ?
+     UNION ALL
+     SELECT DATE_FORMAT(date, '%Y-%m-%d') AS date, amount, description
+     FROM expense WHERE user_email=? AND date BETWEEN ? AND ?`,
+    [email, from, to, email, from, to]
+  );
+  return new Set(rows.map(importer.duplicateKey));
+}
+
+// Fills in category (and cadence) on imported expense rows from the
+// user's rules; rows that already have a real category keep it.
+function categorizeImport(rows, ruleList) {
+  return rows.map((r) => {
+    if (r.error || r.type !== "expense" || !rules.needsCategory(r.category)) return r;
+    const match = rules.findMatchingRule(ruleList, { ...r, source: "import" });
+    return match
+      ? { ...r, category: match.category, cadence: match.cadence || r.cadence, ruleId: match.id }
+      : r;
+  });
+}
+
+// marks rows that already exist; rows with errors are left alone
+async function flagDuplicates(conn, email, rows) {
+  const dates = rows.filter((r) => !r.error).map((r) => r.date).sort();
+  if (!dates.length) return rows;
+
+  const existing = await existingImportKeys(conn, email, dates[0], dates[dates.length - 1]);
+  return rows.map((r) =>
+    r.error ? r : { ...r, duplicate: existing.has(importer.duplicateKey(r)) }
+  );
+}
+
+// reads the statement and shows what an import would do; nothing is saved
+app.post("/api/import/preview", viewerScoped, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    const parsed = await parseStatement(conn, req.scope.owner, req.body);
+    if (parsed.error) {
+      await conn.end();
+      return res.status(400).json({ message: parsed.error });
+    }
+
+    const rows = categorizeImport(
+      await flagDuplicates(conn, req.scope.owner, parsed.rows),
+      await loadRules(conn, req.scope.owner)
+    );
+    await conn.end();
+
+    res.json({
+      rows,
+      summary: {
+        total: rows.length,
+        income: rows.filter((r) => r.type === "income").length,
+        expense: rows.filter((r) => r.type === "expense").length,
+        duplicates: rows.filter((r) => r.duplicate).length,
+        errors: rows.filter((r) => r.error).length,
+      },
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error previewing import." });
+  }
+});
+
+// body { rows: [{ date, description, amount, type, category?, cadence? }],
+//        skipDuplicates = true }. Expenses without a category go
+// through the categorization rules, then fall back to "Other".
+app.post("/api/import/commit", scoped, async (req, res) => {
+  const { rows, skipDuplicates = true } = req.body;
+  // the account the statement came from, if any
+  const accountId = parseAccountId(req.body.account_id) ?? null;
+  if (!Array.isArray(rows) || !rows.length)
+    return res.status(400).json({ message: "rows must be a non-empty array." });
+
+  const bad = rows.findIndex(
+    (r) =>
+      !isISODate(r.date) ||
+      !(Number(r.amount) > 0) ||
+      !["income", "expense"].includes(r.type)
+  );
+  if (bad >= 0)
+    return res.status(400).json({
+      message: `Row ${bad + 1} needs a date, a positive amount and a type of income or expense.`,
+    });
+
+  let conn;
+  try {
+    conn = await createConnection();
+    const accountError = await checkAccount(conn, req.scope.owner, accountId);
+    if (accountError) return res.status(400).json({ message: accountError });
+
+    const flagged = categorizeImport(
+      await flagDuplicates(conn, req.scope.owner, rows),
+      await loadRules(conn, req.scope.owner)
+    );
+    const toImport = skipDuplicates ? flagged.filter((r) => !r.duplicate) : flagged;
+    const code = await defaultCurrency(conn, req.scope, accountId);
+
+    const expenseIds = [];
+    await conn.beginTransaction();
+    for (const r of toImport) {
+      const description = String(r.description || "").trim();
+      if (r.type === "income") {
+        await conn.execute(
+          `INSERT INTO income (user_email, created_by, source, description, amount, currency, cadence, date, account_id)
+           VALUES (?, ?, ?, ?, ?, ?, 'one-time', ?, ?)`,
+          [
+            req.scope.owner,
+            req.user.email,
+            (description || "Imported").slice(0, 120),
+            description || null,
+            Number(r.amount),
+            code,
+            r.date,
+            accountId,
+          ]
+        );
+      } else {
+        const category = String(r.category || "").trim() || "Other";
+        const cadence = recurrence.CADENCES.includes(r.cadence) ? r.cadence : "one-time";
+        const [inserted] = await conn.execute(
+          `INSERT INTO expense (user_email, created_by, category, description, amount, currency, cadence, date, origin, account_id)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'import', ?)`,
+          [req.scope.owner, req.user.email, category, description || null, Number(r.amount), code, cadence, r.date, accountId]
+        );
+        await rememberCategory(conn, req.scope.owner, category);
+        expenseIds.push(inserted.insertId);
+      }
+    }
+    await conn.commit();
+    const notifications = await checkAlertsAfterSave(conn, req.scope, expenseIds);
+
+    res.status(201).json({
+      imported: toImport.length,
+      skipped: rows.length - toImport.length,
+      notifications,
+    });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    console.error(e);
+    res.status(500).json({ message: "Error importing transactions." });
+  } finally {
+    if (conn) await conn.end().catch(() => {});
+  }
+});
+
+// saved CSV column mappings
+app.get("/api/import/profiles", scoped, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    const [rows] = await conn.execute(
+      "SELECT * FROM import_profiles WHERE user_email=? ORDER BY name",
+      [req.scope.owner]
+    );
+    await conn.end();
+    res.json({
+      items: rows.map((r) => ({ id: r.id, name: r.name, mapping: JSON.parse(r.mapping) })),
+    });
+  } catch (e) {
+    res.status(500).json({ message: "Error loading import profiles." });
+  }
+});
+
+app.post("/api/import/profiles", scoped, async (req, res) => {
+  const name = String(req.body.name || "").trim();
+  if (!name) return res.status(400).json({ message: "name is required." });
+
+  const mapping = importer.normalizeMapping(req.body.mapping);
+  if (mapping.error) return res.status(400).json({ message: mapping.error });
+
+  try {
+    const conn = await createConnection();
+    const [r] = await conn.execute(
+      "INSERT INTO import_profiles (user_email, name, mapping) VALUES (?, ?, ?)",
+      [req.scope.owner, name, JSON.stringify(mapping)]
+    );
+    await conn.end();
+    res.status(201).json({ id: r.insertId });
+  } catch (e) {
+    if (e.code === "ER_DUP_ENTRY")
+      return res.status(409).json({ message: "A profile with that name already exists." });
+
+    console.error(e);
+    res.status(500).json({ message: "Error saving import profile." });
+  }
+});
+
+app.patch("/api/import/profiles/:id", scoped, async (req, res) => {
+  const name = req.body.name !== undefined ? String(req.body.name).trim() : undefined;
+  if (name === "") return res.status(400).json({ message: "name cannot be empty." });
+
+  try {
+    const conn = await createConnection();
+    const existing = await findImportProfile(conn, req.scope.owner, req.params.id);
+    if (!existing) {
+      await conn.end();
+      return res.status(404).json({ message: "Import profile not found." });
+    }
+
+    const mapping = importer.normalizeMapping({
+      ...existing.mapping,
+      ...(req.body.mapping || {}),
+    });
+    if (mapping.error) {
+      await conn.end();
+      return res.status(400).json({ message: mapping.error });
+    }
+
+    await conn.execute("UPDATE import_profiles SET name=?, mapping=? WHERE id=?", [
+      name ?? existing.name,
+      JSON.stringify(mapping),
+      existing.id,
+    ]);
+    await conn.end();
+    res.json({ message: "Import profile updated successfully" });
+  } catch (e) {
+    if (e.code === "ER_DUP_ENTRY")
+      return res.status(409).json({ message: "A profile with that name already exists." });
+
+    console.error(e);
+    res.status(500).json({ message: "Error updating import profile." });
+  }
+});
+
+app.delete("/api/import/profiles/:id", scoped, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    await conn.execute("DELETE FROM import_profiles WHERE id=? AND user_email=?", [
+      req.params.id,
+      req.scope.owner,
+    ]);
+    await conn.end();
+    res.status(204).send();
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error deleting import profile." });
+  }
+});
+
+// ===============================================================
+// CATEGORIZATION RULES
+// ===============================================================
+async function loadRules(conn, email) {
+  const [rows] = await conn.execute(
+    "SELECT * FROM categorization_rules WHERE user_email=? ORDER BY priority, id",
+    [email]
+  );
+  return rows;
+}
+
+const ruleItem = (r) => ({
+  id: r.id,
+  priority: r.priority,
+  match_type: r.match_type,
+  pattern: r.pattern,
+  min_amount: r.min_amount === null ? null : Number(r.min_amount),
+  max_amount: r.max_amount === null ? null : Number(r.max_amount),
+  source: r.source,
+  category: r.category,
+  cadence: r.cadence,
+  enabled: Boolean(r.enabled),
+});
+
+const RULE_COLUMNS = [
+  "priority",
+  "match_type",
+  "pattern",
+  "min_amount",
+  "max_amount",
+  "source",
+  "category",
+  "cadence",
+  "enabled",
+];
+
+app.get("/api/rules", scoped, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    const rows = await loadRules(conn, req.scope.owner);
+    await conn.end();
+    res.json({ items: rows.map(ruleItem) });
+  } catch (e) {
+    res.status(500).json({ message: "Error loading rules." });
+  }
+});
+
+app.post("/api/rules", scoped, async (req, res) => {
+  const rule = rules.parseRule(req.body);
+  if (rule.error) return res.status(400).json({ message: rule.error });
+
+  try {
+    const conn = await createConnection();
+    const [r] = await conn.execute(
+      `INSERT INTO categorization_rules (user_email, ${RULE_COLUMNS.join(", ")})
+       VALUES (?, ${RULE_COLUMNS.map(() => "?").join(", ")})`,
+      [req.scope.owner, ...RULE_COLUMNS.map((c) => rule[c])]
+    );
+    await rememberCategory(conn, req.scope.owner, rule.category);
+    await conn.end();
+    res.status(201).json({ id: r.insertId });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error creating rule." });
+  }
+});
+
+app.patch("/api/rules/:id", scoped, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    const [[existing]] = await conn.execute(
+      "SELECT * FROM categorization_rules WHERE id=? AND user_email=?",
+      [req.params.id, req.scope.owner]
+    );
+    if (!existing) {
+      await conn.end();
+      return res.status(404).json({ message: "Rule not found." });
+    }
+
+    const rule = rules.parseRule(req.body, existing);
+    if (rule.error) {
+      await conn.end();
+      return res.status(400).json({ message: rule.error });
+    }
+
+    await conn.execute(
+      `UPDATE categorization_rules SET ${RULE_COLUMNS.map((c) => `${c}=?`).join(", ")}
+       WHERE id=?`,
+      [...RULE_COLUMNS.map((c) => rule[c]), existing.id]
+    );
+    await rememberCategory(conn, req.scope.owner, rule.category);
+    await conn.end();
+    res.json({ message: "Rule updated successfully" });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error updating rule." });
+  }
+});
+
+app.delete("/api/rules/:id", scoped, async (req, res) => {
+  try {
+    const conn = await createConnection();
+    await conn.execute("DELETE FROM categorization_rules WHERE id=? AND user_email=?", [
+      req.params.id,
+      req.scope.owner,
+    ]);
+    await conn.end();
+    res.status(204).send();
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error deleting rule." });
+  }
+});
+
+// Try rules against a sample: body { description, amount?, source?, rule? }.
+// With `rule` only that (unsaved) rule is checked; otherwise the saved
+// rules are, and the one that would win is returned. Nothing is saved.
+app.post("/api/rules/test", viewerScoped, async (req, res) => {
+  const sample = {
+    description: String(req.body.description || ""),
+    amount: Number(req.body.amount || 0),
+    source: req.body.source || "manual",
+  };
+
+  if (req.body.rule) {
+    const rule = rules.parseRule(req.body.rule);
+    if (rule.error) return res.status(400).json({ message: rule.error });
+    const matched = rules.matchesRule({ ...rule, enabled: 1 }, sample);
+    return res.json({
+      matched,
+      category: matched ? rule.category : null,
+      cadence: matched ? rule.cadence : null,
+    });
+  }
+
+  try {
+    const conn = await createConnection();
+    const match = rules.findMatchingRule(await loadRules(conn, req.scope.owner), sample);
+    await conn.end();
+    res.json({
+      matched: Boolean(match),
+      rule: match ? ruleItem(match) : null,
+      category: match ? match.category : null,
+      cadence: match ? match.cadence : null,
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error testing rules." });
+  }
+});
+
+// Re-run the rules over existing expenses: only uncategorized ("Other")
+// ones by default, every expense with body { all: true }. This only
+// changes categories; it never turns an existing row into a recurring one.
+// Split expenses are left alone.
+app.post("/api/rules/apply", scoped, async (req, res) => {
+  const all = Boolean(req.body.all);
+
+  let conn;
+  try {
+    conn = await createConnection();
+    const ruleList = await loadRules(conn, req.scope.owner);
+    const [expenses] = await conn.execute(
+      `SELECT id, category, description, amount, origin FROM expense e
+       WHERE user_email=? ${all ? "" : "AND category='Other'"}
+         AND NOT EXISTS (SELECT 1 FROM expense_split s WHERE s.expense_id = e.id)`,
+      [req.scope.owner]
+    );
+
+    const changes = expenses
+      .map((e) => ({
+        id: e.id,
+        from: e.category,
+        match: rules.findMatchingRule(ruleList, { ...e, source: e.origin }),
+      }))
+      .filter((c) => c.match && c.match.category !== c.from);
+
+    await conn.beginTransaction();
+    for (const c of changes) {
+      await conn.execute("UPDATE expense SET category=? WHERE id=?", [
+        c.match.category,
+        c.id,
+      ]);
+    }
+    for (const category of new Set(changes.map((c) => c.match.category)))
+      await rememberCategory(conn, req.scope.owner, category);
+    await conn.commit();
+    // new categories can put budgets (or category rules) over the line
+    const notifications = changes.length
+      ? await checkAlertsAfterSave(conn, req.scope, changes.map((c) => c.id))
+      : 0;
+    await conn.end();
+
+    res.json({ checked: expenses.length, updated: changes.length, notifications });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    console.error(e);
+    res.status(500).json({ message: "Error applying rules." });
+  }
+});
+
+// ===============================================================
+// REPORTS (THE IMPORTANT ONE — FIXED)
+// ===============================================================
+// Works out the report window from ?from=&to= or ?period=month|quarter|year
+// (optionally anchored with ?date=, default today). A missing `from` means
+// the user's first entry and a missing `to` means today.
+async function resolveReportRange(conn, email, query) {
+  const { from, to, period, date } = query;
+  const today = todayISO();
+
+  if (period !== undefined) {
+    if (!periods.PERIODS.includes(period))
+      return { error: `period must be one of ${periods.PERIODS.join(", ")}.` };
+    const anchor = date || today;
+    if (!isISODate(anchor)) return { error: "date must be YYYY-MM-DD." };
+    return { ...periods.periodRange(period, anchor), period };
+  }
+
+  if (from !== undefined && !isISODate(from))
+    return { error: "from must be YYYY-MM-DD." };
+  if (to !== undefined && !isISODate(to))
+    return { error: "to must be YYYY-MM-DD." };
+
+  const end = to || today;
+  let start = from;
+  if (!start) {
+    const [[first]] = await conn.execute(
+      `SELECT DATE_FORMAT(MIN(d), '%Y-%m-%d') AS date FROM (
+         SELECT MIN(date) AS d FROM income WHERE user_email=?
+         UNION ALL
+         SELECT MIN(date) AS d FROM expense WHERE user_email=?
+       ) m`,
+      [email, email]
+    );
+    start = first.date && first.date < end ? first.date : end;
+  }
+
+  if (start > end) return { error: "from cannot be after to." };
+  return { from: start, to: end, period: null };
+}
+
+// ?level=leaf (default) lists expensesByCategory per category, each with
+// its `parent`; ?level=parent rolls subcategories into their parent and
+// lists them under `children`.
+// For a household, byMember says who added what ("who spent what"),
+// and ?member=<email> narrows the income and expense figures to one
+// member (budgets stay household-wide).
+const REPORT_LEVELS = ["leaf", "parent"];
+
+// totals per member who added the occurrences, biggest spender first
+function totalsByMember(occ) {
+  const by = {};
+  const add = (o, key) => {
+    const who = o.created_by || "";
+    by[who] = by[who] || { email: o.created_by || null, income: 0, expenses: 0 };
+    by[who][key] += o.amount;
+  };
+  occ.income.forEach((o) => add(o, "income"));
+  occ.expense.forEach((o) => add(o, "expenses"));
+  return Object.values(by)
+    .map((m) => ({
+      email: m.email,
+      income: round2(m.income),
+      expenses: round2(m.expenses),
+      net: round2(m.income - m.expenses),
+    }))
+    .sort((a, b) => b.expenses - a.expenses);
+}
+
+app.get("/api/reports", scoped, async (req, res) => {
+  const email = req.scope.owner;
+  const level = req.query.level || "leaf";
+  if (!REPORT_LEVELS.includes(level))
+    return res.status(400).json({ message: "level must be leaf or parent." });
+  const member = req.query.member ? String(req.query.member) : null;
+  if (member && !req.scope.householdId)
+    return res.status(400).json({ message: "member only applies to household reports." });
+
+  try {
+    const conn = await createConnection();
+
+    const range = await resolveReportRange(conn, email, req.query);
+    if (range.error) {
+      await conn.end();
+      return res.status(400).json({ message: range.error });
+    }
+    const { from, to } = range;
+    const target = await scopeCurrency(conn, req.scope);
+
+    // recurring rows count once per occurrence; anything scheduled after
+    // today hasn't happened yet, so actuals stop there. Every amount is
+    // converted into the scope's currency first.
+    const actualTo = to < todayISO() ? to : todayISO();
+    const { occ: converted, missing } =
+      from <= actualTo
+        ? await loadConvertedOccurrences(conn, email, from, actualTo, target)
+        : { occ: { income: [], expense: [] }, missing: [] };
+    // split expenses count once per split, each in its own category
+    const all = {
+      ...converted,
+      expense: await splitByCategory(conn, email, converted.expense),
+    };
+    const occ = member
+      ? {
+          income: all.income.filter((o) => o.created_by === member),
+          expense: all.expense.filter((o) => o.created_by === member),
+        }
+      : all;
+
+    // ---- budget envelopes for every month the window touches ----
+    const firstMonth = from.slice(0, 7) + "-01";
+    const budgeted = await loadEnvelopes(conn, email, to.slice(0, 7) + "-01", target);
+    const env = budgeted.envelopes.filter((e) => e.month >= firstMonth);
+    const parentOf = await loadParentMap(conn, email);
+    const tagged = await loadTags(conn, email);
+
+    await conn.end();
+
+    // ---- totals ----
+    const income = round2(occ.income.reduce((s, o) => s + o.amount, 0));
+    const expenses = round2(occ.expense.reduce((s, o) => s + o.amount, 0));
+
+    // ---- monthly income (line chart) ----
+    const byMonth = {};
+    occ.income.forEach((o) => {
+      const month = o.date.slice(0, 7) + "-01";
+      byMonth[month] = (byMonth[month] || 0) + o.amount;
+    });
+    const monthlyInc = Object.keys(byMonth)
+      .sort()
+      .map((date) => ({ date, total: round2(byMonth[date]) }));
+
+    // ---- expenses by category ----
+    const byCat = {};
+    occ.expense.forEach((o) => {
+      byCat[o.category] = (byCat[o.category] || 0) + o.amount;
+    });
+    const cats =
+      level === "parent"
+        ? categories.rollupByParent(byCat, parentOf).map((g) => ({
+            category: g.category,
+            total: round2(g.total),
+            children: g.children.map((c) => ({
+              category: c.category,
+              total: round2(c.total),
+            })),
+          }))
+        : Object.entries(byCat)
+            .map(([category, total]) => ({
+              category,
+              parent: parentOf[category] || null,
+              total: round2(total),
+            }))
+            .sort((a, b) => b.total - a.total);
+
+    // a budget on a parent category covers its subcategories too
+    const spentByCat = { ...byCat };
+    Object.entries(byCat).forEach(([category, total]) => {
+      const parent = parentOf[category];
+      if (parent) spentByCat[parent] = (spentByCat[parent] || 0) + total;
+    });
+
+    // ---- budgets by category: what was budgeted in the window, what
+    // carried in from the month before it, what was spent, what is left ----
+    const budByCat = {};
+    env.forEach((e) => {
+      const b = (budByCat[e.category] = budByCat[e.category] || {
+        category: e.category,
+        total: 0,
+        carriedIn: 0,
+        firstMonth: e.month,
+      });
+      b.total += e.budgeted;
+      if (e.month <= b.firstMonth) {
+        b.firstMonth = e.month;
+        b.carriedIn = e.carriedIn;
+      }
+    });
+    const bud = Object.values(budByCat).map(({ category, total, carriedIn }) => {
+      const spent = spentByCat[category] || 0;
+      return {
+        category,
+        total: round2(total),
+        spent: round2(spent),
+        carriedIn: round2(carriedIn),
+        available: round2(total + carriedIn - spent),
+      };
+    });
+
     // ---- final response ----
     res.json({
+      range: {
+        from,
+        to,
+        period: range.period,
+        months: periods.monthsInRange(from, to).length,
+      },
+      // amounts below are in `code`; `missing` lists currencies without
+      // an exchange rate, whose amounts are left out
+      currency: {
+        code: target,
+        missing: [...new Set([...missing, ...budgeted.missing])].sort(),
+      },
       totals: {
-        income: inc.income,
-        expenses: exp.expenses,
-        net: inc.income - exp.expenses,
+        income,
+        expenses,
+        net: round2(income - expenses),
       },
       monthlyIncome: monthlyInc,
       expensesByCategory: cats,
+      household: req.scope.householdId
+        ? { id: req.scope.householdId, role: req.scope.role, member }
+        : null,
+      byMember: req.scope.householdId ? totalsByMember(all) : null,
+      // what each tag's transactions came to, across categories
+      byTag: tags.totalsByTag(occ, (kind, id) => tagged.get(`${kind}:${id}`) || []),
       budgets: {
-        total: bud.reduce((s, r) => s + Number(r.total), 0),
+        total: round2(bud.reduce((s, r) => s + Number(r.total), 0)),
+        available: round2(bud.reduce((s, r) => s + r.available, 0)),
         byCategory: bud,
       },
     });
@@ -435,6 +5573,85 @@ app.get("/api/reports", authenticateToken, async (req, res) => {
   }
 });
 
+// ===============================================================
+// CASH-FLOW FORECAST
+// ===============================================================
+// The next ?months=3|6|12 (default 6) of income, expenses and net from
+// the calendar plus trailing averages (lib/forecast.js), with the
+// trailing months' actuals to draw before it. When there are accounts,
+// their balance today is carried forward month by month. currency.missing
+// lists currencies without an exchange rate, whose amounts are left out.
+app.get("/api/forecast", scoped, async (req, res) => {
+  const horizon = Number(req.query.months || 6);
+  if (!forecast.HORIZONS.includes(horizon))
+    return res
+      .status(400)
+      .json({ message: `months must be one of ${forecast.HORIZONS.join(", ")}.` });
+
+  const today = todayISO();
+  const owner = req.scope.owner;
+  try {
+    const conn = await createConnection();
+    const target = await scopeCurrency(conn, req.scope);
+
+    const from = forecast.trailingMonths(today)[0] + "-01";
+    const to = recurrence.addDays(recurrence.addMonths(today.slice(0, 7) + "-01", horizon), -1);
+    const past = await loadConvertedOccurrences(conn, owner, from, today, target);
+    const future = await loadConvertedOccurrences(
+      conn,
+      owner,
+      recurrence.addDays(today, 1),
+      to,
+      target
+    );
+
+    // today's balance across the open accounts, as /api/accounts adds it up
+    const accounts = (await loadAccounts(conn, owner)).filter((a) => !a.archived);
+    let startingBalance = null;
+    let balanceMissing = [];
+    if (accounts.length) {
+      const { occ, transfers, convert } = await loadLedgerInputs(
+        conn,
+        owner,
+        accounts,
+        today,
+        target
+      );
+      const { balances, missing } = ledger.accountBalances(
+        accounts,
+        occ,
+        transfers,
+        today,
+        convert
+      );
+      const sum = ledger.totalBalance(accounts, balances, target, today, convert);
+      startingBalance = sum.total;
+      balanceMissing = [...missing, ...sum.missing];
+    }
+    await conn.end();
+
+    res.json({
+      currency: {
+        code: target,
+        missing: [...new Set([...past.missing, ...future.missing, ...balanceMissing])].sort(),
+      },
+      months: horizon,
+      today,
+      startingBalance,
+      ...forecast.buildForecast({
+        past: past.occ,
+        future: future.occ,
+        today,
+        horizon,
+        startingBalance,
+      }),
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ message: "Error building forecast." });
+  }
+});
+
 // ===============================================================
 // START SERVER
 // ===============================================================
@@ -1,4 +0,0 @@
-CREATE TABLE user (
-    email VARCHAR(255) PRIMARY KEY,
-    password VARCHAR(255) NOT NULL
-);